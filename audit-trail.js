@@ -0,0 +1,377 @@
+/*
+ * audit-trail.js
+ *
+ * Accountability records for a case: a log of who changed which field of the
+ * case and when, and a numbered, immutable snapshot of every report that was
+ * generated. The docket (docket.js) writes a log entry in the same
+ * transaction as each save; the snapshots are kept in their own store and
+ * are only ever added, never replaced.
+ *
+ * A log entry:
+ *
+ *   { id, caseKey, caseId, at, actor, action, changes: [{ field, from, to }],
+ *     version, hash }                  <- version and hash for action 'report'
+ *
+ * where caseKey is the internal id of the docket record (the case number may
+ * be edited) and field a path such as "respondents[2].phone". Fields worked
+ * out again on every report (analysis, questions, ...) are not logged.
+ *
+ * A report version holds the case data, the report as shown (HTML and plain
+ * text) and a SHA-256 hash over all of it, so that a copy produced later,
+ * e.g. for a court, can be checked against what was generated at the time.
+ * The hash needs the Web Crypto API, which browsers only offer on https
+ * pages and on localhost, as for the service worker.
+ *
+ * diffLines() pairs the lines of two versions for the side-by-side view. The
+ * name of the officer making the changes is kept in localStorage. The API is
+ * exposed on window.AuditTrail.
+ */
+
+(() => {
+  const STORAGE_KEY = 'barangay-case-analyzer-officer';
+  const ACTIONS = ['created', 'edited', 'imported', 'report', 'deleted', 'purged'];
+  // Parts of a record that are worked out again on every report or are
+  // bookkeeping of the docket, and so are not changes made by the officer
+  const DERIVED = new Set([
+    'id',
+    'createdAt',
+    'updatedAt',
+    'analysis',
+    'mediation',
+    'questions',
+    'referral',
+    'penaltyComputations',
+    'partyHistory',
+    'searchHistory',
+  ]);
+  // Links to other stores, shown through the names they point to
+  const INTERNAL = new Set(['id', 'personId']);
+  // Above this many line pairs the diff falls back to comparing line by line
+  const MAX_DIFF_CELLS = 4000000;
+
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // Name of the officer for this page, used when storage is unavailable
+  let officer = '';
+
+  function getOfficer() {
+    try {
+      return localStorage.getItem(STORAGE_KEY) || officer;
+    } catch (err) {
+      return officer;
+    }
+  }
+
+  function setOfficer(name) {
+    officer = String(name || '').trim();
+    try {
+      localStorage.setItem(STORAGE_KEY, officer);
+    } catch (err) {
+      // Storage may be unavailable (private mode); the name is kept until
+      // the page is closed
+    }
+  }
+
+  // Only the categories chosen for the case, not the classifier's scores
+  function trackedClassification(classification) {
+    if (!isObject(classification)) return classification;
+    return { selected: classification.selected, overridden: classification.overridden };
+  }
+
+  // The fields of a record as { path: text }. Items of a list that carry an
+  // id are keyed by it, so that removing one hearing or settlement term does
+  // not show every later one as changed.
+  function flatten(record) {
+    const fields = {};
+    const walk = (value, path) => {
+      if (Array.isArray(value)) {
+        if (value.length && value.every(isObject)) {
+          value.forEach((item, i) => walk(item, `${path}[${item.id || i + 1}]`));
+        } else if (value.length) {
+          fields[path] = value.join(', ');
+        }
+        return;
+      }
+      if (isObject(value)) {
+        Object.keys(value)
+          .filter((key) => !INTERNAL.has(key))
+          .forEach((key) => walk(value[key], `${path}.${key}`));
+        return;
+      }
+      if (value === null || value === undefined || value === '' || value === false) return;
+      fields[path] = String(value);
+    };
+    Object.keys(record || {})
+      .filter((key) => !DERIVED.has(key))
+      .forEach((key) => walk(key === 'classification' ? trackedClassification(record[key]) : record[key], key));
+    return fields;
+  }
+
+  // Fields that differ between two records; a field that is new or was
+  // cleared has '' on the other side
+  function diff(before, after) {
+    const a = flatten(before);
+    const b = flatten(after);
+    const fields = Object.keys(b).concat(Object.keys(a).filter((field) => !(field in b)));
+    return fields
+      .filter((field) => a[field] !== b[field])
+      .map((field) => ({ field, from: a[field] || '', to: b[field] || '' }));
+  }
+
+  function generateId() {
+    return `log-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function createEntry({ record, action, actor, changes, at, version, hash }) {
+    if (!ACTIONS.includes(action)) throw new Error(`Unknown case log action: ${action}`);
+    const entry = {
+      id: generateId(),
+      caseKey: record.id,
+      caseId: record.caseId || record.caseTitle || '',
+      at: at || new Date().toISOString(),
+      actor: String(actor || '').trim(),
+      action,
+      changes: changes || [],
+    };
+    if (action === 'report') Object.assign(entry, { version, hash });
+    return entry;
+  }
+
+  // JSON with the keys of every object sorted, so that the same content
+  // always gives the same hash
+  function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : canonical(v))).join(',')}]`;
+    if (isObject(value)) {
+      return `{${Object.keys(value)
+        .filter((key) => value[key] !== undefined)
+        .sort()
+        .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  async function sha256(text) {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle) throw new Error('This browser cannot compute report hashes here; open the app over https.');
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // What the hash of a report version covers: everything but the hash
+  function hashedContent(version) {
+    const { hash, ...content } = version;
+    return canonical(content);
+  }
+
+  // Frozen snapshot of a generated report. record is the docket record as
+  // saved, html and text the report as shown.
+  async function createVersion({ record, html, text, version, actor, at }) {
+    const { partyHistory, ...data } = record;
+    const content = {
+      id: `${record.id}-v${version}`,
+      caseKey: record.id,
+      caseId: record.caseId || record.caseTitle || '',
+      version,
+      createdAt: at || new Date().toISOString(),
+      actor: String(actor || '').trim(),
+      data: JSON.parse(JSON.stringify(data)),
+      html,
+      text,
+    };
+    return Object.freeze({ ...content, hash: await sha256(hashedContent(content)) });
+  }
+
+  // True when a stored version still matches its hash
+  async function verify(version) {
+    return (await sha256(hashedContent(version))) === version.hash;
+  }
+
+  // Readable name of a field path, e.g. "Respondent 2 › Phone"
+  function fieldLabel(field, lang) {
+    const t = (key) => I18n.t(key, lang);
+    const parts = field.match(/[^.[\]]+|\[[^\]]+\]/g) || [field];
+    const [group, ...rest] = parts;
+    const labels = [I18n.has(`audit.field.${group}`) ? t(`audit.field.${group}`) : group];
+    rest.forEach((part, i) => {
+      if (part.startsWith('[')) {
+        const index = part.slice(1, -1);
+        if (/^\d+$/.test(index)) labels[labels.length - 1] += ` ${index}`;
+        return;
+      }
+      if (parts[i] === 'dates' && I18n.has(`kp.stage.${part}`)) labels.push(t(`kp.stage.${part}`));
+      else labels.push(I18n.has(`audit.leaf.${part}`) ? t(`audit.leaf.${part}`) : part);
+    });
+    return labels.join(' › ');
+  }
+
+  function describeAction(entry, lang) {
+    return I18n.t(`history.action.${entry.action}`, lang, { version: entry.version });
+  }
+
+  // The field a "Field: value" line of dataLines() is about
+  function lineField(line) {
+    return line.split(': ')[0];
+  }
+
+  // The case data of a version as "Field: value" lines
+  function dataLines(record, lang) {
+    return Object.entries(flatten(record)).map(([field, value]) => `${fieldLabel(field, lang)}: ${value.replace(/\s+/g, ' ')}`);
+  }
+
+  // The report text of a version as trimmed, non-blank lines
+  function reportLines(text) {
+    return String(text || '')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  // Side-by-side rows for two lists of lines: { type, left, right } with type
+  // same, changed, removed (left only) or added (right only). Lines are
+  // matched on their longest common subsequence; in a run of removed and
+  // added lines, lines with the same keyOf(line) are paired into changed
+  // rows, or the lines in the order they come without keyOf.
+  function diffLines(left, right, keyOf) {
+    const n = left.length;
+    const m = right.length;
+    const ops = [];
+    if (n * m > MAX_DIFF_CELLS) {
+      for (let i = 0; i < Math.max(n, m); i += 1) {
+        if (i >= n) ops.push({ type: 'added', right: right[i] });
+        else if (i >= m) ops.push({ type: 'removed', left: left[i] });
+        else if (left[i] === right[i]) ops.push({ type: 'same', left: left[i], right: right[i] });
+        else ops.push({ type: 'removed', left: left[i] }, { type: 'added', right: right[i] });
+      }
+    } else {
+      // lengths[i][j]: common lines of left[i..] and right[j..]
+      const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+      for (let i = n - 1; i >= 0; i -= 1) {
+        for (let j = m - 1; j >= 0; j -= 1) {
+          lengths[i][j] = left[i] === right[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < n || j < m) {
+        if (i < n && j < m && left[i] === right[j]) {
+          ops.push({ type: 'same', left: left[i], right: right[j] });
+          i += 1;
+          j += 1;
+        } else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+          ops.push({ type: 'added', right: right[j] });
+          j += 1;
+        } else {
+          ops.push({ type: 'removed', left: left[i] });
+          i += 1;
+        }
+      }
+    }
+    const rows = [];
+    for (let k = 0; k < ops.length; ) {
+      if (ops[k].type === 'same') {
+        rows.push(ops[k]);
+        k += 1;
+        continue;
+      }
+      const removed = [];
+      const added = [];
+      while (k < ops.length && ops[k].type !== 'same') {
+        (ops[k].type === 'removed' ? removed : added).push(ops[k]);
+        k += 1;
+      }
+      if (keyOf) {
+        removed.forEach((op) => {
+          const match = added.findIndex((a) => keyOf(a.right) === keyOf(op.left));
+          if (match === -1) rows.push(op);
+          else rows.push({ type: 'changed', left: op.left, right: added.splice(match, 1)[0].right });
+        });
+        rows.push(...added);
+        continue;
+      }
+      for (let p = 0; p < Math.max(removed.length, added.length); p += 1) {
+        if (removed[p] && added[p]) rows.push({ type: 'changed', left: removed[p].left, right: added[p].right });
+        else rows.push(removed[p] || added[p]);
+      }
+    }
+    return rows;
+  }
+
+  function formatTime(iso, lang) {
+    return new Date(iso).toLocaleString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+  }
+
+  // A value starting like a spreadsheet formula ("+63 917 ...") is kept as
+  // text with a leading apostrophe
+  function csvCell(value) {
+    let text = String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // The log of a case, one row per changed field, oldest first
+  function toCSV(entries, lang) {
+    const t = (key) => I18n.t(key, lang);
+    const header = ['history.col.when', 'history.col.case', 'history.col.officer', 'history.col.action', 'history.col.field', 'history.col.from', 'history.col.to', 'history.col.hash'].map(t);
+    const rows = [header];
+    entries
+      .slice()
+      .sort((a, b) => a.at.localeCompare(b.at))
+      .forEach((entry) => {
+        const base = [entry.at, entry.caseId, entry.actor, describeAction(entry, lang)];
+        if (!entry.changes.length) rows.push(base.concat(['', '', '', entry.hash || '']));
+        entry.changes.forEach((c) => rows.push(base.concat([fieldLabel(c.field, lang), c.from, c.to, ''])));
+      });
+    return `\ufeff${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // A stored report version as a page of its own, headed by its number,
+  // date, officer and hash. The stored markup is shown as kept, so the page
+  // runs no script: versions saved before the report escaped legal pack
+  // texts may still carry injected markup.
+  function versionHTML(version, lang) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const title = t('history.versionTitle', { caseId: version.caseId, version: version.version });
+    return `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"/>
+      <meta http-equiv="Content-Security-Policy" content="script-src 'none'; object-src 'none'"/><title>${escapeHtml(title)}</title>
+      <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css"/></head>
+      <body class="container my-4">
+      <div class="alert alert-secondary small">
+        <strong>${escapeHtml(title)}</strong><br/>
+        ${escapeHtml(t('history.generatedBy', { date: formatTime(version.createdAt, lang), officer: version.actor || t('history.noOfficer') }))}<br/>
+        SHA-256: <code>${escapeHtml(version.hash)}</code>
+      </div>
+      ${version.html}
+      </body></html>`;
+  }
+
+  window.AuditTrail = {
+    ACTIONS,
+    getOfficer,
+    setOfficer,
+    flatten,
+    diff,
+    createEntry,
+    canonical,
+    sha256,
+    createVersion,
+    verify,
+    fieldLabel,
+    describeAction,
+    lineField,
+    dataLines,
+    reportLines,
+    diffLines,
+    formatTime,
+    toCSV,
+    versionHTML,
+  };
+})();
@@ -0,0 +1,440 @@
+/*
+ * case-transfer.js
+ *
+ * Moves docket cases in and out of the browser: JSON for backups and for
+ * moving to another computer, and a flat CSV for spreadsheets, the municipal
+ * office and bulk-loading old logbook entries.
+ *
+ * The JSON file (JSON Schema in case-schema.json) wraps the stored records:
+ *
+ *   { "schema": "barangay-case-export/1", "exported": "<ISO date>",
+ *     "cases": [ { caseId, dateReceived, complainant, respondents, incident,
+ *                  penalty, kp, caseTitle, language,     <- the case form
+ *                  classification, analysis, mediation, questions, ... } ] }
+ *
+ * The CSV has one row per case with the columns listed in CSV_COLUMNS.
+ * Several respondents are written in one cell separated by " | ", with their
+ * other details in the same order; a "|" or "\" within a value is escaped
+ * with a backslash. A cell that a spreadsheet would take for a formula (it
+ * starts with =, +, - or @, as the +63 phone numbers do) is written with a
+ * leading apostrophe, which is dropped again on import. Only the case form
+ * and the selected categories are read back from a CSV. Whatever the format,
+ * the caller generates the report of an imported case again rather than
+ * trusting the one in the file.
+ *
+ * Parsing validates every record and returns row-level errors instead of
+ * failing the whole file; duplicate case IDs within the file are errors.
+ * Comparing against the docket is left to the caller. The API is exposed on
+ * window.CaseTransfer.
+ */
+
+(() => {
+  const SCHEMA = 'barangay-case-export/1';
+  const LIST_SEPARATOR = ' | ';
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+  // Citation links are opened from the report, so only web pages are taken
+  const WEB_LINK_PATTERN = /^https?:\/\//i;
+  const PARTY_TYPES = KPJurisdiction.PARTY_TYPES;
+  const STAGE_KEYS = KPTimeline.STAGES.map((s) => s.key);
+
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const stageColumn = (stage) => `kp${stage.charAt(0).toUpperCase()}${stage.slice(1)}`;
+
+  // Case number as compared for duplicates
+  function caseKey(record) {
+    return String((record && record.caseId) || '').trim().toUpperCase();
+  }
+
+  // Validation ---------------------------------------------------------------
+
+  function checkParty(party, where, errors) {
+    if (!isObject(party)) {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    ['name', 'phone', 'email', 'address', 'personId'].forEach((field) => {
+      if (party[field] !== undefined && typeof party[field] !== 'string') errors.push(`${where}: "${field}" must be text.`);
+    });
+    if (party.type !== undefined && !PARTY_TYPES.includes(party.type)) {
+      errors.push(`${where}: unknown party type "${party.type}" (use ${PARTY_TYPES.join(', ')}).`);
+    }
+  }
+
+  function checkAmount(value, where, errors) {
+    if (value !== undefined && value !== null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      errors.push(`${where} must be a number of zero or more.`);
+    }
+  }
+
+  // Problems with one case record (empty when it can be imported)
+  function validateCase(record) {
+    const errors = [];
+    if (!isObject(record)) return ['A case must be a JSON object.'];
+    if (record.caseId !== undefined && typeof record.caseId !== 'string') errors.push('"caseId" must be text.');
+    if (record.dateReceived && !DATE_PATTERN.test(record.dateReceived)) {
+      errors.push(`Date received "${record.dateReceived}" must be YYYY-MM-DD.`);
+    }
+    if (record.language !== undefined && !I18n.LANGUAGES[record.language]) {
+      errors.push(`Unknown report language "${record.language}".`);
+    }
+    if (!record.complainant) errors.push('The complainant is missing.');
+    else checkParty(record.complainant, 'Complainant', errors);
+    if (record.respondents !== undefined) {
+      if (!Array.isArray(record.respondents)) errors.push('"respondents" must be a list.');
+      else record.respondents.forEach((r, i) => checkParty(r, `Respondent ${i + 1}`, errors));
+    }
+    const incident = record.incident;
+    if (!isObject(incident)) {
+      errors.push('The incident is missing.');
+    } else {
+      if (typeof incident.summary !== 'string' || !incident.summary.trim()) errors.push('The incident summary is empty.');
+      if (incident.dateTime && !DATE_TIME_PATTERN.test(incident.dateTime)) {
+        errors.push(`Incident date/time "${incident.dateTime}" must be YYYY-MM-DDTHH:MM.`);
+      }
+      checkAmount(incident.propertyValue, 'Property value', errors);
+    }
+    if (record.penalty !== undefined) {
+      if (!isObject(record.penalty)) {
+        errors.push('"penalty" must be an object.');
+      } else {
+        checkAmount(record.penalty.imprisonmentMonths, 'Imprisonment (months)', errors);
+        checkAmount(record.penalty.fine, 'Fine', errors);
+      }
+    }
+    if (record.kp !== undefined) {
+      const kp = record.kp;
+      if (!isObject(kp)) {
+        errors.push('"kp" must be an object.');
+      } else {
+        if (kp.status !== undefined && !STAGE_KEYS.includes(kp.status)) errors.push(`Unknown KP status "${kp.status}".`);
+        Object.keys(kp.dates || {}).forEach((stage) => {
+          if (!STAGE_KEYS.includes(stage)) errors.push(`Unknown KP stage "${stage}".`);
+          else if (!DATE_PATTERN.test(kp.dates[stage])) errors.push(`KP date for "${stage}" must be YYYY-MM-DD.`);
+        });
+      }
+    }
+    if (record.hearings !== undefined) {
+      if (!Array.isArray(record.hearings)) {
+        errors.push('"hearings" must be a list.');
+      } else {
+        record.hearings.forEach((h, i) => {
+          Hearings.validate(h).forEach((message) => errors.push(`Hearing ${i + 1}: ${message}`));
+        });
+      }
+    }
+    if (record.pangkat !== undefined) {
+      Lupon.validatePangkat(record.pangkat).forEach((message) => errors.push(`Pangkat: ${message}`));
+    }
+    if (record.settlement !== undefined) {
+      Settlement.validate(record.settlement).forEach((message) => errors.push(`Settlement: ${message}`));
+    }
+    if (record.citations !== undefined) {
+      if (!Array.isArray(record.citations)) {
+        errors.push('"citations" must be a list.');
+      } else {
+        record.citations.forEach((c, i) => {
+          if (!isObject(c) || typeof c.key !== 'string' || typeof c.title !== 'string' || !c.title.trim()) {
+            errors.push(`Citation ${i + 1} needs a key and a title.`);
+          } else if (c.link && (typeof c.link !== 'string' || !WEB_LINK_PATTERN.test(c.link))) {
+            errors.push(`Citation ${i + 1}: the link must start with http:// or https://.`);
+          }
+        });
+      }
+    }
+    if (record.searchHistory !== undefined) {
+      if (!Array.isArray(record.searchHistory)) {
+        errors.push('"searchHistory" must be a list.');
+      } else if (record.searchHistory.some((e) => !isObject(e) || typeof e.query !== 'string')) {
+        errors.push('Every entry of "searchHistory" needs a query.');
+      }
+    }
+    ['classification', 'analysis', 'mediation', 'questions'].forEach((field) => {
+      if (record[field] !== undefined && !isObject(record[field])) errors.push(`"${field}" must be an object.`);
+    });
+    return errors;
+  }
+
+  // Validate a list of { row, record, problems } and flag repeated case
+  // IDs. Returns { records, errors } where errors are { row, caseId,
+  // messages }.
+  function checkAll(entries) {
+    const records = [];
+    const errors = [];
+    const seen = new Map();
+    entries.forEach(({ row, record, problems }) => {
+      const messages = (problems || []).concat(validateCase(record));
+      const key = caseKey(record);
+      if (key && seen.has(key)) messages.push(`Case ID ${record.caseId} already appears in row ${seen.get(key)} of this file.`);
+      if (key && !seen.has(key)) seen.set(key, row);
+      if (messages.length) errors.push({ row, caseId: (record && record.caseId) || '', messages });
+      else records.push({ row, record });
+    });
+    return { records, errors };
+  }
+
+  // JSON ---------------------------------------------------------------------
+
+  function toJSON(records) {
+    return `${JSON.stringify({ schema: SCHEMA, exported: new Date().toISOString(), cases: records }, null, 2)}\n`;
+  }
+
+  // Accepts an export file, a bare list of cases or a single case
+  function parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`The file is not valid JSON: ${err.message}`);
+    }
+    let cases = data;
+    if (isObject(data) && data.schema !== undefined) {
+      if (data.schema !== SCHEMA) throw new Error(`Unsupported case file format "${data.schema}" (expected "${SCHEMA}").`);
+      cases = data.cases;
+    } else if (isObject(data)) {
+      cases = [data];
+    }
+    if (!Array.isArray(cases)) throw new Error('The file does not contain a list of cases.');
+    return checkAll(cases.map((record, i) => ({ row: i + 1, record })));
+  }
+
+  // CSV ----------------------------------------------------------------------
+
+  // A value of a list cell, its separator and escape character escaped
+  const escapeListItem = (value) => String(value).replace(/[\\|]/g, '\\$&');
+  const respondentField = (field) => (r) => (r.respondents || []).map((x) => escapeListItem(x[field] || '')).join(LIST_SEPARATOR);
+  const numberText = (value) => (value === null || value === undefined ? '' : String(value));
+
+  // Column name and how to read it from a record
+  const CSV_COLUMNS = [
+    ['caseId', (r) => r.caseId],
+    ['dateReceived', (r) => r.dateReceived],
+    ['caseTitle', (r) => r.caseTitle],
+    ['language', (r) => r.language],
+    ['complainantName', (r) => (r.complainant || {}).name],
+    ['complainantType', (r) => (r.complainant || {}).type],
+    ['complainantPhone', (r) => (r.complainant || {}).phone],
+    ['complainantEmail', (r) => (r.complainant || {}).email],
+    ['complainantAddress', (r) => (r.complainant || {}).address],
+    ['respondentNames', respondentField('name')],
+    ['respondentTypes', respondentField('type')],
+    ['respondentPhones', respondentField('phone')],
+    ['respondentEmails', respondentField('email')],
+    ['respondentAddresses', respondentField('address')],
+    ['incidentDateTime', (r) => (r.incident || {}).dateTime],
+    ['incidentLocation', (r) => (r.incident || {}).location],
+    ['incidentSummary', (r) => (r.incident || {}).summary],
+    ['propertyValue', (r) => numberText((r.incident || {}).propertyValue)],
+    ['penaltyImprisonmentMonths', (r) => numberText((r.penalty || {}).imprisonmentMonths)],
+    ['penaltyFine', (r) => numberText((r.penalty || {}).fine)],
+    ['kpStatus', (r) => (r.kp || {}).status],
+    ...STAGE_KEYS.map((stage) => [stageColumn(stage), (r) => ((r.kp || {}).dates || {})[stage]]),
+    ['kpPangkatExtended', (r) => ((r.kp || {}).pangkatExtended ? 'yes' : 'no')],
+    ['categories', (r) => ((r.classification || {}).selected || []).join(LIST_SEPARATOR)],
+    // Export only: derived from the report and ignored on import
+    ['natureOfCase', (r) => (r.analysis || {}).nature],
+    ['referred', (r) => ((r.referral || []).length ? 'yes' : 'no')],
+    ['createdAt', (r) => r.createdAt],
+    ['updatedAt', (r) => r.updatedAt],
+  ];
+
+  // Cells starting like a formula are kept as text with an apostrophe
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  function csvCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // A cell as written before csvCell() protected it from formulas
+  function unprotectCell(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+  }
+
+  // CSV text with a byte order mark so spreadsheet programs read it as UTF-8
+  function toCSV(records) {
+    const rows = [CSV_COLUMNS.map(([name]) => name)];
+    records.forEach((record) => rows.push(CSV_COLUMNS.map(([, get]) => get(record))));
+    return `\ufeff${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  // Split CSV text into rows of cells (RFC 4180 quoting)
+  function splitCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const src = text.replace(/^\ufeff/, '');
+    for (let i = 0; i < src.length; i += 1) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i += 1;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Cell values that cannot be read are added to problems
+  function readNumber(value, column, problems) {
+    const text = value.replace(/[₱,\s]/g, '');
+    if (text === '') return null;
+    const n = Number(text);
+    if (!Number.isFinite(n)) {
+      problems.push(`Column ${column}: "${value}" is not a number.`);
+      return null;
+    }
+    return n;
+  }
+
+  function readBoolean(value, column, problems) {
+    const text = value.trim().toLowerCase();
+    if (['', 'no', 'false', '0', 'hindi'].includes(text)) return false;
+    if (['yes', 'true', '1', 'oo'].includes(text)) return true;
+    problems.push(`Column ${column}: "${value}" should be yes or no.`);
+    return false;
+  }
+
+  // Items of a list cell: split at each "|" not escaped by a backslash
+  function splitList(value) {
+    if (value.trim() === '') return [];
+    const items = [''];
+    for (let i = 0; i < value.length; i += 1) {
+      const ch = value[i];
+      if (ch === '\\' && (value[i + 1] === '\\' || value[i + 1] === '|')) {
+        items[items.length - 1] += value[i + 1];
+        i += 1;
+      } else if (ch === '|') {
+        items.push('');
+      } else {
+        items[items.length - 1] += ch;
+      }
+    }
+    return items.map((x) => x.trim());
+  }
+
+  // Build a case record from one CSV row (keyed by column name)
+  function recordFromRow(cells, problems) {
+    const get = (name) => (cells[name] || '').trim();
+    const names = splitList(cells.respondentNames || '');
+    const lists = {
+      type: splitList(cells.respondentTypes || ''),
+      phone: splitList(cells.respondentPhones || ''),
+      email: splitList(cells.respondentEmails || ''),
+      address: splitList(cells.respondentAddresses || ''),
+    };
+    const count = Math.max(names.length, ...Object.values(lists).map((l) => l.length));
+    const respondents = [];
+    for (let i = 0; i < count; i += 1) {
+      respondents.push({
+        name: names[i] || '',
+        phone: lists.phone[i] || '',
+        email: lists.email[i] || '',
+        address: lists.address[i] || '',
+        type: lists.type[i] || 'individual',
+      });
+    }
+    const dates = {};
+    STAGE_KEYS.forEach((stage) => {
+      if (get(stageColumn(stage))) dates[stage] = get(stageColumn(stage));
+    });
+    const complainantName = get('complainantName');
+    const record = {
+      caseId: get('caseId'),
+      dateReceived: get('dateReceived'),
+      complainant: {
+        name: complainantName,
+        phone: get('complainantPhone'),
+        email: get('complainantEmail'),
+        address: get('complainantAddress'),
+        type: get('complainantType') || 'individual',
+      },
+      respondents,
+      incident: {
+        summary: get('incidentSummary'),
+        location: get('incidentLocation'),
+        dateTime: get('incidentDateTime'),
+        propertyValue: readNumber(get('propertyValue'), 'propertyValue', problems),
+      },
+      penalty: {
+        imprisonmentMonths: readNumber(get('penaltyImprisonmentMonths'), 'penaltyImprisonmentMonths', problems),
+        fine: readNumber(get('penaltyFine'), 'penaltyFine', problems),
+      },
+      kp: {
+        status: get('kpStatus') || 'filed',
+        dates,
+        pangkatExtended: readBoolean(get('kpPangkatExtended'), 'kpPangkatExtended', problems),
+      },
+      caseTitle: get('caseTitle') || (complainantName ? `${complainantName} Case` : 'Complainant Case'),
+      language: get('language') || I18n.DEFAULT_LANGUAGE,
+    };
+    const categories = splitList(cells.categories || '');
+    if (categories.length) record.classification = { selected: categories, overridden: true };
+    if (get('createdAt')) record.createdAt = get('createdAt');
+    return record;
+  }
+
+  function parseCSV(text) {
+    const rows = splitCSV(text);
+    if (!rows.length) throw new Error('The CSV file is empty.');
+    const header = rows[0].map((c) => c.trim());
+    const known = CSV_COLUMNS.map(([name]) => name);
+    const unknown = header.filter((name) => name && !known.includes(name));
+    if (unknown.length) throw new Error(`Unknown CSV column(s): ${unknown.join(', ')}. The first row must hold the column names.`);
+    if (!header.includes('incidentSummary')) throw new Error('The CSV file needs an incidentSummary column.');
+    // Rows are numbered as in a spreadsheet, the column names being row 1
+    const entries = [];
+    rows.forEach((cells, i) => {
+      if (i === 0 || cells.every((c) => c.trim() === '')) return;
+      const byName = {};
+      header.forEach((name, i) => {
+        byName[name] = unprotectCell(cells[i] || '');
+      });
+      const problems = [];
+      if (cells.length > header.length) problems.push(`The row has ${cells.length} cells but there are ${header.length} columns.`);
+      entries.push({ row: i + 1, record: recordFromRow(byName, problems), problems });
+    });
+    return checkAll(entries);
+  }
+
+  // Read an import file; CSV when the name or content says so
+  function parse(text, fileName) {
+    const trimmed = text.replace(/^\ufeff/, '').trim();
+    const isCSV = /\.csv$/i.test(fileName || '') || !/^[[{]/.test(trimmed);
+    return { format: isCSV ? 'csv' : 'json', ...(isCSV ? parseCSV(text) : parseJSON(trimmed)) };
+  }
+
+  window.CaseTransfer = {
+    SCHEMA,
+    CSV_COLUMNS: CSV_COLUMNS.map(([name]) => name),
+    caseKey,
+    validateCase,
+    toJSON,
+    toCSV,
+    parse,
+  };
+})();
@@ -0,0 +1,162 @@
+/*
+ * citations.js
+ *
+ * Citations attached to a case from the legal research section. A citation
+ * is stored in the case record (record.citations) as
+ *
+ *   { key, title, link, source, note, addedAt }
+ *
+ * where key identifies the authority: its URL without tracking parameters
+ * or fragment, or for texts of the offline library, which have no URL of
+ * their own, the id of the document. Two citations with the same key are
+ * the same authority, so it is only attached once. Only http and https
+ * links are kept, since the report opens them. The list functions
+ * return a new list and leave the one passed in untouched.
+ *
+ * format() writes a citation the way Philippine decisions are cited:
+ * "Case name, G.R. No. 123456, Month D, YYYY", with the G.R. number and date
+ * read from the title of the search result. Other authorities keep their
+ * title. The API is exposed on window.Citations.
+ */
+
+(() => {
+  const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
+  const MONTH = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+  // "G.R. No. 123456", "G.R. Nos. 149028-30" or "G.R. Nos. 12345 & 12346"; a
+  // further number has at least four digits so a following day is not taken
+  const GR_NUMBER = /G\.\s*R\.\s*(Nos?)\.?\s*(L-)?(\d+(?:-\d+)?(?:\s*(?:,|&|and)\s*\d{4,}(?:-\d+)?)*)/i;
+  const DATES = [
+    { re: new RegExp(`${MONTH}\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'i'), month: 1, day: 2, year: 3 },
+    { re: new RegExp(`(\\d{1,2})\\s+${MONTH},?\\s+(\\d{4})`, 'i'), day: 1, month: 2, year: 3 },
+    { re: /(\d{4})-(\d{2})-(\d{2})/, year: 1, month: 2, day: 3 },
+  ];
+  // Names the legal websites append to their page titles
+  const SITE_SUFFIX = /\s*[-|–—:]\s*(the\s+)?(lawphil(\s+project)?|chan\s?robles.*|supreme court e-library.*|official gazette.*|e-library.*)\s*$/i;
+  const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid)$/i;
+  const SEPARATORS = /^[\s,;:()[\]–—|-]+|[\s,;:()[\]–—|-]+$/g;
+
+  function monthIndex(text) {
+    if (/^\d+$/.test(text)) return Number(text) - 1;
+    const prefix = text.slice(0, 3).toLowerCase();
+    return MONTHS.findIndex((m) => m.slice(0, 3).toLowerCase() === prefix);
+  }
+
+  // Whether a link may be opened from the case: only web pages are, never
+  // javascript:, data: or file: links
+  function isWebLink(link) {
+    return /^https?:\/\//i.test(String(link || '').trim());
+  }
+
+  // The URL of an authority in a form that is the same for every link to it
+  function normalizeLink(link) {
+    try {
+      const url = new URL(link);
+      url.hash = '';
+      Array.from(url.searchParams.keys()).forEach((name) => {
+        if (TRACKING_PARAM.test(name)) url.searchParams.delete(name);
+      });
+      url.hostname = url.hostname.replace(/^www\./, '');
+      return url.href.replace(/\/$/, '').replace(/^http:/, 'https:');
+    } catch (err) {
+      return String(link || '').trim();
+    }
+  }
+
+  // Citation from a search result ({ title, link, displayLink, id })
+  function fromResult(item) {
+    const link = isWebLink(item.link) ? String(item.link).trim() : '';
+    const key = link ? normalizeLink(link) : item.id || `title:${String(item.title || '').trim().toLowerCase()}`;
+    return {
+      key,
+      title: String(item.title || '').trim(),
+      link,
+      source: item.displayLink || '',
+      note: '',
+      addedAt: new Date().toISOString(),
+    };
+  }
+
+  // Attach a citation. Returns { list, added }; added is false when the
+  // authority is already in the list.
+  function add(list, citation) {
+    const current = list || [];
+    if (current.some((c) => c.key === citation.key)) return { list: current, added: false };
+    return { list: current.concat([citation]), added: true };
+  }
+
+  function remove(list, key) {
+    return (list || []).filter((c) => c.key !== key);
+  }
+
+  // Move a citation up (-1) or down (+1) in the list
+  function move(list, key, offset) {
+    const items = (list || []).slice();
+    const from = items.findIndex((c) => c.key === key);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= items.length) return items;
+    const [item] = items.splice(from, 1);
+    items.splice(to, 0, item);
+    return items;
+  }
+
+  function setNote(list, key, note) {
+    return (list || []).map((c) => (c.key === key ? { ...c, note: String(note || '').trim() } : c));
+  }
+
+  // Case name, G.R. number and date of a decision, read from its title; null
+  // when the title has no G.R. number
+  function parseDecision(title) {
+    const text = String(title || '').replace(/\s+/g, ' ').replace(/【[^】]*】/g, '').replace(SITE_SUFFIX, '');
+    const gr = GR_NUMBER.exec(text);
+    if (!gr) return null;
+    const numbers = gr[3].replace(/\s*,\s*/g, ', ').replace(/\s*(&|and)\s*/g, ' & ');
+    const plural = /s$/i.test(gr[1]) || /[,&]/.test(numbers);
+    const grNo = `G.R. ${plural ? 'Nos.' : 'No.'} ${gr[2] ? 'L-' : ''}${numbers}`;
+    let date = '';
+    let dateMatch = null;
+    DATES.some(({ re, day, month, year }) => {
+      const m = re.exec(text);
+      if (!m) return false;
+      const mi = monthIndex(m[month]);
+      if (mi < 0 || mi > 11) return false;
+      date = `${MONTHS[mi]} ${Number(m[day])}, ${m[year]}`;
+      dateMatch = m;
+      return true;
+    });
+    // The case name is usually before the G.R. number. Lawphil puts it
+    // between the number and the date, and anything after the date (such as
+    // the ponente) is then left out; other titles start with the number and
+    // date, as in "[ G.R. No. 123456, January 5, 2020 ] PEOPLE v. DELA CRUZ".
+    let name = text.slice(0, gr.index).replace(SEPARATORS, '');
+    if (!name) {
+      const rest = text.slice(gr.index + gr[0].length);
+      const end = dateMatch ? rest.indexOf(dateMatch[0]) : -1;
+      name = (end === -1 ? rest : rest.slice(0, end)).replace(SEPARATORS, '');
+      if (!name && end !== -1) name = rest.slice(end + dateMatch[0].length).replace(SEPARATORS, '');
+    }
+    name = name.replace(/\s+vs?\.?\s+/gi, ' v. ').replace(SEPARATORS, '');
+    return { name, grNo, date };
+  }
+
+  // The citation as it is written in a report
+  function format(citation) {
+    const decision = parseDecision(citation.title);
+    if (!decision) return String(citation.title || '').replace(/【[^】]*】/g, '').trim();
+    return [decision.name, decision.grNo, decision.date].filter(Boolean).join(', ');
+  }
+
+  window.Citations = {
+    isWebLink,
+    normalizeLink,
+    fromResult,
+    add,
+    remove,
+    move,
+    setNote,
+    parseDecision,
+    format,
+  };
+})();
@@ -0,0 +1,206 @@
+/*
+ * classifier.js
+ *
+ * Scored, multi-label offense classifier. Every category of the legal
+ * knowledge base carries a `keywords` map of phrase → weight, with English
+ * and Tagalog phrases side by side so Taglish summaries score naturally. A
+ * phrase may end in `*` to match any word starting with it ("intimidat*"),
+ * start with `*` to match word endings, or both to match inside a word. The
+ * latter handles Tagalog affixes: "*nakaw*" matches ninakaw, nagnakaw and
+ * pagnanakaw.
+ *
+ * A phrase with "+" is a combination: it scores once when every part of it
+ * appears somewhere in the summary, each part listing its alternatives with
+ * "|". This weighs words that mean little apart, such as a partner and an act
+ * of violence: "husband|asawa + punch*|sinuntok".
+ *
+ * The incident summary is split into clauses and words, each keyword is looked
+ * up, and the weights of the matched phrases are summed per category. Phrases
+ * preceded by a negation in the same clause ("did not hit", "hindi sinaktan")
+ * are reported but not scored.
+ *
+ * A phrase that is the object of a verb of calling or accusing ("he keeps
+ * calling me a thief", "tinawag akong magnanakaw") is what a party was
+ * accused of, not what happened. Only pronouns, articles and linkers may
+ * stand between the verb and the phrase, so "he called me over and stole my
+ * phone" is still theft. In a category whose pack entry has "imputedTo", such a phrase
+ * only adds a fraction of its weight there and its full weight to the
+ * category named, so the example above ranks defamation above theft.
+ *
+ * The result ranks every category by score, gives a 0–1 confidence, lists the
+ * phrases that triggered each one and selects all categories that reach the
+ * threshold. The API is exposed on window.CaseClassifier.
+ */
+
+(() => {
+  // Minimum score for a category to be selected automatically
+  const SELECT_THRESHOLD = 1.5;
+  // Score at which the confidence is reported as 100%
+  const FULL_CONFIDENCE_SCORE = 5;
+  // Repeated mentions of the same phrase add a fraction of its weight
+  const REPEAT_FACTOR = 0.25;
+  // How many words before a phrase a negation can appear. Tagalog often puts
+  // pronouns between the negation and the verb ("hindi naman niya ako
+  // sinaktan"), hence the generous window.
+  const NEGATION_WINDOW = 4;
+  const NEGATIONS = [
+    'not', 'no', 'never', 'nobody', 'nothing', 'neither', 'nor', 'cannot', 'denied', 'denies',
+    'hindi', 'di', 'wala', 'walang', 'huwag', 'hinding',
+  ];
+  // Verbs of calling or accusing someone, how many words before a phrase
+  // they can appear and the words that may stand between them ("calling me
+  // a thief", "tinawag niya akong magnanakaw"). Any other word, such as a
+  // conjunction or another verb, ends the look-back.
+  const IMPUTATION_WINDOW = 4;
+  const IMPUTATION_LINKS = [
+    'me', 'him', 'her', 'them', 'us', 'you', 'a', 'an', 'the', 'as', 'of', 'being',
+    'ako', 'akong', 'siya', 'siyang', 'niya', 'niyang', 'kami', 'kaming', 'sila', 'silang', 'nila',
+    'ka', 'kang', 'mo', 'ko', 'na', 'ng', 'nang', 'daw', 'raw', 'pa',
+  ];
+  const IMPUTATIONS = [
+    'call', 'calls', 'called', 'calling', 'accus*', 'brand*', 'label*',
+    'sinabing', 'sinabihan*', 'tinawag*', 'tinatawag*', 'tatawagin*', 'pinagbintang*', 'binintang*',
+    'inakusahan*', 'pinaratang*', 'pinapalabas*',
+  ];
+  // Share of its weight an imputed phrase keeps in its own category
+  const IMPUTED_FACTOR = 0.2;
+  const FALLBACK_CATEGORY = 'general';
+
+  // Split text into clauses of lowercase words
+  function tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[’‘`]/g, "'")
+      .split(/[.,;:!?()\n]+/)
+      .map((clause) => clause.match(/[\p{L}\p{N}']+/gu) || [])
+      .filter((words) => words.length);
+  }
+
+  function isNegation(word) {
+    return NEGATIONS.includes(word) || /n't$/.test(word);
+  }
+
+  function isImputation(word) {
+    return IMPUTATIONS.some((pattern) => wordMatches(pattern, word));
+  }
+
+  function wordMatches(pattern, word) {
+    const prefix = pattern.endsWith('*');
+    const suffix = pattern.startsWith('*');
+    const core = pattern.replace(/^\*|\*$/g, '');
+    if (prefix && suffix) return word.includes(core);
+    if (prefix) return word.startsWith(core);
+    if (suffix) return word.endsWith(core);
+    return word === core;
+  }
+
+  // Index of the verb of calling or accusing whose object starts at word i,
+  // or -1: the look-back skips pronouns, articles and linkers only
+  function imputingVerb(words, i) {
+    for (let k = i - 1; k >= Math.max(0, i - IMPUTATION_WINDOW); k -= 1) {
+      if (isImputation(words[k])) return k;
+      if (!IMPUTATION_LINKS.includes(words[k])) return -1;
+    }
+    return -1;
+  }
+
+  // Find every occurrence of a (possibly multi-word) phrase in the clauses.
+  // Returns the matched text, whether it was negated and, when it follows a
+  // verb of calling or accusing as its object, the words from that verb on
+  // (imputation).
+  function findPhrase(phrase, clauses) {
+    const parts = phrase.toLowerCase().split(/\s+/).filter(Boolean);
+    const hits = [];
+    clauses.forEach((words) => {
+      for (let i = 0; i + parts.length <= words.length; i += 1) {
+        if (parts.every((p, j) => wordMatches(p, words[i + j]))) {
+          const before = words.slice(Math.max(0, i - NEGATION_WINDOW), i);
+          const from = imputingVerb(words, i);
+          hits.push({
+            text: words.slice(i, i + parts.length).join(' '),
+            negated: before.some(isNegation),
+            imputation: from === -1 ? '' : words.slice(from, i + parts.length).join(' '),
+          });
+        }
+      }
+    });
+    return hits;
+  }
+
+  // Every occurrence of a keyword, which may be a combination. A combination
+  // matches once, when each of its parts has an occurrence not negated.
+  function findKeyword(keyword, clauses) {
+    if (!/[+|]/.test(keyword)) return findPhrase(keyword, clauses);
+    const found = keyword.split('+').map((part) => {
+      const alternatives = part.split('|').map((p) => p.trim()).filter(Boolean);
+      return alternatives.flatMap((phrase) => findPhrase(phrase, clauses)).find((h) => !h.negated);
+    });
+    if (found.some((h) => !h)) return [];
+    return [{ text: found.map((h) => h.text).join(' + '), negated: false, imputation: '' }];
+  }
+
+  // Score a single category against the tokenized summary. With imputable
+  // set, phrases after a verb of calling or accusing are set apart in
+  // imputed and only add IMPUTED_FACTOR of their weight.
+  function scoreCategory(keywords, clauses, imputable) {
+    let score = 0;
+    const triggers = [];
+    const negated = [];
+    const imputed = [];
+    Object.keys(keywords || {}).forEach((phrase) => {
+      const weight = Number(keywords[phrase]) || 0;
+      const hits = findKeyword(phrase, clauses);
+      hits.filter((h) => h.negated).forEach((h) => negated.push(h.text));
+      const accused = imputable ? hits.filter((h) => !h.negated && h.imputation) : [];
+      const positive = hits.filter((h) => !h.negated && !accused.includes(h));
+      if (accused.length) {
+        score += weight * IMPUTED_FACTOR;
+        imputed.push({ phrase: accused[0].imputation, weight, count: accused.length });
+      }
+      if (!positive.length) return;
+      score += weight + weight * REPEAT_FACTOR * (positive.length - 1);
+      triggers.push({ phrase: positive[0].text, weight, count: positive.length });
+    });
+    return { score, triggers, negated: Array.from(new Set(negated)), imputed };
+  }
+
+  // Classify an incident summary against every category of the legal data.
+  // Returns { ranked, selected } where ranked lists all scored categories
+  // (highest first) and selected holds the category keys applied by default.
+  function classify(summary, legalData) {
+    const clauses = tokenize(summary);
+    const scored = Object.keys(legalData)
+      .filter((category) => category !== FALLBACK_CATEGORY)
+      .map((category) => ({ category, ...scoreCategory(legalData[category].keywords, clauses, !!legalData[category].imputedTo) }));
+    // What a party was called or accused of counts toward the category the
+    // pack names for it, e.g. "calling me a thief" toward defamation
+    scored.forEach((result) => {
+      const target = scored.find((r) => r.category === legalData[result.category].imputedTo);
+      if (!target) return;
+      result.imputed.forEach((imputed) => {
+        target.score += imputed.weight;
+        target.triggers.push(imputed);
+      });
+    });
+    const ranked = scored
+      .map((result) => {
+        const score = Math.round(result.score * 100) / 100;
+        result.triggers.sort((a, b) => b.weight - a.weight);
+        return { ...result, score, confidence: Math.min(1, score / FULL_CONFIDENCE_SCORE) };
+      })
+      .sort((a, b) => b.score - a.score);
+    const selected = ranked.filter((r) => r.score >= SELECT_THRESHOLD).map((r) => r.category);
+    return {
+      ranked,
+      selected: selected.length ? selected : [FALLBACK_CATEGORY],
+      overridden: false,
+    };
+  }
+
+  window.CaseClassifier = {
+    SELECT_THRESHOLD,
+    FALLBACK_CATEGORY,
+    tokenize,
+    classify,
+  };
+})();
@@ -2,6 +2,8 @@
 // Configuration for the legal search functionality. Replace the placeholder
 // values below with your own Google API key and Custom Search Engine ID.
 // See README or documentation for instructions on obtaining these credentials.
+// Without them the research section searches only the offline legal library
+// (legal-corpus/core.json).
 
 window.LEGAL_SEARCH = {
   // Your Google Custom Search API key. Leave as an empty string until you
@@ -20,4 +22,83 @@ window.LEGAL_SEARCH = {
     "officialgazette.gov.ph",
     "philippinelaw.allegheny.edu"
   ]
-};
\ No newline at end of file
+};
+
+// Details of the barangay printed on the letterhead and signature blocks of
+// the generated Katarungang Pambarangay forms. Leave a value empty to print a
+// blank line that can be filled in by hand.
+window.BARANGAY_PROFILE = {
+  province: "Laguna",
+  cityMunicipality: "City of San Pedro",
+  barangay: "",
+  punongBarangay: "",
+  luponSecretary: "",
+  // Barangays of the city or municipality, used to read the barangay out of
+  // the addresses typed in the case form
+  barangays: [
+    "Bagong Silang",
+    "Calendola",
+    "Chrysanthemum",
+    "Cuyab",
+    "Estrella",
+    "Fatima",
+    "G.S.I.S.",
+    "Landayan",
+    "Langgam",
+    "Laram",
+    "Magsaysay",
+    "Maharlika",
+    "Narra",
+    "Nueva",
+    "Pacita 1",
+    "Pacita 2",
+    "Poblacion",
+    "Riverside",
+    "Rosario",
+    "Sampaguita Village",
+    "San Antonio",
+    "San Lorenzo Ruiz",
+    "San Roque",
+    "San Vicente",
+    "Santo Niño",
+    "United Bayanihan",
+    "United Better Living"
+  ],
+  // Cities and municipalities sharing a boundary with this one. Parties living
+  // in adjoining barangays of these may still agree to barangay conciliation
+  // (LGC Sec. 408(f)).
+  adjoiningCities: [
+    "Muntinlupa",
+    "Biñan",
+    "Carmona",
+    "General Mariano Alvarez"
+  ],
+  // Other cities and municipalities that commonly appear in addresses
+  otherCities: [
+    "Santa Rosa",
+    "Cabuyao",
+    "Calamba",
+    "Las Piñas",
+    "Parañaque",
+    "Taguig",
+    "Dasmariñas",
+    "Imus",
+    "Bacoor",
+    "Manila",
+    "Quezon City",
+    "Makati",
+    "Pasay"
+  ]
+};
+
+// Handling of the personal data kept in this browser (RA 10173, the Data
+// Privacy Act). The case records are locked again after autoLockMinutes
+// without activity (0 never locks them by itself). Closed cases are kept for
+// retentionYears after they were closed and then either flagged for review
+// ("flag") or purged from the docket with their report versions ("purge");
+// set retentionYears to 0 to keep every case.
+window.PRIVACY_POLICY = {
+  autoLockMinutes: 15,
+  retentionYears: 5,
+  retentionAction: "flag"
+};
@@ -0,0 +1,383 @@
+/*
+ * docket.js
+ *
+ * Local case docket for the Barangay Case Analyzer. Every generated case is
+ * stored in the browser's IndexedDB so that it survives page reloads and can
+ * be reopened for editing later. This module only deals with storage and with
+ * searching/sorting the stored records; the form and table wiring lives in
+ * script.js. Two more stores hold the persons of the party registry
+ * (party-registry.js) and the roster of Lupon members (lupon.js). The case
+ * log and the report versions (audit-trail.js) have stores of their own;
+ * every save or deletion of a case is logged in the same transaction, and
+ * both are kept when a case is deleted, but not when it is purged under the
+ * retention policy (privacy.js).
+ *
+ * Every record is stored sealed by vault.js as { id, <indexed keys>, sealed },
+ * so the docket must be unlocked with the passphrase before it can be read
+ * or written; the vault record is kept in the settings store. Until a
+ * passphrase is set up, or in a browser without the Web Crypto API, records
+ * are stored in clear and sealed when it is. The API is exposed on
+ * window.CaseDocket and is promise-based.
+ */
+
+(() => {
+  const DB_NAME = 'barangay-case-analyzer';
+  const DB_VERSION = 5;
+  const CASE_STORE = 'cases';
+  const PERSON_STORE = 'persons';
+  const MEMBER_STORE = 'members';
+  const AUDIT_STORE = 'audit';
+  const VERSION_STORE = 'versions';
+  const SETTINGS_STORE = 'settings';
+  const VAULT_KEY = 'vault';
+  const SEALED_STORES = [CASE_STORE, PERSON_STORE, MEMBER_STORE, AUDIT_STORE, VERSION_STORE];
+  // Keys kept in clear next to the sealed record because a store is
+  // indexed on them
+  const CLEAR_KEYS = {
+    [CASE_STORE]: ['updatedAt'],
+    [AUDIT_STORE]: ['caseKey'],
+    [VERSION_STORE]: ['caseKey'],
+  };
+
+  let dbPromise = null;
+
+  // Open the docket database, creating the object stores on first use
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('This browser does not support local case storage (IndexedDB).'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(CASE_STORE, { keyPath: 'id' });
+          store.createIndex('caseId', 'caseId', { unique: false });
+          store.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(PERSON_STORE, { keyPath: 'id' });
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore(MEMBER_STORE, { keyPath: 'id' });
+        }
+        if (event.oldVersion < 4) {
+          db.createObjectStore(AUDIT_STORE, { keyPath: 'id' }).createIndex('caseKey', 'caseKey', { unique: false });
+          db.createObjectStore(VERSION_STORE, { keyPath: 'id' }).createIndex('caseKey', 'caseKey', { unique: false });
+        }
+        if (event.oldVersion < 5) {
+          db.createObjectStore(SETTINGS_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed (e.g. private browsing)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  // Run a single request against an object store and resolve once the
+  // transaction has completed
+  async function runRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Run work against several object stores in one transaction and resolve
+  // once the transaction has completed
+  async function runTransaction(storeNames, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, 'readwrite');
+      work(tx);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Internal record key; the user-facing case number is kept in caseId
+  function generateId() {
+    return `case-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // A record as stored: its id, the keys its store is indexed on, and the
+  // rest sealed. Without a vault record it is stored as it is.
+  async function seal(storeName, record) {
+    if (!Vault.isUnlocked() && !(await getVault())) return record;
+    const stored = { id: record.id, sealed: await Vault.seal(record) };
+    (CLEAR_KEYS[storeName] || []).forEach((key) => {
+      stored[key] = record[key];
+    });
+    return stored;
+  }
+
+  // Records saved before encryption was set up have nothing to unseal
+  function unseal(stored) {
+    if (!stored) return Promise.resolve(stored);
+    return stored.sealed ? Vault.unseal(stored.sealed) : Promise.resolve(stored);
+  }
+
+  function unsealAll(stored) {
+    return Promise.all(stored.map(unseal));
+  }
+
+  function getVault() {
+    return runRequest(SETTINGS_STORE, 'readonly', (store) => store.get(VAULT_KEY));
+  }
+
+  // Read every record of the sealed stores as { storeName: [records] }
+  async function readAll() {
+    const all = {};
+    for (const storeName of SEALED_STORES) {
+      all[storeName] = await unsealAll(await runRequest(storeName, 'readonly', (store) => store.getAll()));
+    }
+    return all;
+  }
+
+  // Seal every record of readAll() under the current key and store them in
+  // one transaction with the vault record
+  async function writeAll(all, vault) {
+    const sealed = {};
+    for (const storeName of SEALED_STORES) {
+      sealed[storeName] = await Promise.all(all[storeName].map((record) => seal(storeName, record)));
+    }
+    return runTransaction(SEALED_STORES.concat(SETTINGS_STORE), (tx) => {
+      SEALED_STORES.forEach((storeName) => {
+        const store = tx.objectStore(storeName);
+        sealed[storeName].forEach((record) => store.put(record));
+      });
+      tx.objectStore(SETTINGS_STORE).put({ ...vault, id: VAULT_KEY });
+    });
+  }
+
+  // Protect the docket with a passphrase for the first time, sealing the
+  // records saved until now
+  async function setUpEncryption(passphrase) {
+    if (await getVault()) throw new Error('The case records are already protected by a passphrase.');
+    const all = await readAll();
+    await writeAll(all, await Vault.create(passphrase));
+  }
+
+  async function unlock(passphrase) {
+    const vault = await getVault();
+    if (!vault) throw new Error('No passphrase has been set up for the case records.');
+    await Vault.open(vault, passphrase);
+  }
+
+  // Seal every record again under a new passphrase
+  async function changePassphrase(current, passphrase) {
+    await unlock(current);
+    const all = await readAll();
+    await writeAll(all, await Vault.create(passphrase));
+  }
+
+  // Insert or update a case record and log the fields that changed under the
+  // name of the officer on duty. action overrides the logged action ('created'
+  // or 'edited' by default); a save that changes nothing is not logged unless
+  // an action is given. Returns the stored copy.
+  async function saveCase(record, { action } = {}) {
+    const now = new Date().toISOString();
+    const stored = {
+      ...record,
+      id: record.id || generateId(),
+      createdAt: record.createdAt || now,
+      updatedAt: now,
+    };
+    const previous = await getCase(stored.id);
+    const changes = AuditTrail.diff(previous, stored);
+    const entry = changes.length || action
+      ? AuditTrail.createEntry({
+        record: stored,
+        action: action || (previous ? 'edited' : 'created'),
+        actor: AuditTrail.getOfficer(),
+        changes,
+        at: now,
+      })
+      : null;
+    const sealedCase = await seal(CASE_STORE, stored);
+    const sealedEntry = entry && (await seal(AUDIT_STORE, entry));
+    await runTransaction([CASE_STORE, AUDIT_STORE], (tx) => {
+      tx.objectStore(CASE_STORE).put(sealedCase);
+      if (sealedEntry) tx.objectStore(AUDIT_STORE).add(sealedEntry);
+    });
+    return stored;
+  }
+
+  async function getCase(id) {
+    return unseal(await runRequest(CASE_STORE, 'readonly', (store) => store.get(id)));
+  }
+
+  async function listCases() {
+    return unsealAll(await runRequest(CASE_STORE, 'readonly', (store) => store.getAll()));
+  }
+
+  // Delete a case record; its log and report versions are kept
+  async function deleteCase(id) {
+    const record = await getCase(id);
+    if (!record) return;
+    const entry = await seal(AUDIT_STORE, AuditTrail.createEntry({ record, action: 'deleted', actor: AuditTrail.getOfficer() }));
+    await runTransaction([CASE_STORE, AUDIT_STORE], (tx) => {
+      tx.objectStore(CASE_STORE).delete(id);
+      tx.objectStore(AUDIT_STORE).add(entry);
+    });
+  }
+
+  // Delete a case with its report versions and logged changes once it is
+  // past the retention period; only a note that it was purged is kept
+  async function purgeCase(id) {
+    const record = await getCase(id);
+    if (!record) return;
+    const entry = await seal(AUDIT_STORE, AuditTrail.createEntry({ record, action: 'purged', actor: AuditTrail.getOfficer() }));
+    await runTransaction([CASE_STORE, AUDIT_STORE, VERSION_STORE], (tx) => {
+      tx.objectStore(CASE_STORE).delete(id);
+      [AUDIT_STORE, VERSION_STORE].forEach((storeName) => {
+        const store = tx.objectStore(storeName);
+        const request = store.index('caseKey').getAllKeys(id);
+        request.onsuccess = () => {
+          request.result.forEach((key) => store.delete(key));
+          if (storeName === AUDIT_STORE) store.add(entry);
+        };
+      });
+    });
+  }
+
+  // Log entries of a case, oldest first
+  async function listAudit(caseKey) {
+    const entries = await unsealAll(await runRequest(AUDIT_STORE, 'readonly', (store) => store.index('caseKey').getAll(caseKey)));
+    return entries.sort((a, b) => a.at.localeCompare(b.at));
+  }
+
+  // Report versions of a case, by version number
+  async function listVersions(caseKey) {
+    const versions = await unsealAll(await runRequest(VERSION_STORE, 'readonly', (store) => store.index('caseKey').getAll(caseKey)));
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  // Store a report version made by AuditTrail.createVersion() and log it.
+  // Versions are added, never put, so an existing version cannot be
+  // overwritten.
+  async function addVersion(version) {
+    const sealedVersion = await seal(VERSION_STORE, version);
+    const entry = await seal(AUDIT_STORE, AuditTrail.createEntry({
+      record: { id: version.caseKey, caseId: version.caseId },
+      action: 'report',
+      actor: version.actor,
+      at: version.createdAt,
+      version: version.version,
+      hash: version.hash,
+    }));
+    await runTransaction([VERSION_STORE, AUDIT_STORE], (tx) => {
+      tx.objectStore(VERSION_STORE).add(sealedVersion);
+      tx.objectStore(AUDIT_STORE).add(entry);
+    });
+    return version;
+  }
+
+  // Insert or update a person of the party registry. Returns the stored copy.
+  async function savePerson(person) {
+    const now = new Date().toISOString();
+    const stored = { ...person, createdAt: person.createdAt || now, updatedAt: now };
+    const sealed = await seal(PERSON_STORE, stored);
+    await runRequest(PERSON_STORE, 'readwrite', (store) => store.put(sealed));
+    return stored;
+  }
+
+  async function listPersons() {
+    return unsealAll(await runRequest(PERSON_STORE, 'readonly', (store) => store.getAll()));
+  }
+
+  // Insert or update a member of the Lupon roster. Returns the stored copy.
+  async function saveMember(member) {
+    const now = new Date().toISOString();
+    const stored = { ...member, createdAt: member.createdAt || now, updatedAt: now };
+    const sealed = await seal(MEMBER_STORE, stored);
+    await runRequest(MEMBER_STORE, 'readwrite', (store) => store.put(sealed));
+    return stored;
+  }
+
+  async function listMembers() {
+    return unsealAll(await runRequest(MEMBER_STORE, 'readonly', (store) => store.getAll()));
+  }
+
+  function deleteMember(id) {
+    return runRequest(MEMBER_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  // Text used when searching a record: case number, parties, incident and
+  // the nature of the case
+  function searchableText(record) {
+    const parts = [record.caseId, record.caseTitle, record.dateReceived];
+    if (record.complainant) {
+      parts.push(record.complainant.name, record.complainant.address);
+    }
+    (record.respondents || []).forEach((r) => parts.push(r.name, r.address));
+    if (record.incident) {
+      parts.push(record.incident.summary, record.incident.location);
+    }
+    if (record.analysis) parts.push(record.analysis.nature);
+    return parts.filter(Boolean).join(' ').toLowerCase();
+  }
+
+  // Return the records matching every word of the query
+  function filterCases(records, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return records.slice();
+    return records.filter((record) => {
+      const text = searchableText(record);
+      return words.every((w) => text.includes(w));
+    });
+  }
+
+  // Values used for each sortable docket column
+  const SORT_KEYS = {
+    caseId: (r) => r.caseId || '',
+    complainant: (r) => (r.complainant && r.complainant.name) || '',
+    respondents: (r) => (r.respondents || []).map((x) => x.name).join(', '),
+    nature: (r) => (r.analysis && r.analysis.nature) || '',
+    dateReceived: (r) => r.dateReceived || '',
+    updatedAt: (r) => r.updatedAt || '',
+  };
+
+  function sortCases(records, key, direction) {
+    const getValue = SORT_KEYS[key] || SORT_KEYS.updatedAt;
+    const factor = direction === 'asc' ? 1 : -1;
+    return records.slice().sort((a, b) => {
+      const cmp = String(getValue(a)).localeCompare(String(getValue(b)), undefined, { numeric: true, sensitivity: 'base' });
+      return cmp * factor;
+    });
+  }
+
+  window.CaseDocket = {
+    getVault,
+    setUpEncryption,
+    unlock,
+    changePassphrase,
+    saveCase,
+    getCase,
+    listCases,
+    deleteCase,
+    purgeCase,
+    listAudit,
+    listVersions,
+    addVersion,
+    savePerson,
+    listPersons,
+    saveMember,
+    listMembers,
+    deleteMember,
+    filterCases,
+    sortCases,
+  };
+})();
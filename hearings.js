@@ -0,0 +1,319 @@
+/*
+ * hearings.js
+ *
+ * Hearing schedule of the cases. Each case keeps its mediation, conciliation
+ * and arbitration sessions in record.hearings:
+ *
+ *   { id, type, date, time, duration, venue, parties, members, outcome, notes }
+ *
+ * with date as YYYY-MM-DD and time as HH:MM in Philippine time, duration in
+ * minutes, parties and members as the names of the parties and Lupon members
+ * summoned, and outcome empty until the session has taken place.
+ *
+ * findConflicts() looks through the hearings of the whole docket for a room
+ * or a Lupon member booked for two sessions at once, and toICS() writes
+ * hearings as an iCalendar (.ics) file that phone and desktop calendars can
+ * import. The API is exposed on window.Hearings.
+ */
+
+(() => {
+  const TYPES = ['mediation', 'conciliation', 'arbitration'];
+  const OUTCOMES = ['', 'held', 'settled', 'no-settlement', 'complainant-absent', 'respondent-absent', 'postponed'];
+  const DEFAULT_TIME = '09:00';
+  const DEFAULT_DURATION = 60;
+  const MAX_DURATION = 8 * 60;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const MINUTE_MS = 60 * 1000;
+  // iCalendar lines are folded at 75 octets (RFC 5545, 3.1)
+  const ICS_LINE_OCTETS = 75;
+
+  function generateId() {
+    return `hearing-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  // Comma-separated names as a list without blanks or repeats
+  function splitNames(text) {
+    const names = [];
+    String(text || '').split(/[,;\n]/).map((n) => n.trim()).filter(Boolean).forEach((name) => {
+      if (!names.some((n) => n.toLowerCase() === name.toLowerCase())) names.push(name);
+    });
+    return names;
+  }
+
+  // A hearing from the values entered in the form, with defaults filled in
+  function create(fields) {
+    const duration = Number(fields.duration);
+    return {
+      id: fields.id || generateId(),
+      type: TYPES.includes(fields.type) ? fields.type : TYPES[0],
+      date: fields.date || '',
+      time: fields.time || DEFAULT_TIME,
+      duration: Number.isFinite(duration) && duration > 0 ? Math.round(duration) : DEFAULT_DURATION,
+      venue: String(fields.venue || '').trim(),
+      parties: Array.isArray(fields.parties) ? fields.parties : splitNames(fields.parties),
+      members: Array.isArray(fields.members) ? fields.members : splitNames(fields.members),
+      outcome: OUTCOMES.includes(fields.outcome) ? fields.outcome : '',
+      notes: String(fields.notes || '').trim(),
+    };
+  }
+
+  // Problems with a hearing (empty when it can be saved)
+  function validate(hearing) {
+    const errors = [];
+    if (!hearing || typeof hearing !== 'object') return ['A hearing must be an object.'];
+    if (!TYPES.includes(hearing.type)) errors.push(`Unknown hearing type "${hearing.type}" (use ${TYPES.join(', ')}).`);
+    if (!DATE_PATTERN.test(hearing.date || '')) errors.push('The hearing date must be YYYY-MM-DD.');
+    if (!TIME_PATTERN.test(hearing.time || '')) errors.push('The hearing time must be HH:MM.');
+    if (!(hearing.duration > 0 && hearing.duration <= MAX_DURATION)) {
+      errors.push(`The length of a hearing must be between 1 and ${MAX_DURATION} minutes.`);
+    }
+    if (hearing.outcome !== undefined && !OUTCOMES.includes(hearing.outcome)) {
+      errors.push(`Unknown hearing outcome "${hearing.outcome}".`);
+    }
+    ['parties', 'members'].forEach((field) => {
+      if (hearing[field] !== undefined && !(Array.isArray(hearing[field]) && hearing[field].every((n) => typeof n === 'string'))) {
+        errors.push(`"${field}" of a hearing must be a list of names.`);
+      }
+    });
+    return errors;
+  }
+
+  function sort(hearings) {
+    return (hearings || []).slice().sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+  }
+
+  // Add a hearing, or replace the one with the same id. Returns a new list.
+  function save(hearings, hearing) {
+    const list = (hearings || []).filter((h) => h.id !== hearing.id);
+    return sort(list.concat([hearing]));
+  }
+
+  function remove(hearings, id) {
+    return (hearings || []).filter((h) => h.id !== id);
+  }
+
+  function setOutcome(hearings, id, outcome) {
+    return (hearings || []).map((h) => (h.id === id ? { ...h, outcome } : h));
+  }
+
+  // Start and end of a hearing in milliseconds
+  function interval(hearing) {
+    const start = Date.parse(`${hearing.date}T${hearing.time}:00+08:00`);
+    return { start, end: start + (hearing.duration || DEFAULT_DURATION) * MINUTE_MS };
+  }
+
+  // The next session still to be held, or null
+  function upcoming(hearings, today) {
+    const from = today || KPTimeline.todayInManila();
+    return sort(hearings).find((h) => !h.outcome && h.date >= from) || null;
+  }
+
+  // Every hearing of the docket records as [{ hearing, record }], in order
+  function collect(records) {
+    const entries = [];
+    (records || []).forEach((record) => {
+      (record.hearings || []).forEach((hearing) => entries.push({ hearing, record }));
+    });
+    return entries.sort((a, b) => interval(a.hearing).start - interval(b.hearing).start);
+  }
+
+  const sameText = (a, b) => a.trim().toLowerCase().replace(/\s+/g, ' ') === b.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  // Pairs of overlapping hearings that share a venue or a Lupon member:
+  // [{ a, b, kind: 'venue' | 'member', value }] where a and b are entries of
+  // collect(). Postponed sessions do not take up the room.
+  function findConflicts(entries) {
+    const active = entries
+      .filter((e) => e.hearing.outcome !== 'postponed' && DATE_PATTERN.test(e.hearing.date))
+      .sort((a, b) => interval(a.hearing).start - interval(b.hearing).start);
+    const conflicts = [];
+    active.forEach((a, i) => {
+      const ia = interval(a.hearing);
+      for (let j = i + 1; j < active.length; j += 1) {
+        const b = active[j];
+        const ib = interval(b.hearing);
+        // Entries are sorted by start, so no later one can overlap either
+        if (ib.start >= ia.end) break;
+        if (a.hearing.venue && b.hearing.venue && sameText(a.hearing.venue, b.hearing.venue)) {
+          conflicts.push({ a, b, kind: 'venue', value: a.hearing.venue });
+        }
+        (a.hearing.members || []).forEach((member) => {
+          if ((b.hearing.members || []).some((m) => sameText(m, member))) conflicts.push({ a, b, kind: 'member', value: member });
+        });
+      }
+    });
+    return conflicts;
+  }
+
+  // "9:30 AM" in the locale of the language
+  function formatTime(hearing, lang) {
+    return new Date(interval(hearing).start).toLocaleTimeString(I18n.locale(lang), { timeZone: 'Asia/Manila', hour: 'numeric', minute: '2-digit' });
+  }
+
+  function formatDate(hearing, lang) {
+    return new Date(`${hearing.date}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+  }
+
+  function typeLabel(type, lang) {
+    return I18n.t(`hearings.type.${type}`, lang);
+  }
+
+  function outcomeLabel(outcome, lang) {
+    return I18n.t(`hearings.outcome.${outcome || 'scheduled'}`, lang);
+  }
+
+  // A conflict as a sentence naming both hearings
+  function describeConflict({ a, b, kind, value }, lang) {
+    const which = ({ hearing, record }) => I18n.t('hearings.conflict.hearing', lang, {
+      case: record.caseId || record.caseTitle || '—',
+      date: formatDate(hearing, lang),
+      time: formatTime(hearing, lang),
+    });
+    return I18n.t(`hearings.conflict.${kind}`, lang, { venue: value, member: value, first: which(a), second: which(b) });
+  }
+
+  // One line for the report timeline: "Mediation hearing, 9:00 AM, Barangay
+  // Hall – Held"
+  function describe(hearing, lang) {
+    const what = [typeLabel(hearing.type, lang), formatTime(hearing, lang), hearing.venue].filter(Boolean).join(', ');
+    return `${what} – ${outcomeLabel(hearing.outcome, lang)}`;
+  }
+
+  // Dates of the KP stages reached and the hearings of a case, in order, as
+  // [{ date, text }] for the timeline of the report
+  function timeline(record, lang) {
+    const { dates } = KPTimeline.getProceedings(record);
+    const entries = KPTimeline.STAGES
+      .filter((s) => dates[s.key])
+      .map((s, i) => ({ date: dates[s.key], order: i, text: KPTimeline.stageLabel(s.key, lang) }));
+    sort(record.hearings).forEach((h, i) => {
+      entries.push({ date: h.date, order: KPTimeline.STAGES.length + i, text: describe(h, lang) });
+    });
+    return entries
+      .sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order)
+      .map(({ date, text }) => ({ date, text }));
+  }
+
+  // Weeks (Sunday to Saturday) covering a month, as lists of YYYY-MM-DD
+  // dates; month is 1-12
+  function calendarWeeks(year, month) {
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const start = new Date(first.getTime() - first.getUTCDay() * 24 * 60 * MINUTE_MS);
+    const weeks = [];
+    const day = new Date(start);
+    do {
+      const week = [];
+      for (let i = 0; i < 7; i += 1) {
+        week.push(day.toISOString().slice(0, 10));
+        day.setUTCDate(day.getUTCDate() + 1);
+      }
+      weeks.push(week);
+    } while (day.getUTCMonth() === month - 1);
+    return weeks;
+  }
+
+  // iCalendar -------------------------------------------------------------
+
+  function icsText(text) {
+    return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  }
+
+  function icsTime(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Split a content line into lines of at most 75 octets, continued with a
+  // leading space, without cutting a character in two
+  function fold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    Array.from(line).forEach((ch) => {
+      const size = encoder.encode(ch).length;
+      const limit = parts.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    });
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  function caseName(record) {
+    return [record.caseId, record.caseTitle].filter(Boolean).join(' ');
+  }
+
+  function icsEvent({ hearing, record }, lang, stamp) {
+    const t = (key) => I18n.t(key, lang);
+    const { start, end } = interval(hearing);
+    const description = [caseName(record)];
+    if ((hearing.parties || []).length) description.push(`${t('hearings.parties')}: ${hearing.parties.join(', ')}`);
+    if ((hearing.members || []).length) description.push(`${t('hearings.members')}: ${hearing.members.join(', ')}`);
+    description.push(`${t('hearings.outcome')}: ${outcomeLabel(hearing.outcome, lang)}`);
+    if (hearing.notes) description.push(hearing.notes);
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${hearing.id}@barangay-case-analyzer`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsTime(start)}`,
+      `DTEND:${icsTime(end)}`,
+      `SUMMARY:${icsText(`${typeLabel(hearing.type, lang)} – ${record.caseId || record.caseTitle || ''}`)}`,
+    ];
+    if (hearing.venue) lines.push(`LOCATION:${icsText(hearing.venue)}`);
+    lines.push(`DESCRIPTION:${icsText(description.join('\n'))}`);
+    lines.push(`STATUS:${hearing.outcome === 'postponed' ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+    return lines;
+  }
+
+  // An iCalendar file with the given entries ({ hearing, record }), with
+  // texts in the given language
+  function toICS(entries, lang, name) {
+    const stamp = icsTime(Date.now());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Barangay Case Analyzer//Hearing Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(name || I18n.t('calendar.title', lang))}`,
+      'X-WR-TIMEZONE:Asia/Manila',
+    ];
+    entries
+      .filter((e) => DATE_PATTERN.test(e.hearing.date) && TIME_PATTERN.test(e.hearing.time))
+      .forEach((entry) => lines.push(...icsEvent(entry, lang, stamp)));
+    lines.push('END:VCALENDAR');
+    return `${lines.map(fold).join('\r\n')}\r\n`;
+  }
+
+  window.Hearings = {
+    TYPES,
+    OUTCOMES,
+    DEFAULT_DURATION,
+    splitNames,
+    create,
+    validate,
+    sort,
+    save,
+    remove,
+    setOutcome,
+    interval,
+    upcoming,
+    collect,
+    findConflicts,
+    formatTime,
+    formatDate,
+    typeLabel,
+    outcomeLabel,
+    describeConflict,
+    describe,
+    timeline,
+    calendarWeeks,
+    toICS,
+  };
+})();
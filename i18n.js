@@ -0,0 +1,2173 @@
+/*
+ * i18n.js
+ *
+ * English and Filipino strings for the Barangay Case Analyzer. Static markup
+ * is translated through data-i18n attributes (data-i18n for text,
+ * data-i18n-html for text containing markup, data-i18n-placeholder and
+ * data-i18n-aria-label for attributes). Generated reports pass their own
+ * language to t() so that a report can be produced in Filipino while the
+ * interface stays in English, or the other way around.
+ *
+ * Lists (e.g. mediation issues) are stored as arrays. Placeholders in the
+ * form {name} are replaced with the params given to t(). Missing Filipino
+ * strings fall back to English. The API is exposed on window.I18n.
+ */
+
+(() => {
+  const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    fil: { label: 'Filipino', locale: 'fil-PH' },
+  };
+  const DEFAULT_LANGUAGE = 'en';
+  const STORAGE_KEY = 'barangay-case-analyzer-ui-language';
+
+  const STRINGS = {
+    en: {
+      'unit.day': 'day',
+      'unit.days': 'days',
+      'unit.month': 'month',
+      'unit.months': 'months',
+      'unit.year': 'year',
+      'unit.years': 'years',
+      'unit.and': ' and ',
+
+      // Interface
+      'app.title': 'Barangay Case Analyzer',
+      'app.intro':
+        'Fill in the details below to generate a comprehensive case report for barangay mediation and legal analysis. Fields marked with <span class="text-danger">*</span> are required.',
+      'app.uiLanguage': 'Interface language',
+      'app.officer': 'Your name, for the case log',
+      'app.officerLabel': 'Officer on duty',
+      'app.updateAvailable': 'A new version of the app is available.',
+      'app.reload': 'Reload',
+      'form.caseInfo': 'Case Information (optional)',
+      'form.caseId': 'Case ID',
+      'form.dateReceived': 'Date Received',
+      'form.kpProceedings': 'KP Proceedings (optional)',
+      'form.kpStatus': 'Current Status',
+      'form.pangkatExtended': 'Pangkat extended the conciliation period by 15 days',
+      'form.kpDate.filed': 'Complaint Filed',
+      'form.kpDate.summons': 'Summons Issued',
+      'form.kpDate.mediation': 'First Mediation Meeting',
+      'form.kpDate.pangkat': 'Pangkat Constituted',
+      'form.kpDate.conciliation': 'Pangkat Convened (First Conciliation Meeting)',
+      'form.kpDate.settled': 'Amicable Settlement Signed',
+      'form.kpDate.repudiated': 'Settlement Repudiated',
+      'form.kpDate.cfa': 'CFA Issued',
+      'form.kpHint':
+        'Leave Complaint Filed blank to use the Date Received. Deadlines are computed from these dates.',
+      'form.complainantInfo': 'Complainant Information (optional)',
+      'form.fullName': 'Full Name',
+      'form.phone': 'Phone Number',
+      'form.email': 'Email Address',
+      'form.address': 'Complete Address',
+      'form.addressPlaceholder': 'House No., Street, Barangay, City',
+      'form.respondentInfo': 'Respondent Information (optional)',
+      'form.respondent': 'Respondent',
+      'form.remove': 'Remove',
+      'form.removeRespondent': 'Remove respondent',
+      'form.addRespondent': '+ Add Another Respondent',
+      'form.caseDetails': 'Case Details',
+      'form.summary': 'Summary of the Incident',
+      'form.summaryPlaceholder': 'Describe what happened in detail...',
+      'form.summaryInvalid': 'Please provide a summary of the incident (minimum 30 characters).',
+      'form.location': 'Location of the Incident',
+      'form.locationPlaceholder': 'Specific address or landmark in San Pedro, Laguna',
+      'form.locationInvalid': 'Please specify the location of the incident.',
+      'form.dateTime': 'Date and Time of the Incident',
+      'form.dateTimeInvalid': 'Please provide the date and time of the incident.',
+      'validation.summary': 'Please correct the following before generating the report:',
+      'validation.phone':
+        'Enter a Philippine mobile number (09XX XXX XXXX) or a landline with its area code, e.g. (02) 8123 4567.',
+      'validation.phoneForeign': 'This is not a Philippine number. It is kept as typed; check the country code.',
+      'validation.email': 'Enter a valid email address, e.g. name@example.com.',
+      'validation.incidentFuture': 'The date and time of the incident cannot be in the future.',
+      'validation.incidentOld':
+        'This incident happened more than a year ago. Check the date; a complaint this old may have prescribed.',
+      'validation.receivedFuture': 'The date received cannot be in the future.',
+      'validation.receivedBeforeIncident': 'The complaint cannot have been received before the incident happened.',
+      'validation.duplicateRespondent': 'This respondent is already listed above.',
+      'form.partyType': 'Party Type',
+      'form.partyType.individual': 'Individual (private person)',
+      'form.partyType.public-officer': 'Public officer or employee',
+      'form.partyType.government': 'Government office or instrumentality',
+      'form.partyType.juridical': 'Corporation, partnership or association',
+      'form.penalty': 'Estimated Penalty',
+      'form.penaltyImprisonment': 'Maximum imprisonment (months)',
+      'form.penaltyFine': 'Maximum fine (₱)',
+      'form.penaltyHint':
+        'Highest penalty the offense carries. Leave blank if unknown or if the dispute is purely civil; for theft and malicious mischief it is then computed from the value involved. Lupon jurisdiction ends above one year or ₱5,000.',
+      'form.propertyValue': 'Value of property or damage (₱)',
+      'form.propertyValueHint':
+        'Used to compute the penalty for theft and malicious mischief. Leave blank to use the largest amount mentioned in the summary.',
+      'form.reportLanguage': 'Report language',
+      'form.generate': 'Generate Report',
+      'form.clear': 'Clear Form',
+      'form.editing': 'Editing saved case {id}',
+      'form.partyMatch.linked': 'In the party registry: {details}',
+      'form.partyMatch.possible': 'Possibly already in the party registry:',
+      'form.partyMatch.use': 'Use',
+      'hearings.title': 'Hearing Schedule (optional)',
+      'hearings.hint':
+        'Sessions before the Punong Barangay or the Pangkat. Hearings are saved with the case, shown in the report timeline and checked against the other cases for double-booked rooms and members.',
+      'hearings.type': 'Type of hearing',
+      'hearings.type.mediation': 'Mediation hearing',
+      'hearings.type.conciliation': 'Conciliation hearing (Pangkat)',
+      'hearings.type.arbitration': 'Arbitration hearing',
+      'hearings.date': 'Date',
+      'hearings.time': 'Time',
+      'hearings.duration': 'Length (minutes)',
+      'hearings.venue': 'Venue',
+      'hearings.venuePlaceholder': 'e.g., Barangay Hall session room',
+      'hearings.parties': 'Parties summoned',
+      'hearings.members': 'Lupon members summoned',
+      'hearings.membersPlaceholder': 'Names separated by commas',
+      'hearings.outcome': 'Outcome',
+      'hearings.outcome.scheduled': 'Scheduled',
+      'hearings.outcome.held': 'Held; continued',
+      'hearings.outcome.settled': 'Settlement reached',
+      'hearings.outcome.no-settlement': 'No settlement reached',
+      'hearings.outcome.complainant-absent': 'Complainant did not appear',
+      'hearings.outcome.respondent-absent': 'Respondent did not appear',
+      'hearings.outcome.postponed': 'Postponed',
+      'hearings.notes': 'Notes',
+      'hearings.add': 'Add Hearing',
+      'hearings.save': 'Save Hearing',
+      'hearings.cancel': 'Cancel',
+      'hearings.edit': 'Edit',
+      'hearings.remove': 'Remove',
+      'hearings.ics': '.ics',
+      'hearings.icsTitle': 'Download this hearing as a calendar file',
+      'hearings.none': 'No hearings scheduled.',
+      'hearings.saved': 'Hearing schedule saved with the case.',
+      'hearings.savedUnsaved': 'Hearing added. It is saved with the case when the report is generated.',
+      'hearings.conflicts': 'Scheduling conflicts',
+      'hearings.conflict.venue': '{venue} is booked for {first} and {second} at the same time.',
+      'hearings.conflict.member': '{member} is summoned to {first} and {second} at the same time.',
+      'hearings.conflict.hearing': '{case} ({date}, {time})',
+      'pangkat.title': 'Pangkat ng Tagapagkasundo (optional)',
+      'pangkat.hint':
+        'When mediation fails, each side chooses Lupon members for the Pangkat. Members chosen by both sides are seated first; the other seats are filled by lot from the serving members with no conflict of interest with the parties (LGC Sec. 404).',
+      'pangkat.noRoster': 'Add the Lupon members to the roster to constitute a Pangkat.',
+      'pangkat.complainantChoice': 'Chosen by the complainant',
+      'pangkat.respondentChoice': 'Chosen by the respondent(s)',
+      'pangkat.agreed': 'Chosen by both sides: {names}',
+      'pangkat.noneAgreed': 'The parties have not agreed on any member yet; the seats will be filled by lot.',
+      'pangkat.date': 'Date constituted',
+      'pangkat.constitute': 'Constitute Pangkat',
+      'pangkat.reset': 'Start Over',
+      'pangkat.resetConfirm': 'Discard the Pangkat constituted for this case? The choices of the parties are kept.',
+      'pangkat.member': 'Member',
+      'pangkat.role': 'Role',
+      'pangkat.selection': 'How chosen',
+      'pangkat.replace': 'Replace',
+      'pangkat.replaceTitle': 'Fill the seat again by agreement or by lot (Sec. 405)',
+      'pangkat.conflict': 'Possible conflict of interest',
+      'pangkat.lot': 'Lots drawn on {date} from {count} eligible member(s): {names}',
+      'pangkat.constituted': 'Pangkat constituted; {count} seat(s) filled by lot.',
+      'pangkat.constitutedUnsaved':
+        'Pangkat constituted; {count} seat(s) filled by lot. It is saved with the case when the report is generated.',
+      'pangkat.replaced': '{old} was replaced by {new}.',
+      'pangkat.saved': 'Pangkat saved with the case.',
+      'settlement.title': 'Amicable Settlement (optional)',
+      'settlement.hint':
+        'The undertakings of the parties: payments and their installments, apologies and agreements on conduct. The terms are written into KP Form 16, and payments and breaches are tracked until the settlement is complied with or enforced (LGC Secs. 416–418).',
+      'settlement.term': 'Term',
+      'settlement.compliance': 'Compliance',
+      'settlement.none': 'No terms entered.',
+      'settlement.type': 'Type of term',
+      'settlement.type.payment': 'Payment / restitution',
+      'settlement.type.apology': 'Apology',
+      'settlement.type.conduct': 'Distance or conduct',
+      'settlement.type.other': 'Other undertaking',
+      'settlement.obligor': 'Bound by the term',
+      'settlement.obligor.respondent': 'Respondent(s)',
+      'settlement.obligor.complainant': 'Complainant',
+      'settlement.obligor.both': 'Both parties',
+      'settlement.description': 'Description',
+      'settlement.descriptionPlaceholder': 'e.g., repair of the damaged gate',
+      'settlement.amount': 'Amount (₱)',
+      'settlement.count': 'Monthly installments',
+      'settlement.firstDue': 'First payment due',
+      'settlement.form': 'Form of apology',
+      'settlement.form.verbal': 'Verbal',
+      'settlement.form.written': 'Written',
+      'settlement.form.public': 'Public',
+      'settlement.due': 'To be done by',
+      'settlement.distance': 'Distance to keep (metres)',
+      'settlement.until': 'Binding until',
+      'settlement.add': 'Add Term',
+      'settlement.save': 'Save Term',
+      'settlement.cancel': 'Cancel',
+      'settlement.edit': 'Edit',
+      'settlement.remove': 'Remove',
+      'settlement.removeConfirm':
+        'Remove this term of the settlement? Payments and breaches recorded for it are removed too.',
+      'settlement.saved': 'Settlement saved with the case.',
+      'settlement.savedUnsaved': 'Term added. It is saved with the case when the report is generated.',
+      'settlement.motionFiled': 'Motion for execution filed',
+      'settlement.motionFiledOn': 'Motion for execution filed on {date}.',
+      'settlement.status.complied': 'Complied with',
+      'settlement.status.breached': 'Not complied with',
+      'settlement.status.pending': 'Pending',
+      'settlement.installment.paid': 'Paid',
+      'settlement.installment.missed': 'Missed',
+      'settlement.installment.pending': 'Not yet due',
+      'settlement.installmentDue': '{amount} due {date}',
+      'settlement.paidOn': 'Date paid',
+      'settlement.doneOn': 'Done on',
+      'settlement.breachOn': 'Breached on {date}{note}',
+      'settlement.breachDate': 'Date of the breach',
+      'settlement.breachNote': 'What happened',
+      'settlement.recordBreach': 'Record Breach',
+      'settlement.removeBreach': 'Remove',
+      'settlement.breachDateMissing': 'Enter the date of the breach.',
+      'settlement.breachRecorded': 'Breach recorded. The Lupon may be moved to execute the settlement.',
+      'settlement.breached': 'Terms not complied with: {terms}.',
+      'settlement.executionOpen': 'A motion for execution (KP Form 25) may be filed with the Lupon until {date}.',
+      'settlement.executionLapsed':
+        'The six months for execution by the Lupon have passed; the settlement may now be enforced only by action in court.',
+      'settlement.complied': 'All terms have been complied with.',
+      'settlement.repudiationLate':
+        'The settlement can no longer be repudiated: the 10-day period ended on {date} (LGC Sec. 418).',
+      'settlement.finality.none':
+        'Enter the date the settlement was signed under KP Proceedings to track the repudiation period and its execution.',
+      'settlement.finality.repudiable':
+        'Signed on {settled}. Either party may repudiate it until {repudiationEnds} (LGC Sec. 418).',
+      'settlement.finality.final':
+        'Signed on {settled} and final since the repudiation period ended on {repudiationEnds}. The Lupon may enforce it by execution until {executionEnds} (LGC Sec. 417).',
+      'settlement.finality.lapsed':
+        'Signed on {settled}. The period for execution by the Lupon ended on {executionEnds} (LGC Sec. 417).',
+      'settlement.finality.repudiated': 'Signed on {settled} and repudiated (LGC Sec. 418).',
+      'settlement.describe.paymentOnce': '{who} shall pay {amount}{purpose} on or before {date}.',
+      'settlement.describe.payment': '{who} shall pay {amount}{purpose} in {count} monthly installments: {schedule}.',
+      'settlement.describe.installment': '{amount} on or before {date}',
+      'settlement.describe.apology.verbal': '{who} shall apologize verbally{purpose}',
+      'settlement.describe.apology.written': '{who} shall apologize in writing{purpose}',
+      'settlement.describe.apology.public': '{who} shall apologize publicly{purpose}',
+      'settlement.describe.conduct': '{who} shall {conduct}',
+      'settlement.describe.distance': 'keep a distance of at least {distance} metres from the other party',
+      'settlement.describe.until': 'until {date}',
+      'settlement.describe.other': 'Undertaking of {who}: {description}',
+      'settlement.describe.due': 'on or before {date}',
+      'settlement.compliance.due': 'due {date}',
+      'settlement.compliance.payment': '{paid} of {total} installments paid, {missed} missed; balance {balance}',
+      'classification.title': 'Case Classification',
+      'classification.apply': 'Apply Classification',
+      'classification.auto': 'Suggested automatically from the incident summary.',
+      'classification.officer': 'Classification set by the officer.',
+      'classification.selectOne': 'Select at least one classification.',
+      'classification.triggeredBy': 'Triggered by:',
+      'classification.negated': 'Ignored (negated):',
+      'classification.imputed': 'Counted as an accusation:',
+      'report.downloadPdf': 'Download PDF',
+      'report.downloadWord': 'Download Word',
+      'report.print': 'Print Report',
+      'forms.title': 'Katarungang Pambarangay Forms',
+      'forms.hint':
+        'Forms are pre-filled from the case record. Complete or correct the blanks below before downloading or printing.',
+      'forms.prepare': 'Prepare Form',
+      'forms.download': 'Download Form PDF',
+      'forms.print': 'Print Form',
+      'forms.referral': 'This case must be referred and may not be mediated, so no KP forms are prepared for it.',
+      'docket.title': 'Case Docket',
+      'docket.search': 'Search by case ID, party, location or nature of case',
+      'docket.searchLabel': 'Search saved cases',
+      'docket.col.caseId': 'Case ID',
+      'docket.col.complainant': 'Complainant',
+      'docket.col.respondents': 'Respondent(s)',
+      'docket.col.nature': 'Nature of Case',
+      'docket.col.dateReceived': 'Date Received',
+      'docket.col.updatedAt': 'Last Updated',
+      'docket.actions': 'Actions',
+      'docket.open': 'Open',
+      'docket.delete': 'Delete',
+      'docket.empty': 'No saved cases yet. Generated reports are saved here automatically.',
+      'docket.deadlines': 'KP deadlines needing attention',
+      'docket.openCase': 'Open case',
+      'docket.repeatRespondent': 'Repeat respondent',
+      'calendar.title': 'Hearing Calendar',
+      'calendar.prev': 'Previous month',
+      'calendar.next': 'Next month',
+      'calendar.today': 'This month',
+      'calendar.export': 'Export Calendar (.ics)',
+      'calendar.empty': 'No hearings this month.',
+      'calendar.exported': 'Exported {count} hearing(s).',
+      'stats.title': 'Lupon Performance',
+      'stats.intro':
+        'Cases filed in the period and where they stand today, for the report to the city or municipality and the DILG.',
+      'stats.period': 'Period',
+      'stats.period.month': 'This month',
+      'stats.period.quarter': 'This quarter',
+      'stats.period.half': 'This semester',
+      'stats.period.year': 'This year',
+      'stats.period.custom': 'Other dates',
+      'stats.from': 'From',
+      'stats.to': 'To',
+      'stats.print': 'Print Report',
+      'stats.export': 'Export CSV',
+      'stats.exported': 'Period summary exported.',
+      'stats.popupBlocked': 'The report could not be opened. Allow pop-ups for this page and try again.',
+      'stats.badPeriod': 'Enter the first and last day of the period.',
+      'stats.empty': 'No cases were filed in this period.',
+      'stats.cases': 'Cases filed',
+      'stats.total': 'Total',
+      'stats.outcome.settled': 'Settled',
+      'stats.outcome.repudiated': 'Repudiated',
+      'stats.outcome.certified': 'Certified to file action',
+      'stats.outcome.referred': 'Referred',
+      'stats.outcome.pending': 'Pending',
+      'stats.by.natures': 'By nature of dispute',
+      'stats.by.categories': 'By nature of case',
+      'stats.by.months': 'By month filed',
+      'stats.by.areas': 'By purok or place of incident',
+      'stats.nature.criminal': 'Criminal',
+      'stats.nature.civil': 'Civil',
+      'stats.nature.others': 'Others',
+      'stats.noArea': '(place not given)',
+      'stats.settledBy': 'Settled cases by mode of settlement',
+      'stats.settledBy.mediation': 'Mediation (Punong Barangay)',
+      'stats.settledBy.conciliation': 'Conciliation (Pangkat)',
+      'stats.settledBy.arbitration': 'Arbitration',
+      'stats.indicators': 'Performance indicators',
+      'stats.settlementRate': 'Settlement rate (of cases closed)',
+      'stats.averageDays': 'Average time to settlement',
+      'stats.csv.section': 'Section',
+      'stats.csv.item': 'Item',
+      'stats.report.title': 'KATARUNGANG PAMBARANGAY PERFORMANCE REPORT',
+      'stats.report.period': 'For the period {from} to {to}',
+      'stats.report.asOf': 'Status of the cases as of {date}',
+      'stats.report.attestedBy': 'Attested by:',
+      'stats.report.chairman': 'Punong Barangay / Lupon Chairman',
+      'history.title': 'Case History',
+      'history.intro':
+        'Every change to this case is logged with the officer and the time, and every generated report is kept as a numbered version with a SHA-256 hash of its contents.',
+      'history.versions': 'Report Versions',
+      'history.noVersions': 'No report has been generated for this case yet.',
+      'history.log': 'Change Log',
+      'history.empty': 'No changes have been logged for this case yet.',
+      'history.export': 'Export Log (CSV)',
+      'history.exported': 'Case log exported.',
+      'history.col.version': 'Version',
+      'history.col.when': 'Date and time',
+      'history.col.case': 'Case',
+      'history.col.officer': 'Officer',
+      'history.col.action': 'Action',
+      'history.col.changes': 'Changes',
+      'history.col.field': 'Field',
+      'history.col.from': 'Previous value',
+      'history.col.to': 'New value',
+      'history.col.hash': 'SHA-256',
+      'history.col.integrity': 'Integrity',
+      'history.action.created': 'Case created',
+      'history.action.edited': 'Case edited',
+      'history.action.imported': 'Imported from a file',
+      'history.action.report': 'Report generated (version {version})',
+      'history.action.deleted': 'Case deleted',
+      'history.action.purged': 'Purged under the retention policy',
+      'history.noOfficer': '(name not given)',
+      'history.blank': '(blank)',
+      'history.more': '{count} more changes',
+      'history.checking': 'Checking…',
+      'history.intact': 'Intact',
+      'history.altered': 'Altered: the hash does not match',
+      'history.unchecked': 'Cannot be checked here',
+      'history.view': 'View',
+      'history.versionLabel': 'Version {version} ({date})',
+      'history.versionTitle': 'Case {caseId}, report version {version}',
+      'history.generatedBy': 'Generated on {date} by {officer}',
+      'history.current': 'Current case',
+      'history.compare': 'Compare Versions',
+      'history.compareWhat': 'Compare',
+      'history.compareData': 'Case data',
+      'history.compareReport': 'Report text',
+      'history.compareLeft': 'Earlier',
+      'history.compareRight': 'Later',
+      'history.compareBtn': 'Show Differences',
+      'history.identical': 'The two versions are the same.',
+      'history.unchangedLines': '… {count} unchanged lines …',
+      'history.versionFailed': 'Could not save the report version: {message}',
+      'privacy.title': 'Data Privacy',
+      'privacy.passphrase': 'Passphrase',
+      'privacy.passphraseConfirm': 'Repeat the passphrase',
+      'privacy.passphraseShort': 'Use a passphrase of at least {min} characters.',
+      'privacy.passphraseMismatch': 'The two passphrases do not match.',
+      'privacy.setup.title': 'Protect the Case Records',
+      'privacy.setup.intro':
+        'Case records hold personal data protected by RA 10173, the Data Privacy Act, so they are kept encrypted in this browser. Choose a passphrase of at least {min} characters and share it only with the Lupon Secretary and the Punong Barangay. A forgotten passphrase cannot be recovered, so keep an exported backup of the docket in a safe place.',
+      'privacy.setup.submit': 'Encrypt the Case Records',
+      'privacy.unlock.title': 'Case Records Locked',
+      'privacy.unlock.intro':
+        'Enter the passphrase to open the case records. They lock again after a period without activity; anything not yet saved in the form is then lost.',
+      'privacy.unlock.submit': 'Unlock',
+      'privacy.opening': 'Please wait…',
+      'privacy.skip': 'Continue without encryption',
+      'privacy.unsupported':
+        'This browser cannot keep encrypted case records here; open the app over https or on localhost, or continue and save the cases without encryption.',
+      'privacy.lockNow': 'Lock',
+      'privacy.redact': 'Redacted copy for sharing outside the Lupon',
+      'privacy.redactedNotice':
+        'REDACTED COPY: names are shortened to initials and contact details are withheld (RA 10173).',
+      'privacy.masked': '[withheld]',
+      'privacy.policy.encrypted': 'Case records in this browser are encrypted with a key made from your passphrase.',
+      'privacy.policy.unencrypted':
+        'Case records in this browser are not encrypted yet; they are encrypted once a passphrase is set up with the app opened over https or on localhost.',
+      'privacy.policy.autoLock': 'They lock after {minutes} minutes without activity.',
+      'privacy.policy.noAutoLock': 'They stay open until locked by hand.',
+      'privacy.policy.flag': 'Closed cases are listed here for review {years} years after they were closed.',
+      'privacy.policy.purge':
+        'Closed cases are purged from the docket, with their report versions, {years} years after they were closed.',
+      'privacy.policy.keepAll': 'Closed cases are kept without limit.',
+      'privacy.retention.title': 'Closed Cases Past Retention',
+      'privacy.retention.closedOn': 'Closed on',
+      'privacy.retention.keepUntil': 'Kept until',
+      'privacy.retention.empty': 'No closed case is past the retention period.',
+      'privacy.retention.purge': 'Purge These Cases',
+      'privacy.retention.confirm':
+        'Purge {count} case(s) past the retention period, with their report versions and change log? This cannot be undone.',
+      'privacy.retention.purged': '{count} case(s) past the retention period purged.',
+      'privacy.retention.purgeFailed': 'Could not purge the cases past retention: {message}',
+      'privacy.retention.badge': 'Past retention',
+      'privacy.change.title': 'Change Passphrase',
+      'privacy.change.current': 'Current passphrase',
+      'privacy.change.new': 'New passphrase',
+      'privacy.change.submit': 'Change Passphrase',
+      'privacy.change.done': 'Passphrase changed. Use the new passphrase from now on.',
+      'privacy.change.failed': 'Could not change the passphrase: {message}',
+      'audit.field.caseId': 'Case ID',
+      'audit.field.dateReceived': 'Date received',
+      'audit.field.caseTitle': 'Case title',
+      'audit.field.language': 'Report language',
+      'audit.field.complainant': 'Complainant',
+      'audit.field.respondents': 'Respondent',
+      'audit.field.incident': 'Incident',
+      'audit.field.penalty': 'Estimated penalty',
+      'audit.field.kp': 'KP proceedings',
+      'audit.field.classification': 'Classification',
+      'audit.field.hearings': 'Hearing',
+      'audit.field.pangkat': 'Pangkat',
+      'audit.field.settlement': 'Settlement',
+      'audit.field.citations': 'Citation',
+      'audit.field.legalPack': 'Legal pack',
+      'audit.leaf.name': 'Name',
+      'audit.leaf.phone': 'Phone',
+      'audit.leaf.email': 'Email',
+      'audit.leaf.address': 'Address',
+      'audit.leaf.type': 'Type',
+      'audit.leaf.summary': 'Summary',
+      'audit.leaf.location': 'Place',
+      'audit.leaf.dateTime': 'Date and time',
+      'audit.leaf.propertyValue': 'Value of property',
+      'audit.leaf.imprisonmentMonths': 'Imprisonment (months)',
+      'audit.leaf.fine': 'Fine',
+      'audit.leaf.status': 'Status',
+      'audit.leaf.dates': 'Dates',
+      'audit.leaf.pangkatExtended': 'Pangkat period extended',
+      'audit.leaf.selected': 'Categories',
+      'audit.leaf.overridden': 'Set by the officer',
+      'audit.leaf.date': 'Date',
+      'audit.leaf.time': 'Time',
+      'audit.leaf.venue': 'Venue',
+      'audit.leaf.outcome': 'Outcome',
+      'audit.leaf.parties': 'Parties',
+      'audit.leaf.members': 'Members',
+      'audit.leaf.terms': 'Term',
+      'audit.leaf.amount': 'Amount',
+      'audit.leaf.description': 'Description',
+      'audit.leaf.due': 'Due',
+      'audit.leaf.version': 'Version',
+      'lupon.title': 'Lupon Roster',
+      'lupon.intro':
+        'Members of the Lupong Tagapamayapa who may be chosen for a Pangkat. A term runs for three years (LGC Sec. 400); members whose term has ended are not offered for new Pangkat.',
+      'lupon.name': 'Name',
+      'lupon.purok': 'Purok',
+      'lupon.address': 'Address',
+      'lupon.phone': 'Contact number',
+      'lupon.term': 'Term',
+      'lupon.termStart': 'Start of term',
+      'lupon.termEnd': 'End of term',
+      'lupon.termEndHint': 'Leave blank for three years from the start.',
+      'lupon.add': 'Add Member',
+      'lupon.save': 'Save Member',
+      'lupon.cancel': 'Cancel',
+      'lupon.edit': 'Edit',
+      'lupon.remove': 'Remove',
+      'lupon.removeConfirm': 'Remove {name} from the roster? Pangkat already constituted keep the name.',
+      'lupon.empty': 'No Lupon members in the roster yet.',
+      'lupon.saved': '{name} saved to the roster.',
+      'lupon.removed': '{name} removed from the roster.',
+      'lupon.serving': 'Serving',
+      'lupon.ended': 'Term ended',
+      'lupon.notYet': 'Term not started',
+      'lupon.role.chairman': 'Chairman',
+      'lupon.role.secretary': 'Secretary',
+      'lupon.role.member': 'Member',
+      'lupon.selection.agreed': 'chosen by the parties',
+      'lupon.selection.lot': 'drawn by lot',
+      'lupon.conflict.surname': 'Shares a surname with {party}',
+      'lupon.conflict.address': 'Lives at the same address as {party}',
+      'docket.export': 'Export',
+      'docket.exportJson': 'Export JSON',
+      'docket.exportCsv': 'Export CSV',
+      'docket.import': 'Import Cases',
+      'docket.exported': 'Exported {count} case(s).',
+      'docket.exportFailed': 'Could not export the docket: {message}',
+      'docket.imported': 'Import finished: {added} added, {replaced} replaced, {skipped} skipped.',
+      'docket.importFailed': 'Could not import the file: {message}',
+      'docket.importErrors': '{count} row(s) were not imported:',
+      'docket.importRow': 'Row {row}',
+      'docket.importCase': 'Case {row}',
+      'docket.confirmReplace':
+        '{count} case(s) in the file are already in the docket ({ids}). Replace them with the imported version? Choose Cancel to keep the docket copies.',
+      'kb.title': 'Legal Knowledge Base',
+      'kb.intro':
+        'Offenses, legal provisions, penalties and jurisprudence used in the reports. Changes are saved in this browser; export the pack to share it with other barangays.',
+      'kb.category': 'Category',
+      'kb.choose': 'Choose a category to edit…',
+      'kb.new': 'New Category',
+      'kb.save': 'Save Category',
+      'kb.delete': 'Delete Category',
+      'kb.export': 'Export Pack',
+      'kb.import': 'Import Pack',
+      'kb.reset': 'Reset to Bundled Pack',
+      'kb.info': '{name}, version {version} (updated {updated}).',
+      'kb.source.bundled': 'Using the pack bundled with the app.',
+      'kb.source.local': 'Using a locally edited or imported pack (bundled version: {bundledVersion}).',
+      'kb.field.key': 'Key',
+      'kb.field.keyHint': 'Lowercase letters, digits and hyphens, e.g. "trespass".',
+      'kb.field.nature': 'Nature of Case',
+      'kb.field.reviewed': 'Last Reviewed',
+      'kb.field.description': 'Description',
+      'kb.field.natureFil': 'Nature of Case (Filipino)',
+      'kb.field.descriptionFil': 'Description (Filipino)',
+      'kb.field.keywords': 'Classifier Keywords',
+      'kb.field.keywordsHint':
+        'One "phrase = weight" per line. Use * at the start or end of a word to match word endings or beginnings (e.g. "*nakaw* = 3"). Join words that only count together with + and list alternatives with | (e.g. "husband|asawa + punch*|sinuntok = 2").',
+      'kb.field.title': 'Title',
+      'kb.field.basis': 'Legal Basis',
+      'kb.field.text': 'Provision',
+      'kb.field.penalty': 'Penalty',
+      'kb.field.summary': 'Summary',
+      'kb.field.mediable': 'Can be mediated by the Lupon',
+      'kb.field.referralBasis': 'Legal basis for referral',
+      'kb.field.referralBasisHint': 'Cited when the category may not be mediated, e.g. "R.A. 9262, Sec. 33".',
+      'kb.list.violations': 'Possible Violations',
+      'kb.list.counters': 'Possible Counter-Charges',
+      'kb.list.jurisprudence': 'Jurisprudence',
+      'kb.addItem': '+ Add',
+      'kb.removeItem': 'Remove',
+      'kb.saved': 'Category saved. Pack is now version {version}.',
+      'kb.deleted': 'Category deleted. Pack is now version {version}.',
+      'kb.imported': 'Imported {name}, version {version}.',
+      'kb.resetDone': 'Restored the bundled pack, version {version}.',
+      'kb.confirmDelete': 'Delete the category "{nature}" from the legal pack?',
+      'kb.confirmImport': 'Replace the current legal pack with the imported one? Local changes will be lost unless exported first.',
+      'kb.confirmReset': 'Discard local changes to the legal pack and use the bundled one?',
+      'kb.error.keywordLine': 'Keyword line {line} ("{text}") must look like "phrase = weight" with a positive weight.',
+      'kb.loadFailed': 'The legal knowledge base could not be loaded: {message}',
+      'kb.unavailable': 'The legal knowledge base is not available, so the report cannot be generated.',
+      'research.title': 'Legal Research (PH sources)',
+      'research.search': 'Search Sources',
+      'research.offline':
+        'You are offline. The online sources need an internet connection; choose the offline legal library to search without one. The rest of the app, including saved cases and the legal knowledge base, keeps working offline.',
+      'research.provider': 'Search in',
+      'research.provider.local': 'Offline legal library',
+      'research.provider.google': 'Online sources (Google)',
+      'research.offlineLocal':
+        'You are offline, so the offline legal library was searched instead of the online sources.',
+      'research.noResults': 'No results found on trusted sources.',
+      'research.noResultsLocal':
+        'Nothing in the offline legal library matches the search. Try other words, such as an article or section number.',
+      'research.site': 'Website',
+      'research.allSites': 'All trusted sites',
+      'research.type': 'Document type',
+      'research.filter.all': 'All document types',
+      'research.filter.decision': 'Decisions',
+      'research.filter.statute': 'Statutes',
+      'research.filter.ordinance': 'Ordinances',
+      'research.type.decision': 'Decision',
+      'research.type.statute': 'Statute',
+      'research.type.ordinance': 'Ordinance',
+      'research.type.rules': 'Rules',
+      'research.prev': 'Previous',
+      'research.next': 'Next',
+      'research.page': 'Page {page}',
+      'research.cached': 'Saved results from {time}; repeating a search within a day does not use the search quota.',
+      'research.noResultsType': 'No result on this page is of the chosen document type. Try the next page.',
+      'research.history': 'Earlier searches for this case:',
+      'research.historyClear': 'Clear',
+      'research.searching': 'Searching…',
+      'research.attach': 'Attach to report',
+      'research.error': 'Error: {message}',
+      'research.requestFailed': 'Search request failed: {status}',
+      'research.sources':
+        'Offline library: Revised Penal Code, Local Government Code (Katarungang Pambarangay), KP rules and the jurisprudence of the legal pack. Online sources: Lawphil, ChanRobles, Supreme Court, Court of Appeals, Official Gazette, etc.',
+
+      // Citations attached to a case
+      'citations.title': 'Citations for this case',
+      'citations.hint':
+        'Attached citations are saved with the case and listed under "Additional Authorities" in the report.',
+      'citations.note': 'Note',
+      'citations.notePlaceholder': 'Why it is relevant (optional)',
+      'citations.moveUp': 'Move up',
+      'citations.moveDown': 'Move down',
+      'citations.remove': 'Remove',
+      'citations.duplicate': 'This authority is already attached to the case.',
+      'citations.attached': 'Citation attached to the case.',
+      'citations.attachedUnsaved': 'Citation attached. It is saved with the case when the report is generated.',
+
+      // KP stages and deadlines
+      'kp.stage.filed': 'Complaint filed',
+      'kp.stage.summons': 'Summons issued',
+      'kp.stage.mediation': 'Mediation before the Punong Barangay',
+      'kp.stage.pangkat': 'Pangkat constituted',
+      'kp.stage.conciliation': 'Conciliation before the Pangkat',
+      'kp.stage.settled': 'Amicable settlement',
+      'kp.stage.repudiated': 'Settlement repudiated',
+      'kp.stage.cfa': 'Certificate to File Action issued',
+      'kp.deadline.summons': 'Issue summons to the respondent(s)',
+      'kp.deadline.mediation': 'Settle through mediation ({days} days from the first meeting)',
+      'kp.deadline.pangkat': 'Settle before the Pangkat ({days} days from the day it convened, extendible by {extension})',
+      'kp.deadline.pangkatExtended': 'Settle before the Pangkat ({days} days from the day it convened plus {extension}-day extension)',
+      'kp.deadline.repudiation': 'Period to repudiate the settlement ({days} days)',
+      'kp.deadline.installment': 'Term {term}: pay the installment of {amount}',
+      'kp.deadline.term': 'Term {term}: comply with the undertaking',
+      'kp.deadline.breach': 'Term {term}: breach of the settlement; move for execution',
+      'kp.deadline.execution': 'Execution of the settlement by the Lupon ({months} months)',
+      'kp.deadline.prescription': 'File in court before {offense} prescribes',
+      'kp.left.done': 'Complied with',
+      'kp.left.lapsed': 'Lapsed; settlement is final',
+      'kp.left.executionLapsed': 'Lapsed; enforce by action in court',
+      'kp.left.overdue': 'Overdue by {days}',
+      'kp.left.today': 'Due today',
+      'kp.left.open': '{days} left',
+
+      // Report
+      'report.generatedOn': 'Generated on {date}',
+      'report.pdf.caseNo': 'Case No. {caseId}',
+      'report.pdf.page': 'Page {page} of {pages}',
+      'report.signature.preparedBy': 'Prepared by:',
+      'report.signature.notedBy': 'Noted by:',
+      'report.signature.secretary': 'Lupon Secretary',
+      'report.signature.punongBarangay': 'Punong Barangay / Lupon Chairman',
+      'report.caseParties': 'Case & Parties Information',
+      'report.caseId': 'Case ID',
+      'report.dateReceived': 'Date Received',
+      'report.complainant': 'Complainant',
+      'report.respondentN': 'Respondent {n}',
+      'report.phone': 'Phone',
+      'report.email': 'Email',
+      'report.address': 'Address',
+      'report.kp.title': 'Katarungang Pambarangay Proceedings',
+      'report.kp.status': 'Current status',
+      'report.kp.timeline': 'Timeline',
+      'report.kp.deadlines': 'Deadlines',
+      'report.kp.noDeadlines':
+        'No deadlines can be computed yet. Record the filing date and the dates of each stage.',
+      'report.kp.due': 'due {date}',
+      'report.jurisdiction.title': 'Jurisdiction and Venue',
+      'report.jurisdiction.status': 'Determination',
+      'report.jurisdiction.checks': 'Checks',
+      'report.jurisdiction.venue': 'Venue',
+      'report.jurisdiction.venueNote':
+        'If the dispute involves real property, venue lies where the property is located; if it arose at a workplace or school, where that workplace or school is located (LGC Sec. 409(c), (d)). Objections to venue are waived unless raised before the Punong Barangay.',
+      'jurisdiction.status.within': 'Within Lupon jurisdiction',
+      'jurisdiction.status.conditional': 'Within Lupon jurisdiction only if the conditions below are met',
+      'jurisdiction.status.outside': 'Outside Lupon jurisdiction',
+      'jurisdiction.status.undetermined': 'Cannot be fully determined; complete the missing details',
+      'jurisdiction.result.pass': 'OK',
+      'jurisdiction.result.warn': 'Check',
+      'jurisdiction.result.fail': 'Excluded',
+      'jurisdiction.result.unknown': 'Unknown',
+      'jurisdiction.check.parties': 'Parties',
+      'jurisdiction.check.penalty': 'Penalty',
+      'jurisdiction.check.residence': 'Residence of the parties',
+      'jurisdiction.check.venue': 'Venue',
+      'jurisdiction.check.subject': 'Subject matter',
+      'jurisdiction.reason.mediable': 'None of the offenses identified is barred by law from mediation.',
+      'jurisdiction.reason.nonMediable':
+        '{natures} may not be mediated or conciliated; refer the case to the proper authorities.',
+      'jurisdiction.reason.government':
+        '{name} is the government or one of its offices; such disputes are not subject to barangay conciliation.',
+      'jurisdiction.reason.juridical':
+        '{name} is a juridical entity; only natural persons may be parties before the Lupon.',
+      'jurisdiction.reason.publicOfficer':
+        '{name} is a public officer or employee; the case is excluded if the dispute relates to the performance of official functions.',
+      'jurisdiction.reason.individuals': 'All parties are private individuals.',
+      'jurisdiction.reason.noParties': 'No party details were given.',
+      'jurisdiction.reason.penaltyUnknown':
+        'No penalty was estimated. Offenses punishable by more than {maxMonths} months of imprisonment or a fine over ₱5,000 are excluded.',
+      'jurisdiction.reason.penaltyExceeds':
+        'The estimated penalty ({months}, {fine}) exceeds one year of imprisonment or a {maxFine} fine; the case goes directly to the prosecutor or the court.',
+      'jurisdiction.reason.penaltyWithin':
+        'The estimated penalty ({months}, {fine}) does not exceed one year of imprisonment or a {maxFine} fine.',
+      'jurisdiction.reason.penaltyComputedExceeds':
+        'The penalty computed from the value involved ({months}, {fine}) exceeds one year of imprisonment or a {maxFine} fine; the case goes directly to the prosecutor or the court.',
+      'jurisdiction.reason.penaltyComputedWithin':
+        'The penalty computed from the value involved ({months}, {fine}) does not exceed one year of imprisonment or a {maxFine} fine.',
+      'jurisdiction.reason.penaltyComputedAlternative':
+        'The penalty computed from the value involved is {months} of imprisonment or, instead, a fine of up to {fine}. The court may impose the imprisonment, which does not exceed one year, so the alternative fine does not take the case outside Lupon jurisdiction.',
+      'jurisdiction.reason.addressUnknown':
+        'The city or municipality of the complainant and respondents could not be read from their addresses.',
+      'jurisdiction.reason.addressPartial':
+        'The complainant and the identified respondents reside in {city}, but some respondent addresses could not be read.',
+      'jurisdiction.reason.differentCities':
+        'The complainant resides in {city} while a respondent resides in {cities}, which does not adjoin it; the dispute is not subject to barangay conciliation.',
+      'jurisdiction.reason.adjoiningCities':
+        'The complainant resides in {city} and a respondent in the adjoining {cities}; the Lupon may hear the case only if the barangays of the parties adjoin and the parties agree to submit to it.',
+      'jurisdiction.reason.sameCity': 'All parties reside in {city}.',
+      'jurisdiction.reason.sameBarangay': 'The parties reside in the same barangay ({barangay}); the complaint is brought before its Lupon.',
+      'jurisdiction.reason.respondentBarangay':
+        'The parties reside in different barangays; the complaint is brought in the barangay where the respondent, or any of the respondents, resides ({barangay}), at the election of the complainant.',
+      'jurisdiction.reason.venueUnknown': 'The barangay of the respondents could not be read from their addresses.',
+      'jurisdiction.venue.here': 'This is the proper venue (Barangay {own}).',
+      'jurisdiction.venue.elsewhere': 'Barangay {own} is not the proper venue; refer the complainant to the barangay above.',
+      'jurisdiction.venue.unconfigured': 'Set the barangay in config.js to compare the venue with this barangay.',
+      'report.prescription.title': 'Prescription of the Offense',
+      'prescription.start':
+        'The period runs from the incident on {date}, taken as the day the offense was discovered (RPC Art. 91).',
+      'prescription.interruption':
+        'The complaint filed with the Punong Barangay on {from} interrupts the period until {to} ({days}; LGC Sec. 410(c)).',
+      'prescription.interruptionOpen':
+        'The certification to file action has not been issued yet, so the full 60 days are counted; the deadlines below move earlier if it is issued sooner.',
+      'prescription.fileBy': 'prescribes in {period}; file in court by {date}',
+      'prescription.lightest': 'Counted by the lightest penalty of the provision, which prescribes first.',
+      'prescription.notInterrupted':
+        'The complaint was filed after this offense had prescribed and did not interrupt the period.',
+      'prescription.state.left': '{days} left',
+      'prescription.state.today': 'last day is today',
+      'prescription.state.prescribed': 'prescribed {days} ago',
+      'prescription.warning.near':
+        'Prescription: {offense} prescribes on {date} ({state}). File the case in court before then.',
+      'prescription.warning.prescribed':
+        'Prescription: {offense} prescribed on {date}. The criminal action can no longer be filed.',
+      'prescription.note':
+        'Months are counted as 30 days and years as calendar years (Civil Code Art. 13; Administrative Code, Book I, Sec. 31). A last day on a weekend moves to the next working day; holidays are not taken into account.',
+      'report.incidentDetails': 'Incident Details',
+      'report.summary': 'Summary',
+      'report.location': 'Location',
+      'report.dateTime': 'Date & Time',
+      'report.legalAnalysis': 'Legal Research Analysis',
+      'report.legalTextNote': '',
+      'report.legalPack': 'Source: {name}, version {version} (updated {updated}).',
+      'report.nature': 'Nature of Case',
+      'report.classifiedBy': 'Classification based on: {phrases}',
+      'report.violations': 'Possible Legal Violations by Respondent(s)',
+      'report.legalBasis': 'Legal basis',
+      'report.provision': 'Provision',
+      'report.penalty': 'Penalty',
+      'report.jurisprudence': 'Related Court Jurisprudence',
+      'report.authorities': 'Additional Authorities',
+      'report.pangkat': 'Pangkat ng Tagapagkasundo',
+      'report.pangkat.constitutedOn': 'Constituted on',
+      'report.settlement': 'Amicable Settlement',
+      'report.authorities.source': 'Source',
+      'report.partyHistory': 'Other Cases of the Parties',
+      'report.partyHistory.none': 'No other cases in the docket.',
+      'report.partyHistory.repeat':
+        'Repeat respondent: respondent in {count} cases received in the last 12 months, including this one. For the attention of the Punong Barangay.',
+      'report.partyHistory.complainant': 'as complainant',
+      'report.partyHistory.respondent': 'as respondent',
+      'report.partyHistory.received': 'received {date}',
+      'party.outcome.settled': 'Settled',
+      'party.outcome.repudiated': 'Settlement repudiated',
+      'party.outcome.certified': 'Certificate to file action issued',
+      'party.outcome.referred': 'Referred to the proper office',
+      'party.outcome.pending': 'Pending: {stage}',
+      'report.counters': 'Possible Counter‑Charges by Respondent(s)',
+      'report.penaltyCalc.title': 'Penalty Computation',
+      'penaltyCalc.step.noAmount':
+        'No peso amount was found. Enter the value of the property or damage to compute the penalty.',
+      'penaltyCalc.step.amountField': 'Value of the property or damage entered: {amount}.',
+      'penaltyCalc.step.amountSummary': 'Amount read from the incident summary: {amount} (“{text}”).',
+      'penaltyCalc.step.amountLargest': 'Several amounts were mentioned ({amounts}); the largest is used.',
+      'penaltyCalc.step.bracket': 'Under {basis}, par. {paragraph}, a value {range} is punished by {penalty}.',
+      'penaltyCalc.step.maximum': 'Maximum imprisonment: {duration}.',
+      'penaltyCalc.step.maximumFine': 'Maximum imprisonment: {duration}; maximum fine: {fine}.',
+      'penaltyCalc.step.maximumAlternative':
+        'Maximum penalty: {duration} of imprisonment or, instead, a fine of up to {fine}.',
+      'penaltyCalc.step.within':
+        'This does not exceed one year of imprisonment or a {maxFine} fine, so the penalty does not take the case outside Lupon jurisdiction (LGC Sec. 408(c)).',
+      'penaltyCalc.step.withinAlternative':
+        'The fine exceeds {maxFine}, but the court may impose the imprisonment instead, which does not exceed one year, so the penalty does not take the case outside Lupon jurisdiction (LGC Sec. 408(c)).',
+      'penaltyCalc.step.outside':
+        'This exceeds one year of imprisonment or a {maxFine} fine, so the case is outside Lupon jurisdiction (LGC Sec. 408(c)) and goes to the prosecutor or the court.',
+      'penaltyCalc.range.upTo': 'not exceeding {max}',
+      'penaltyCalc.range.between': 'over {min} but not exceeding {max}',
+      'penaltyCalc.range.over': 'over {min}',
+      'penaltyCalc.note.theft':
+        'Qualified theft (Art. 310, e.g. by a domestic helper or with grave abuse of confidence) is punished two degrees higher and is not covered by this computation.',
+      'penaltyCalc.note.malicious-mischief':
+        'Special cases under Art. 328 (e.g. damage to public property or using poisonous substances) carry heavier penalties and are not covered by this computation.',
+      'report.mediation': 'Mediation / Conciliation Strategy',
+      'report.objectives': 'Mediation Objectives',
+      'report.issues': 'Issues Suitable for Mediation',
+      'report.notForMediation': 'Issues NOT Suitable for Mediation',
+      'report.outcomes': 'Expected Outcomes & Settlement Possibilities',
+      'report.questions': 'Strategic Questions for Mediation',
+      'report.referral.title': 'Refer – Do Not Mediate',
+      'report.referral.reason':
+        '{nature} may not be settled through barangay mediation or conciliation ({basis}). Do not summon the parties to a mediation hearing.',
+      'report.referral.steps': 'What to do',
+      'report.role.complainant': 'Complainant',
+      'report.role.respondent': 'Respondent',
+      'report.q.openEnded': 'Open‑Ended Questions',
+      'report.q.clarifying': 'Clarifying Questions',
+      'report.q.reflective': 'Reflective Questions',
+      'report.q.exploratory': 'Exploratory Questions',
+      'report.q.conscience': 'Questions Appealing to Conscience',
+      'report.disclaimer':
+        'Disclaimer: This report is generated for informational purposes only and does not constitute legal advice. Barangay officials and parties should consult a qualified lawyer for definitive legal counsel.',
+
+      // Mediation strategy
+      'mediation.objectives': [
+        'Clarify all facts and ensure both parties are fully heard',
+        'Encourage parties to agree on appropriate restitution or compensation',
+        'Promote respect and restore harmony within the barangay community',
+        'Prevent escalation to formal court proceedings when possible',
+        'Ensure compliance with applicable laws and ordinances',
+      ],
+      'mediation.theft.issues': [
+        'Return of the allegedly stolen property or restitution of its value',
+        'Apology and acknowledgement of harm caused',
+        'Agreement on future conduct and respect for property rights',
+      ],
+      'mediation.theft.notForMediation': ['Determination of criminal guilt for theft (requires court jurisdiction)'],
+      'mediation.theft.outcomes': [
+        'Full restitution and documented apology',
+        'Community service or volunteer work as a gesture of remorse',
+      ],
+      'mediation.threat.issues': [
+        'Commitment by respondent to refrain from making threats or harassing statements',
+        'Discussion of any underlying disputes prompting the threat',
+        'Agreement on safety measures or distance requirements',
+      ],
+      'mediation.threat.notForMediation': ['Prosecution of grave threats if elements are present'],
+      'mediation.threat.outcomes': [
+        'Written undertaking to maintain peace and respect',
+        'Agreement on mutual non‑harassment or communications guidelines',
+      ],
+      'mediation.defamation.issues': [
+        'Withdrawal or correction of defamatory statements',
+        'Public or written apology to restore reputation',
+        'Agreement to avoid repeating defamatory statements in the future',
+      ],
+      'mediation.defamation.notForMediation': ['Criminal prosecution for serious defamation'],
+      'mediation.defamation.outcomes': [
+        'Signed retraction and apology',
+        'Community clarification to mitigate reputational harm',
+      ],
+      'mediation.injury.issues': [
+        'Compensation for medical expenses and lost wages',
+        'Agreement on avoiding physical confrontation in future',
+        'Exploring root causes of the altercation',
+      ],
+      'mediation.injury.notForMediation': ['Determination of liability for serious physical injuries'],
+      'mediation.injury.outcomes': [
+        'Payment of medical costs and damages',
+        'Mutual agreement to maintain distance and respect',
+      ],
+      'mediation.unjust-vexation.issues': [
+        'Identification of the specific acts that annoyed or embarrassed the complainant',
+        'Apology and commitment to stop the conduct complained of',
+        'Return of any belongings taken or moved',
+      ],
+      'mediation.unjust-vexation.notForMediation': [
+        'Acts amounting to grave coercion or threats punishable beyond barangay jurisdiction',
+      ],
+      'mediation.unjust-vexation.outcomes': [
+        'Written undertaking to refrain from harassing the complainant',
+        'Agreement on how the parties will deal with each other in the future',
+      ],
+      'mediation.alarms-scandals.issues': [
+        'Effect of the disturbance on the complainant and the neighbourhood',
+        'Apology to those disturbed',
+        'House rules for gatherings, drinking sessions and the use of firecrackers',
+      ],
+      'mediation.alarms-scandals.notForMediation': [
+        'Illegal discharge of firearms or other offenses against public order that have no private offended party',
+      ],
+      'mediation.alarms-scandals.outcomes': [
+        'Undertaking to keep the peace and observe quiet hours',
+        'Payment for any damage caused during the disturbance',
+      ],
+      'mediation.trespass.issues': [
+        'Reason the respondent entered the dwelling or property',
+        'Acknowledgement of the complainant\'s right to refuse entry',
+        'Repair of any damage to doors, gates or fences',
+      ],
+      'mediation.trespass.notForMediation': [
+        'Trespass committed with violence or intimidation (punishable beyond one year)',
+      ],
+      'mediation.trespass.outcomes': [
+        'Undertaking not to enter the complainant\'s premises without permission',
+        'Agreement on how the parties will communicate about shared concerns',
+      ],
+      'mediation.malicious-mischief.issues': [
+        'Value of the damaged property and the cost of repair or replacement',
+        'Schedule and manner of payment',
+        'Underlying dispute that led to the damage',
+      ],
+      'mediation.malicious-mischief.notForMediation': [
+        'Damage to public property or using poisonous substances (Art. 328), which is punished more heavily',
+      ],
+      'mediation.malicious-mischief.outcomes': [
+        'Repair, replacement or payment for the damaged property',
+        'Apology and undertaking not to damage the complainant\'s property again',
+      ],
+      'mediation.estafa.issues': [
+        'Amount of money or value of the property involved',
+        'Return of the money or property, or payment in instalments',
+        'Clarification of the terms originally agreed by the parties',
+      ],
+      'mediation.estafa.notForMediation': [
+        'Estafa involving more than ₱40,000, where the penalty exceeds barangay jurisdiction',
+        'Schemes involving many victims, such as investment or pyramid scams',
+      ],
+      'mediation.estafa.outcomes': [
+        'Written payment plan with due dates and amounts',
+        'Return of the property or its value',
+      ],
+      'mediation.debt.issues': [
+        'Amount of the principal and of any payments already made',
+        'Interest, if agreed in writing, and whether it is reasonable',
+        'Payment schedule the debtor can realistically keep',
+      ],
+      'mediation.debt.notForMediation': [
+        'Threats or public shaming in collecting the debt, which are separate offenses',
+      ],
+      'mediation.debt.outcomes': [
+        'Amicable settlement with an instalment plan, enforceable as a final judgment after ten days',
+        'Certificate to File Action for a small claims case if no settlement is reached',
+      ],
+      'mediation.bp22.issues': [
+        'Amount of the dishonored check and of the underlying obligation',
+        'Replacement of the check with cash or a payment plan',
+        'Whether a written notice of dishonor was received',
+      ],
+      'mediation.bp22.notForMediation': [
+        'Checks whose amount makes the possible fine exceed ₱5,000',
+      ],
+      'mediation.bp22.outcomes': [
+        'Payment of the check amount in full or in instalments',
+        'Withdrawal of the complaint once the amount is paid',
+      ],
+      'mediation.nuisance.issues': [
+        'Source, times and frequency of the noise, smell or other nuisance',
+        'Practical steps to reduce it (quiet hours, relocating pens, proper waste disposal)',
+        'Compliance with the applicable city ordinance',
+      ],
+      'mediation.nuisance.notForMediation': [
+        'Enforcement of ordinance fines and abatement of public nuisances by the city',
+      ],
+      'mediation.nuisance.outcomes': [
+        'Agreement on quiet hours and volume limits',
+        'Undertaking to fix the source of the nuisance by an agreed date',
+      ],
+      'mediation.boundary.issues': [
+        'Location of the boundary based on titles, tax declarations and any relocation survey',
+        'Sharing the cost of a relocation survey by a licensed geodetic engineer',
+        'Use of pathways and rights of way pending the survey',
+      ],
+      'mediation.boundary.notForMediation': [
+        'Disputes over real property located in different cities, unless the parties agree',
+        'Questions of ownership that require a court ruling on the titles',
+      ],
+      'mediation.boundary.outcomes': [
+        'Agreement to abide by the relocation survey and reset the boundary markers',
+        'Agreement on the relocation of the fence or a right of way with indemnity',
+      ],
+      'mediation.rent.issues': [
+        'Amount of unpaid rent and the period covered',
+        'Application or return of the advance rent and deposit',
+        'Date by which the tenant will pay or vacate',
+      ],
+      'mediation.rent.notForMediation': [
+        'Eviction without a court order, which the lessor may not carry out himself',
+      ],
+      'mediation.rent.outcomes': [
+        'Payment plan for the arrears while the lease continues',
+        'Agreement on a move-out date with the deposit applied to the arrears',
+      ],
+      'mediation.referral': [
+        'Do not call the parties to mediation or conciliation, and do not ask the complainant to settle or withdraw the complaint.',
+        'Record the complaint in the barangay blotter and keep the records confidential.',
+        'Refer the complainant to the appropriate agency (PNP, City Social Welfare and Development Office or the prosecutor) and note the referral.',
+      ],
+      'mediation.vawc.referral': [
+        'Do not mediate or conciliate, and do not influence the woman to compromise or abandon any relief she seeks (R.A. 9262, Sec. 33).',
+        'If she applies for a Barangay Protection Order, the Punong Barangay (or a Kagawad in his absence) must issue it on the same day, ex parte (Sec. 14).',
+        'Refer her to the barangay VAW Desk, the PNP Women and Children Protection Desk and the City Social Welfare and Development Office; arrange medical care if she is injured.',
+        'Keep all records of the case confidential (Sec. 44).',
+      ],
+      'mediation.child-abuse.referral': [
+        'Do not mediate or conciliate; child abuse is punishable beyond barangay jurisdiction.',
+        'Ensure the child\'s immediate safety and report the case to the City Social Welfare and Development Office and the PNP Women and Children Protection Desk.',
+        'Refer the child for medical examination where abuse is physical or sexual.',
+        'Keep the identity of the child and all records of the case confidential.',
+      ],
+      'mediation.general.issues': [
+        'Clarification of the specific grievances presented',
+        'Identification of applicable laws and ordinances',
+        'Exploration of remedies agreeable to both parties',
+      ],
+      'mediation.general.notForMediation': ['Matters involving imprisonment of more than one year or fines over ₱5,000'],
+      'mediation.general.outcomes': [
+        'Amicable settlement documented with the Lupong Tagapamayapa',
+        'Referral to appropriate agencies if outside barangay jurisdiction',
+      ],
+
+      // Strategic questions
+      'questions.openEnded': [
+        'Can you describe in your own words what happened at {loc} on {dt}?',
+        'What events led up to the incident and how did you react?',
+        'How has this incident affected you personally and your daily life?',
+      ],
+      'questions.clarifying': [
+        'What time did the incident occur and who else was present?',
+        'Where exactly at {loc} did the interaction take place?',
+        'Can you specify any statements or actions you find particularly significant?',
+      ],
+      'questions.reflective': [
+        'How do you think the other party felt during the incident?',
+        'Looking back, is there anything you wish had been done differently?',
+        'How has this dispute impacted your relationship with the other party?',
+      ],
+      'questions.exploratory': [
+        'What do you consider a fair and just resolution to this dispute?',
+        'Are there any compromises you are willing to make to settle this matter?',
+        'What would rebuilding trust look like for you?',
+      ],
+      'questions.conscience': [
+        'If the roles were reversed, how would you want to be treated?',
+        'What message do you want to send to the community about resolving disputes?',
+        'How would an amicable settlement benefit both you and the other party?',
+      ],
+      'questions.defaultLocation': 'the location',
+    },
+
+    fil: {
+      'unit.day': 'araw',
+      'unit.days': 'araw',
+      'unit.month': 'buwan',
+      'unit.months': 'buwan',
+      'unit.year': 'taon',
+      'unit.years': 'taon',
+      'unit.and': ' at ',
+
+      // Interface
+      'app.title': 'Barangay Case Analyzer',
+      'app.intro':
+        'Punan ang mga detalye sa ibaba upang makabuo ng kumpletong ulat ng kaso para sa pamamagitan sa barangay at pagsusuring legal. Kailangang punan ang mga field na may <span class="text-danger">*</span>.',
+      'app.uiLanguage': 'Wika ng interface',
+      'app.officer': 'Iyong pangalan, para sa talaan ng kaso',
+      'app.officerLabel': 'Opisyal na naka-duty',
+      'app.updateAvailable': 'May bagong bersiyon ng app.',
+      'app.reload': 'I-reload',
+      'form.caseInfo': 'Impormasyon ng Kaso (opsyonal)',
+      'form.caseId': 'Numero ng Kaso',
+      'form.dateReceived': 'Petsa ng Pagtanggap',
+      'form.kpProceedings': 'Mga Paglilitis sa KP (opsyonal)',
+      'form.kpStatus': 'Kasalukuyang Katayuan',
+      'form.pangkatExtended': 'Pinalawig ng Pangkat nang 15 araw ang panahon ng pagkakasundo',
+      'form.kpDate.filed': 'Petsa ng Paghahain',
+      'form.kpDate.summons': 'Petsa ng Patawag',
+      'form.kpDate.mediation': 'Unang Pulong sa Pamamagitan',
+      'form.kpDate.pangkat': 'Pagbuo ng Pangkat',
+      'form.kpDate.conciliation': 'Unang Pulong ng Pangkat (Simula ng Pagkakasundo)',
+      'form.kpDate.settled': 'Petsa ng Kasunduan',
+      'form.kpDate.repudiated': 'Petsa ng Pagtatakwil',
+      'form.kpDate.cfa': 'Petsa ng CFA',
+      'form.kpHint':
+        'Iwanang blangko ang Petsa ng Paghahain upang gamitin ang Petsa ng Pagtanggap. Kinukuwenta ang mga takdang petsa batay sa mga petsang ito.',
+      'form.complainantInfo': 'Impormasyon ng Nagrereklamo (opsyonal)',
+      'form.fullName': 'Buong Pangalan',
+      'form.phone': 'Numero ng Telepono',
+      'form.email': 'Email Address',
+      'form.address': 'Kumpletong Tirahan',
+      'form.addressPlaceholder': 'Blg. ng Bahay, Kalye, Barangay, Lungsod',
+      'form.respondentInfo': 'Impormasyon ng Inirereklamo (opsyonal)',
+      'form.respondent': 'Inirereklamo',
+      'form.remove': 'Alisin',
+      'form.removeRespondent': 'Alisin ang inirereklamo',
+      'form.addRespondent': '+ Magdagdag ng Inirereklamo',
+      'form.caseDetails': 'Mga Detalye ng Kaso',
+      'form.summary': 'Buod ng Pangyayari',
+      'form.summaryPlaceholder': 'Ilarawan nang detalyado ang nangyari...',
+      'form.summaryInvalid': 'Maglagay ng buod ng pangyayari (hindi bababa sa 30 titik).',
+      'form.location': 'Lugar ng Pangyayari',
+      'form.locationPlaceholder': 'Tiyak na address o palatandaan sa San Pedro, Laguna',
+      'form.locationInvalid': 'Tukuyin ang lugar ng pangyayari.',
+      'form.dateTime': 'Petsa at Oras ng Pangyayari',
+      'form.dateTimeInvalid': 'Ilagay ang petsa at oras ng pangyayari.',
+      'validation.summary': 'Pakiwasto ang mga sumusunod bago gawin ang ulat:',
+      'validation.phone':
+        'Maglagay ng numero ng mobile sa Pilipinas (09XX XXX XXXX) o landline na may area code, hal. (02) 8123 4567.',
+      'validation.phoneForeign': 'Hindi ito numero sa Pilipinas. Itatago ito nang ganito; suriin ang country code.',
+      'validation.email': 'Maglagay ng wastong email address, hal. name@example.com.',
+      'validation.incidentFuture': 'Hindi maaaring nasa hinaharap ang petsa at oras ng pangyayari.',
+      'validation.incidentOld':
+        'Mahigit isang taon na ang nakalipas mula nang mangyari ito. Suriin ang petsa; maaaring lipas na (prescribed) ang reklamong ganito katagal.',
+      'validation.receivedFuture': 'Hindi maaaring nasa hinaharap ang petsa ng pagtanggap.',
+      'validation.receivedBeforeIncident': 'Hindi maaaring natanggap ang reklamo bago nangyari ang insidente.',
+      'validation.duplicateRespondent': 'Nakalista na sa itaas ang inirereklamong ito.',
+      'form.partyType': 'Uri ng Partido',
+      'form.partyType.individual': 'Indibidwal (pribadong tao)',
+      'form.partyType.public-officer': 'Opisyal o kawani ng pamahalaan',
+      'form.partyType.government': 'Tanggapan o sangay ng pamahalaan',
+      'form.partyType.juridical': 'Korporasyon, partnership o samahan',
+      'form.penalty': 'Tinatayang Parusa',
+      'form.penaltyImprisonment': 'Pinakamahabang pagkakakulong (buwan)',
+      'form.penaltyFine': 'Pinakamalaking multa (₱)',
+      'form.penaltyHint':
+        'Ang pinakamabigat na parusa ng paglabag. Iwanang blangko kung hindi alam o kung sibil lamang ang usapin; sa pagnanakaw at malicious mischief, kukuwentahin ito mula sa halagang sangkot. Lampas na sa Lupon ang higit sa isang taon o ₱5,000.',
+      'form.propertyValue': 'Halaga ng ari-arian o pinsala (₱)',
+      'form.propertyValueHint':
+        'Ginagamit sa pagkuwenta ng parusa sa pagnanakaw at malicious mischief. Iwanang blangko upang gamitin ang pinakamalaking halagang nabanggit sa buod.',
+      'form.reportLanguage': 'Wika ng ulat',
+      'form.generate': 'Bumuo ng Ulat',
+      'form.clear': 'Burahin ang Form',
+      'form.editing': 'Binabago ang naka-save na kaso {id}',
+      'form.partyMatch.linked': 'Nasa talaan ng mga partido: {details}',
+      'form.partyMatch.possible': 'Maaaring nasa talaan na ng mga partido:',
+      'form.partyMatch.use': 'Gamitin',
+      'hearings.title': 'Iskedyul ng mga Pagdinig (opsyonal)',
+      'hearings.hint':
+        'Mga pagdinig sa harap ng Punong Barangay o ng Pangkat. Naka-save ang mga ito kasama ng kaso, makikita sa takbo ng kaso sa ulat, at sinusuri laban sa ibang kaso kung may silid o miyembrong dalawang beses na naka-iskedyul.',
+      'hearings.type': 'Uri ng pagdinig',
+      'hearings.type.mediation': 'Pagdinig sa pamamagitan (mediation)',
+      'hearings.type.conciliation': 'Pagdinig sa pagkakasundo (Pangkat)',
+      'hearings.type.arbitration': 'Pagdinig sa arbitrasyon',
+      'hearings.date': 'Petsa',
+      'hearings.time': 'Oras',
+      'hearings.duration': 'Haba (minuto)',
+      'hearings.venue': 'Lugar',
+      'hearings.venuePlaceholder': 'hal., silid-pulungan ng Barangay Hall',
+      'hearings.parties': 'Mga partidong ipinatawag',
+      'hearings.members': 'Mga miyembro ng Lupon na ipinatawag',
+      'hearings.membersPlaceholder': 'Mga pangalang pinaghihiwalay ng kuwit',
+      'hearings.outcome': 'Kinalabasan',
+      'hearings.outcome.scheduled': 'Naka-iskedyul',
+      'hearings.outcome.held': 'Naidaos; itutuloy',
+      'hearings.outcome.settled': 'Nagkaayos',
+      'hearings.outcome.no-settlement': 'Hindi nagkaayos',
+      'hearings.outcome.complainant-absent': 'Hindi dumalo ang nagrereklamo',
+      'hearings.outcome.respondent-absent': 'Hindi dumalo ang inirereklamo',
+      'hearings.outcome.postponed': 'Ipinagpaliban',
+      'hearings.notes': 'Mga tala',
+      'hearings.add': 'Magdagdag ng Pagdinig',
+      'hearings.save': 'I-save ang Pagdinig',
+      'hearings.cancel': 'Kanselahin',
+      'hearings.edit': 'Baguhin',
+      'hearings.remove': 'Alisin',
+      'hearings.ics': '.ics',
+      'hearings.icsTitle': 'I-download ang pagdinig na ito bilang calendar file',
+      'hearings.none': 'Walang naka-iskedyul na pagdinig.',
+      'hearings.saved': 'Naka-save ang iskedyul ng pagdinig kasama ng kaso.',
+      'hearings.savedUnsaved': 'Naidagdag ang pagdinig. Mase-save ito kasama ng kaso kapag ginawa ang ulat.',
+      'hearings.conflicts': 'Magkasabay na iskedyul',
+      'hearings.conflict.venue': 'Ang {venue} ay naka-iskedyul para sa {first} at {second} nang sabay.',
+      'hearings.conflict.member': 'Si {member} ay ipinatawag sa {first} at {second} nang sabay.',
+      'hearings.conflict.hearing': '{case} ({date}, {time})',
+      'pangkat.title': 'Pangkat ng Tagapagkasundo (opsiyonal)',
+      'pangkat.hint':
+        'Kapag nabigo ang pamamagitan, pipili ang bawat panig ng mga kasapi ng Lupon para sa Pangkat. Unang iuupo ang mga pinili ng dalawang panig; ang ibang upuan ay pupunan sa palabunutan mula sa mga naglilingkod na kasaping walang tunggalian ng interes sa mga partido (LGC Sec. 404).',
+      'pangkat.noRoster': 'Idagdag ang mga kasapi ng Lupon sa talaan upang makabuo ng Pangkat.',
+      'pangkat.complainantChoice': 'Pinili ng nagrereklamo',
+      'pangkat.respondentChoice': 'Pinili ng inirereklamo',
+      'pangkat.agreed': 'Pinili ng dalawang panig: {names}',
+      'pangkat.noneAgreed': 'Wala pang kasaping napagkasunduan ng mga partido; pupunan sa palabunutan ang mga upuan.',
+      'pangkat.date': 'Petsa ng pagbuo',
+      'pangkat.constitute': 'Buuin ang Pangkat',
+      'pangkat.reset': 'Magsimulang Muli',
+      'pangkat.resetConfirm':
+        'Itapon ang Pangkat na binuo para sa kasong ito? Mananatili ang mga pinili ng mga partido.',
+      'pangkat.member': 'Kasapi',
+      'pangkat.role': 'Tungkulin',
+      'pangkat.selection': 'Paano pinili',
+      'pangkat.replace': 'Palitan',
+      'pangkat.replaceTitle': 'Punan muli ang upuan sa pagkakasundo o palabunutan (Sec. 405)',
+      'pangkat.conflict': 'Posibleng tunggalian ng interes',
+      'pangkat.lot': 'Nagpalabunutan noong {date} mula sa {count} kasaping maaaring piliin: {names}',
+      'pangkat.constituted': 'Nabuo ang Pangkat; {count} upuan ang pinunan sa palabunutan.',
+      'pangkat.constitutedUnsaved':
+        'Nabuo ang Pangkat; {count} upuan ang pinunan sa palabunutan. Mase-save ito kasama ng kaso kapag ginawa ang ulat.',
+      'pangkat.replaced': 'Pinalitan si {old} ni {new}.',
+      'pangkat.saved': 'Na-save ang Pangkat kasama ng kaso.',
+      'settlement.title': 'Amicable Settlement (opsiyonal)',
+      'settlement.hint':
+        'Ang mga pangako ng mga partido: mga bayad at hulugan, paghingi ng tawad at mga kasunduan sa asal. Isinusulat ang mga kondisyon sa KP Form 16, at sinusubaybayan ang mga bayad at paglabag hanggang matupad o maipatupad ang kasunduan (LGC Secs. 416–418).',
+      'settlement.term': 'Kondisyon',
+      'settlement.compliance': 'Pagtupad',
+      'settlement.none': 'Wala pang kondisyong nailagay.',
+      'settlement.type': 'Uri ng kondisyon',
+      'settlement.type.payment': 'Bayad / pagsasauli',
+      'settlement.type.apology': 'Paghingi ng tawad',
+      'settlement.type.conduct': 'Layo o asal',
+      'settlement.type.other': 'Ibang pangako',
+      'settlement.obligor': 'Saklaw ng kondisyon',
+      'settlement.obligor.respondent': 'Inirereklamo',
+      'settlement.obligor.complainant': 'Nagrereklamo',
+      'settlement.obligor.both': 'Parehong partido',
+      'settlement.description': 'Paglalarawan',
+      'settlement.descriptionPlaceholder': 'hal., pagpapaayos ng nasirang gate',
+      'settlement.amount': 'Halaga (₱)',
+      'settlement.count': 'Buwanang hulugan',
+      'settlement.firstDue': 'Unang bayad sa',
+      'settlement.form': 'Paraan ng paghingi ng tawad',
+      'settlement.form.verbal': 'Pasalita',
+      'settlement.form.written': 'Pasulat',
+      'settlement.form.public': 'Sa publiko',
+      'settlement.due': 'Gagawin bago ang',
+      'settlement.distance': 'Layong dapat panatilihin (metro)',
+      'settlement.until': 'Umiiral hanggang',
+      'settlement.add': 'Magdagdag ng Kondisyon',
+      'settlement.save': 'I-save ang Kondisyon',
+      'settlement.cancel': 'Kanselahin',
+      'settlement.edit': 'Baguhin',
+      'settlement.remove': 'Alisin',
+      'settlement.removeConfirm':
+        'Alisin ang kondisyong ito ng kasunduan? Aalisin din ang mga bayad at paglabag na naitala para rito.',
+      'settlement.saved': 'Na-save ang kasunduan kasama ng kaso.',
+      'settlement.savedUnsaved': 'Naidagdag ang kondisyon. Mase-save ito kasama ng kaso kapag ginawa ang ulat.',
+      'settlement.motionFiled': 'Petsa ng mosyon para sa pagpapatupad',
+      'settlement.motionFiledOn': 'Naghain ng mosyon para sa pagpapatupad noong {date}.',
+      'settlement.status.complied': 'Natupad',
+      'settlement.status.breached': 'Hindi natupad',
+      'settlement.status.pending': 'Nakabinbin',
+      'settlement.installment.paid': 'Bayad na',
+      'settlement.installment.missed': 'Hindi nabayaran',
+      'settlement.installment.pending': 'Hindi pa takdang petsa',
+      'settlement.installmentDue': '{amount} sa {date}',
+      'settlement.paidOn': 'Petsa ng bayad',
+      'settlement.doneOn': 'Ginawa noong',
+      'settlement.breachOn': 'Nilabag noong {date}{note}',
+      'settlement.breachDate': 'Petsa ng paglabag',
+      'settlement.breachNote': 'Ano ang nangyari',
+      'settlement.recordBreach': 'Itala ang Paglabag',
+      'settlement.removeBreach': 'Alisin',
+      'settlement.breachDateMissing': 'Ilagay ang petsa ng paglabag.',
+      'settlement.breachRecorded': 'Naitala ang paglabag. Maaaring hilingin sa Lupon na ipatupad ang kasunduan.',
+      'settlement.breached': 'Mga kondisyong hindi natupad: {terms}.',
+      'settlement.executionOpen':
+        'Maaaring maghain sa Lupon ng mosyon para sa pagpapatupad (KP Form 25) hanggang {date}.',
+      'settlement.executionLapsed':
+        'Lumipas na ang anim na buwan para sa pagpapatupad ng Lupon; maipatutupad na lamang ang kasunduan sa pamamagitan ng kaso sa hukuman.',
+      'settlement.complied': 'Natupad na ang lahat ng kondisyon.',
+      'settlement.repudiationLate':
+        'Hindi na maitatakwil ang kasunduan: natapos ang 10 araw noong {date} (LGC Sec. 418).',
+      'settlement.finality.none':
+        'Ilagay sa KP Proceedings ang petsa ng paglagda sa kasunduan upang masubaybayan ang panahon ng pagtatakwil at ang pagpapatupad nito.',
+      'settlement.finality.repudiable':
+        'Nilagdaan noong {settled}. Maaari itong itakwil ng alinmang partido hanggang {repudiationEnds} (LGC Sec. 418).',
+      'settlement.finality.final':
+        'Nilagdaan noong {settled} at pinal na mula nang matapos ang panahon ng pagtatakwil noong {repudiationEnds}. Maipatutupad ito ng Lupon hanggang {executionEnds} (LGC Sec. 417).',
+      'settlement.finality.lapsed':
+        'Nilagdaan noong {settled}. Natapos noong {executionEnds} ang panahon ng pagpapatupad ng Lupon (LGC Sec. 417).',
+      'settlement.finality.repudiated': 'Nilagdaan noong {settled} at itinakwil (LGC Sec. 418).',
+      'settlement.describe.paymentOnce': 'Si {who} ay magbabayad ng {amount}{purpose} sa o bago ang {date}.',
+      'settlement.describe.payment':
+        'Si {who} ay magbabayad ng {amount}{purpose} sa {count} buwanang hulugan: {schedule}.',
+      'settlement.describe.installment': '{amount} sa o bago ang {date}',
+      'settlement.describe.apology.verbal': 'Si {who} ay hihingi ng tawad nang pasalita{purpose}',
+      'settlement.describe.apology.written': 'Si {who} ay hihingi ng tawad nang pasulat{purpose}',
+      'settlement.describe.apology.public': 'Si {who} ay hihingi ng tawad sa publiko{purpose}',
+      'settlement.describe.conduct': 'Si {who} ay nangangakong {conduct}',
+      'settlement.describe.distance': 'lumayo nang hindi bababa sa {distance} metro sa kabilang partido',
+      'settlement.describe.until': 'hanggang {date}',
+      'settlement.describe.other': 'Pangako ni {who}: {description}',
+      'settlement.describe.due': 'sa o bago ang {date}',
+      'settlement.compliance.due': 'takdang petsa {date}',
+      'settlement.compliance.payment':
+        '{paid} sa {total} hulugan ang bayad na, {missed} ang hindi nabayaran; natitira {balance}',
+      'classification.title': 'Klasipikasyon ng Kaso',
+      'classification.apply': 'Ilapat ang Klasipikasyon',
+      'classification.auto': 'Awtomatikong iminungkahi mula sa buod ng pangyayari.',
+      'classification.officer': 'Itinakda ng opisyal ang klasipikasyon.',
+      'classification.selectOne': 'Pumili ng kahit isang klasipikasyon.',
+      'classification.triggeredBy': 'Batay sa:',
+      'classification.negated': 'Hindi binilang (may pagtanggi):',
+      'classification.imputed': 'Binilang bilang paratang:',
+      'report.downloadPdf': 'I-download ang PDF',
+      'report.downloadWord': 'I-download ang Word',
+      'report.print': 'I-print ang Ulat',
+      'forms.title': 'Mga Form ng Katarungang Pambarangay',
+      'forms.hint':
+        'Paunang napunan ang mga form mula sa rekord ng kaso. Kumpletuhin o iwasto ang mga blangko bago i-download o i-print.',
+      'forms.prepare': 'Ihanda ang Form',
+      'forms.download': 'I-download ang PDF ng Form',
+      'forms.print': 'I-print ang Form',
+      'forms.referral':
+        'Dapat i-refer ang kasong ito at hindi maaaring pag-ayusin, kaya walang form ng KP na inihahanda para rito.',
+      'docket.title': 'Talaan ng mga Kaso',
+      'docket.search': 'Maghanap ayon sa numero ng kaso, partido, lugar o uri ng kaso',
+      'docket.searchLabel': 'Maghanap sa mga naka-save na kaso',
+      'docket.col.caseId': 'Numero ng Kaso',
+      'docket.col.complainant': 'Nagrereklamo',
+      'docket.col.respondents': 'Inirereklamo',
+      'docket.col.nature': 'Uri ng Kaso',
+      'docket.col.dateReceived': 'Petsa ng Pagtanggap',
+      'docket.col.updatedAt': 'Huling Binago',
+      'docket.actions': 'Mga Aksyon',
+      'docket.open': 'Buksan',
+      'docket.delete': 'Burahin',
+      'docket.empty': 'Wala pang naka-save na kaso. Awtomatikong nase-save dito ang mga nabuong ulat.',
+      'docket.deadlines': 'Mga takdang petsa sa KP na kailangang asikasuhin',
+      'docket.openCase': 'Buksan ang kaso',
+      'docket.repeatRespondent': 'Paulit-ulit na inirereklamo',
+      'calendar.title': 'Kalendaryo ng mga Pagdinig',
+      'calendar.prev': 'Nakaraang buwan',
+      'calendar.next': 'Susunod na buwan',
+      'calendar.today': 'Ngayong buwan',
+      'calendar.export': 'I-export ang Kalendaryo (.ics)',
+      'calendar.empty': 'Walang pagdinig ngayong buwan.',
+      'calendar.exported': 'Na-export ang {count} pagdinig.',
+      'stats.title': 'Pagganap ng Lupon',
+      'stats.intro':
+        'Mga kasong inihain sa panahong ito at ang kalagayan nila ngayon, para sa ulat sa lungsod o bayan at sa DILG.',
+      'stats.period': 'Panahon',
+      'stats.period.month': 'Ngayong buwan',
+      'stats.period.quarter': 'Ngayong quarter',
+      'stats.period.half': 'Ngayong semestre',
+      'stats.period.year': 'Ngayong taon',
+      'stats.period.custom': 'Ibang petsa',
+      'stats.from': 'Mula',
+      'stats.to': 'Hanggang',
+      'stats.print': 'I-print ang Ulat',
+      'stats.export': 'I-export bilang CSV',
+      'stats.exported': 'Na-export ang buod ng panahon.',
+      'stats.popupBlocked': 'Hindi mabuksan ang ulat. Payagan ang mga pop-up sa pahinang ito at subukang muli.',
+      'stats.badPeriod': 'Ilagay ang una at huling araw ng panahon.',
+      'stats.empty': 'Walang kasong inihain sa panahong ito.',
+      'stats.cases': 'Mga kasong inihain',
+      'stats.total': 'Kabuuan',
+      'stats.outcome.settled': 'Napagkasunduan',
+      'stats.outcome.repudiated': 'Itinakwil',
+      'stats.outcome.certified': 'May sertipikasyon para magsampa',
+      'stats.outcome.referred': 'Inirefer',
+      'stats.outcome.pending': 'Nakabinbin',
+      'stats.by.natures': 'Ayon sa uri ng alitan',
+      'stats.by.categories': 'Ayon sa uri ng kaso',
+      'stats.by.months': 'Ayon sa buwan ng paghain',
+      'stats.by.areas': 'Ayon sa purok o lugar ng insidente',
+      'stats.nature.criminal': 'Kriminal',
+      'stats.nature.civil': 'Sibil',
+      'stats.nature.others': 'Iba pa',
+      'stats.noArea': '(walang lugar)',
+      'stats.settledBy': 'Mga napagkasunduang kaso ayon sa paraan',
+      'stats.settledBy.mediation': 'Pamamagitan (Punong Barangay)',
+      'stats.settledBy.conciliation': 'Pagkakasundo (Pangkat)',
+      'stats.settledBy.arbitration': 'Arbitrasyon',
+      'stats.indicators': 'Mga sukatan ng pagganap',
+      'stats.settlementRate': 'Antas ng pagkakasundo (sa mga kasong natapos)',
+      'stats.averageDays': 'Karaniwang tagal bago magkasundo',
+      'stats.csv.section': 'Bahagi',
+      'stats.csv.item': 'Aytem',
+      'stats.report.title': 'ULAT NG PAGGANAP SA KATARUNGANG PAMBARANGAY',
+      'stats.report.period': 'Para sa panahong {from} hanggang {to}',
+      'stats.report.asOf': 'Kalagayan ng mga kaso noong {date}',
+      'stats.report.attestedBy': 'Pinatunayan ni:',
+      'stats.report.chairman': 'Punong Barangay / Tagapangulo ng Lupon',
+      'history.title': 'Kasaysayan ng Kaso',
+      'history.intro':
+        'Itinatala ang bawat pagbabago sa kasong ito kasama ang opisyal at oras, at itinatago ang bawat nabuong ulat bilang may-bilang na bersyon na may SHA-256 hash ng nilalaman nito.',
+      'history.versions': 'Mga Bersyon ng Ulat',
+      'history.noVersions': 'Wala pang nabuong ulat para sa kasong ito.',
+      'history.log': 'Talaan ng mga Pagbabago',
+      'history.empty': 'Wala pang naitalang pagbabago sa kasong ito.',
+      'history.export': 'I-export ang Talaan (CSV)',
+      'history.exported': 'Na-export ang talaan ng kaso.',
+      'history.col.version': 'Bersyon',
+      'history.col.when': 'Petsa at oras',
+      'history.col.case': 'Kaso',
+      'history.col.officer': 'Opisyal',
+      'history.col.action': 'Ginawa',
+      'history.col.changes': 'Mga pagbabago',
+      'history.col.field': 'Field',
+      'history.col.from': 'Dating halaga',
+      'history.col.to': 'Bagong halaga',
+      'history.col.hash': 'SHA-256',
+      'history.col.integrity': 'Integridad',
+      'history.action.created': 'Nilikha ang kaso',
+      'history.action.edited': 'Binago ang kaso',
+      'history.action.imported': 'Na-import mula sa file',
+      'history.action.report': 'Nabuo ang ulat (bersyon {version})',
+      'history.action.deleted': 'Binura ang kaso',
+      'history.action.purged': 'Binura ayon sa patakaran sa pagtatago',
+      'history.noOfficer': '(walang pangalan)',
+      'history.blank': '(blangko)',
+      'history.more': '{count} pang pagbabago',
+      'history.checking': 'Sinusuri…',
+      'history.intact': 'Buo',
+      'history.altered': 'Binago: hindi tugma ang hash',
+      'history.unchecked': 'Hindi masuri dito',
+      'history.view': 'Tingnan',
+      'history.versionLabel': 'Bersyon {version} ({date})',
+      'history.versionTitle': 'Kaso {caseId}, bersyon {version} ng ulat',
+      'history.generatedBy': 'Nabuo noong {date} ni {officer}',
+      'history.current': 'Kasalukuyang kaso',
+      'history.compare': 'Paghambingin ang mga Bersyon',
+      'history.compareWhat': 'Paghambingin',
+      'history.compareData': 'Datos ng kaso',
+      'history.compareReport': 'Teksto ng ulat',
+      'history.compareLeft': 'Nauna',
+      'history.compareRight': 'Sumunod',
+      'history.compareBtn': 'Ipakita ang Pagkakaiba',
+      'history.identical': 'Pareho ang dalawang bersyon.',
+      'history.unchangedLines': '… {count} linyang walang pagbabago …',
+      'history.versionFailed': 'Hindi ma-save ang bersyon ng ulat: {message}',
+      'privacy.title': 'Privacy ng Datos',
+      'privacy.passphrase': 'Passphrase',
+      'privacy.passphraseConfirm': 'Ulitin ang passphrase',
+      'privacy.passphraseShort': 'Gumamit ng passphrase na may hindi bababa sa {min} na titik.',
+      'privacy.passphraseMismatch': 'Hindi magkatugma ang dalawang passphrase.',
+      'privacy.setup.title': 'Protektahan ang mga Rekord ng Kaso',
+      'privacy.setup.intro':
+        'May personal na datos ang mga rekord ng kaso na protektado ng RA 10173, ang Data Privacy Act, kaya naka-encrypt ang mga ito sa browser na ito. Pumili ng passphrase na may hindi bababa sa {min} na titik at ibahagi lamang ito sa Kalihim ng Lupon at sa Punong Barangay. Hindi na mababawi ang nakalimutang passphrase, kaya magtabi ng na-export na kopya ng docket sa ligtas na lugar.',
+      'privacy.setup.submit': 'I-encrypt ang mga Rekord',
+      'privacy.unlock.title': 'Nakakandado ang mga Rekord ng Kaso',
+      'privacy.unlock.intro':
+        'Ilagay ang passphrase para mabuksan ang mga rekord ng kaso. Muling magkakandado ang mga ito kapag walang ginagawa nang ilang sandali; mawawala ang anumang hindi pa nai-save sa form.',
+      'privacy.unlock.submit': 'Buksan',
+      'privacy.opening': 'Sandali lamang…',
+      'privacy.skip': 'Magpatuloy nang walang encryption',
+      'privacy.unsupported':
+        'Hindi makapagtago ang browser na ito ng naka-encrypt na rekord ng kaso; buksan ang app sa https o sa localhost, o magpatuloy at i-save ang mga kaso nang walang encryption.',
+      'privacy.lockNow': 'Ikandado',
+      'privacy.redact': 'Kopyang may tinakpan para ibahagi sa labas ng Lupon',
+      'privacy.redactedNotice':
+        'KOPYANG MAY TINAKPAN: inisyal lamang ang mga pangalan at hindi ipinakita ang mga contact detail (RA 10173).',
+      'privacy.masked': '[tinakpan]',
+      'privacy.policy.encrypted':
+        'Naka-encrypt ang mga rekord ng kaso sa browser na ito gamit ang susing mula sa iyong passphrase.',
+      'privacy.policy.unencrypted':
+        'Hindi pa naka-encrypt ang mga rekord ng kaso sa browser na ito; ie-encrypt ang mga ito kapag naglagay ng passphrase habang bukas ang app sa https o sa localhost.',
+      'privacy.policy.autoLock': 'Nagkakandado ang mga ito pagkatapos ng {minutes} minutong walang ginagawa.',
+      'privacy.policy.noAutoLock': 'Nananatiling bukas ang mga ito hanggang ikandado nang mano-mano.',
+      'privacy.policy.flag': 'Inililista rito para repasuhin ang mga saradong kaso {years} taon matapos maisara.',
+      'privacy.policy.purge':
+        'Binubura sa docket ang mga saradong kaso, kasama ang mga bersyon ng ulat, {years} taon matapos maisara.',
+      'privacy.policy.keepAll': 'Itinatago ang mga saradong kaso nang walang hangganan.',
+      'privacy.retention.title': 'Mga Saradong Kasong Lampas na sa Panahon ng Pagtatago',
+      'privacy.retention.closedOn': 'Naisara noong',
+      'privacy.retention.keepUntil': 'Itatago hanggang',
+      'privacy.retention.empty': 'Walang saradong kasong lampas na sa panahon ng pagtatago.',
+      'privacy.retention.purge': 'Burahin ang mga Kasong Ito',
+      'privacy.retention.confirm':
+        'Burahin ang {count} kasong lampas na sa panahon ng pagtatago, kasama ang mga bersyon ng ulat at talaan ng pagbabago? Hindi na ito maibabalik.',
+      'privacy.retention.purged': 'Nabura ang {count} kasong lampas na sa panahon ng pagtatago.',
+      'privacy.retention.purgeFailed': 'Hindi mabura ang mga kasong lampas na sa panahon ng pagtatago: {message}',
+      'privacy.retention.badge': 'Lampas na sa pagtatago',
+      'privacy.change.title': 'Palitan ang Passphrase',
+      'privacy.change.current': 'Kasalukuyang passphrase',
+      'privacy.change.new': 'Bagong passphrase',
+      'privacy.change.submit': 'Palitan ang Passphrase',
+      'privacy.change.done': 'Napalitan ang passphrase. Gamitin na ang bago mula ngayon.',
+      'privacy.change.failed': 'Hindi mapalitan ang passphrase: {message}',
+      'audit.field.caseId': 'Case ID',
+      'audit.field.dateReceived': 'Petsa ng pagtanggap',
+      'audit.field.caseTitle': 'Pamagat ng kaso',
+      'audit.field.language': 'Wika ng ulat',
+      'audit.field.complainant': 'Nagrereklamo',
+      'audit.field.respondents': 'Inirereklamo',
+      'audit.field.incident': 'Insidente',
+      'audit.field.penalty': 'Tinatayang parusa',
+      'audit.field.kp': 'Paglilitis sa KP',
+      'audit.field.classification': 'Klasipikasyon',
+      'audit.field.hearings': 'Pagdinig',
+      'audit.field.pangkat': 'Pangkat',
+      'audit.field.settlement': 'Kasunduan',
+      'audit.field.citations': 'Sipi',
+      'audit.field.legalPack': 'Legal pack',
+      'audit.leaf.name': 'Pangalan',
+      'audit.leaf.phone': 'Telepono',
+      'audit.leaf.email': 'Email',
+      'audit.leaf.address': 'Tirahan',
+      'audit.leaf.type': 'Uri',
+      'audit.leaf.summary': 'Buod',
+      'audit.leaf.location': 'Lugar',
+      'audit.leaf.dateTime': 'Petsa at oras',
+      'audit.leaf.propertyValue': 'Halaga ng ari-arian',
+      'audit.leaf.imprisonmentMonths': 'Pagkakakulong (buwan)',
+      'audit.leaf.fine': 'Multa',
+      'audit.leaf.status': 'Kalagayan',
+      'audit.leaf.dates': 'Mga petsa',
+      'audit.leaf.pangkatExtended': 'Pinalawig ang panahon ng Pangkat',
+      'audit.leaf.selected': 'Mga kategorya',
+      'audit.leaf.overridden': 'Itinakda ng opisyal',
+      'audit.leaf.date': 'Petsa',
+      'audit.leaf.time': 'Oras',
+      'audit.leaf.venue': 'Lugar ng pagdinig',
+      'audit.leaf.outcome': 'Kinalabasan',
+      'audit.leaf.parties': 'Mga partido',
+      'audit.leaf.members': 'Mga miyembro',
+      'audit.leaf.terms': 'Probisyon',
+      'audit.leaf.amount': 'Halaga',
+      'audit.leaf.description': 'Paglalarawan',
+      'audit.leaf.due': 'Takdang petsa',
+      'audit.leaf.version': 'Bersyon',
+      'lupon.title': 'Talaan ng Lupon',
+      'lupon.intro':
+        'Mga kasapi ng Lupong Tagapamayapa na maaaring piliin para sa Pangkat. Tatlong taon ang termino (LGC Sec. 400); hindi na iniaalok para sa bagong Pangkat ang mga kasaping tapos na ang termino.',
+      'lupon.name': 'Pangalan',
+      'lupon.purok': 'Purok',
+      'lupon.address': 'Tirahan',
+      'lupon.phone': 'Numero ng telepono',
+      'lupon.term': 'Termino',
+      'lupon.termStart': 'Simula ng termino',
+      'lupon.termEnd': 'Katapusan ng termino',
+      'lupon.termEndHint': 'Iwanang blangko para sa tatlong taon mula sa simula.',
+      'lupon.add': 'Idagdag ang Kasapi',
+      'lupon.save': 'I-save ang Kasapi',
+      'lupon.cancel': 'Kanselahin',
+      'lupon.edit': 'I-edit',
+      'lupon.remove': 'Alisin',
+      'lupon.removeConfirm': 'Alisin si {name} sa talaan? Mananatili ang pangalan sa mga Pangkat na nabuo na.',
+      'lupon.empty': 'Wala pang kasapi ng Lupon sa talaan.',
+      'lupon.saved': 'Na-save si {name} sa talaan.',
+      'lupon.removed': 'Inalis si {name} sa talaan.',
+      'lupon.serving': 'Naglilingkod',
+      'lupon.ended': 'Tapos na ang termino',
+      'lupon.notYet': 'Hindi pa nagsisimula ang termino',
+      'lupon.role.chairman': 'Tagapangulo',
+      'lupon.role.secretary': 'Kalihim',
+      'lupon.role.member': 'Kasapi',
+      'lupon.selection.agreed': 'pinili ng mga partido',
+      'lupon.selection.lot': 'nabunot sa palabunutan',
+      'lupon.conflict.surname': 'Kapareho ng apelyido ng {party}',
+      'lupon.conflict.address': 'Kapareho ng tirahan ng {party}',
+      'docket.export': 'I-export',
+      'docket.exportJson': 'I-export bilang JSON',
+      'docket.exportCsv': 'I-export bilang CSV',
+      'docket.import': 'Mag-import ng mga Kaso',
+      'docket.exported': 'Na-export ang {count} kaso.',
+      'docket.exportFailed': 'Hindi ma-export ang talaan: {message}',
+      'docket.imported': 'Tapos ang pag-import: {added} idinagdag, {replaced} pinalitan, {skipped} nilaktawan.',
+      'docket.importFailed': 'Hindi ma-import ang file: {message}',
+      'docket.importErrors': '{count} hanay ang hindi na-import:',
+      'docket.importRow': 'Hanay {row}',
+      'docket.importCase': 'Kaso {row}',
+      'docket.confirmReplace':
+        '{count} kaso sa file ang nasa talaan na ({ids}). Palitan ang mga ito ng in-import na bersiyon? Piliin ang Cancel para panatilihin ang nasa talaan.',
+      'kb.title': 'Batayang Legal',
+      'kb.intro':
+        'Mga paglabag, probisyon ng batas, parusa at jurisprudence na ginagamit sa mga ulat. Sa browser na ito naka-save ang mga pagbabago; i-export ang pack upang maibahagi sa ibang barangay.',
+      'kb.category': 'Kategorya',
+      'kb.choose': 'Pumili ng kategoryang babaguhin…',
+      'kb.new': 'Bagong Kategorya',
+      'kb.save': 'I-save ang Kategorya',
+      'kb.delete': 'Burahin ang Kategorya',
+      'kb.export': 'I-export ang Pack',
+      'kb.import': 'Mag-import ng Pack',
+      'kb.reset': 'Ibalik ang Kasamang Pack',
+      'kb.info': '{name}, bersiyon {version} (na-update {updated}).',
+      'kb.source.bundled': 'Ginagamit ang pack na kasama ng app.',
+      'kb.source.local': 'Ginagamit ang pack na binago o in-import dito (bersiyon ng kasamang pack: {bundledVersion}).',
+      'kb.field.key': 'Susi',
+      'kb.field.keyHint': 'Maliliit na titik, numero at gitling, hal. "trespass".',
+      'kb.field.nature': 'Uri ng Kaso',
+      'kb.field.reviewed': 'Huling Sinuri',
+      'kb.field.description': 'Paglalarawan',
+      'kb.field.natureFil': 'Uri ng Kaso (Filipino)',
+      'kb.field.descriptionFil': 'Paglalarawan (Filipino)',
+      'kb.field.keywords': 'Mga Keyword ng Klasipikasyon',
+      'kb.field.keywordsHint':
+        'Isang "parirala = bigat" bawat linya. Gamitin ang * sa simula o dulo ng salita para tumugma sa hulapi o unlapi (hal. "*nakaw* = 3"). Pagdugtungin ng + ang mga salitang magkasama lamang binibilang at ihiwalay ng | ang mga alternatibo (hal. "husband|asawa + punch*|sinuntok = 2").',
+      'kb.field.title': 'Pamagat',
+      'kb.field.basis': 'Batayang Legal',
+      'kb.field.text': 'Probisyon',
+      'kb.field.penalty': 'Parusa',
+      'kb.field.summary': 'Buod',
+      'kb.field.mediable': 'Maaaring pag-ayusin ng Lupon',
+      'kb.field.referralBasis': 'Batayang legal ng pag-refer',
+      'kb.field.referralBasisHint':
+        'Binabanggit kapag hindi maaaring pag-ayusin ang kategorya, hal. "R.A. 9262, Sec. 33".',
+      'kb.list.violations': 'Posibleng Paglabag',
+      'kb.list.counters': 'Posibleng Kontra-Reklamo',
+      'kb.list.jurisprudence': 'Jurisprudence',
+      'kb.addItem': '+ Magdagdag',
+      'kb.removeItem': 'Alisin',
+      'kb.saved': 'Na-save ang kategorya. Bersiyon {version} na ang pack.',
+      'kb.deleted': 'Nabura ang kategorya. Bersiyon {version} na ang pack.',
+      'kb.imported': 'Na-import ang {name}, bersiyon {version}.',
+      'kb.resetDone': 'Naibalik ang kasamang pack, bersiyon {version}.',
+      'kb.confirmDelete': 'Burahin ang kategoryang "{nature}" sa legal pack?',
+      'kb.confirmImport': 'Palitan ang kasalukuyang legal pack ng in-import? Mawawala ang mga lokal na pagbabago kung hindi muna na-export.',
+      'kb.confirmReset': 'Itapon ang mga lokal na pagbabago sa legal pack at gamitin ang kasamang pack?',
+      'kb.error.keywordLine': 'Ang linya {line} ng keyword ("{text}") ay dapat nasa anyong "parirala = bigat" na may positibong bigat.',
+      'kb.loadFailed': 'Hindi ma-load ang batayang legal: {message}',
+      'kb.unavailable': 'Hindi available ang batayang legal kaya hindi magagawa ang ulat.',
+      'research.title': 'Pananaliksik Legal (mga sangguniang PH)',
+      'research.search': 'Maghanap sa mga Sanggunian',
+      'research.offline':
+        'Offline ka. Kailangan ng internet ang mga online na sanggunian; piliin ang offline na aklatang legal para maghanap nang walang internet. Gumagana pa rin offline ang ibang bahagi ng app, kasama ang mga naka-save na kaso at ang legal knowledge base.',
+      'research.provider': 'Maghanap sa',
+      'research.provider.local': 'Offline na aklatang legal',
+      'research.provider.google': 'Mga online na sanggunian (Google)',
+      'research.offlineLocal':
+        'Offline ka, kaya ang offline na aklatang legal ang hinanap sa halip na ang mga online na sanggunian.',
+      'research.noResults': 'Walang nakitang resulta sa mga pinagkakatiwalaang sanggunian.',
+      'research.noResultsLocal':
+        'Walang tumutugma sa offline na aklatang legal. Subukan ang ibang salita, gaya ng numero ng artikulo o seksiyon.',
+      'research.site': 'Website',
+      'research.allSites': 'Lahat ng pinagkakatiwalaang site',
+      'research.type': 'Uri ng dokumento',
+      'research.filter.all': 'Lahat ng uri ng dokumento',
+      'research.filter.decision': 'Mga desisyon',
+      'research.filter.statute': 'Mga batas',
+      'research.filter.ordinance': 'Mga ordinansa',
+      'research.type.decision': 'Desisyon',
+      'research.type.statute': 'Batas',
+      'research.type.ordinance': 'Ordinansa',
+      'research.type.rules': 'Mga tuntunin',
+      'research.prev': 'Nakaraan',
+      'research.next': 'Susunod',
+      'research.page': 'Pahina {page}',
+      'research.cached':
+        'Mga naka-save na resulta mula {time}; hindi nababawasan ang quota ng paghahanap kapag inulit ito sa loob ng isang araw.',
+      'research.noResultsType':
+        'Walang resulta sa pahinang ito na nasa napiling uri ng dokumento. Subukan ang susunod na pahina.',
+      'research.history': 'Mga naunang paghahanap para sa kasong ito:',
+      'research.historyClear': 'Burahin',
+      'research.searching': 'Naghahanap…',
+      'research.attach': 'Ilakip sa ulat',
+      'research.error': 'Error: {message}',
+      'research.requestFailed': 'Hindi natuloy ang paghahanap: {status}',
+      'research.sources':
+        'Offline na aklatan: Revised Penal Code, Local Government Code (Katarungang Pambarangay), mga tuntunin ng KP at ang jurisprudence ng legal pack. Mga online na sanggunian: Lawphil, ChanRobles, Korte Suprema, Court of Appeals, Official Gazette, atbp.',
+
+      // Citations attached to a case
+      'citations.title': 'Mga sitasyon para sa kasong ito',
+      'citations.hint':
+        'Ang mga ikinabit na sitasyon ay naka-save kasama ng kaso at nakalista sa "Karagdagang mga Awtoridad" ng ulat.',
+      'citations.note': 'Tala',
+      'citations.notePlaceholder': 'Bakit ito mahalaga (opsiyonal)',
+      'citations.moveUp': 'Itaas',
+      'citations.moveDown': 'Ibaba',
+      'citations.remove': 'Alisin',
+      'citations.duplicate': 'Nakakabit na sa kaso ang awtoridad na ito.',
+      'citations.attached': 'Naikabit ang sitasyon sa kaso.',
+      'citations.attachedUnsaved': 'Naikabit ang sitasyon. Mase-save ito kasama ng kaso kapag ginawa ang ulat.',
+
+      // KP stages and deadlines
+      'kp.stage.filed': 'Naihain ang reklamo',
+      'kp.stage.summons': 'Naipadala ang patawag (summons)',
+      'kp.stage.mediation': 'Pamamagitan sa harap ng Punong Barangay',
+      'kp.stage.pangkat': 'Nabuo ang Pangkat',
+      'kp.stage.conciliation': 'Pagkakasundo sa harap ng Pangkat',
+      'kp.stage.settled': 'Napagkasunduan (amicable settlement)',
+      'kp.stage.repudiated': 'Itinakwil ang kasunduan',
+      'kp.stage.cfa': 'Naibigay ang Certificate to File Action',
+      'kp.deadline.summons': 'Magpadala ng patawag sa inirereklamo',
+      'kp.deadline.mediation': 'Magkasundo sa pamamagitan ({days} araw mula sa unang pulong)',
+      'kp.deadline.pangkat':
+        'Magkasundo sa harap ng Pangkat ({days} araw mula sa unang pulong nito, maaaring palawigin nang {extension})',
+      'kp.deadline.pangkatExtended':
+        'Magkasundo sa harap ng Pangkat ({days} araw mula sa unang pulong nito at {extension} araw na ekstensiyon)',
+      'kp.deadline.repudiation': 'Panahon ng pagtatakwil sa kasunduan ({days} araw)',
+      'kp.deadline.installment': 'Kondisyon {term}: bayaran ang hulugang {amount}',
+      'kp.deadline.term': 'Kondisyon {term}: tuparin ang pangako',
+      'kp.deadline.breach': 'Kondisyon {term}: paglabag sa kasunduan; maghain ng mosyon para sa pagpapatupad',
+      'kp.deadline.execution': 'Pagpapatupad ng Lupon sa kasunduan ({months} buwan)',
+      'kp.deadline.prescription': 'Magsampa sa korte bago mapaso ang panahon para sa {offense}',
+      'kp.left.done': 'Natupad na',
+      'kp.left.lapsed': 'Lumipas na; pinal na ang kasunduan',
+      'kp.left.executionLapsed': 'Lumipas na; ipatupad sa pamamagitan ng kaso sa hukuman',
+      'kp.left.overdue': 'Lampas na nang {days}',
+      'kp.left.today': 'Takdang petsa ngayong araw',
+      'kp.left.open': '{days} na lang',
+
+      // Report
+      'report.generatedOn': 'Binuo noong {date}',
+      'report.pdf.caseNo': 'Kaso Blg. {caseId}',
+      'report.pdf.page': 'Pahina {page} ng {pages}',
+      'report.signature.preparedBy': 'Inihanda ni:',
+      'report.signature.notedBy': 'Binigyang-pansin ni:',
+      'report.signature.secretary': 'Kalihim ng Lupon',
+      'report.signature.punongBarangay': 'Punong Barangay / Tagapangulo ng Lupon',
+      'report.caseParties': 'Impormasyon ng Kaso at mga Partido',
+      'report.caseId': 'Numero ng Kaso',
+      'report.dateReceived': 'Petsa ng Pagtanggap',
+      'report.complainant': 'Nagrereklamo',
+      'report.respondentN': 'Inirereklamo {n}',
+      'report.phone': 'Telepono',
+      'report.email': 'Email',
+      'report.address': 'Tirahan',
+      'report.kp.title': 'Mga Paglilitis sa Katarungang Pambarangay',
+      'report.kp.status': 'Kasalukuyang katayuan',
+      'report.kp.timeline': 'Takbo ng Kaso',
+      'report.kp.deadlines': 'Mga Takdang Petsa',
+      'report.kp.noDeadlines':
+        'Hindi pa makukuwenta ang mga takdang petsa. Itala ang petsa ng paghahain at ang petsa ng bawat yugto.',
+      'report.kp.due': 'takdang petsa {date}',
+      'report.jurisdiction.title': 'Hurisdiksiyon at Lugar ng Paghahain',
+      'report.jurisdiction.status': 'Pasya',
+      'report.jurisdiction.checks': 'Mga Pagsusuri',
+      'report.jurisdiction.venue': 'Lugar ng Paghahain',
+      'report.jurisdiction.venueNote':
+        'Kung tungkol sa lupa o ari-ariang di-natitinag ang usapin, ihahain ito kung saan matatagpuan ang ari-arian; kung naganap sa pinagtatrabahuhan o paaralan, kung saan naroon ang pinagtatrabahuhan o paaralan (LGC Sec. 409(c), (d)). Itinuturing na isinuko ang pagtutol sa lugar ng paghahain kung hindi ito itinaas sa harap ng Punong Barangay.',
+      'jurisdiction.status.within': 'Saklaw ng Lupon',
+      'jurisdiction.status.conditional': 'Saklaw lamang ng Lupon kung matutugunan ang mga kondisyon sa ibaba',
+      'jurisdiction.status.outside': 'Hindi saklaw ng Lupon',
+      'jurisdiction.status.undetermined': 'Hindi matiyak nang buo; kumpletuhin ang kulang na detalye',
+      'jurisdiction.result.pass': 'OK',
+      'jurisdiction.result.warn': 'Suriin',
+      'jurisdiction.result.fail': 'Hindi saklaw',
+      'jurisdiction.result.unknown': 'Hindi alam',
+      'jurisdiction.check.parties': 'Mga partido',
+      'jurisdiction.check.penalty': 'Parusa',
+      'jurisdiction.check.residence': 'Tirahan ng mga partido',
+      'jurisdiction.check.venue': 'Lugar ng paghahain',
+      'jurisdiction.check.subject': 'Uri ng usapin',
+      'jurisdiction.reason.mediable': 'Wala sa mga natukoy na paglabag ang ipinagbabawal ng batas na pag-ayusin.',
+      'jurisdiction.reason.nonMediable':
+        'Hindi maaaring pag-ayusin sa mediation o conciliation ang {natures}; i-refer ang kaso sa kinauukulang awtoridad.',
+      'jurisdiction.reason.government':
+        'Ang partidong {name} ay pamahalaan o isa sa mga tanggapan nito; hindi sakop ng pagkakasundo sa barangay ang ganitong usapin.',
+      'jurisdiction.reason.juridical':
+        'Ang partidong {name} ay isang juridical entity; mga likas na tao lamang ang maaaring maging partido sa harap ng Lupon.',
+      'jurisdiction.reason.publicOfficer':
+        'Ang partidong {name} ay opisyal o kawani ng pamahalaan; hindi saklaw ang kaso kung may kaugnayan ito sa pagganap ng kanyang opisyal na tungkulin.',
+      'jurisdiction.reason.individuals': 'Pawang pribadong indibidwal ang mga partido.',
+      'jurisdiction.reason.noParties': 'Walang ibinigay na detalye ng mga partido.',
+      'jurisdiction.reason.penaltyUnknown':
+        'Walang tinatayang parusa. Hindi saklaw ang mga paglabag na may parusang higit sa {maxMonths} buwang pagkakakulong o multang higit sa ₱5,000.',
+      'jurisdiction.reason.penaltyExceeds':
+        'Lampas sa isang taong pagkakakulong o multang {maxFine} ang tinatayang parusa ({months}, {fine}); direktang dadalhin ang kaso sa piskal o hukuman.',
+      'jurisdiction.reason.penaltyWithin':
+        'Hindi lampas sa isang taong pagkakakulong o multang {maxFine} ang tinatayang parusa ({months}, {fine}).',
+      'jurisdiction.reason.penaltyComputedExceeds':
+        'Lampas sa isang taong pagkakakulong o multang {maxFine} ang parusang kinuwenta mula sa halagang sangkot ({months}, {fine}); direktang dadalhin ang kaso sa piskal o sa korte.',
+      'jurisdiction.reason.penaltyComputedWithin':
+        'Hindi lampas sa isang taong pagkakakulong o multang {maxFine} ang parusang kinuwenta mula sa halagang sangkot ({months}, {fine}).',
+      'jurisdiction.reason.penaltyComputedAlternative':
+        'Ang parusang kinuwenta mula sa halagang sangkot ay {months} na pagkakakulong o, sa halip nito, multang hanggang {fine}. Maaaring ipataw ng korte ang pagkakakulong, na hindi lampas sa isang taon, kaya hindi inaalis ng alternatibong multa ang kaso sa hurisdiksiyon ng Lupon.',
+      'jurisdiction.reason.addressUnknown':
+        'Hindi mabasa mula sa mga tirahan ang lungsod o bayan ng nagrereklamo at ng mga inirereklamo.',
+      'jurisdiction.reason.addressPartial':
+        'Nakatira sa {city} ang nagrereklamo at ang mga natukoy na inirereklamo, ngunit may mga tirahang hindi mabasa.',
+      'jurisdiction.reason.differentCities':
+        'Nakatira sa {city} ang nagrereklamo samantalang nasa {cities} ang isang inirereklamo, na hindi karatig nito; hindi sakop ng pagkakasundo sa barangay ang usapin.',
+      'jurisdiction.reason.adjoiningCities':
+        'Nakatira sa {city} ang nagrereklamo at sa karatig na {cities} ang isang inirereklamo; maaari lamang dinggin ng Lupon kung magkatabi ang kanilang mga barangay at pumayag ang mga partido.',
+      'jurisdiction.reason.sameCity': 'Nakatira sa {city} ang lahat ng partido.',
+      'jurisdiction.reason.sameBarangay': 'Iisang barangay ang tirahan ng mga partido ({barangay}); sa Lupon nito ihahain ang reklamo.',
+      'jurisdiction.reason.respondentBarangay':
+        'Magkaiba ang barangay ng mga partido; ihahain ang reklamo sa barangay na tinitirhan ng inirereklamo o ng sinuman sa mga inirereklamo ({barangay}), ayon sa pili ng nagrereklamo.',
+      'jurisdiction.reason.venueUnknown': 'Hindi mabasa mula sa mga tirahan ang barangay ng mga inirereklamo.',
+      'jurisdiction.venue.here': 'Ito ang tamang lugar ng paghahain (Barangay {own}).',
+      'jurisdiction.venue.elsewhere': 'Hindi ang Barangay {own} ang tamang lugar ng paghahain; ituro ang nagrereklamo sa barangay sa itaas.',
+      'jurisdiction.venue.unconfigured': 'Itakda ang barangay sa config.js upang maihambing ang lugar ng paghahain sa barangay na ito.',
+      'report.prescription.title': 'Preskripsiyon ng Pagkakasala',
+      'prescription.start':
+        'Nagsisimula ang panahon sa insidente noong {date}, na itinuturing na araw ng pagkatuklas sa pagkakasala (RPC Art. 91).',
+      'prescription.interruption':
+        'Ang reklamong inihain sa Punong Barangay noong {from} ay pumipigil sa pagtakbo ng panahon hanggang {to} ({days}; LGC Sec. 410(c)).',
+      'prescription.interruptionOpen':
+        'Hindi pa naiisyu ang sertipikasyon para makapagsampa ng kaso, kaya ibinibilang ang buong 60 araw; mapapaaga ang mga takdang petsa sa ibaba kung maiisyu ito nang mas maaga.',
+      'prescription.fileBy': 'napapaso sa loob ng {period}; magsampa sa korte hanggang {date}',
+      'prescription.lightest': 'Ibinatay sa pinakamagaang parusa ng probisyon, na unang napapaso.',
+      'prescription.notInterrupted':
+        'Inihain ang reklamo nang paso na ang pagkakasalang ito kaya hindi nito napigil ang panahon.',
+      'prescription.state.left': '{days} pa ang natitira',
+      'prescription.state.today': 'ngayon ang huling araw',
+      'prescription.state.prescribed': 'napaso {days} na ang nakalipas',
+      'prescription.warning.near':
+        'Preskripsiyon: mapapaso ang {offense} sa {date} ({state}). Isampa ang kaso sa korte bago iyon.',
+      'prescription.warning.prescribed':
+        'Preskripsiyon: napaso ang {offense} noong {date}. Hindi na maisasampa ang kasong kriminal.',
+      'prescription.note':
+        'Ang buwan ay binibilang na 30 araw at ang taon ayon sa kalendaryo (Civil Code Art. 13; Administrative Code, Book I, Sec. 31). Kapag natapat sa Sabado o Linggo ang huling araw, inililipat ito sa susunod na araw ng trabaho; hindi isinasaalang-alang ang mga piyesta opisyal.',
+      'report.incidentDetails': 'Mga Detalye ng Pangyayari',
+      'report.summary': 'Buod',
+      'report.location': 'Lugar',
+      'report.dateTime': 'Petsa at Oras',
+      'report.legalAnalysis': 'Pagsusuring Legal',
+      'report.legalTextNote':
+        'Paalala: Ang mga probisyon ng batas at ang buod ng mga desisyon ay nasa orihinal na wikang Ingles.',
+      'report.legalPack': 'Pinagkunan: {name}, bersiyon {version} (na-update {updated}).',
+      'report.nature': 'Uri ng Kaso',
+      'report.classifiedBy': 'Batay ang klasipikasyon sa: {phrases}',
+      'report.violations': 'Mga Posibleng Paglabag ng Inirereklamo',
+      'report.legalBasis': 'Batayang legal',
+      'report.provision': 'Probisyon',
+      'report.penalty': 'Parusa',
+      'report.jurisprudence': 'Kaugnay na mga Desisyon ng Korte',
+      'report.authorities': 'Karagdagang mga Awtoridad',
+      'report.pangkat': 'Pangkat ng Tagapagkasundo',
+      'report.pangkat.constitutedOn': 'Nabuo noong',
+      'report.settlement': 'Amicable Settlement (Kasunduan)',
+      'report.authorities.source': 'Pinagkunan',
+      'report.partyHistory': 'Iba pang Kaso ng mga Partido',
+      'report.partyHistory.none': 'Walang ibang kaso sa talaan.',
+      'report.partyHistory.repeat':
+        'Paulit-ulit na inirereklamo: inirereklamo sa {count} kasong natanggap sa nakaraang 12 buwan, kasama ang kasong ito. Para sa kaalaman ng Punong Barangay.',
+      'report.partyHistory.complainant': 'bilang nagrereklamo',
+      'report.partyHistory.respondent': 'bilang inirereklamo',
+      'report.partyHistory.received': 'natanggap noong {date}',
+      'party.outcome.settled': 'Naayos',
+      'party.outcome.repudiated': 'Itinakwil ang kasunduan',
+      'party.outcome.certified': 'Nabigyan ng sertipiko para makapagsampa ng kaso',
+      'party.outcome.referred': 'Inilipat sa kinauukulang tanggapan',
+      'party.outcome.pending': 'Nakabinbin: {stage}',
+      'report.counters': 'Mga Posibleng Kontra-Demanda ng Inirereklamo',
+      'report.penaltyCalc.title': 'Pagkuwenta ng Parusa',
+      'penaltyCalc.step.noAmount':
+        'Walang nakitang halaga sa piso. Ilagay ang halaga ng ari-arian o pinsala upang makuwenta ang parusa.',
+      'penaltyCalc.step.amountField': 'Inilagay na halaga ng ari-arian o pinsala: {amount}.',
+      'penaltyCalc.step.amountSummary': 'Halagang nabasa sa buod ng pangyayari: {amount} (“{text}”).',
+      'penaltyCalc.step.amountLargest': 'Ilang halaga ang nabanggit ({amounts}); ang pinakamalaki ang ginamit.',
+      'penaltyCalc.step.bracket': 'Ayon sa {basis}, par. {paragraph}, ang halagang {range} ay may parusang {penalty}.',
+      'penaltyCalc.step.maximum': 'Pinakamahabang pagkakakulong: {duration}.',
+      'penaltyCalc.step.maximumFine': 'Pinakamahabang pagkakakulong: {duration}; pinakamalaking multa: {fine}.',
+      'penaltyCalc.step.maximumAlternative':
+        'Pinakamabigat na parusa: {duration} na pagkakakulong o, sa halip nito, multang hanggang {fine}.',
+      'penaltyCalc.step.within':
+        'Hindi ito lampas sa isang taong pagkakakulong o multang {maxFine}, kaya hindi inaalis ng parusa ang kaso sa hurisdiksiyon ng Lupon (LGC Sec. 408(c)).',
+      'penaltyCalc.step.withinAlternative':
+        'Lampas sa {maxFine} ang multa, ngunit maaaring ipataw ng korte ang pagkakakulong sa halip nito, na hindi lampas sa isang taon, kaya hindi inaalis ng parusa ang kaso sa hurisdiksiyon ng Lupon (LGC Sec. 408(c)).',
+      'penaltyCalc.step.outside':
+        'Lampas ito sa isang taong pagkakakulong o multang {maxFine}, kaya labas ang kaso sa hurisdiksiyon ng Lupon (LGC Sec. 408(c)) at dadalhin sa piskal o sa korte.',
+      'penaltyCalc.range.upTo': 'hindi hihigit sa {max}',
+      'penaltyCalc.range.between': 'higit sa {min} ngunit hindi hihigit sa {max}',
+      'penaltyCalc.range.over': 'higit sa {min}',
+      'penaltyCalc.note.theft':
+        'Dalawang antas na mas mabigat ang parusa sa qualified theft (Art. 310, hal. ng kasambahay o may malubhang pag-abuso sa tiwala) at hindi ito saklaw ng pagkuwentang ito.',
+      'penaltyCalc.note.malicious-mischief':
+        'Mas mabigat ang parusa sa mga espesyal na kaso sa ilalim ng Art. 328 (hal. pinsala sa pampublikong ari-arian o paggamit ng lason) at hindi saklaw ng pagkuwentang ito.',
+      'report.mediation': 'Estratehiya sa Pamamagitan / Pagkakasundo',
+      'report.objectives': 'Mga Layunin ng Pamamagitan',
+      'report.issues': 'Mga Isyung Maaaring Pag-usapan sa Pamamagitan',
+      'report.notForMediation': 'Mga Isyung HINDI Saklaw ng Pamamagitan',
+      'report.outcomes': 'Inaasahang Resulta at mga Posibleng Kasunduan',
+      'report.questions': 'Mga Estratehikong Tanong para sa Pamamagitan',
+      'report.referral.title': 'I-refer – Huwag Pag-ayusin',
+      'report.referral.reason':
+        'Hindi maaaring lutasin sa pamamagitan o pagkakasundo sa barangay ang {nature} ({basis}). Huwag ipatawag ang mga partido sa pagdinig para sa pamamagitan.',
+      'report.referral.steps': 'Mga dapat gawin',
+      'report.role.complainant': 'Nagrereklamo',
+      'report.role.respondent': 'Inirereklamo',
+      'report.q.openEnded': 'Mga Bukas na Tanong',
+      'report.q.clarifying': 'Mga Tanong na Naglilinaw',
+      'report.q.reflective': 'Mga Tanong na Nagpapanilay',
+      'report.q.exploratory': 'Mga Tanong na Nagsisiyasat',
+      'report.q.conscience': 'Mga Tanong na Umaapela sa Konsensya',
+      'report.disclaimer':
+        'Paalala: Ang ulat na ito ay inihanda para sa layuning pang-impormasyon lamang at hindi itinuturing na payong legal. Dapat kumonsulta ang mga opisyal ng barangay at ang mga partido sa isang kwalipikadong abogado para sa tiyak na payong legal.',
+
+      // Mediation strategy
+      'mediation.objectives': [
+        'Linawin ang lahat ng katotohanan at tiyaking lubos na napapakinggan ang dalawang panig',
+        'Hikayatin ang mga partido na magkasundo sa angkop na pagsasauli o bayad-pinsala',
+        'Itaguyod ang paggalang at ibalik ang pagkakasundo sa pamayanan ng barangay',
+        "Iwasan hangga't maaari na umabot pa sa korte ang usapin",
+        'Tiyakin ang pagsunod sa mga umiiral na batas at ordinansa',
+      ],
+      'mediation.theft.issues': [
+        "Pagsasauli ng umano'y ninakaw na ari-arian o pagbabayad ng halaga nito",
+        'Paghingi ng paumanhin at pagkilala sa pinsalang naidulot',
+        'Kasunduan sa magiging asal sa hinaharap at paggalang sa karapatan sa ari-arian',
+      ],
+      'mediation.theft.notForMediation': ['Pagpapasya kung nagkasala ng pagnanakaw (nasa hurisdiksyon ng korte)'],
+      'mediation.theft.outcomes': [
+        'Buong pagsasauli at nakasulat na paghingi ng paumanhin',
+        'Serbisyo sa pamayanan o boluntaryong gawain bilang tanda ng pagsisisi',
+      ],
+      'mediation.threat.issues': [
+        'Pangako ng inirereklamo na hindi na magbabanta o manliligalig',
+        'Pag-usapan ang ugat na alitan na nagbunsod sa pagbabanta',
+        "Kasunduan sa mga hakbang pangkaligtasan o paglayo sa isa't isa",
+      ],
+      'mediation.threat.notForMediation': ['Pag-uusig sa malubhang pagbabanta (grave threats) kung kumpleto ang mga elemento'],
+      'mediation.threat.outcomes': [
+        'Nakasulat na pangakong pananatilihin ang kapayapaan at paggalang',
+        "Kasunduang hindi manliligalig sa isa't isa o mga tuntunin sa pakikipag-usap",
+      ],
+      'mediation.defamation.issues': [
+        'Pagbawi o pagtutuwid sa mga mapanirang pahayag',
+        'Pampubliko o nakasulat na paghingi ng paumanhin upang maibalik ang dangal',
+        'Kasunduang hindi na uulitin ang mga mapanirang pahayag',
+      ],
+      'mediation.defamation.notForMediation': ['Pag-uusig para sa malubhang paninirang-puri'],
+      'mediation.defamation.outcomes': [
+        'Pirmadong pagbawi at paghingi ng paumanhin',
+        'Paglilinaw sa pamayanan upang mabawasan ang pinsala sa dangal',
+      ],
+      'mediation.injury.issues': [
+        'Bayad sa gastusing medikal at nawalang kita',
+        'Kasunduang iiwasan ang pisikal na komprontasyon',
+        'Pagsisiyasat sa ugat ng away',
+      ],
+      'mediation.injury.notForMediation': ['Pagpapasya ng pananagutan sa malubhang pinsala sa katawan'],
+      'mediation.injury.outcomes': [
+        'Pagbabayad ng gastusing medikal at danyos',
+        "Kasunduang lumayo at igalang ang isa't isa",
+      ],
+      'mediation.unjust-vexation.issues': [
+        'Pagtukoy sa mga tiyak na gawaing ikinainis o ikinahiya ng nagrereklamo',
+        'Paghingi ng tawad at pangakong ititigil ang inirereklamong gawain',
+        'Pagsasauli ng anumang gamit na kinuha o inilipat',
+      ],
+      'mediation.unjust-vexation.notForMediation': [
+        'Mga gawaing maituturing na grave coercion o pagbabanta na may parusang lampas sa hurisdiksiyon ng barangay',
+      ],
+      'mediation.unjust-vexation.outcomes': [
+        'Nakasulat na pangakong hindi na gagambalain ang nagrereklamo',
+        'Kasunduan kung paano makikitungo ang mga partido sa isa\'t isa sa hinaharap',
+      ],
+      'mediation.alarms-scandals.issues': [
+        'Epekto ng kaguluhan sa nagrereklamo at sa kapitbahayan',
+        'Paghingi ng tawad sa mga naabala',
+        'Mga patakaran sa handaan, inuman at paggamit ng paputok',
+      ],
+      'mediation.alarms-scandals.notForMediation': [
+        'Iligal na pagpapaputok ng baril o iba pang krimen laban sa kaayusang pampubliko na walang pribadong nasaktang partido',
+      ],
+      'mediation.alarms-scandals.outcomes': [
+        'Pangakong panatilihin ang katahimikan at sundin ang oras ng pamamahinga',
+        'Pagbabayad sa anumang pinsalang naidulot ng kaguluhan',
+      ],
+      'mediation.trespass.issues': [
+        'Dahilan ng pagpasok ng inirereklamo sa tirahan o ari-arian',
+        'Pagkilala sa karapatan ng nagrereklamo na tumanggi sa pagpasok',
+        'Pagkumpuni ng anumang sira sa pinto, tarangkahan o bakod',
+      ],
+      'mediation.trespass.notForMediation': [
+        'Trespass na may karahasan o pananakot (parusang lampas sa isang taon)',
+      ],
+      'mediation.trespass.outcomes': [
+        'Pangakong hindi papasok sa bakuran ng nagrereklamo nang walang pahintulot',
+        'Kasunduan kung paano mag-uusap ang mga partido tungkol sa magkasamang alalahanin',
+      ],
+      'mediation.malicious-mischief.issues': [
+        'Halaga ng nasirang ari-arian at gastos sa pagpapaayos o pagpapalit',
+        'Iskedyul at paraan ng pagbabayad',
+        'Alitang pinagmulan ng pagsira',
+      ],
+      'mediation.malicious-mischief.notForMediation': [
+        'Pinsala sa pampublikong ari-arian o paggamit ng lason (Art. 328), na mas mabigat ang parusa',
+      ],
+      'mediation.malicious-mischief.outcomes': [
+        'Pagpapaayos, pagpapalit o pagbabayad ng nasirang ari-arian',
+        'Paghingi ng tawad at pangakong hindi na sisirain ang ari-arian ng nagrereklamo',
+      ],
+      'mediation.estafa.issues': [
+        'Halaga ng pera o ari-ariang sangkot',
+        'Pagsasauli ng pera o ari-arian, o hulugang pagbabayad',
+        'Paglilinaw sa mga orihinal na napagkasunduan ng mga partido',
+      ],
+      'mediation.estafa.notForMediation': [
+        'Estafa na higit sa ₱40,000, na may parusang lampas sa hurisdiksiyon ng barangay',
+        'Mga pakanang maraming biktima, gaya ng investment o pyramid scam',
+      ],
+      'mediation.estafa.outcomes': [
+        'Nakasulat na plano ng pagbabayad na may mga takdang petsa at halaga',
+        'Pagsasauli ng ari-arian o ng halaga nito',
+      ],
+      'mediation.debt.issues': [
+        'Halaga ng prinsipal at ng mga naibayad na',
+        'Tubo, kung nakasulat sa kasunduan, at kung makatwiran ito',
+        'Iskedyul ng pagbabayad na kayang tuparin ng may utang',
+      ],
+      'mediation.debt.notForMediation': [
+        'Pagbabanta o pagpapahiya sa publiko sa paniningil, na hiwalay na mga krimen',
+      ],
+      'mediation.debt.outcomes': [
+        'Kasunduang may plano ng hulugang pagbabayad, na maipatutupad na parang pinal na desisyon matapos ang sampung araw',
+        'Certificate to File Action para sa small claims kung walang kasunduan',
+      ],
+      'mediation.bp22.issues': [
+        'Halaga ng tumalbog na tseke at ng pinagmulang obligasyon',
+        'Pagpapalit ng tseke ng cash o ng plano ng pagbabayad',
+        'Kung natanggap ang nakasulat na abiso ng pagtalbog',
+      ],
+      'mediation.bp22.notForMediation': [
+        'Mga tsekeng ang halaga ay nagpapalampas sa ₱5,000 ng posibleng multa',
+      ],
+      'mediation.bp22.outcomes': [
+        'Buo o hulugang pagbabayad ng halaga ng tseke',
+        'Pag-urong ng reklamo kapag nabayaran na ang halaga',
+      ],
+      'mediation.nuisance.issues': [
+        'Pinagmulan, oras at dalas ng ingay, amoy o iba pang perwisyo',
+        'Mga praktikal na hakbang upang mabawasan ito (oras ng katahimikan, paglilipat ng kulungan, wastong pagtatapon ng basura)',
+        'Pagsunod sa umiiral na ordinansa ng lungsod',
+      ],
+      'mediation.nuisance.notForMediation': [
+        'Pagpapataw ng multa ng ordinansa at pag-aalis ng pampublikong perwisyo ng lungsod',
+      ],
+      'mediation.nuisance.outcomes': [
+        'Kasunduan sa oras ng katahimikan at lakas ng tunog',
+        'Pangakong aayusin ang pinagmumulan ng perwisyo sa napagkasunduang petsa',
+      ],
+      'mediation.boundary.issues': [
+        'Lokasyon ng hangganan batay sa titulo, tax declaration at anumang relocation survey',
+        'Paghahati sa gastos ng relocation survey ng lisensiyadong geodetic engineer',
+        'Paggamit ng mga daanan habang hinihintay ang survey',
+      ],
+      'mediation.boundary.notForMediation': [
+        'Mga usapin sa lupang nasa magkaibang lungsod, maliban kung pumayag ang mga partido',
+        'Mga tanong sa pagmamay-ari na nangangailangan ng pasya ng korte sa mga titulo',
+      ],
+      'mediation.boundary.outcomes': [
+        'Kasunduang susundin ang relocation survey at ibabalik ang mga muhon',
+        'Kasunduan sa paglilipat ng bakod o sa daanan na may kabayaran',
+      ],
+      'mediation.rent.issues': [
+        'Halaga ng hindi nabayarang upa at ang panahong saklaw nito',
+        'Paggamit o pagsasauli ng paunang bayad at deposito',
+        'Petsa ng pagbabayad o pag-alis ng umuupa',
+      ],
+      'mediation.rent.notForMediation': [
+        'Pagpapaalis nang walang utos ng korte, na hindi maaaring gawin ng nagpapaupa nang mag-isa',
+      ],
+      'mediation.rent.outcomes': [
+        'Plano ng pagbabayad ng atraso habang nagpapatuloy ang upahan',
+        'Kasunduan sa petsa ng pag-alis at paggamit ng deposito bilang bayad sa atraso',
+      ],
+      'mediation.referral': [
+        'Huwag ipatawag ang mga partido sa pamamagitan o pagkakasundo, at huwag hilingin sa nagrereklamo na makipag-areglo o iurong ang reklamo.',
+        'Itala ang reklamo sa blotter ng barangay at panatilihing kumpidensiyal ang mga rekord.',
+        'I-refer ang nagrereklamo sa kinauukulang ahensiya (PNP, City Social Welfare and Development Office o piskal) at itala ang pag-refer.',
+      ],
+      'mediation.vawc.referral': [
+        'Huwag pag-ayusin sa pamamagitan o pagkakasundo, at huwag impluwensiyahan ang babae na makipag-areglo o iurong ang anumang hinihingi niyang lunas (R.A. 9262, Sec. 33).',
+        'Kung humiling siya ng Barangay Protection Order, dapat itong ilabas ng Punong Barangay (o ng isang Kagawad kung wala siya) sa araw ding iyon, kahit walang pagdinig (Sec. 14).',
+        'I-refer siya sa VAW Desk ng barangay, sa Women and Children Protection Desk ng PNP at sa City Social Welfare and Development Office; ipagamot siya kung may pinsala.',
+        'Panatilihing kumpidensiyal ang lahat ng rekord ng kaso (Sec. 44).',
+      ],
+      'mediation.child-abuse.referral': [
+        'Huwag pag-ayusin sa pamamagitan o pagkakasundo; may parusang lampas sa hurisdiksiyon ng barangay ang pang-aabuso sa bata.',
+        'Tiyakin agad ang kaligtasan ng bata at iulat ang kaso sa City Social Welfare and Development Office at sa Women and Children Protection Desk ng PNP.',
+        'Ipasuri ang bata sa doktor kung pisikal o sekswal ang pang-aabuso.',
+        'Panatilihing kumpidensiyal ang pagkakakilanlan ng bata at ang lahat ng rekord ng kaso.',
+      ],
+      'mediation.general.issues': [
+        'Paglilinaw sa mga tiyak na hinaing na inihain',
+        'Pagtukoy sa mga angkop na batas at ordinansa',
+        'Paghahanap ng lunas na katanggap-tanggap sa dalawang panig',
+      ],
+      'mediation.general.notForMediation': [
+        'Mga usaping may parusang pagkakakulong nang higit sa isang taon o multang higit sa ₱5,000',
+      ],
+      'mediation.general.outcomes': [
+        'Kasunduang naitala sa Lupong Tagapamayapa',
+        'Pag-refer sa angkop na ahensya kung labas sa hurisdiksyon ng barangay',
+      ],
+
+      // Strategic questions
+      'questions.openEnded': [
+        'Maaari mo bang ilarawan sa sarili mong salita ang nangyari sa {loc} noong {dt}?',
+        'Ano ang mga pangyayaring humantong dito at paano ka tumugon?',
+        'Paano ka naapektuhan ng pangyayaring ito at ang iyong pang-araw-araw na buhay?',
+      ],
+      'questions.clarifying': [
+        'Anong oras nangyari ito at sino pa ang naroon?',
+        'Saan mismo sa {loc} nangyari ang insidente?',
+        'Maaari mo bang tukuyin ang mga salita o kilos na sa tingin mo ay lalong mahalaga?',
+      ],
+      'questions.reflective': [
+        'Sa tingin mo, ano ang naramdaman ng kabilang panig noong mangyari ito?',
+        'Sa pagbabalik-tanaw, may nais ka bang nagawa sana nang iba?',
+        'Paano naapektuhan ng alitang ito ang relasyon mo sa kabilang panig?',
+      ],
+      'questions.exploratory': [
+        'Ano para sa iyo ang patas at makatarungang solusyon sa alitang ito?',
+        'Handa ka bang magparaya upang maayos ang usaping ito?',
+        'Paano, para sa iyo, maibabalik ang tiwala?',
+      ],
+      'questions.conscience': [
+        'Kung ikaw ang nasa kalagayan nila, paano mo gugustuhing tratuhin ka?',
+        'Anong mensahe ang nais mong iparating sa pamayanan tungkol sa pag-aayos ng alitan?',
+        'Paano makikinabang kayong dalawa sa isang maayos na kasunduan?',
+      ],
+      'questions.defaultLocation': 'ang lugar',
+    },
+  };
+
+  function normalizeLanguage(lang) {
+    return LANGUAGES[lang] ? lang : DEFAULT_LANGUAGE;
+  }
+
+  function interpolate(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+  }
+
+  // Look up a string (or list of strings) in the given language
+  function t(key, lang, params) {
+    const dict = STRINGS[normalizeLanguage(lang)];
+    let value = dict[key];
+    if (value === undefined) value = STRINGS[DEFAULT_LANGUAGE][key];
+    if (value === undefined) return key;
+    if (Array.isArray(value)) return value.map((item) => interpolate(item, params));
+    return interpolate(value, params);
+  }
+
+  // Whether a key exists, e.g. to fall back to the general mediation text
+  function has(key) {
+    return STRINGS[DEFAULT_LANGUAGE][key] !== undefined;
+  }
+
+  // "3 days" / "3 araw"
+  function days(n, lang) {
+    return `${n} ${t(n === 1 ? 'unit.day' : 'unit.days', lang)}`;
+  }
+
+  function locale(lang) {
+    return LANGUAGES[normalizeLanguage(lang)].locale;
+  }
+
+  function getUiLanguage() {
+    try {
+      return normalizeLanguage(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+      return DEFAULT_LANGUAGE;
+    }
+  }
+
+  // Translate every tagged element below root
+  function applyTranslations(root, lang) {
+    const language = normalizeLanguage(lang || getUiLanguage());
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n, language);
+    });
+    scope.querySelectorAll('[data-i18n-html]').forEach((el) => {
+      el.innerHTML = t(el.dataset.i18nHtml, language);
+    });
+    scope.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder, language));
+    });
+    scope.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel, language));
+    });
+    scope.querySelectorAll('[data-i18n-title]').forEach((el) => {
+      el.setAttribute('title', t(el.dataset.i18nTitle, language));
+    });
+  }
+
+  // Switch the interface language and remember the choice
+  function setUiLanguage(lang) {
+    const language = normalizeLanguage(lang);
+    try {
+      localStorage.setItem(STORAGE_KEY, language);
+    } catch (err) {
+      // Storage may be unavailable (private mode); the choice is not kept
+    }
+    document.documentElement.lang = language;
+    applyTranslations(document, language);
+  }
+
+  window.I18n = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    t,
+    has,
+    days,
+    locale,
+    getUiLanguage,
+    setUiLanguage,
+    applyTranslations,
+  };
+})();
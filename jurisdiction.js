@@ -0,0 +1,320 @@
+/*
+ * jurisdiction.js
+ *
+ * Checks whether a dispute falls within the authority of the Lupong
+ * Tagapamayapa and where venue lies, following the Local Government Code
+ * (R.A. 7160):
+ *
+ *   - Sec. 408: the Lupon only hears disputes between individuals actually
+ *               residing in the same city or municipality, except (a) where a
+ *               party is the government, (b) a public officer acting in
+ *               official functions, (c) offenses punishable by more than one
+ *               year of imprisonment or a fine over ₱5,000, and (f) parties in
+ *               different cities unless their barangays adjoin and they agree;
+ *               special laws such as R.A. 9262 (VAWC) also bar conciliation
+ *   - Sec. 409: venue is the barangay where the parties reside or, if they
+ *               live in different barangays, where the respondent resides
+ *
+ * Addresses are free text, so the barangay and city are read out of them
+ * using the lists in window.BARANGAY_PROFILE (config.js). Every check carries
+ * its result (pass, warn, fail or unknown), its legal basis and a translatable
+ * reason. The API is exposed on window.KPJurisdiction.
+ */
+
+(() => {
+  const PARTY_TYPES = ['individual', 'public-officer', 'government', 'juridical'];
+  // Sec. 408(c) limits
+  const MAX_IMPRISONMENT_MONTHS = 12;
+  const MAX_FINE = 5000;
+
+  // Lowercase, drop accents and punctuation and expand common abbreviations
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\bsto\.?(?=\s)/g, 'santo')
+      .replace(/\bsta\.?(?=\s)/g, 'santa')
+      .replace(/\./g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  // "City of San Pedro" and "San Pedro City" both become "san pedro"
+  function cityKey(name) {
+    return normalize(name).replace(/^city of /, '').replace(/ city$/, '');
+  }
+
+  function containsWords(text, words) {
+    return words && new RegExp(`(^| )${words}( |$)`).test(text);
+  }
+
+  function profileOf(profile) {
+    return profile || window.BARANGAY_PROFILE || {};
+  }
+
+  // Read the barangay and city or municipality out of a free-text address.
+  // The city is null when none of the known names appears in the address.
+  function parseAddress(address, profile) {
+    const p = profileOf(profile);
+    const text = normalize(address);
+    const result = { barangay: '', city: null, own: false, adjoining: false };
+    if (!text) return result;
+
+    const own = cityKey(p.cityMunicipality);
+    const cities = [{ name: p.cityMunicipality, key: own }]
+      .concat((p.adjoiningCities || []).map((name) => ({ name, key: cityKey(name), adjoining: true })))
+      .concat((p.otherCities || []).map((name) => ({ name, key: cityKey(name) })));
+    // Addresses end with the city, so the last mention wins
+    let best = null;
+    cities.forEach((c) => {
+      if (!c.key) return;
+      const re = new RegExp(`(^| )${c.key}( |$)`, 'g');
+      let match;
+      while ((match = re.exec(text))) {
+        if (!best || match.index > best.index) best = { ...c, index: match.index };
+        re.lastIndex = match.index + 1;
+      }
+    });
+
+    // Known barangays of this city, longest names first so that
+    // "San Lorenzo Ruiz" is not read as another barangay
+    const barangays = (p.barangays || [])
+      .map((name) => ({ name, key: normalize(name) }))
+      .sort((a, b) => b.key.length - a.key.length);
+    const known = !best || best.key === own ? barangays.find((b) => containsWords(text, b.key)) : null;
+    if (known) {
+      result.barangay = known.name;
+    } else {
+      const m = String(address).match(/\b(?:brgy|bgy|barangay)\.?\s+([^,\n]+)/i);
+      if (m) result.barangay = m[1].trim();
+    }
+
+    if (best) {
+      result.city = best.name;
+      result.own = best.key === own;
+      result.adjoining = !!best.adjoining;
+    } else if (known) {
+      // A barangay of this city with no city named: assume a local address
+      result.city = p.cityMunicipality;
+      result.own = true;
+    }
+    return result;
+  }
+
+  function sameBarangay(a, b) {
+    return !!a.barangay && normalize(a.barangay) === normalize(b.barangay);
+  }
+
+  function sameCity(a, b) {
+    return !!a.city && cityKey(a.city) === cityKey(b.city);
+  }
+
+  // Parties of a case with their type and parsed address
+  function partiesOf(record, profile) {
+    const parties = [];
+    const complainant = record.complainant || {};
+    if (complainant.name || complainant.address) {
+      parties.push({
+        role: 'complainant',
+        name: complainant.name || '',
+        type: complainant.type || 'individual',
+        address: parseAddress(complainant.address, profile),
+      });
+    }
+    (record.respondents || []).forEach((r) => {
+      parties.push({
+        role: 'respondent',
+        name: r.name || '',
+        type: r.type || 'individual',
+        address: parseAddress(r.address, profile),
+      });
+    });
+    return parties;
+  }
+
+  // Sec. 408(a) and (b), and the rule that only natural persons may be parties
+  function checkParties(parties) {
+    const checks = [];
+    parties.forEach((party) => {
+      const params = { name: party.name, role: party.role };
+      if (party.type === 'government') {
+        checks.push({ key: 'parties', result: 'fail', basis: 'LGC Sec. 408(a)', reasonKey: 'government', params });
+      } else if (party.type === 'juridical') {
+        checks.push({ key: 'parties', result: 'fail', basis: 'LGC Sec. 408; KP Rules, Rule VI, Sec. 1', reasonKey: 'juridical', params });
+      } else if (party.type === 'public-officer') {
+        checks.push({ key: 'parties', result: 'warn', basis: 'LGC Sec. 408(b)', reasonKey: 'publicOfficer', params });
+      }
+    });
+    if (!checks.length) {
+      checks.push({
+        key: 'parties',
+        result: parties.length ? 'pass' : 'unknown',
+        basis: 'LGC Sec. 408',
+        reasonKey: parties.length ? 'individuals' : 'noParties',
+        params: {},
+      });
+    }
+    return checks;
+  }
+
+  // Sec. 408(c): offenses beyond one year of imprisonment or a ₱5,000 fine.
+  // The officer's estimate wins; otherwise the penalties computed from the
+  // value involved (penalty-calc.js) are used.
+  function checkPenalty(penalty, computations) {
+    const months = penalty && penalty.imprisonmentMonths;
+    const fine = penalty && penalty.fine;
+    const known = (v) => v !== null && v !== undefined && v !== '';
+    const base = { key: 'penalty', basis: 'LGC Sec. 408(c)' };
+    if (!known(months) && !known(fine)) {
+      const computed = (computations || []).filter((c) => c.penalty);
+      if (!computed.length) {
+        return { ...base, result: 'unknown', reasonKey: 'penaltyUnknown', params: { maxMonths: MAX_IMPRISONMENT_MONTHS } };
+      }
+      return checkComputedPenalties(computed.map((c) => c.penalty), base);
+    }
+    const params = { months: Number(months) || 0, fine: Number(fine) || 0, maxMonths: MAX_IMPRISONMENT_MONTHS, maxFine: MAX_FINE };
+    if (params.months > MAX_IMPRISONMENT_MONTHS || params.fine > MAX_FINE) {
+      return { ...base, result: 'fail', reasonKey: 'penaltyExceeds', params };
+    }
+    return { ...base, result: 'pass', reasonKey: 'penaltyWithin', params };
+  }
+
+  // The heaviest of the computed penalties. A fine the court may impose
+  // instead of arresto menor (Art. 329 par. 3) does not exceed the limits
+  // on its own.
+  function checkComputedPenalties(penalties, base) {
+    const params = {
+      months: Math.max(...penalties.map((p) => p.imprisonmentMonths)),
+      fine: Math.max(...penalties.map((p) => p.fine)),
+      maxMonths: MAX_IMPRISONMENT_MONTHS,
+      maxFine: MAX_FINE,
+    };
+    if (penalties.some((p) => PenaltyCalculator.exceedsLimits(p))) {
+      return { ...base, result: 'fail', reasonKey: 'penaltyComputedExceeds', params };
+    }
+    const alternative = penalties.some((p) => p.alternative && p.fine > MAX_FINE);
+    return { ...base, result: 'pass', reasonKey: alternative ? 'penaltyComputedAlternative' : 'penaltyComputedWithin', params };
+  }
+
+  // Offenses that a special law bars from mediation (the report's referral
+  // list, built from categories marked "mediable": false in the legal pack)
+  function checkSubject(referral) {
+    const base = { key: 'subject', basis: 'LGC Sec. 408' };
+    if (!referral || !referral.length) {
+      return { ...base, result: 'pass', reasonKey: 'mediable', params: {} };
+    }
+    return {
+      ...base,
+      basis: referral.map((r) => r.basis).filter(Boolean).join('; ') || base.basis,
+      result: 'fail',
+      reasonKey: 'nonMediable',
+      params: { natures: referral.map((r) => r.nature).join(', ') },
+    };
+  }
+
+  // Sec. 408(f): parties must reside in the same city or municipality, or in
+  // adjoining barangays of neighbouring ones if they agree
+  function checkResidence(parties) {
+    const base = { key: 'residence', basis: 'LGC Sec. 408(f)' };
+    const complainant = parties.find((p) => p.role === 'complainant');
+    const respondents = parties.filter((p) => p.role === 'respondent');
+    const located = respondents.filter((r) => r.address.city);
+    if (!complainant || !complainant.address.city || !located.length) {
+      return { ...base, result: 'unknown', reasonKey: 'addressUnknown', params: {} };
+    }
+    const home = complainant.address;
+    const elsewhere = located.filter((r) => !sameCity(r.address, home));
+    const cities = Array.from(new Set(elsewhere.map((r) => r.address.city))).join(', ');
+    // Adjoining only counts between this city and one of its neighbours
+    const adjoins = (r) => (home.own && r.address.adjoining) || (home.adjoining && r.address.own);
+    if (elsewhere.some((r) => !adjoins(r))) {
+      return { ...base, result: 'fail', reasonKey: 'differentCities', params: { city: home.city, cities } };
+    }
+    if (elsewhere.length) {
+      return { ...base, result: 'warn', reasonKey: 'adjoiningCities', params: { city: home.city, cities } };
+    }
+    if (located.length < respondents.length) {
+      return { ...base, result: 'unknown', reasonKey: 'addressPartial', params: { city: home.city } };
+    }
+    return { ...base, result: 'pass', reasonKey: 'sameCity', params: { city: home.city } };
+  }
+
+  // Sec. 409: where the complaint should be brought
+  function determineVenue(parties, profile) {
+    const p = profileOf(profile);
+    const complainant = parties.find((x) => x.role === 'complainant');
+    const respondents = parties.filter((x) => x.role === 'respondent' && x.address.barangay);
+    const base = { key: 'venue', basis: 'LGC Sec. 409' };
+    let venue;
+    if (complainant && respondents.length && respondents.every((r) => sameBarangay(r.address, complainant.address) && sameCity(r.address, complainant.address))) {
+      venue = { ...base, basis: 'LGC Sec. 409(a)', reasonKey: 'sameBarangay', barangays: [complainant.address.barangay], params: { barangay: complainant.address.barangay } };
+    } else if (respondents.length) {
+      const barangays = Array.from(new Set(respondents.map((r) => r.address.barangay)));
+      venue = { ...base, basis: 'LGC Sec. 409(b)', reasonKey: 'respondentBarangay', barangays, params: { barangay: barangays.join(', ') } };
+    } else {
+      return { ...base, result: 'unknown', reasonKey: 'venueUnknown', barangays: [], here: null, params: {} };
+    }
+    // Compare with this barangay when it has been configured
+    const ownKey = normalize(p.barangay);
+    const respondentsLocal = respondents.every((r) => !r.address.city || r.address.own);
+    const here = ownKey ? respondentsLocal && venue.barangays.some((b) => normalize(b) === ownKey) : null;
+    let result = 'pass';
+    if (here === false) result = 'warn';
+    if (here === null) result = 'unknown';
+    return { ...venue, result, here, params: { ...venue.params, own: p.barangay || '' } };
+  }
+
+  // Overall determination from the individual checks
+  function overallStatus(checks) {
+    if (checks.some((c) => c.result === 'fail')) return 'outside';
+    if (checks.some((c) => c.result === 'warn')) return 'conditional';
+    if (checks.some((c) => c.result === 'unknown')) return 'undetermined';
+    return 'within';
+  }
+
+  // Run every check for a case record (or the data gathered from the form)
+  function check(record, profile) {
+    const parties = partiesOf(record, profile);
+    const checks = [
+      checkSubject(record.referral),
+      ...checkParties(parties),
+      checkPenalty(record.penalty, record.penaltyComputations),
+      checkResidence(parties),
+    ];
+    return {
+      status: overallStatus(checks),
+      checks,
+      venue: determineVenue(parties, profile),
+      parties,
+    };
+  }
+
+  // Reason of a check or of the venue in the given language
+  function describe(item, lang) {
+    const params = { ...item.params };
+    if (params.role) {
+      params.name = params.name || I18n.t(`report.role.${params.role}`, lang);
+    }
+    if (params.months !== undefined) {
+      params.months = `${params.months} ${I18n.t(params.months === 1 ? 'unit.month' : 'unit.months', lang)}`;
+    }
+    if (params.fine !== undefined) {
+      params.fine = `₱${Number(params.fine).toLocaleString(I18n.locale(lang))}`;
+      params.maxFine = `₱${Number(params.maxFine).toLocaleString(I18n.locale(lang))}`;
+    }
+    return I18n.t(`jurisdiction.reason.${item.reasonKey}`, lang, params);
+  }
+
+  function statusLabel(status, lang) {
+    return I18n.t(`jurisdiction.status.${status}`, lang);
+  }
+
+  window.KPJurisdiction = {
+    PARTY_TYPES,
+    parseAddress,
+    check,
+    describe,
+    statusLabel,
+  };
+})();
@@ -0,0 +1,559 @@
+/*
+ * kp-forms.js
+ *
+ * Official Katarungang Pambarangay forms generated from case data. Each form
+ * is described as a list of blocks (plain text with inline blanks, larger
+ * text areas and signature lines). The blanks are pre-filled from the case
+ * record and the barangay profile in config.js, rendered as editable inputs
+ * so the secretary can complete or correct them, and then exported either to
+ * a text-based PDF (jsPDF) or to the browser's print dialog.
+ *
+ * Supported forms:
+ *   - KP Form 7:  Complaint
+ *   - KP Form 8:  Notice of Hearing (mediation proceedings)
+ *   - KP Form 9:  Summons
+ *   - KP Form 10: Notice for Constitution of Pangkat
+ *   - KP Form 11: Notice to Chosen Pangkat Member
+ *   - KP Form 12: Notice of Hearing (conciliation proceedings)
+ *   - KP Form 16: Amicable Settlement
+ *   - KP Form 20: Certification to File Action
+ *   - KP Form 25: Motion for Execution
+ *
+ * The API is exposed on window.KPForms.
+ */
+
+(() => {
+  const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ];
+
+  // 1st, 2nd, 3rd, 4th ... 21st, 22nd
+  function ordinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const v = n % 100;
+    return n + (v >= 11 && v <= 13 ? 'th' : suffixes[n % 10] || 'th');
+  }
+
+  // Split a YYYY-MM-DD date into the parts used by "this __ day of __, 20__"
+  function dateParts(value) {
+    if (!value) return { day: '', month: '', year: '' };
+    const [y, m, d] = String(value).slice(0, 10).split('-').map(Number);
+    return { day: ordinal(d), month: MONTHS[m - 1], year: String(y) };
+  }
+
+  // Time portion of a datetime-local value as "9:30 AM"
+  function timeOf(value) {
+    if (!value || String(value).length < 16) return '';
+    const [h, min] = String(value).slice(11, 16).split(':').map(Number);
+    const suffix = h < 12 ? 'AM' : 'PM';
+    return `${((h + 11) % 12) + 1}:${String(min).padStart(2, '0')} ${suffix}`;
+  }
+
+  function partyNames(data) {
+    const complainants = data.complainant && data.complainant.name ? [data.complainant.name] : [];
+    const respondents = (data.respondents || []).map((r) => r.name).filter(Boolean);
+    return { complainants: complainants.join(', '), respondents: respondents.join(', ') };
+  }
+
+  function partyAddresses(list) {
+    return list.filter((p) => p && p.address).map((p) => p.address).join('; ');
+  }
+
+  // Blocks shared by every form: letterhead and the case caption
+  function letterhead(profile) {
+    return [
+      { type: 'text', align: 'center', parts: ['Republic of the Philippines'] },
+      { type: 'text', align: 'center', parts: ['Province of ', { field: 'province', value: profile.province }] },
+      { type: 'text', align: 'center', parts: [{ field: 'cityMunicipality', value: profile.cityMunicipality }] },
+      { type: 'text', align: 'center', parts: ['Barangay ', { field: 'barangay', value: profile.barangay }] },
+      { type: 'text', align: 'center', bold: true, parts: ['OFFICE OF THE LUPONG TAGAPAMAYAPA'] },
+      { type: 'spacer' },
+    ];
+  }
+
+  function caption(data) {
+    const names = partyNames(data);
+    const nature = data.analysis && data.analysis.nature ? data.analysis.nature : '';
+    return [
+      { type: 'text', parts: ['Barangay Case No. ', { field: 'caseNo', value: data.caseId }] },
+      { type: 'text', parts: ['For: ', { field: 'nature', value: nature, width: 40 }] },
+      { type: 'text', parts: [{ field: 'complainants', value: names.complainants, width: 40 }, ' — Complainant/s'] },
+      { type: 'text', parts: [{ field: 'complainantAddress', value: partyAddresses([data.complainant]), width: 40 }, ' — Address'] },
+      { type: 'text', align: 'center', parts: ['— against —'] },
+      { type: 'text', parts: [{ field: 'respondents', value: names.respondents, width: 40 }, ' — Respondent/s'] },
+      { type: 'text', parts: [{ field: 'respondentAddress', value: partyAddresses(data.respondents || []), width: 40 }, ' — Address'] },
+      { type: 'spacer' },
+    ];
+  }
+
+  // "This __ day of ____, 20__." with each part editable
+  function dateLine(prefix, field, value) {
+    const p = dateParts(value);
+    return {
+      type: 'text',
+      parts: [
+        prefix,
+        { field: `${field}Day`, value: p.day, width: 6 },
+        ' day of ',
+        { field: `${field}Month`, value: p.month, width: 12 },
+        ', ',
+        { field: `${field}Year`, value: p.year, width: 6 },
+        '.',
+      ],
+    };
+  }
+
+  // "__ day of ____, 20__ at __ o’clock" for a date and time, each part
+  // editable
+  function appearanceLine(prefix, field, value) {
+    const p = dateParts(value);
+    return {
+      type: 'text',
+      parts: [
+        prefix,
+        { field: `${field}Day`, value: p.day, width: 6 },
+        ' day of ',
+        { field: `${field}Month`, value: p.month, width: 12 },
+        ', ',
+        { field: `${field}Year`, value: p.year, width: 6 },
+        ' at ',
+        { field: `${field}Time`, value: timeOf(value), width: 10 },
+        ' o’clock',
+      ],
+    };
+  }
+
+  // Date and time of the next scheduled hearing (hearings.js), of the given
+  // type if any, or else the date mediation (or conciliation) started
+  function hearingLine(prefix, data, type) {
+    const dates = (data.kp && data.kp.dates) || {};
+    const next = Hearings.upcoming((data.hearings || []).filter((h) => !type || h.type === type));
+    const started = type === 'conciliation' ? dates.conciliation || dates.pangkat : dates.mediation;
+    return appearanceLine(prefix, 'hearing', next ? `${next.date}T${next.time}` : started || '');
+  }
+
+  // Members of the Pangkat of the case (lupon.js), chairman first
+  function pangkatNames(data) {
+    return Lupon.memberNames(data.pangkat).join(', ');
+  }
+
+  // How the Pangkat members were chosen, in the words of KP Form 11
+  function pangkatSelection(data) {
+    const selections = new Set(((data.pangkat && data.pangkat.members) || []).map((m) => m.selection));
+    if (selections.size === 1 && selections.has('agreed')) return 'amicably chosen by the parties';
+    if (selections.size === 1 && selections.has('lot')) return 'determined by drawing of lots';
+    if (selections.size) return 'chosen by the parties and by drawing of lots';
+    return 'amicably chosen by the parties/determined by drawing of lots';
+  }
+
+  function signature(field, value, label) {
+    return { type: 'signature', field, value, label };
+  }
+
+  // Form definitions. Each build() returns the blocks after the caption.
+  const FORMS = {
+    complaint: {
+      number: 'KP Form No. 7',
+      title: 'COMPLAINT',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        const filed = dates.filed || data.dateReceived;
+        return [
+          { type: 'text', parts: ['I/WE hereby complain against above named respondent/s for violating my/our rights and interests in the following manner:'] },
+          { type: 'area', field: 'complaintBody', value: data.incident ? data.incident.summary : '', rows: 6 },
+          { type: 'text', parts: ['THEREFORE, I/WE pray that the following relief/s be granted to me/us in accordance with law and/or equity:'] },
+          { type: 'area', field: 'relief', value: '', rows: 3 },
+          dateLine('Made this ', 'made', filed),
+          signature('complainantSignature', partyNames(data).complainants, 'Complainant/s'),
+          dateLine('Received and filed this ', 'received', filed),
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Lupon Chairman'),
+        ];
+      },
+    },
+    notice: {
+      number: 'KP Form No. 8',
+      title: 'NOTICE OF HEARING (Mediation Proceedings)',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        return [
+          { type: 'text', parts: ['TO: ', { field: 'noticeTo', value: partyNames(data).complainants, width: 40 }, ' — Complainant/s'] },
+          hearingLine('You are hereby required to appear before me on the ', data),
+          { type: 'text', parts: ['for the hearing of your complaint.'] },
+          dateLine('This ', 'issued', dates.summons || dates.filed || data.dateReceived),
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Lupon Chairman'),
+          { type: 'text', parts: ['Notified this ', { field: 'notifiedOn', value: '', width: 20 }, '.'] },
+          signature('complainantSignature', '', 'Complainant/s'),
+        ];
+      },
+    },
+    summons: {
+      number: 'KP Form No. 9',
+      title: 'SUMMONS',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        return [
+          { type: 'text', parts: ['TO: ', { field: 'summonsTo', value: partyNames(data).respondents, width: 40 }, ' — Respondent/s'] },
+          hearingLine('You are hereby summoned to appear before me in person, together with your witnesses, on the ', data),
+          { type: 'text', parts: ['then and there to answer to a complaint made before me, copy of which is attached hereto, for mediation/conciliation of your dispute with complainant/s.'] },
+          { type: 'text', parts: ['You are hereby warned that if you refuse or willfully fail to appear in obedience to this summons, you shall be barred from filing any counterclaim arising from said complaint.'] },
+          { type: 'text', bold: true, parts: ['FAIL NOT or else face punishment as for contempt of court.'] },
+          dateLine('This ', 'issued', dates.summons || dates.filed || data.dateReceived),
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Lupon Chairman'),
+        ];
+      },
+    },
+    pangkatNotice: {
+      number: 'KP Form No. 10',
+      title: 'NOTICE FOR CONSTITUTION OF PANGKAT',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        const names = partyNames(data);
+        const meeting = (data.pangkat && data.pangkat.constitutedOn) || dates.pangkat || '';
+        return [
+          { type: 'text', parts: ['TO: ', { field: 'noticeTo', value: [names.complainants, names.respondents].filter(Boolean).join(', '), width: 40 }, ' — Complainant/s and Respondent/s'] },
+          appearanceLine('You are hereby required to appear before me on the ', 'meeting', meeting),
+          { type: 'text', parts: ['for the constitution of the Pangkat ng Tagapagkasundo which shall conciliate your dispute. Should you fail to agree on the Pangkat membership or to appear on the aforesaid date for the constitution of the Pangkat, I shall determine the membership thereof by drawing lots.'] },
+          dateLine('This ', 'issued', dates.mediation || dates.summons || dates.filed || data.dateReceived),
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Lupon Chairman'),
+          { type: 'text', parts: ['Notified this ', { field: 'notifiedOn', value: '', width: 20 }, '.'] },
+          signature('complainantSignature', '', 'Complainant/s'),
+          signature('respondentSignature', '', 'Respondent/s'),
+        ];
+      },
+    },
+    pangkatMember: {
+      number: 'KP Form No. 11',
+      title: 'NOTICE TO CHOSEN PANGKAT MEMBER',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        return [
+          { type: 'text', parts: ['TO: ', { field: 'memberTo', value: pangkatNames(data), width: 40 }, ' — Pangkat Member/s'] },
+          { type: 'text', parts: ['Notice is hereby given that you have been chosen member of the Pangkat ng Tagapagkasundo ', { field: 'selection', value: pangkatSelection(data), width: 36 }, ' to conciliate the dispute between the parties in the above-captioned case.'] },
+          hearingLine('The Pangkat shall meet with the parties on the ', data, 'conciliation'),
+          { type: 'text', parts: ['at the Barangay Hall.'] },
+          dateLine('This ', 'issued', (data.pangkat && data.pangkat.constitutedOn) || dates.pangkat),
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Lupon Chairman'),
+          { type: 'text', parts: ['Received this ', { field: 'receivedOn', value: '', width: 20 }, '.'] },
+          signature('memberSignature', '', 'Pangkat Member/s'),
+        ];
+      },
+    },
+    conciliation: {
+      number: 'KP Form No. 12',
+      title: 'NOTICE OF HEARING (Conciliation Proceedings)',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        const chairman = Lupon.chairman(data.pangkat);
+        return [
+          { type: 'text', parts: ['TO: ', { field: 'noticeTo', value: partyNames(data).complainants, width: 40 }, ' — Complainant/s'] },
+          hearingLine('You are hereby required to appear before the Pangkat ng Tagapagkasundo on the ', data, 'conciliation'),
+          { type: 'text', parts: ['for the hearing of your complaint.'] },
+          { type: 'text', parts: ['Pangkat ng Tagapagkasundo: ', { field: 'pangkatMembers', value: pangkatNames(data), width: 50 }] },
+          dateLine('This ', 'issued', (data.pangkat && data.pangkat.constitutedOn) || dates.pangkat),
+          signature('pangkatChairman', chairman ? chairman.name : '', 'Pangkat Chairman'),
+          { type: 'text', parts: ['Notified this ', { field: 'notifiedOn', value: '', width: 20 }, '.'] },
+          signature('complainantSignature', '', 'Complainant/s'),
+        ];
+      },
+    },
+    settlement: {
+      number: 'KP Form No. 16',
+      title: 'AMICABLE SETTLEMENT',
+      build(data, profile) {
+        const dates = (data.kp && data.kp.dates) || {};
+        const names = partyNames(data);
+        return [
+          { type: 'text', parts: ['We, complainant/s and respondent/s in the above-captioned case, do hereby agree to settle our dispute as follows:'] },
+          { type: 'area', field: 'terms', value: Settlement.termsText(data), rows: 6 },
+          { type: 'text', parts: ['and bind ourselves to comply honestly and faithfully with the above terms of settlement.'] },
+          dateLine('Entered into this ', 'entered', dates.settled),
+          signature('complainantSignature', names.complainants, 'Complainant/s'),
+          signature('respondentSignature', names.respondents, 'Respondent/s'),
+          { type: 'text', align: 'center', bold: true, parts: ['ATTESTATION'] },
+          { type: 'text', parts: ['I hereby certify that the foregoing amicable settlement was entered into by the parties freely and voluntarily, after I had explained to them the nature and consequence of such settlement.'] },
+          signature('chairman', profile.punongBarangay, 'Punong Barangay/Pangkat Chairman'),
+        ];
+      },
+    },
+    cfa: {
+      number: 'KP Form No. 20',
+      title: 'CERTIFICATION TO FILE ACTION',
+      build(data, profile) {
+        const kp = data.kp || {};
+        const dates = kp.dates || {};
+        const grounds = kp.status === 'repudiated'
+          ? [
+            '1. There has been a personal confrontation between the parties before the Punong Barangay/Pangkat ng Tagapagkasundo;',
+            '2. A settlement was reached;',
+            '3. The settlement has been repudiated in a statement sworn to before the Punong Barangay by the repudiating party; and',
+            '4. Therefore, the corresponding complaint for the dispute may now be filed in court/government office.',
+          ]
+          : [
+            '1. There has been a personal confrontation between the parties before the Punong Barangay but mediation failed;',
+            '2. The Pangkat ng Tagapagkasundo was constituted but the personal confrontation before the Pangkat likewise did not result into a settlement; and',
+            '3. Therefore, the corresponding complaint for the dispute may now be filed in court/government office.',
+          ];
+        return [
+          { type: 'text', parts: ['This is to certify that:'] },
+          { type: 'area', field: 'grounds', value: grounds.join('\n'), rows: 6 },
+          dateLine('This ', 'issued', dates.cfa),
+          signature('secretary', profile.luponSecretary, 'Lupon Secretary'),
+          { type: 'text', parts: ['Attested by:'] },
+          signature('chairman', profile.punongBarangay, 'Lupon Chairman'),
+        ];
+      },
+    },
+    execution: {
+      number: 'KP Form No. 25',
+      title: 'MOTION FOR EXECUTION',
+      build(data) {
+        const dates = (data.kp && data.kp.dates) || {};
+        const settlement = data.settlement || {};
+        const terms = settlement.terms || [];
+        const breaches = Settlement.breachedTerms(settlement).map((term) => {
+          const number = terms.indexOf(term) + 1;
+          return `${number}. ${Settlement.describeTerm(term, data, 'en')} ${Settlement.describeCompliance(term, 'en')}.`;
+        });
+        const settled = dateParts(dates.settled);
+        return [
+          { type: 'text', parts: ['Complainant/s/Respondent/s state as follows:'] },
+          {
+            type: 'text',
+            parts: [
+              '1. On the ',
+              { field: 'settledDay', value: settled.day, width: 6 },
+              ' day of ',
+              { field: 'settledMonth', value: settled.month, width: 12 },
+              ', ',
+              { field: 'settledYear', value: settled.year, width: 6 },
+              ' the parties in this case signed an amicable settlement;',
+            ],
+          },
+          { type: 'text', parts: ['2. The period of ten (10) days from the above-stated date has expired without any of the parties filing a sworn statement of repudiation of the settlement before the Lupon Chairman;'] },
+          { type: 'text', parts: ['3. The amicable settlement is now final and executory, and the following terms have not been complied with:'] },
+          { type: 'area', field: 'breaches', value: breaches.join('\n'), rows: 4 },
+          { type: 'text', parts: ['WHEREFORE, Complainant/s/Respondent/s request/s that the corresponding writ of execution be issued by the Lupon Chairman in this case.'] },
+          dateLine('This ', 'filed', settlement.motionFiled),
+          signature('movantSignature', partyNames(data).complainants, 'Complainant/s/Respondent/s'),
+        ];
+      },
+    },
+  };
+
+  function listForms() {
+    return Object.keys(FORMS).map((id) => ({ id, label: `${FORMS[id].number} – ${FORMS[id].title}` }));
+  }
+
+  // Build the complete block list of a form for the given case data
+  function buildForm(id, data) {
+    const def = FORMS[id];
+    if (!def) throw new Error(`Unknown KP form: ${id}`);
+    const profile = { ...(window.BARANGAY_PROFILE || {}) };
+    return {
+      id,
+      number: def.number,
+      title: def.title,
+      caseId: data.caseId || '',
+      blocks: [
+        ...letterhead(profile),
+        { type: 'text', parts: [def.number] },
+        ...caption(data),
+        { type: 'text', align: 'center', bold: true, parts: [def.title] },
+        { type: 'spacer' },
+        ...def.build(data, profile),
+      ],
+    };
+  }
+
+  // The model shown in each preview container, used when exporting
+  const renderedModels = new WeakMap();
+
+  // Render a form with its blanks as editable inputs
+  function renderEditable(model, container) {
+    container.innerHTML = '';
+    renderedModels.set(container, model);
+    const sheet = document.createElement('div');
+    sheet.className = 'kp-form border rounded p-4 bg-white';
+    model.blocks.forEach((block) => {
+      if (block.type === 'spacer') {
+        sheet.appendChild(document.createElement('br'));
+        return;
+      }
+      const p = document.createElement('p');
+      p.classList.add('mb-2');
+      if (block.align === 'center') p.classList.add('text-center');
+      if (block.bold) p.classList.add('fw-bold');
+      if (block.type === 'text') {
+        block.parts.forEach((part) => {
+          if (typeof part === 'string') {
+            p.appendChild(document.createTextNode(part));
+            return;
+          }
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.className = 'form-control form-control-sm d-inline-block kp-field';
+          input.style.width = `${part.width || 20}ch`;
+          input.dataset.field = part.field;
+          input.value = part.value || '';
+          input.setAttribute('aria-label', part.field);
+          p.appendChild(input);
+        });
+      } else if (block.type === 'area') {
+        const area = document.createElement('textarea');
+        area.className = 'form-control kp-field';
+        area.rows = block.rows || 3;
+        area.dataset.field = block.field;
+        area.value = block.value || '';
+        area.setAttribute('aria-label', block.field);
+        p.appendChild(area);
+      } else if (block.type === 'signature') {
+        p.classList.add('text-end', 'mt-4');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control form-control-sm d-inline-block text-center kp-field';
+        input.style.width = '40ch';
+        input.dataset.field = block.field;
+        input.value = block.value || '';
+        input.setAttribute('aria-label', block.label);
+        p.appendChild(input);
+        const label = document.createElement('div');
+        label.className = 'small';
+        label.textContent = block.label;
+        p.appendChild(label);
+      }
+      sheet.appendChild(p);
+    });
+    container.appendChild(sheet);
+  }
+
+  // Current values of the editable blanks, keyed by field name. Fields that
+  // appear more than once (e.g. the chairman's signature) share one value.
+  function readValues(container) {
+    const values = {};
+    container.querySelectorAll('.kp-field').forEach((el) => {
+      values[el.dataset.field] = el.value;
+    });
+    return values;
+  }
+
+  const BLANK = '____________________';
+
+  // Resolve each block to plain text lines using the edited values
+  function resolveBlocks(model, values) {
+    const valueOf = (field, fallback) => {
+      const v = values[field] !== undefined ? values[field] : fallback;
+      return v && v.trim() ? v.trim() : '';
+    };
+    return model.blocks.map((block) => {
+      if (block.type === 'text') {
+        const text = block.parts
+          .map((part) => (typeof part === 'string' ? part : valueOf(part.field, part.value) || BLANK.slice(0, part.width || 20)))
+          .join('');
+        return { ...block, text };
+      }
+      if (block.type === 'area') {
+        return { ...block, text: valueOf(block.field, block.value) || `${BLANK}${BLANK}${BLANK}` };
+      }
+      if (block.type === 'signature') {
+        return { ...block, text: valueOf(block.field, block.value) };
+      }
+      return block;
+    });
+  }
+
+  // Lay out the form as real text in an A4 PDF and download it
+  function downloadPDF(container) {
+    const model = renderedModels.get(container);
+    if (!model) return;
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const margin = 20;
+    const width = pageWidth - margin * 2;
+    const lineHeight = 5.5;
+    let y = margin;
+    const ensureSpace = (needed) => {
+      if (y + needed > pageHeight - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+    };
+    pdf.setFontSize(11);
+    resolveBlocks(model, readValues(container)).forEach((block) => {
+      if (block.type === 'spacer') {
+        y += lineHeight;
+        return;
+      }
+      if (block.type === 'signature') {
+        ensureSpace(lineHeight * 4);
+        y += lineHeight * 2;
+        const x = pageWidth - margin - 70;
+        pdf.setFont('helvetica', 'bold');
+        pdf.text(block.text || '', x + 35, y, { align: 'center' });
+        pdf.line(x, y + 1.5, x + 70, y + 1.5);
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(block.label, x + 35, y + lineHeight + 0.5, { align: 'center' });
+        y += lineHeight * 2;
+        return;
+      }
+      pdf.setFont('helvetica', block.bold ? 'bold' : 'normal');
+      const lines = pdf.splitTextToSize(block.text, width);
+      lines.forEach((line) => {
+        ensureSpace(lineHeight);
+        if (block.align === 'center') {
+          pdf.text(line, pageWidth / 2, y, { align: 'center' });
+        } else {
+          pdf.text(line, margin, y);
+        }
+        y += lineHeight;
+      });
+      y += 1.5;
+    });
+    const slug = model.number.replace(/[^0-9A-Za-z]+/g, '_').replace(/_+$/, '');
+    const caseSuffix = model.caseId ? `_${model.caseId.replace(/[^0-9A-Za-z-]+/g, '_')}` : '';
+    pdf.save(`${slug}${caseSuffix}.pdf`);
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // Open the completed form in a new window and print it
+  function print(container) {
+    const model = renderedModels.get(container);
+    if (!model) return;
+    const body = resolveBlocks(model, readValues(container))
+      .map((block) => {
+        if (block.type === 'spacer') return '<br/>';
+        if (block.type === 'signature') {
+          return `<div class="sig"><div class="sig-name">${escapeHtml(block.text || '')}</div><div>${escapeHtml(block.label)}</div></div>`;
+        }
+        const style = [block.align === 'center' ? 'text-align:center' : '', block.bold ? 'font-weight:bold' : ''].join(';');
+        return `<p style="${style}">${escapeHtml(block.text).replace(/\n/g, '<br/>')}</p>`;
+      })
+      .join('\n');
+    const win = window.open('', '_blank');
+    if (!win) return;
+    win.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8"/><title>${escapeHtml(model.number)}</title>
+      <style>
+        body { font-family: 'Times New Roman', serif; font-size: 12pt; margin: 2cm; }
+        p { margin: 0 0 .5em; }
+        .sig { width: 7cm; margin: 2em 0 1em auto; text-align: center; }
+        .sig-name { border-bottom: 1px solid #000; min-height: 1.2em; font-weight: bold; }
+      </style></head><body>${body}</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  }
+
+  window.KPForms = {
+    listForms,
+    buildForm,
+    renderEditable,
+    readValues,
+    downloadPDF,
+    print,
+  };
+})();
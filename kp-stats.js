@@ -0,0 +1,298 @@
+/*
+ * kp-stats.js
+ *
+ * Performance figures of the Lupong Tagapamayapa over the cases in the
+ * docket, for the dashboard and the periodic report submitted to the city or
+ * municipality and the DILG. A case belongs to a period when it was filed in
+ * it (kp.dates.filed, else the date received); its outcome is its status
+ * today (KPTimeline.outcome()):
+ *
+ *   - settled:    amicable settlement, by mediation, conciliation or
+ *                 arbitration
+ *   - repudiated: settlement repudiated and no certification issued yet
+ *   - certified:  Certificate to File Action issued
+ *   - referred:   not mediable; referred to the proper office
+ *   - pending:    still before the Punong Barangay or the Pangkat
+ *
+ * Cases are counted by nature of dispute (criminal, civil or others, from the
+ * provisions of the legal pack), by category, by month filed and by purok or
+ * place of the incident. The settlement rate is taken over the cases closed
+ * (settled, repudiated or certified). The API is exposed on window.KPStats.
+ */
+
+(() => {
+  const OUTCOMES = KPTimeline.OUTCOMES;
+  const SETTLED_BY = ['mediation', 'conciliation', 'arbitration'];
+  const NATURES = ['criminal', 'civil', 'others'];
+  const PERIODS = ['month', 'quarter', 'half', 'year'];
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  // Provisions that make a category a criminal or a civil dispute
+  const CRIMINAL_BASIS = /Revised Penal Code|Batas Pambansa|R\.A\.|Republic Act/i;
+  const CIVIL_BASIS = /Civil Code|Rules of Court/i;
+  // "Purok 3", "Sitio Malinis", "Zone 2-A" in the place of the incident
+  const AREA_PATTERN = /\b(purok|sitio|zone|phase)\s*([0-9]+[a-z]?(?:-[0-9a-z]+)?|[a-zñ]+)/i;
+
+  // The date a case was filed, as YYYY-MM-DD
+  function filedOn(record) {
+    const dates = (record.kp && record.kp.dates) || {};
+    const date = dates.filed || record.dateReceived || String(record.createdAt || '').slice(0, 10);
+    return DATE_PATTERN.test(date) ? date : '';
+  }
+
+  // How a settled case was settled: by arbitration when an arbitration
+  // hearing ended in a settlement, by conciliation once the Pangkat was
+  // constituted, else by mediation before the Punong Barangay
+  function settledBy(record) {
+    const hearings = record.hearings || [];
+    if (hearings.some((h) => h.type === 'arbitration' && h.outcome === 'settled')) return 'arbitration';
+    const dates = (record.kp && record.kp.dates) || {};
+    if (dates.pangkat || dates.conciliation || (window.Lupon && Lupon.isConstituted(record.pangkat))) return 'conciliation';
+    return 'mediation';
+  }
+
+  // Days from filing to the settlement, or null without both dates
+  function daysToSettlement(record) {
+    const settled = ((record.kp && record.kp.dates) || {}).settled;
+    const filed = filedOn(record);
+    if (!settled || !filed || settled < filed) return null;
+    return KPTimeline.daysBetween(filed, settled);
+  }
+
+  // Criminal, civil or others, from the provisions cited by the categories
+  // of the case; a case with any criminal provision is a criminal dispute
+  function disputeNature(categories, legalData) {
+    const bases = categories.flatMap((c) => ((legalData[c] && legalData[c].violations) || []).map((v) => v.basis || ''));
+    if (bases.some((b) => CRIMINAL_BASIS.test(b))) return 'criminal';
+    if (bases.some((b) => CIVIL_BASIS.test(b))) return 'civil';
+    return 'others';
+  }
+
+  // The purok or sitio of the incident, else the first part of its place
+  function area(location) {
+    const text = String(location || '').trim();
+    if (!text) return '';
+    const match = text.match(AREA_PATTERN);
+    const capitalize = (word) => `${word[0].toUpperCase()}${word.slice(1).toLowerCase()}`;
+    if (match) return `${capitalize(match[1])} ${/^[0-9]/.test(match[2]) ? match[2].toUpperCase() : capitalize(match[2])}`;
+    return text.split(',')[0].trim();
+  }
+
+  // First and last day of the month, quarter, half or year containing a date
+  function periodOf(kind, date) {
+    const [y, m] = date.split('-').map(Number);
+    const months = { month: 1, quarter: 3, half: 6, year: 12 }[kind] || 1;
+    const first = Math.floor((m - 1) / months) * months + 1;
+    const last = new Date(Date.UTC(y, first - 1 + months, 0)).toISOString().slice(0, 10);
+    return { from: `${y}-${String(first).padStart(2, '0')}-01`, to: last };
+  }
+
+  // Months from the first to the last date, as YYYY-MM
+  function monthsBetween(from, to) {
+    const months = [];
+    let [y, m] = from.split('-').map(Number);
+    const end = to.slice(0, 7);
+    while (`${y}-${String(m).padStart(2, '0')}` <= end && months.length < 120) {
+      months.push(`${y}-${String(m).padStart(2, '0')}`);
+      m += 1;
+      if (m > 12) {
+        m = 1;
+        y += 1;
+      }
+    }
+    return months;
+  }
+
+  function emptyTally() {
+    return OUTCOMES.reduce((tally, key) => ({ ...tally, [key]: 0 }), { total: 0 });
+  }
+
+  function count(groups, key, result) {
+    if (!groups.has(key)) groups.set(key, emptyTally());
+    const tally = groups.get(key);
+    tally.total += 1;
+    tally[result] += 1;
+  }
+
+  // Figures for the cases filed from one date to another. categoriesOf(record)
+  // returns the categories chosen for a case and legalData the categories of
+  // the legal pack.
+  function summarize(records, { from, to, categoriesOf, legalData }) {
+    const cases = records.filter((r) => {
+      const date = filedOn(r);
+      return date && date >= from && date <= to;
+    });
+    const totals = emptyTally();
+    const settled = SETTLED_BY.reduce((tally, key) => ({ ...tally, [key]: 0 }), {});
+    const natures = new Map(NATURES.map((n) => [n, emptyTally()]));
+    const categories = new Map();
+    const months = new Map(monthsBetween(from, to).map((m) => [m, emptyTally()]));
+    const areas = new Map();
+    const days = [];
+    cases.forEach((record) => {
+      const result = KPTimeline.outcome(record);
+      const categoryList = categoriesOf(record);
+      totals.total += 1;
+      totals[result] += 1;
+      if (result === 'settled') settled[settledBy(record)] += 1;
+      count(natures, disputeNature(categoryList, legalData || {}), result);
+      categoryList.forEach((category) => count(categories, category, result));
+      count(months, filedOn(record).slice(0, 7), result);
+      count(areas, area(record.incident && record.incident.location), result);
+      const d = result === 'settled' ? daysToSettlement(record) : null;
+      if (d !== null) days.push(d);
+    });
+    const closed = totals.settled + totals.repudiated + totals.certified;
+    const byCount = (a, b) => b[1].total - a[1].total || String(a[0]).localeCompare(String(b[0]));
+    return {
+      from,
+      to,
+      totals,
+      settled,
+      natures: NATURES.map((key) => ({ key, ...natures.get(key) })),
+      categories: Array.from(categories).sort(byCount).map(([key, tally]) => ({ key, ...tally })),
+      months: Array.from(months).map(([key, tally]) => ({ key, ...tally })),
+      areas: Array.from(areas).sort(byCount).map(([key, tally]) => ({ key, ...tally })),
+      averageDays: days.length ? Math.round((days.reduce((a, b) => a + b, 0) / days.length) * 10) / 10 : null,
+      settlementRate: closed ? totals.settled / closed : null,
+    };
+  }
+
+  function monthLabel(key, lang) {
+    const [y, m] = key.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString(I18n.locale(lang), { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+
+  function formatDate(date, lang) {
+    return new Date(`${date}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila', dateStyle: 'long' });
+  }
+
+  function formatRate(rate, lang) {
+    return rate === null ? '—' : `${(rate * 100).toLocaleString(I18n.locale(lang), { maximumFractionDigits: 1 })}%`;
+  }
+
+  function formatDays(value, lang) {
+    return value === null ? '—' : I18n.days(value, lang);
+  }
+
+  // Label of a row of a breakdown; categories are named by the caller
+  function rowLabel(group, key, lang, nameOf) {
+    if (group === 'natures') return I18n.t(`stats.nature.${key}`, lang);
+    if (group === 'categories') return nameOf(key);
+    if (group === 'months') return monthLabel(key, lang);
+    return key || I18n.t('stats.noArea', lang);
+  }
+
+  const GROUPS = ['natures', 'categories', 'months', 'areas'];
+
+  function csvCell(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // The summary as CSV for a spreadsheet, one row per line of the report
+  function toCSV(summary, lang, nameOf) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const rows = [[t('stats.csv.section'), t('stats.csv.item'), t('stats.cases')].concat(OUTCOMES.map((o) => t(`stats.outcome.${o}`)))];
+    const line = (section, item, tally) => rows.push([section, item, tally.total].concat(OUTCOMES.map((o) => tally[o])));
+    rows.push([t('stats.period'), `${summary.from} – ${summary.to}`]);
+    line(t('stats.total'), '', summary.totals);
+    GROUPS.forEach((group) => {
+      summary[group].forEach((row) => line(t(`stats.by.${group}`), rowLabel(group, row.key, lang, nameOf), row));
+    });
+    SETTLED_BY.forEach((key) => rows.push([t('stats.settledBy'), t(`stats.settledBy.${key}`), summary.settled[key]]));
+    rows.push([t('stats.averageDays'), '', summary.averageDays === null ? '' : summary.averageDays]);
+    rows.push([t('stats.settlementRate'), '', summary.settlementRate === null ? '' : formatRate(summary.settlementRate, 'en')]);
+    return `\ufeff${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // The period summary as a printable document with the letterhead of the
+  // barangay, the tables of the report and the signatures
+  function reportHTML(summary, lang, nameOf, today) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const profile = window.BARANGAY_PROFILE || {};
+    const head = `<tr><th>${escapeHtml(t('stats.csv.item'))}</th><th>${escapeHtml(t('stats.cases'))}</th>${OUTCOMES.map((o) => `<th>${escapeHtml(t(`stats.outcome.${o}`))}</th>`).join('')}</tr>`;
+    const row = (label, tally, strong) => {
+      const cells = [tally.total].concat(OUTCOMES.map((o) => tally[o])).map((n) => `<td class="num">${n}</td>`).join('');
+      return `<tr${strong ? ' class="total"' : ''}><td>${escapeHtml(label)}</td>${cells}</tr>`;
+    };
+    const table = (group) => `
+      <h2>${escapeHtml(t(`stats.by.${group}`))}</h2>
+      <table>${head}${summary[group].map((r) => row(rowLabel(group, r.key, lang, nameOf), r)).join('')}${row(t('stats.total'), summary.totals, true)}</table>`;
+    const settledRows = SETTLED_BY.map((key) => `<tr><td>${escapeHtml(t(`stats.settledBy.${key}`))}</td><td class="num">${summary.settled[key]}</td></tr>`).join('');
+    return `<!DOCTYPE html><html lang="${lang}"><head><meta charset="UTF-8"/><title>${escapeHtml(t('stats.report.title'))}</title>
+      <style>
+        body { font-family: 'Times New Roman', serif; font-size: 11pt; margin: 1.5cm; }
+        .center { text-align: center; margin: 0; }
+        h1 { font-size: 13pt; text-align: center; margin: 1em 0 .2em; }
+        h2 { font-size: 11pt; margin: 1.2em 0 .3em; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #000; padding: 2px 6px; }
+        th { background: #eee; }
+        .num { text-align: right; }
+        .total td { font-weight: bold; }
+        .sigs { display: flex; justify-content: space-between; margin-top: 3em; }
+        .sig { width: 7cm; text-align: center; }
+        .sig-name { border-bottom: 1px solid #000; min-height: 1.2em; font-weight: bold; }
+      </style></head><body>
+      <p class="center">Republic of the Philippines</p>
+      <p class="center">Province of ${escapeHtml(profile.province || '')}</p>
+      <p class="center">${escapeHtml(profile.cityMunicipality || '')}</p>
+      <p class="center">Barangay ${escapeHtml(profile.barangay || '')}</p>
+      <p class="center"><strong>OFFICE OF THE LUPONG TAGAPAMAYAPA</strong></p>
+      <h1>${escapeHtml(t('stats.report.title'))}</h1>
+      <p class="center">${escapeHtml(t('stats.report.period', { from: formatDate(summary.from, lang), to: formatDate(summary.to, lang) }))}</p>
+      <p class="center">${escapeHtml(t('stats.report.asOf', { date: formatDate(today || KPTimeline.todayInManila(), lang) }))}</p>
+      ${GROUPS.map(table).join('')}
+      <h2>${escapeHtml(t('stats.settledBy'))}</h2>
+      <table>${settledRows}<tr class="total"><td>${escapeHtml(t('stats.total'))}</td><td class="num">${summary.totals.settled}</td></tr></table>
+      <h2>${escapeHtml(t('stats.indicators'))}</h2>
+      <table>
+        <tr><td>${escapeHtml(t('stats.settlementRate'))}</td><td class="num">${escapeHtml(formatRate(summary.settlementRate, lang))}</td></tr>
+        <tr><td>${escapeHtml(t('stats.averageDays'))}</td><td class="num">${escapeHtml(formatDays(summary.averageDays, lang))}</td></tr>
+      </table>
+      <div class="sigs">
+        <div class="sig"><div>${escapeHtml(t('report.signature.preparedBy'))}</div><br/><div class="sig-name">${escapeHtml(profile.luponSecretary || '')}</div><div>${escapeHtml(t('report.signature.secretary'))}</div></div>
+        <div class="sig"><div>${escapeHtml(t('stats.report.attestedBy'))}</div><br/><div class="sig-name">${escapeHtml(profile.punongBarangay || '')}</div><div>${escapeHtml(t('stats.report.chairman'))}</div></div>
+      </div>
+      </body></html>`;
+  }
+
+  function print(summary, lang, nameOf) {
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    win.document.write(reportHTML(summary, lang, nameOf));
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+  }
+
+  window.KPStats = {
+    OUTCOMES,
+    SETTLED_BY,
+    NATURES,
+    PERIODS,
+    filedOn,
+    settledBy,
+    daysToSettlement,
+    disputeNature,
+    area,
+    periodOf,
+    summarize,
+    monthLabel,
+    rowLabel,
+    formatRate,
+    formatDays,
+    toCSV,
+    reportHTML,
+    print,
+  };
+})();
@@ -0,0 +1,237 @@
+/*
+ * kp-timeline.js
+ *
+ * Katarungang Pambarangay procedural status and deadline tracking. Each case
+ * carries a `kp` object with its current stage and the date each stage was
+ * reached. From those dates this module computes the periods fixed by the
+ * Local Government Code (R.A. 7160):
+ *
+ *   - Sec. 410(a): summons issue on the next working day after filing
+ *   - Sec. 410(b): 15 days for mediation before the Punong Barangay
+ *   - Sec. 410(e): 15 days for conciliation from the day the Pangkat
+ *                  convenes (the conciliation date, not the date it was
+ *                  constituted), extendible by another 15 days
+ *   - Sec. 418:    10 days to repudiate an amicable settlement
+ *   - Sec. 417:    six months for the Lupon to execute a settlement that is
+ *                  not complied with
+ *
+ * The terms of a settlement (installments, undertakings and breaches) add
+ * their own deadlines through window.Settlement (settlement.js).
+ *
+ * Dates are handled as plain YYYY-MM-DD strings in Philippine time. Labels are
+ * translated through window.I18n (i18n.js). The API is exposed on
+ * window.KPTimeline.
+ */
+
+(() => {
+  // Procedural stages in the order a case normally moves through them
+  const STAGES = [
+    { key: 'filed', label: 'Complaint filed' },
+    { key: 'summons', label: 'Summons issued' },
+    { key: 'mediation', label: 'Mediation before the Punong Barangay' },
+    { key: 'pangkat', label: 'Pangkat constituted' },
+    { key: 'conciliation', label: 'Conciliation before the Pangkat' },
+    { key: 'settled', label: 'Amicable settlement' },
+    { key: 'repudiated', label: 'Settlement repudiated' },
+    { key: 'cfa', label: 'Certificate to File Action issued' },
+  ];
+
+  // Where a case stands today, for the dashboard, the party history and the
+  // retention policy
+  const OUTCOMES = ['settled', 'repudiated', 'certified', 'referred', 'pending'];
+
+  const MEDIATION_DAYS = 15;
+  const PANGKAT_DAYS = 15;
+  const PANGKAT_EXTENSION_DAYS = 15;
+  const REPUDIATION_DAYS = 10;
+  // Deadlines this close are reported as upcoming
+  const DUE_SOON_DAYS = 3;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function stageIndex(key) {
+    return STAGES.findIndex((s) => s.key === key);
+  }
+
+  // Outcome of a case: referred when it is not mediable, else settled,
+  // repudiated (no certification issued yet) or certified by its status,
+  // else pending
+  function outcome(record) {
+    if ((record.referral || []).length) return 'referred';
+    const status = record.kp && record.kp.status;
+    if (status === 'settled') return 'settled';
+    if (status === 'repudiated') return 'repudiated';
+    if (status === 'cfa') return 'certified';
+    return 'pending';
+  }
+
+  // Today's date in the Philippines as YYYY-MM-DD
+  function todayInManila() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' });
+  }
+
+  // Accept date or datetime-local strings and keep only the date part
+  function toDateString(value) {
+    return value ? String(value).slice(0, 10) : '';
+  }
+
+  function dateToUTC(dateString) {
+    const [y, m, d] = dateString.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  }
+
+  function addDays(dateString, days) {
+    return new Date(dateToUTC(dateString) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  // Next working day (Monday to Friday); holidays are not taken into account
+  function nextWorkingDay(dateString) {
+    let next = addDays(dateString, 1);
+    while ([0, 6].includes(new Date(dateToUTC(next)).getUTCDay())) {
+      next = addDays(next, 1);
+    }
+    return next;
+  }
+
+  function daysBetween(from, to) {
+    return Math.round((dateToUTC(to) - dateToUTC(from)) / DAY_MS);
+  }
+
+  // Normalise the kp object of a record, falling back to the date the
+  // complaint was received as the filing date
+  function getProceedings(record) {
+    const kp = record.kp || {};
+    const dates = { ...(kp.dates || {}) };
+    if (!dates.filed && record.dateReceived) dates.filed = toDateString(record.dateReceived);
+    return { status: kp.status || 'filed', dates, pangkatExtended: !!kp.pangkatExtended };
+  }
+
+  // Work out the state of a deadline relative to today
+  function deadlineState(due, done, today) {
+    if (done) return 'done';
+    const daysLeft = daysBetween(today, due);
+    if (daysLeft < 0) return 'overdue';
+    if (daysLeft <= DUE_SOON_DAYS) return 'due-soon';
+    return 'open';
+  }
+
+  // Compute every deadline that applies to the case at its current stage.
+  // Each entry has a label, start and due dates, the legal basis, the number
+  // of days left and a state: open, due-soon, overdue, done or (for the
+  // repudiation window) lapsed.
+  function computeDeadlines(record, today) {
+    const { status, dates, pangkatExtended } = getProceedings(record);
+    const now = today || todayInManila();
+    const current = stageIndex(status);
+    const reached = (key) => current >= stageIndex(key);
+    const deadlines = [];
+
+    if (dates.filed) {
+      const due = nextWorkingDay(dates.filed);
+      deadlines.push({
+        key: 'summons',
+        label: 'Issue summons to the respondent(s)',
+        basis: 'LGC Sec. 410(a)',
+        start: dates.filed,
+        due,
+        done: !!dates.summons || reached('summons'),
+      });
+    }
+    if (dates.mediation) {
+      deadlines.push({
+        key: 'mediation',
+        label: `Settle through mediation (${MEDIATION_DAYS} days from the first meeting)`,
+        params: { days: MEDIATION_DAYS },
+        basis: 'LGC Sec. 410(b)',
+        start: dates.mediation,
+        due: addDays(dates.mediation, MEDIATION_DAYS),
+        done: reached('pangkat'),
+      });
+    }
+    if (dates.conciliation) {
+      const days = PANGKAT_DAYS + (pangkatExtended ? PANGKAT_EXTENSION_DAYS : 0);
+      deadlines.push({
+        key: 'pangkat',
+        labelKey: pangkatExtended ? 'pangkatExtended' : 'pangkat',
+        params: { days: PANGKAT_DAYS, extension: PANGKAT_EXTENSION_DAYS },
+        label: pangkatExtended
+          ? `Settle before the Pangkat (${PANGKAT_DAYS} days from the day it convened plus ${PANGKAT_EXTENSION_DAYS}-day extension)`
+          : `Settle before the Pangkat (${PANGKAT_DAYS} days from the day it convened, extendible by ${PANGKAT_EXTENSION_DAYS})`,
+        basis: 'LGC Sec. 410(e)',
+        start: dates.conciliation,
+        due: addDays(dates.conciliation, days),
+        done: reached('settled'),
+      });
+    }
+    if (dates.settled) {
+      deadlines.push({
+        key: 'repudiation',
+        label: `Period to repudiate the settlement (${REPUDIATION_DAYS} days)`,
+        params: { days: REPUDIATION_DAYS },
+        basis: 'LGC Sec. 418',
+        start: dates.settled,
+        due: addDays(dates.settled, REPUDIATION_DAYS),
+        done: status === 'repudiated' || status === 'cfa',
+      });
+    }
+    if (status === 'settled' && record.settlement && window.Settlement) {
+      deadlines.push(...Settlement.deadlines(record, now));
+    }
+
+    return deadlines.map((d) => {
+      let state = deadlineState(d.due, d.done, now);
+      // The repudiation window is not an obligation: once it lapses the
+      // settlement simply becomes final
+      if (d.key === 'repudiation' && state === 'overdue') state = 'lapsed';
+      // After six months a settlement can only be enforced by action in court
+      if (d.key === 'execution' && state === 'overdue') state = 'lapsed';
+      return { ...d, state, daysLeft: daysBetween(now, d.due) };
+    });
+  }
+
+  // Deadlines that need attention: overdue or due within a few days
+  function pendingAlerts(record, today) {
+    return computeDeadlines(record, today).filter((d) => d.state === 'overdue' || d.state === 'due-soon');
+  }
+
+  // Stage label in the given language
+  function stageLabel(key, lang) {
+    return STAGES.some((s) => s.key === key) ? I18n.t(`kp.stage.${key}`, lang) : key;
+  }
+
+  // Deadline label in the given language
+  function deadlineLabel(deadline, lang) {
+    return I18n.t(`kp.deadline.${deadline.labelKey || deadline.key}`, lang, deadline.params);
+  }
+
+  // Human readable description of how far a deadline is
+  function describeDaysLeft(deadline, lang) {
+    const days = I18n.days(Math.abs(deadline.daysLeft), lang);
+    switch (deadline.state) {
+      case 'done':
+        return I18n.t('kp.left.done', lang);
+      case 'lapsed':
+        return I18n.t(deadline.key === 'execution' ? 'kp.left.executionLapsed' : 'kp.left.lapsed', lang);
+      case 'overdue':
+        return I18n.t('kp.left.overdue', lang, { days });
+      default:
+        return deadline.daysLeft === 0 ? I18n.t('kp.left.today', lang) : I18n.t('kp.left.open', lang, { days });
+    }
+  }
+
+  window.KPTimeline = {
+    STAGES,
+    OUTCOMES,
+    stageIndex,
+    stageLabel,
+    outcome,
+    todayInManila,
+    addDays,
+    nextWorkingDay,
+    daysBetween,
+    getProceedings,
+    computeDeadlines,
+    pendingAlerts,
+    deadlineLabel,
+    describeDaysLeft,
+  };
+})();
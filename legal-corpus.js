@@ -0,0 +1,111 @@
+/*
+ * legal-corpus.js
+ *
+ * Offline legal library searched when there is no Google API key or no
+ * internet connection. The bundled corpus (legal-corpus/core.json) holds
+ * condensed texts of the Revised Penal Code articles the app deals with, the
+ * Katarungang Pambarangay chapter of the Local Government Code (Secs.
+ * 399-422) and the KP implementing rules:
+ *
+ *   {
+ *     "schema": "barangay-legal-corpus/1",
+ *     "id": "...", "name": "...", "version": "1.0.0", "updated": "YYYY-MM-DD",
+ *     "sources": { "<source>": { name, url } },
+ *     "documents": [{ id, source, citation, title, text }]
+ *   }
+ *
+ * The jurisprudence summaries of the active legal pack (legal-data.js) are
+ * added to it, so cases added in the knowledge base editor can be found too.
+ * The index (search-index.js) is built on the first search and again after
+ * the legal pack changes. The API is exposed on window.LegalCorpus.
+ */
+
+(() => {
+  const SCHEMA = 'barangay-legal-corpus/1';
+  const CORPUS_URL = 'legal-corpus/core.json';
+  // A search for "Sec. 408" should find that section before the ones citing it
+  const FIELDS = { title: 3, citation: 4, text: 1 };
+  // Kind of document of each source, used by the document type filter
+  const DOCUMENT_TYPES = { rpc: 'statute', lgc: 'statute', 'kp-rules': 'rules', jurisprudence: 'decision' };
+
+  let corpus = null;
+  let index = null;
+  let indexedPack = null;
+
+  async function loadCorpus() {
+    if (corpus) return corpus;
+    const res = await fetch(CORPUS_URL);
+    if (!res.ok) throw new Error(`The offline legal library could not be loaded (HTTP ${res.status}).`);
+    const data = await res.json();
+    if (!data || data.schema !== SCHEMA || !Array.isArray(data.documents)) {
+      throw new Error('The offline legal library is not in the expected format.');
+    }
+    corpus = data;
+    return corpus;
+  }
+
+  // Documents for the jurisprudence of each category of the legal pack
+  function jurisprudenceDocs(pack) {
+    return Object.entries(pack.categories).flatMap(([key, cat]) =>
+      (cat.jurisprudence || []).map((item, i) => ({
+        id: `jurisprudence-${key}-${i + 1}`,
+        source: 'jurisprudence',
+        citation: item.title,
+        title: item.title,
+        text: item.summary.replace(/【[^】]*】/g, ''),
+        topic: cat.nature,
+      })));
+  }
+
+  // The active legal pack, or null while it is not loaded
+  function activePack() {
+    try {
+      return LegalKnowledgeBase.getPack();
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function getIndex() {
+    const data = await loadCorpus();
+    const pack = activePack();
+    if (!index || pack !== indexedPack) {
+      const docs = data.documents.concat(pack ? jurisprudenceDocs(pack) : []);
+      index = SearchIndex.create(docs, FIELDS);
+      indexedPack = pack;
+    }
+    return index;
+  }
+
+  // Search the library. Resolves to results shaped like the online search
+  // results (title, link, displayLink, snippet, type) plus the id of the
+  // document, its source and the snippet as highlighted parts.
+  async function search(query, { limit = 20 } = {}) {
+    const idx = await getIndex();
+    return SearchIndex.search(idx, query, { limit }).map(({ doc, terms }) => {
+      const source = corpus.sources[doc.source];
+      const parts = SearchIndex.snippet(doc.text, terms);
+      return {
+        id: `corpus:${doc.id}`,
+        title: doc.source === 'jurisprudence' ? doc.title : `${doc.citation}: ${doc.title}`,
+        link: source && source.url ? source.url : '',
+        displayLink: doc.source === 'jurisprudence' ? doc.topic : (source ? source.name : doc.citation),
+        snippet: parts.map((p) => p.text).join(''),
+        parts,
+        source: doc.source,
+        type: DOCUMENT_TYPES[doc.source] || 'other',
+      };
+    });
+  }
+
+  // Name, version and date of the bundled library
+  async function getInfo() {
+    const data = await loadCorpus();
+    return { id: data.id, name: data.name, version: data.version, updated: data.updated, note: data.note };
+  }
+
+  window.LegalCorpus = {
+    search,
+    getInfo,
+  };
+})();
@@ -0,0 +1,294 @@
+/*
+ * legal-data.js
+ *
+ * Legal knowledge base for the Barangay Case Analyzer. The offenses, legal
+ * provisions, penalties, counter-charges and jurisprudence used in the reports
+ * are kept in JSON "packs" rather than in the code, so that a penalty can be
+ * corrected without a new release and a vetted pack can be shared between
+ * barangays.
+ *
+ * A pack looks like legal-packs/core.json (JSON Schema in
+ * legal-packs/schema.json):
+ *
+ *   {
+ *     "schema": "barangay-legal-pack/1",
+ *     "id": "ph-san-pedro-core", "name": "...",
+ *     "version": "1.0.0", "updated": "YYYY-MM-DD",
+ *     "categories": {
+ *       "<key>": { nature, description, reviewed, translations, keywords,
+ *                  violations, counters, jurisprudence }
+ *     }
+ *   }
+ *
+ * A category with "mediable": false (e.g. VAWC under R.A. 9262) may not be
+ * mediated or conciliated; "referralBasis" cites the provision that says so
+ * and the case is referred instead. "imputedTo" names the category a keyword
+ * counts toward when a party was only called or accused of it: "calling me
+ * a thief" is defamation, not theft (see classifier.js).
+ *
+ * The bundled pack is fetched at startup. Once the officer edits or imports a
+ * pack it is kept in localStorage and used instead, until it is reset. Every
+ * change bumps the patch version and the updated date. The API is exposed on
+ * window.LegalKnowledgeBase and is promise-based where it fetches.
+ */
+
+(() => {
+  const SCHEMA = 'barangay-legal-pack/1';
+  const BUNDLED_PACK_URL = 'legal-packs/core.json';
+  const STORAGE_KEY = 'barangay-case-analyzer-legal-pack';
+  const FALLBACK_CATEGORY = 'general';
+  const KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+  // The pack in use and where it came from ('bundled' or 'local')
+  let active = null;
+  let bundled = null;
+
+  function todayInManila() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Manila' });
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  const isText = (v) => typeof v === 'string' && v.trim() !== '';
+  const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+  // Check a list of provisions or cases; every item needs the given fields
+  function validateItems(items, fields, where, errors) {
+    if (!Array.isArray(items)) {
+      errors.push(`${where} must be a list.`);
+      return;
+    }
+    items.forEach((item, i) => {
+      if (!isObject(item)) {
+        errors.push(`${where} #${i + 1} must be an object.`);
+        return;
+      }
+      fields.forEach((field) => {
+        if (typeof item[field] !== 'string') errors.push(`${where} #${i + 1} is missing "${field}".`);
+      });
+      if (!isText(item.title)) errors.push(`${where} #${i + 1} needs a title.`);
+    });
+  }
+
+  function validateCategory(key, entry, errors, keys) {
+    const where = `Category "${key}"`;
+    if (!KEY_PATTERN.test(key)) {
+      errors.push(`${where}: keys use lowercase letters, digits and hyphens and start with a letter.`);
+    }
+    if (!isObject(entry)) {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    if (!isText(entry.nature)) errors.push(`${where} needs a nature of case.`);
+    if (!isText(entry.description)) errors.push(`${where} needs a description.`);
+    if (!DATE_PATTERN.test(entry.reviewed || '')) errors.push(`${where} needs a "reviewed" date (YYYY-MM-DD).`);
+    if (entry.mediable !== undefined && typeof entry.mediable !== 'boolean') {
+      errors.push(`${where}: "mediable" must be true or false.`);
+    }
+    if (entry.referralBasis !== undefined && typeof entry.referralBasis !== 'string') {
+      errors.push(`${where}: "referralBasis" must be text.`);
+    }
+    if (entry.imputedTo !== undefined && (entry.imputedTo === key || !keys.includes(entry.imputedTo))) {
+      errors.push(`${where}: "imputedTo" must name another category of the pack.`);
+    }
+    if (entry.keywords !== undefined) {
+      if (!isObject(entry.keywords)) {
+        errors.push(`${where}: keywords must map phrases to weights.`);
+      } else {
+        Object.keys(entry.keywords).forEach((phrase) => {
+          const weight = entry.keywords[phrase];
+          if (typeof weight !== 'number' || !(weight > 0)) {
+            errors.push(`${where}: keyword "${phrase}" needs a positive weight.`);
+          }
+        });
+      }
+    }
+    if (entry.translations !== undefined) {
+      if (!isObject(entry.translations)) {
+        errors.push(`${where}: translations must be an object keyed by language.`);
+      } else {
+        Object.keys(entry.translations).forEach((lang) => {
+          if (!isObject(entry.translations[lang])) errors.push(`${where}: translation "${lang}" must be an object.`);
+        });
+      }
+    }
+    validateItems(entry.violations, ['title', 'basis', 'text', 'penalty'], `${where} violation`, errors);
+    validateItems(entry.counters, ['title', 'basis', 'text', 'penalty'], `${where} counter-charge`, errors);
+    validateItems(entry.jurisprudence, ['title', 'summary'], `${where} jurisprudence`, errors);
+  }
+
+  // Validate a pack against the schema. Returns a list of problems (empty
+  // when the pack is valid).
+  function validatePack(pack) {
+    const errors = [];
+    if (!isObject(pack)) return ['A legal pack must be a JSON object.'];
+    if (pack.schema !== SCHEMA) errors.push(`Unsupported pack format "${pack.schema}" (expected "${SCHEMA}").`);
+    if (!isText(pack.id)) errors.push('The pack needs an id.');
+    if (!isText(pack.name)) errors.push('The pack needs a name.');
+    if (!VERSION_PATTERN.test(pack.version || '')) errors.push('The pack version must look like 1.0.0.');
+    if (!DATE_PATTERN.test(pack.updated || '')) errors.push('The pack needs an "updated" date (YYYY-MM-DD).');
+    if (!isObject(pack.categories)) {
+      errors.push('The pack has no categories.');
+      return errors;
+    }
+    if (!pack.categories[FALLBACK_CATEGORY]) {
+      errors.push(`The pack needs a "${FALLBACK_CATEGORY}" category for cases that match no offense.`);
+    }
+    const keys = Object.keys(pack.categories);
+    keys.forEach((key) => validateCategory(key, pack.categories[key], errors, keys));
+    return errors;
+  }
+
+  function assertValid(pack) {
+    const errors = validatePack(pack);
+    if (errors.length) {
+      const error = new Error(`Invalid legal pack: ${errors[0]}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`);
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  async function fetchBundled() {
+    const response = await fetch(BUNDLED_PACK_URL, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Could not load ${BUNDLED_PACK_URL} (HTTP ${response.status}).`);
+    const pack = await response.json();
+    assertValid(pack);
+    return pack;
+  }
+
+  // The locally saved pack, or null if there is none or it is unreadable
+  function readStored() {
+    try {
+      const pack = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return pack && !validatePack(pack).length ? pack : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function store(pack) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(pack));
+    } catch (err) {
+      throw new Error(`The legal pack could not be saved in this browser: ${err.message}`);
+    }
+    active = { pack, source: 'local' };
+    return pack;
+  }
+
+  // Load the knowledge base: the locally saved pack if any, otherwise the
+  // bundled one. Resolves with the active pack.
+  async function load() {
+    try {
+      bundled = await fetchBundled();
+    } catch (err) {
+      bundled = null;
+      if (!readStored()) throw err;
+    }
+    const local = readStored();
+    active = local ? { pack: local, source: 'local' } : { pack: bundled, source: 'bundled' };
+    return active.pack;
+  }
+
+  function requireLoaded() {
+    if (!active) throw new Error('The legal knowledge base has not been loaded yet.');
+    return active.pack;
+  }
+
+  function getPack() {
+    return requireLoaded();
+  }
+
+  // Summary of the active pack for display
+  function getInfo() {
+    const pack = requireLoaded();
+    return {
+      id: pack.id,
+      name: pack.name,
+      version: pack.version,
+      updated: pack.updated,
+      source: active.source,
+      bundledVersion: bundled ? bundled.version : null,
+      categories: Object.keys(pack.categories).length,
+    };
+  }
+
+  function bumpVersion(version) {
+    const [major, minor, patch] = version.split('.').map(Number);
+    return `${major}.${minor}.${patch + 1}`;
+  }
+
+  // Copy of the active pack with a change applied, a new version and date
+  function revise(change) {
+    const pack = clone(requireLoaded());
+    change(pack);
+    pack.version = bumpVersion(pack.version);
+    pack.updated = todayInManila();
+    assertValid(pack);
+    return store(pack);
+  }
+
+  // Add or replace a category. Pass the previous key when a category is
+  // renamed so the old entry is removed.
+  function saveCategory(key, entry, previousKey) {
+    if (previousKey === FALLBACK_CATEGORY && key !== FALLBACK_CATEGORY) {
+      throw new Error(`The "${FALLBACK_CATEGORY}" category cannot be renamed.`);
+    }
+    return revise((pack) => {
+      if (key !== previousKey && pack.categories[key]) {
+        throw new Error(`A category with the key "${key}" already exists.`);
+      }
+      if (previousKey && previousKey !== key) delete pack.categories[previousKey];
+      pack.categories[key] = clone(entry);
+    });
+  }
+
+  function deleteCategory(key) {
+    if (key === FALLBACK_CATEGORY) throw new Error(`The "${FALLBACK_CATEGORY}" category cannot be deleted.`);
+    return revise((pack) => {
+      delete pack.categories[key];
+    });
+  }
+
+  // Replace the active pack with one shared by another barangay
+  function importPack(text) {
+    let pack;
+    try {
+      pack = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`The file is not valid JSON: ${err.message}`);
+    }
+    assertValid(pack);
+    return store(pack);
+  }
+
+  function exportPack() {
+    return `${JSON.stringify(requireLoaded(), null, 2)}\n`;
+  }
+
+  // Drop local changes and go back to the pack shipped with the app
+  function resetToBundled() {
+    if (!bundled) throw new Error('The bundled legal pack is not available offline.');
+    localStorage.removeItem(STORAGE_KEY);
+    active = { pack: bundled, source: 'bundled' };
+    return bundled;
+  }
+
+  window.LegalKnowledgeBase = {
+    SCHEMA,
+    FALLBACK_CATEGORY,
+    validatePack,
+    load,
+    getPack,
+    getInfo,
+    saveCategory,
+    deleteCategory,
+    importPack,
+    exportPack,
+    resetToBundled,
+  };
+})();
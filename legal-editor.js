@@ -0,0 +1,228 @@
+/*
+ * legal-editor.js
+ *
+ * Admin editor for one category of the legal knowledge base (legal-data.js):
+ * the nature of the case, its description and Filipino translation, whether it
+ * may be mediated, the classifier keywords and the lists of violations, counter-charges and
+ * jurisprudence. renderCategory() builds the form and readCategory() turns it
+ * back into a pack entry; saving is left to the caller. Keywords are edited
+ * as one "phrase = weight" pair per line. The API is exposed on
+ * window.LegalEditor.
+ */
+
+(() => {
+  // Fields of the items in each list
+  const LISTS = {
+    violations: ['title', 'basis', 'text', 'penalty'],
+    counters: ['title', 'basis', 'text', 'penalty'],
+    jurisprudence: ['title', 'summary'],
+  };
+  const LONG_FIELDS = ['text', 'penalty', 'summary'];
+
+  // Entry each editor was rendered from, so fields the editor does not show
+  // (e.g. translations into other languages) survive a save
+  const renderedEntries = new WeakMap();
+
+  function t(key, params) {
+    return I18n.t(key, I18n.getUiLanguage(), params);
+  }
+
+  // Labelled input or textarea. data-field names the entry property, or
+  // data-item-field the property of a list item.
+  function field(labelKey, name, value, options = {}) {
+    const wrap = document.createElement('div');
+    wrap.className = options.className || 'mb-2';
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-1 w-100';
+    label.textContent = t(labelKey);
+    const input = document.createElement(options.rows ? 'textarea' : 'input');
+    if (options.rows) {
+      input.rows = options.rows;
+    } else {
+      input.type = options.type || 'text';
+    }
+    input.className = 'form-control form-control-sm';
+    input.dataset[options.item ? 'itemField' : 'field'] = name;
+    input.value = value || '';
+    label.appendChild(input);
+    wrap.appendChild(label);
+    if (options.hintKey) {
+      const hint = document.createElement('div');
+      hint.className = 'form-text';
+      hint.textContent = t(options.hintKey);
+      wrap.appendChild(hint);
+    }
+    return wrap;
+  }
+
+  // "Can be mediated" switch with the referral basis used when it is off
+  function mediableField(data) {
+    const wrap = document.createElement('div');
+    wrap.className = 'row g-2 align-items-end mb-2';
+    const col = document.createElement('div');
+    col.className = 'col-md-4';
+    const check = document.createElement('div');
+    check.className = 'form-check form-switch mb-2';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'form-check-input';
+    input.id = 'kbFieldMediable';
+    input.dataset.field = 'mediable';
+    input.checked = data.mediable !== false;
+    const label = document.createElement('label');
+    label.className = 'form-check-label small';
+    label.htmlFor = input.id;
+    label.textContent = t('kb.field.mediable');
+    check.appendChild(input);
+    check.appendChild(label);
+    col.appendChild(check);
+    wrap.appendChild(col);
+    wrap.appendChild(field('kb.field.referralBasis', 'referralBasis', data.referralBasis, {
+      className: 'col-md-8',
+      hintKey: 'kb.field.referralBasisHint',
+    }));
+    return wrap;
+  }
+
+  function keywordsToText(keywords) {
+    return Object.keys(keywords || {})
+      .map((phrase) => `${phrase} = ${keywords[phrase]}`)
+      .join('\n');
+  }
+
+  function parseKeywords(text) {
+    const keywords = {};
+    String(text || '')
+      .split('\n')
+      .forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        const match = trimmed.match(/^(.+?)\s*=\s*(\d+(?:\.\d+)?)$/);
+        if (!match || !(Number(match[2]) > 0)) {
+          throw new Error(t('kb.error.keywordLine', { line: i + 1, text: trimmed }));
+        }
+        keywords[match[1].trim().toLowerCase()] = Number(match[2]);
+      });
+    return keywords;
+  }
+
+  // One editable item of a list (a violation, counter-charge or case)
+  function itemElement(list, item) {
+    const div = document.createElement('div');
+    div.className = 'kb-item border rounded p-2 mb-2';
+    LISTS[list].forEach((name) => {
+      div.appendChild(field(`kb.field.${name}`, name, item[name], { rows: LONG_FIELDS.includes(name) ? 2 : 0, item: true }));
+    });
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-sm btn-outline-danger';
+    remove.dataset.action = 'remove-item';
+    remove.textContent = t('kb.removeItem');
+    div.appendChild(remove);
+    return div;
+  }
+
+  // Build the editor for a category. key is empty for a new category.
+  function renderCategory(container, key, entry) {
+    const data = entry || { violations: [], counters: [], jurisprudence: [] };
+    container.innerHTML = '';
+    renderedEntries.set(container, data);
+    container.dataset.originalKey = key || '';
+    const fil = (data.translations && data.translations.fil) || {};
+
+    const row = document.createElement('div');
+    row.className = 'row g-2';
+    row.appendChild(field('kb.field.key', 'key', key, { className: 'col-md-4', hintKey: 'kb.field.keyHint' }));
+    row.appendChild(field('kb.field.nature', 'nature', data.nature, { className: 'col-md-5' }));
+    row.appendChild(field('kb.field.reviewed', 'reviewed', data.reviewed, { className: 'col-md-3', type: 'date' }));
+    container.appendChild(row);
+    container.appendChild(field('kb.field.description', 'description', data.description, { rows: 3 }));
+    container.appendChild(field('kb.field.natureFil', 'natureFil', fil.nature));
+    container.appendChild(field('kb.field.descriptionFil', 'descriptionFil', fil.description, { rows: 3 }));
+    container.appendChild(mediableField(data));
+    container.appendChild(field('kb.field.keywords', 'keywords', keywordsToText(data.keywords), {
+      rows: 6,
+      hintKey: 'kb.field.keywordsHint',
+    }));
+
+    Object.keys(LISTS).forEach((list) => {
+      const heading = document.createElement('h6');
+      heading.className = 'mt-3';
+      heading.textContent = t(`kb.list.${list}`);
+      container.appendChild(heading);
+      const items = document.createElement('div');
+      items.className = 'kb-list';
+      items.dataset.list = list;
+      (data[list] || []).forEach((item) => items.appendChild(itemElement(list, item)));
+      container.appendChild(items);
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.className = 'btn btn-sm btn-outline-primary';
+      add.dataset.action = 'add-item';
+      add.dataset.list = list;
+      add.textContent = t('kb.addItem');
+      container.appendChild(add);
+    });
+
+    container.onclick = (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      if (btn.dataset.action === 'add-item') {
+        const items = container.querySelector(`.kb-list[data-list="${btn.dataset.list}"]`);
+        items.appendChild(itemElement(btn.dataset.list, {}));
+      }
+      if (btn.dataset.action === 'remove-item') btn.closest('.kb-item').remove();
+    };
+  }
+
+  // Read the editor back into { key, previousKey, entry }. Throws when the
+  // keywords cannot be parsed; the pack itself is validated on save.
+  function readCategory(container) {
+    const value = (name) => {
+      const el = container.querySelector(`[data-field="${name}"]`);
+      return el ? el.value.trim() : '';
+    };
+    const original = renderedEntries.get(container) || {};
+    const entry = {
+      ...original,
+      nature: value('nature'),
+      description: value('description'),
+      reviewed: value('reviewed'),
+      keywords: parseKeywords(value('keywords')),
+    };
+    // Categories are mediable unless marked otherwise
+    delete entry.mediable;
+    delete entry.referralBasis;
+    if (!container.querySelector('[data-field="mediable"]').checked) entry.mediable = false;
+    if (value('referralBasis')) entry.referralBasis = value('referralBasis');
+    const translations = { ...(original.translations || {}) };
+    if (value('natureFil') || value('descriptionFil')) {
+      translations.fil = { nature: value('natureFil'), description: value('descriptionFil') };
+    } else {
+      delete translations.fil;
+    }
+    entry.translations = translations;
+    Object.keys(LISTS).forEach((list) => {
+      entry[list] = Array.from(container.querySelectorAll(`.kb-list[data-list="${list}"] .kb-item`))
+        .map((div) => {
+          const item = {};
+          LISTS[list].forEach((name) => {
+            item[name] = div.querySelector(`[data-item-field="${name}"]`).value.trim();
+          });
+          return item;
+        })
+        // Skip items left completely blank
+        .filter((item) => Object.values(item).some(Boolean));
+    });
+    return {
+      key: value('key').toLowerCase(),
+      previousKey: container.dataset.originalKey || null,
+      entry,
+    };
+  }
+
+  window.LegalEditor = {
+    renderCategory,
+    readCategory,
+  };
+})();
@@ -0,0 +1,325 @@
+/*
+ * lupon.js
+ *
+ * Roster of the Lupong Tagapamayapa and the Pangkat ng Tagapagkasundo of a
+ * case. Lupon members are stored in the docket database (docket.js) as
+ *
+ *   { id, name, purok, address, phone, termStart, termEnd, createdAt, updatedAt }
+ *
+ * and serve a three-year term (LGC Sec. 400). The Pangkat of a case is kept
+ * with the case record as
+ *
+ *   { choices: { complainant: [ids], respondent: [ids] },
+ *     members: [{ id, name, purok, address, role, selection }],
+ *     lots: [{ at, pool: [ids], drawn: [ids] }],
+ *     constitutedOn }
+ *
+ * Under Sec. 404 the three members are chosen by the parties from the Lupon;
+ * the seats the parties do not agree on are filled by lots drawn by the Lupon
+ * chairman, and the members elect their own chairman and secretary. A vacancy
+ * is filled the same way (Sec. 405). Every draw is recorded with the members
+ * it was drawn from.
+ *
+ * conflicts() warns when a member shares a surname or an address with a
+ * party of the case, so the Punong Barangay can leave the member out or ask
+ * the parties. The API is exposed on window.Lupon.
+ */
+
+(() => {
+  const TERM_YEARS = 3;
+  const PANGKAT_SIZE = 3;
+  const ROLES = ['chairman', 'secretary', 'member'];
+  const SELECTIONS = ['agreed', 'lot'];
+  // Normalized addresses at least this similar are the same address
+  const ADDRESS_SCORE = 0.85;
+  const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+  // Words that belong to the surname that follows them: "Dela Cruz",
+  // "De los Santos", "San Juan"
+  const PARTICLES = new Set(['de', 'del', 'dela', 'delas', 'delos', 'la', 'las', 'los', 'san', 'sta', 'sto', 'santa', 'santo', 'di', 'van', 'von']);
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  function newId() {
+    return `member-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function text(value) {
+    return String(value === undefined || value === null ? '' : value).trim();
+  }
+
+  // End of a term that starts on the given date
+  function termEndFor(start) {
+    if (!DATE_PATTERN.test(start)) return '';
+    const [y, m, d] = start.split('-').map(Number);
+    const end = new Date(Date.UTC(y + TERM_YEARS, m - 1, d - 1));
+    return end.toISOString().slice(0, 10);
+  }
+
+  // A roster entry from the roster form; a blank end of term is the end of
+  // the three-year term
+  function createMember(fields) {
+    const termStart = text(fields.termStart);
+    return {
+      id: fields.id || newId(),
+      name: text(fields.name),
+      purok: text(fields.purok),
+      address: text(fields.address),
+      phone: text(fields.phone),
+      termStart,
+      termEnd: text(fields.termEnd) || termEndFor(termStart),
+      ...(fields.createdAt ? { createdAt: fields.createdAt } : {}),
+    };
+  }
+
+  // Problems with a roster entry, as messages for the officer
+  function validateMember(member) {
+    const errors = [];
+    if (!text(member.name)) errors.push('Enter the name of the Lupon member.');
+    if (member.termStart && !DATE_PATTERN.test(member.termStart)) errors.push('The start of the term is not a valid date.');
+    if (member.termEnd && !DATE_PATTERN.test(member.termEnd)) errors.push('The end of the term is not a valid date.');
+    if (member.termStart && member.termEnd && member.termEnd < member.termStart) {
+      errors.push('The term cannot end before it starts.');
+    }
+    return errors;
+  }
+
+  // Whether a member's term covers the given date
+  function isServing(member, date) {
+    const day = date || KPTimeline.todayInManila();
+    return (!member.termStart || member.termStart <= day) && (!member.termEnd || day <= member.termEnd);
+  }
+
+  function sortMembers(members) {
+    return (members || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Surname of a normalized name without spaces, so that "Dela Cruz" and
+  // "de la Cruz" compare equal: "juan dela cruz jr" -> "delacruz"
+  function surname(name) {
+    const words = PartyRegistry.normalizeName(name).split(' ').filter(Boolean);
+    while (words.length > 1 && SUFFIXES.has(words[words.length - 1])) words.pop();
+    if (words.length < 2) return '';
+    let start = words.length - 1;
+    while (start > 1 && PARTICLES.has(words[start - 1])) start -= 1;
+    return words.slice(start).join('');
+  }
+
+  // Parties of the case data (as gathered from the form) as
+  // [{ role, index, name, address }]
+  function partiesOf(data) {
+    const list = [];
+    const c = data.complainant || {};
+    if (c.name) list.push({ role: 'complainant', index: 0, name: c.name, address: c.address || '' });
+    (data.respondents || []).forEach((r, index) => {
+      if (r && r.name) list.push({ role: 'respondent', index, name: r.name, address: r.address || '' });
+    });
+    return list;
+  }
+
+  // Possible conflicts of interest between a Lupon member and the parties of
+  // a case: [{ kind: 'surname'|'address', role, index, party }]
+  function conflicts(member, data) {
+    const found = [];
+    const memberSurname = surname(member.name);
+    const memberAddress = PartyRegistry.normalizeAddress(member.address || member.purok);
+    partiesOf(data).forEach(({ role, index, name, address }) => {
+      if (memberSurname && surname(name) === memberSurname) found.push({ kind: 'surname', role, index, party: name });
+      const partyAddress = PartyRegistry.normalizeAddress(address);
+      if (memberAddress && partyAddress && PartyRegistry.similarity(memberAddress, partyAddress) >= ADDRESS_SCORE) {
+        found.push({ kind: 'address', role, index, party: name });
+      }
+    });
+    return found;
+  }
+
+  function describeConflict(conflict, lang) {
+    const who = conflict.role === 'respondent'
+      ? I18n.t('report.respondentN', lang, { n: conflict.index + 1 })
+      : I18n.t('report.complainant', lang);
+    return I18n.t(`lupon.conflict.${conflict.kind}`, lang, { party: `${who}, ${conflict.party}` });
+  }
+
+  function emptyPangkat() {
+    return { choices: { complainant: [], respondent: [] }, members: [], lots: [], constitutedOn: '' };
+  }
+
+  // A stored Pangkat with every part present
+  function normalizePangkat(pangkat) {
+    const p = pangkat || {};
+    const choices = p.choices || {};
+    return {
+      choices: { complainant: (choices.complainant || []).slice(), respondent: (choices.respondent || []).slice() },
+      members: (p.members || []).map((m) => ({ ...m })),
+      lots: (p.lots || []).slice(),
+      constitutedOn: p.constitutedOn || '',
+    };
+  }
+
+  // Members chosen by both sides, in the complainant's order
+  function agreedIds(pangkat) {
+    const { complainant, respondent } = normalizePangkat(pangkat).choices;
+    return complainant.filter((id) => respondent.includes(id));
+  }
+
+  // Unbiased random integer below n, from the browser's secure generator
+  // when there is one
+  function randomBelow(n) {
+    if (window.crypto && window.crypto.getRandomValues) {
+      const limit = Math.floor(0x100000000 / n) * n;
+      const buf = new Uint32Array(1);
+      do {
+        window.crypto.getRandomValues(buf);
+      } while (buf[0] >= limit);
+      return buf[0] % n;
+    }
+    return Math.floor(Math.random() * n);
+  }
+
+  // Draw count ids from the pool, as lots drawn from a box
+  function drawLots(pool, count, random = randomBelow) {
+    const box = pool.slice();
+    const drawn = [];
+    while (drawn.length < count && box.length) {
+      drawn.push(box.splice(random(box.length), 1)[0]);
+    }
+    return drawn;
+  }
+
+  // Fill the empty seats of a Pangkat: first with the members both sides
+  // chose (even with a possible conflict of interest, which the parties are
+  // warned of), then by lot from the serving members who have no conflict of
+  // interest with the parties, leaving out the excluded ids. Throws when
+  // there are not enough of them.
+  function fillSeats(pangkat, roster, data, date, random, exclude = []) {
+    const p = normalizePangkat(pangkat);
+    const day = date || KPTimeline.todayInManila();
+    const byId = new Map((roster || []).map((m) => [m.id, m]));
+    const seated = () => new Set(p.members.map((m) => m.id));
+    const seat = (member, selection) => p.members.push({
+      id: member.id, name: member.name, purok: member.purok, address: member.address, role: 'member', selection,
+    });
+    agreedIds(p).forEach((id) => {
+      const member = byId.get(id);
+      if (member && p.members.length < PANGKAT_SIZE && !seated().has(id) && isServing(member, day)) seat(member, 'agreed');
+    });
+    const needed = PANGKAT_SIZE - p.members.length;
+    if (needed > 0) {
+      const pool = sortMembers(roster)
+        .filter((m) => !seated().has(m.id) && !exclude.includes(m.id) && isServing(m, day) && !conflicts(m, data).length)
+        .map((m) => m.id);
+      if (pool.length < needed) {
+        throw new Error(`Not enough serving Lupon members without a conflict of interest to draw lots from (${needed} needed, ${pool.length} available).`);
+      }
+      const drawn = drawLots(pool, needed, random);
+      drawn.forEach((id) => seat(byId.get(id), 'lot'));
+      p.lots.push({ at: new Date().toISOString(), pool, drawn });
+    }
+    return p;
+  }
+
+  // Constitute the Pangkat of a case from the choices of the parties
+  function constitute(pangkat, roster, data, date, random) {
+    const p = fillSeats({ ...normalizePangkat(pangkat), members: [] }, roster, data, date, random);
+    p.constitutedOn = date || KPTimeline.todayInManila();
+    return p;
+  }
+
+  // Replace a member who has been disqualified or can no longer serve
+  // (Sec. 405); the member is not drawn again
+  function replaceMember(pangkat, id, roster, data, date, random) {
+    const p = normalizePangkat(pangkat);
+    p.members = p.members.filter((m) => m.id !== id);
+    p.choices.complainant = p.choices.complainant.filter((c) => c !== id);
+    p.choices.respondent = p.choices.respondent.filter((c) => c !== id);
+    return fillSeats(p, roster, data, date, random, [id]);
+  }
+
+  // Give a member a role; there is one chairman and one secretary, so a
+  // member who held the role before goes back to being a member
+  function setRole(pangkat, id, role) {
+    const p = normalizePangkat(pangkat);
+    const value = ROLES.includes(role) ? role : 'member';
+    p.members = p.members.map((m) => {
+      if (m.id === id) return { ...m, role: value };
+      if (value !== 'member' && m.role === value) return { ...m, role: 'member' };
+      return m;
+    });
+    return p;
+  }
+
+  function isConstituted(pangkat) {
+    return !!(pangkat && (pangkat.members || []).length);
+  }
+
+  // Pangkat members with the chairman and the secretary first
+  function orderedMembers(pangkat) {
+    const rank = (m) => ROLES.indexOf(m.role);
+    return ((pangkat && pangkat.members) || []).slice().sort((a, b) => rank(a) - rank(b));
+  }
+
+  function memberNames(pangkat) {
+    return orderedMembers(pangkat).map((m) => m.name);
+  }
+
+  function chairman(pangkat) {
+    return ((pangkat && pangkat.members) || []).find((m) => m.role === 'chairman') || null;
+  }
+
+  function roleLabel(role, lang) {
+    return I18n.t(`lupon.role.${role}`, lang);
+  }
+
+  // Role of a Pangkat member and how they were chosen, as written in the
+  // report: "Chairman, chosen by the parties"
+  function describeMember(member, lang) {
+    return `${roleLabel(member.role, lang)}, ${I18n.t(`lupon.selection.${member.selection}`, lang)}`;
+  }
+
+  // Problems with a Pangkat read from a backup file
+  function validatePangkat(pangkat) {
+    if (!pangkat || typeof pangkat !== 'object' || Array.isArray(pangkat)) return ['"pangkat" must be an object.'];
+    const errors = [];
+    const choices = pangkat.choices || {};
+    ['complainant', 'respondent'].forEach((side) => {
+      if (choices[side] !== undefined && !(Array.isArray(choices[side]) && choices[side].every((id) => typeof id === 'string'))) {
+        errors.push(`The choices of the ${side} must be a list of member ids.`);
+      }
+    });
+    if (pangkat.members !== undefined && !Array.isArray(pangkat.members)) return errors.concat('"members" must be a list.');
+    (pangkat.members || []).forEach((m, i) => {
+      if (!m || typeof m.name !== 'string' || !m.name.trim()) errors.push(`Member ${i + 1} has no name.`);
+      else if (m.role && !ROLES.includes(m.role)) errors.push(`Member ${i + 1} has an unknown role "${m.role}".`);
+      else if (m.selection && !SELECTIONS.includes(m.selection)) errors.push(`Member ${i + 1} has an unknown selection "${m.selection}".`);
+    });
+    if ((pangkat.members || []).length > PANGKAT_SIZE) errors.push(`A Pangkat has at most ${PANGKAT_SIZE} members.`);
+    if (pangkat.constitutedOn && !DATE_PATTERN.test(pangkat.constitutedOn)) errors.push('"constitutedOn" is not a valid date.');
+    return errors;
+  }
+
+  window.Lupon = {
+    TERM_YEARS,
+    PANGKAT_SIZE,
+    ROLES,
+    termEndFor,
+    createMember,
+    validateMember,
+    isServing,
+    sortMembers,
+    surname,
+    conflicts,
+    describeConflict,
+    emptyPangkat,
+    normalizePangkat,
+    agreedIds,
+    drawLots,
+    constitute,
+    replaceMember,
+    setRole,
+    isConstituted,
+    orderedMembers,
+    memberNames,
+    chairman,
+    roleLabel,
+    describeMember,
+    validatePangkat,
+  };
+})();
@@ -0,0 +1,288 @@
+/*
+ * party-registry.js
+ *
+ * Registry of the persons who appear as complainant or respondent, so that a
+ * person's earlier cases can be found whatever way their details were typed.
+ * A person is stored in the docket database (docket.js) as
+ *
+ *   { id, name, names, phone, email, address, createdAt, updatedAt }
+ *
+ * where names holds the other spellings of the name seen so far. Each party
+ * of a case carries the personId of its registry entry.
+ *
+ * Matching compares normalized details: names without accents, punctuation
+ * or titles (Mr., Gng., Kgd., ...), with the words in any order; mobile
+ * numbers in their 09XXXXXXXXX form; addresses with the usual abbreviations
+ * spelled out. Names are compared by edit distance, so a typo or a missing
+ * middle initial still matches, and the same mobile number is strong
+ * evidence. history() lists the other cases of each party of a case and
+ * flags a repeat respondent for the Punong Barangay. The API is exposed on
+ * window.PartyRegistry.
+ */
+
+(() => {
+  // Scores from 0 to 1; a candidate at or above MATCH_SCORE is the same person
+  const MATCH_SCORE = 0.88;
+  // A respondent in this many cases received within REPEAT_DAYS is flagged
+  // for the Punong Barangay
+  const REPEAT_RESPONDENT_CASES = 3;
+  const REPEAT_DAYS = 365;
+  const TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'atty', 'engr', 'hon', 'kgd', 'kagawad', 'gng', 'g', 'bb', 'sr', 'sra', 'srta', 'mang', 'aling']);
+  const ADDRESS_WORDS = {
+    st: 'street', brgy: 'barangay', bgy: 'barangay', ave: 'avenue', blk: 'block', lt: 'lot', subd: 'subdivision',
+    vill: 'village', cpd: 'compound', ext: 'extension', rd: 'road', no: '', num: '', purok: 'purok',
+  };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function plain(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // "Gng. María Dela Cruz" -> "maria dela cruz". Jr. and Sr. are kept: they
+  // tell a father and son apart (but "sr" alone before a name is "Señor").
+  function normalizeName(name) {
+    const words = plain(name).split(' ').filter(Boolean);
+    while (words.length > 1 && TITLES.has(words[0])) words.shift();
+    return words.join(' ');
+  }
+
+  // Philippine numbers in their 0 form (09XXXXXXXXX, 028XXXXXXX, ...), also
+  // when written with +63; other numbers as digits
+  function normalizePhone(phone) {
+    let digits = String(phone || '').replace(/\D/g, '');
+    if (digits.startsWith('63') && digits.length >= 11 && digits.length <= 12) digits = `0${digits.slice(2)}`;
+    if (digits.startsWith('9') && digits.length === 10) digits = `0${digits}`;
+    return digits;
+  }
+
+  function normalizeAddress(address) {
+    return plain(address)
+      .split(' ')
+      .map((w) => (w in ADDRESS_WORDS ? ADDRESS_WORDS[w] : w))
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i += 1) {
+      let diag = prev[0];
+      prev[0] = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const above = prev[j];
+        prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diag = above;
+      }
+    }
+    return prev[b.length];
+  }
+
+  // 1 for equal strings down to 0 for nothing in common
+  function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  }
+
+  // Similarity of two normalized names: as typed, with the words sorted
+  // ("Santos Pedro") and with middle names or initials left out
+  function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    const sorted = (s) => s.split(' ').sort().join(' ');
+    const outer = (s) => {
+      const w = s.split(' ');
+      return w.length > 2 ? `${w[0]} ${w[w.length - 1]}` : s;
+    };
+    return Math.max(
+      similarity(a, b),
+      similarity(sorted(a), sorted(b)),
+      // Only when one of the two has a middle name or initial to leave out
+      a.split(' ').length !== b.split(' ').length ? similarity(outer(a), outer(b)) * 0.95 : 0,
+    );
+  }
+
+  // How likely a party (from a case form) and a registry person, or two
+  // parties, are the same person: { score, reasons }
+  function compare(party, other) {
+    const name = normalizeName(party.name);
+    const names = [other.name].concat(other.names || []).map(normalizeName).filter(Boolean);
+    const nameScore = Math.max(0, ...names.map((n) => nameSimilarity(name, n)));
+    const phoneA = normalizePhone(party.phone);
+    const phoneB = normalizePhone(other.phone);
+    const addressA = normalizeAddress(party.address);
+    const addressB = normalizeAddress(other.address);
+    const reasons = [];
+    let score = nameScore;
+    if (nameScore >= MATCH_SCORE) reasons.push('name');
+    if (phoneA.length >= 7 && phoneA === phoneB) {
+      // Same number: a shorter or misspelt name is still the same person
+      if (nameScore >= 0.6) score = Math.max(score, 0.95);
+      reasons.push('phone');
+    } else if (phoneA && phoneB && phoneA !== phoneB) {
+      score -= 0.05;
+    }
+    if (addressA && addressB) {
+      const addressScore = similarity(addressA, addressB);
+      if (addressScore >= 0.8) {
+        score += 0.03;
+        reasons.push('address');
+      } else if (addressScore < 0.5) {
+        score -= 0.1;
+      }
+    }
+    return { score: Math.min(1, Math.max(0, score)), reasons };
+  }
+
+  // Registry persons that may be the given party, best first:
+  // [{ person, score, reasons }]
+  function findMatches(party, persons, minScore = MATCH_SCORE) {
+    if (!normalizeName(party.name)) return [];
+    return (persons || [])
+      .map((person) => ({ person, ...compare(party, person) }))
+      .filter((m) => m.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // The registry entry of a person seen again: the latest phone, email and
+  // address are kept, and a new spelling of the name is remembered
+  function mergeDetails(person, party) {
+    const merged = { ...person, names: (person.names || []).slice() };
+    ['phone', 'email', 'address'].forEach((field) => {
+      if (party[field]) merged[field] = party[field];
+    });
+    const name = String(party.name || '').trim();
+    if (name && normalizeName(name) !== normalizeName(person.name)
+      && !merged.names.some((n) => normalizeName(n) === normalizeName(name))) {
+      merged.names.push(name);
+    }
+    return merged;
+  }
+
+  function newPerson(party) {
+    return {
+      id: `person-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: String(party.name || '').trim(),
+      names: [],
+      phone: party.phone || '',
+      email: party.email || '',
+      address: party.address || '',
+    };
+  }
+
+  // The parties of a case as [{ role, index, party }]
+  function partiesOf(record) {
+    const list = [];
+    if (record.complainant && record.complainant.name) list.push({ role: 'complainant', index: 0, party: record.complainant });
+    (record.respondents || []).forEach((party, index) => {
+      if (party && party.name) list.push({ role: 'respondent', index, party });
+    });
+    return list;
+  }
+
+  // Whether a party of another case is the given person (by registry id, or
+  // by comparing details for cases saved before the registry)
+  function isSamePerson(party, other) {
+    if (party.personId && other.personId) return party.personId === other.personId;
+    return compare(party, other).score >= MATCH_SCORE;
+  }
+
+  function receivedOn(record) {
+    return record.dateReceived || String(record.createdAt || '').slice(0, 10);
+  }
+
+  // Earlier and pending cases of every party of a record, from the other
+  // records of the docket received on or before it; cases received later
+  // are left out. Returns [{ role, index, name, personId, cases,
+  // respondentCases, repeatRespondent }] where cases are { id, caseId,
+  // caseTitle, role, nature, dateReceived, status, outcome }, newest first.
+  function history(record, records, today) {
+    const now = today ? Date.parse(today) : Date.now();
+    const received = receivedOn(record);
+    const others = (records || []).filter((r) => r.id !== record.id && (!received || receivedOn(r) <= received));
+    return partiesOf(record).map(({ role, index, party }) => {
+      const cases = [];
+      others.forEach((other) => {
+        const match = partiesOf(other).find((p) => isSamePerson(party, p.party));
+        if (!match) return;
+        cases.push({
+          id: other.id,
+          caseId: other.caseId || '',
+          caseTitle: other.caseTitle || '',
+          role: match.role,
+          nature: (other.analysis && other.analysis.nature) || '',
+          dateReceived: receivedOn(other),
+          status: (other.kp && other.kp.status) || 'filed',
+          outcome: KPTimeline.outcome(other),
+        });
+      });
+      cases.sort((a, b) => String(b.dateReceived).localeCompare(String(a.dateReceived)));
+      // This case counts too when the party is a respondent in it
+      const recent = cases.filter((c) => c.role === 'respondent' && c.dateReceived && now - Date.parse(c.dateReceived) <= REPEAT_DAYS * DAY_MS);
+      const respondentCases = recent.length + (role === 'respondent' ? 1 : 0);
+      return {
+        role,
+        index,
+        name: party.name,
+        personId: party.personId || '',
+        cases,
+        respondentCases,
+        repeatRespondent: role === 'respondent' && respondentCases >= REPEAT_RESPONDENT_CASES,
+      };
+    });
+  }
+
+  // Outcome of a case in the docket as written in a report
+  function outcomeLabel(entry, lang) {
+    const stage = KPTimeline.stageLabel(entry.status, lang);
+    return I18n.t(`party.outcome.${entry.outcome}`, lang, { stage });
+  }
+
+  // One case of a party's history as { title, text } for the report
+  function describeCase(entry, lang) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const title = [entry.caseId || entry.caseTitle, entry.nature].filter(Boolean).join(' – ');
+    const details = [t(`report.partyHistory.${entry.role}`)];
+    if (entry.dateReceived) {
+      const date = new Date(`${entry.dateReceived}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+      details.push(t('report.partyHistory.received', { date }));
+    }
+    return { title, text: `${details.join(', ')}. ${outcomeLabel(entry, lang)}` };
+  }
+
+  // Registry ids of the persons who are respondents in REPEAT_RESPONDENT_CASES
+  // or more cases of the docket received within REPEAT_DAYS
+  function repeatRespondents(records, today) {
+    const now = today ? Date.parse(today) : Date.now();
+    const counts = new Map();
+    (records || []).forEach((record) => {
+      const received = receivedOn(record);
+      if (!received || now - Date.parse(received) > REPEAT_DAYS * DAY_MS) return;
+      const ids = new Set((record.respondents || []).map((r) => r && r.personId).filter(Boolean));
+      ids.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+    return new Set(Array.from(counts.entries()).filter(([, n]) => n >= REPEAT_RESPONDENT_CASES).map(([id]) => id));
+  }
+
+  window.PartyRegistry = {
+    MATCH_SCORE,
+    REPEAT_RESPONDENT_CASES,
+    normalizeName,
+    normalizePhone,
+    normalizeAddress,
+    similarity,
+    compare,
+    findMatches,
+    mergeDetails,
+    newPerson,
+    history,
+    outcomeLabel,
+    describeCase,
+    repeatRespondents,
+  };
+})();
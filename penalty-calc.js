@@ -0,0 +1,332 @@
+/*
+ * penalty-calc.js
+ *
+ * Works out the penalty for offenses whose penalty depends on the value of
+ * the property involved, using the value brackets of the Revised Penal Code
+ * as adjusted by R.A. 10951 (2017):
+ *
+ *   - Art. 309: theft, brackets from ₱50 up to ₱2,200,000
+ *   - Art. 329: malicious mischief, brackets at ₱40,000 and ₱200,000
+ *
+ * The lowest brackets (Art. 309 par. 7, Art. 329 par. 3) punish by arresto
+ * menor or a fine. The court may impose either, so the offense is measured
+ * against the Sec. 408(c) limits by its lighter alternative: the fine of up
+ * to ₱40,000 is a light penalty (Art. 26) and does not by itself take the
+ * case outside Lupon jurisdiction.
+ *
+ * The value is the one entered by the officer or, failing that, the largest
+ * peso amount mentioned in the incident summary ("₱5,000", "5k", "Php 1.2M",
+ * "limang libo", "dalawang daang piso"). Each computation lists its steps as
+ * translatable keys so the report can show how the penalty was reached, and
+ * says whether it exceeds the Lupon's limits under LGC Sec. 408(c). The API
+ * is exposed on window.PenaltyCalculator.
+ */
+
+(() => {
+  // Sec. 408(c) limits
+  const MAX_IMPRISONMENT_MONTHS = 12;
+  const MAX_FINE = 5000;
+
+  // Value brackets per category, lowest first. upTo is inclusive; the
+  // months are the maximum of the penalty (arresto menor is counted as one
+  // month) and alternative marks a fine that may be imposed instead of the
+  // imprisonment.
+  const BRACKETS = {
+    theft: {
+      basis: 'RPC Art. 309, as amended by R.A. 10951',
+      brackets: [
+        {
+          upTo: 50,
+          paragraph: '7',
+          penalty: 'Arresto menor or a fine not exceeding ₱20,000',
+          months: 1,
+          fine: 20000,
+          alternative: true,
+        },
+        { upTo: 500, paragraph: '6', penalty: 'Arresto mayor in its minimum and medium periods', months: 4 },
+        { upTo: 5000, paragraph: '5', penalty: 'Arresto mayor in its full extent', months: 6 },
+        {
+          upTo: 20000,
+          paragraph: '4',
+          penalty: 'Arresto mayor in its medium period to prision correccional in its minimum period',
+          months: 28,
+        },
+        { upTo: 600000, paragraph: '3', penalty: 'Prision correccional in its minimum and medium periods', months: 50 },
+        { upTo: 1200000, paragraph: '2', penalty: 'Prision correccional in its medium and maximum periods', months: 72 },
+        { upTo: 2200000, paragraph: '1', penalty: 'Prision mayor in its minimum and medium periods', months: 120 },
+        {
+          upTo: Infinity,
+          paragraph: '1',
+          penalty: 'The maximum period of the penalty in par. 1 (prision mayor in its minimum and medium periods), plus one year for each additional ₱1,000,000, not exceeding twenty years',
+          // 10 years, the top of that maximum period (8 years, 8 months and
+          // 1 day to 10 years), plus a year per full million above ₱2,200,000
+          months: (value) => Math.min(240, 120 + 12 * Math.floor((value - 2200000) / 1000000)),
+        },
+      ],
+    },
+    'malicious-mischief': {
+      basis: 'RPC Art. 329, as amended by R.A. 10951',
+      brackets: [
+        {
+          upTo: 40000,
+          paragraph: '3',
+          penalty: 'Arresto menor or a fine of not less than the value of the damage and not more than ₱40,000',
+          months: 1,
+          fine: 40000,
+          alternative: true,
+        },
+        { upTo: 200000, paragraph: '2', penalty: 'Arresto mayor in its minimum and medium periods', months: 4 },
+        { upTo: Infinity, paragraph: '1', penalty: 'Arresto mayor in its medium and maximum periods', months: 6 },
+      ],
+    },
+  };
+
+  // Tagalog number words
+  const UNITS = { isa: 1, dalawa: 2, tatlo: 3, apat: 4, lima: 5, anim: 6, pito: 7, walo: 8, siyam: 9 };
+  const TENS = {
+    sampu: 10,
+    dalawampu: 20,
+    tatlumpu: 30,
+    apatnapu: 40,
+    limampu: 50,
+    animnapu: 60,
+    pitumpu: 70,
+    walumpu: 80,
+    siyamnapu: 90,
+  };
+  const MULTIPLIERS = { daan: 100, raan: 100, libo: 1000, milyon: 1000000 };
+  // Words that already include "one": sandaan, sanlibo
+  const ONE_TIMES = { sandaan: 100, isandaan: 100, sanlibo: 1000, isanlibo: 1000 };
+  const CURRENCY_WORDS = ['piso', 'pesos', 'peso', 'php'];
+  const SUFFIX_MULTIPLIERS = { k: 1000, thousand: 1000, libo: 1000, m: 1000000, million: 1000000, milyon: 1000000 };
+
+  // Value of a single number word, without its linker ("limang" → 5)
+  function wordValue(word) {
+    const candidates = [word];
+    if (word.endsWith('ng')) candidates.push(word.slice(0, -2), word.slice(0, -1));
+    for (const w of candidates) {
+      if (UNITS[w]) return { small: UNITS[w] };
+      if (TENS[w]) return { small: TENS[w] };
+      if (MULTIPLIERS[w]) return { multiplier: MULTIPLIERS[w] };
+      if (ONE_TIMES[w]) return { multiplier: ONE_TIMES[w], implicitOne: true };
+      // labing-isa … labinsiyam (11–19), written joined or hyphenated
+      const teen = w.match(/^labi[nmg]g?(.*)$/);
+      if (teen && UNITS[teen[1]]) return { small: 10 + UNITS[teen[1]] };
+    }
+    return null;
+  }
+
+  // Amounts written in Tagalog words, e.g. "limang libo't limang daang piso".
+  // Only phrases with daan/libo/milyon or followed by piso count as amounts.
+  function tagalogAmounts(text) {
+    const found = [];
+    const re = /[a-zñ']+/gi;
+    const words = [];
+    let m;
+    // Same length as the text so the indexes line up: "libo't" → "libo t"
+    const normalized = text.toLowerCase().replace(/-/g, ' ').replace(/'t\b/g, ' t');
+    while ((m = re.exec(normalized))) words.push({ word: m[0], index: m.index });
+    for (let i = 0; i < words.length; i += 1) {
+      const start = i;
+      let total = 0;
+      let current = 0;
+      let hasMultiplier = false;
+      let used = 0;
+      let pendingTeen = false;
+      while (i < words.length) {
+        const w = words[i].word;
+        if (['at', 't', 'na', 'ng'].includes(w) && used) {
+          const next = words[i + 1] && wordValue(words[i + 1].word);
+          if (!next) break;
+          i += 1;
+          continue;
+        }
+        if (/^labi[nmg]g?$/.test(w)) {
+          pendingTeen = true;
+          i += 1;
+          continue;
+        }
+        const v = wordValue(w);
+        if (!v) break;
+        // A bare "daan" is usually "road", not a hundred
+        if (v.multiplier && !v.implicitOne && !current && !total) break;
+        if (v.small !== undefined) {
+          current += pendingTeen && v.small < 10 ? 10 + v.small : v.small;
+          pendingTeen = false;
+        } else if (v.multiplier === 100) {
+          current = (current || 1) * 100;
+          hasMultiplier = true;
+        } else {
+          total += (current || 1) * v.multiplier;
+          current = 0;
+          hasMultiplier = true;
+        }
+        used += 1;
+        i += 1;
+      }
+      const value = total + current;
+      const next = words[i] && words[i].word;
+      const isCurrency = CURRENCY_WORDS.includes(next);
+      if (used && value && (hasMultiplier || isCurrency)) {
+        const end = isCurrency ? words[i].index + next.length : words[i - 1].index + words[i - 1].word.length;
+        found.push({ value, index: words[start].index, text: text.slice(words[start].index, end).trim() });
+      }
+      if (!used) i = start;
+    }
+    return found;
+  }
+
+  // Amounts written with digits: ₱5,000, P5000, Php 1.2M, 5k, 20,000 pesos,
+  // 5 libo
+  function numericAmounts(text) {
+    const found = [];
+    // A bare "p." followed by a space is a page ("p. 3"), not a peso sign
+    const re = /(₱|\bphp\.?|\bp\.(?=\d)|\bp)?\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s?(k|thousand|libo|m|million|milyon)(?![a-z]))?\s?(pesos?|piso|php)?/gi;
+    let m;
+    while ((m = re.exec(text))) {
+      const [whole, prefix, digits, decimals, suffix, currency] = m;
+      const unit = suffix && suffix.toLowerCase();
+      // "5 m" is more likely metres, so millions need a peso sign or word
+      const multiplierOk = unit && (unit !== 'm' || prefix || currency);
+      if (!prefix && !currency && !multiplierOk) continue;
+      let value = Number(digits.replace(/,/g, '') + (decimals || ''));
+      if (multiplierOk) value *= SUFFIX_MULTIPLIERS[unit];
+      if (!value) continue;
+      const start = m.index + whole.indexOf(whole.trim());
+      found.push({ value: Math.round(value * 100) / 100, index: start, text: whole.trim() });
+    }
+    return found;
+  }
+
+  // Every peso amount mentioned in a text, in order of appearance
+  function extractAmounts(text) {
+    const source = String(text || '');
+    return numericAmounts(source)
+      .concat(tagalogAmounts(source))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  // The value to compute with: the officer's figure, else the largest
+  // amount in the summary
+  function valueOf(propertyValue, summary) {
+    if (propertyValue !== null && propertyValue !== undefined && propertyValue !== '' && Number(propertyValue) >= 0) {
+      return { value: Number(propertyValue), source: 'field', amounts: [] };
+    }
+    const amounts = extractAmounts(summary);
+    if (!amounts.length) return null;
+    const largest = amounts.reduce((a, b) => (b.value > a.value ? b : a));
+    return { value: largest.value, source: 'summary', text: largest.text, amounts };
+  }
+
+  function findBracket(brackets, value) {
+    let previous = 0;
+    for (const bracket of brackets) {
+      if (value <= bracket.upTo) return { ...bracket, over: previous };
+      previous = bracket.upTo;
+    }
+    return null;
+  }
+
+  // Whether a penalty exceeds the Sec. 408(c) limits; an alternative fine
+  // counts only when the imprisonment beside it exceeds them too
+  function exceedsLimits({ imprisonmentMonths, fine, alternative }) {
+    const overMonths = imprisonmentMonths > MAX_IMPRISONMENT_MONTHS;
+    const overFine = fine > MAX_FINE;
+    return alternative ? overMonths && overFine : overMonths || overFine;
+  }
+
+  // Compute the penalty of one category for the given value. Returns null
+  // for categories without value brackets.
+  function compute(category, propertyValue, summary) {
+    const table = BRACKETS[category];
+    if (!table) return null;
+    const input = valueOf(propertyValue, summary);
+    if (!input) {
+      return { category, basis: table.basis, value: null, steps: [{ key: 'noAmount', params: {} }] };
+    }
+    const steps = [];
+    if (input.source === 'field') {
+      steps.push({ key: 'amountField', params: { amount: input.value } });
+    } else {
+      steps.push({ key: 'amountSummary', params: { amount: input.value, text: input.text } });
+      if (input.amounts.length > 1) {
+        steps.push({ key: 'amountLargest', params: { amounts: input.amounts.map((a) => a.value) } });
+      }
+    }
+    const bracket = findBracket(table.brackets, input.value);
+    const months = typeof bracket.months === 'function' ? bracket.months(input.value) : bracket.months;
+    const fine = bracket.fine || 0;
+    const penalty = { imprisonmentMonths: months, fine };
+    if (bracket.alternative) penalty.alternative = true;
+    steps.push({
+      key: 'bracket',
+      params: { basis: table.basis, paragraph: bracket.paragraph, min: bracket.over, max: bracket.upTo, penalty: bracket.penalty },
+    });
+    let maximumKey = 'maximum';
+    if (fine) maximumKey = bracket.alternative ? 'maximumAlternative' : 'maximumFine';
+    steps.push({ key: maximumKey, params: { months, fine } });
+    const exceeds = exceedsLimits(penalty);
+    let limitKey = exceeds ? 'outside' : 'within';
+    if (!exceeds && bracket.alternative && fine > MAX_FINE) limitKey = 'withinAlternative';
+    steps.push({ key: limitKey, params: { maxMonths: MAX_IMPRISONMENT_MONTHS, maxFine: MAX_FINE } });
+    return {
+      category,
+      basis: table.basis,
+      value: input.value,
+      source: input.source,
+      paragraph: bracket.paragraph,
+      penalty,
+      exceeds,
+      steps,
+    };
+  }
+
+  // Computations for every selected category that has value brackets
+  function computeAll(categories, propertyValue, summary) {
+    return (categories || []).map((c) => compute(c, propertyValue, summary)).filter(Boolean);
+  }
+
+  function formatPeso(value, lang) {
+    return `₱${Number(value).toLocaleString(I18n.locale(lang), { maximumFractionDigits: 2 })}`;
+  }
+
+  // "2 years and 4 months", "6 months"
+  function formatDuration(months, lang) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    if (years) parts.push(`${years} ${I18n.t(years === 1 ? 'unit.year' : 'unit.years', lang)}`);
+    if (rest || !years) parts.push(`${rest} ${I18n.t(rest === 1 ? 'unit.month' : 'unit.months', lang)}`);
+    return parts.join(I18n.t('unit.and', lang));
+  }
+
+  // A computation step as a sentence in the given language
+  function describeStep(step, lang) {
+    const p = step.params;
+    const params = { ...p };
+    if (p.amount !== undefined) params.amount = formatPeso(p.amount, lang);
+    if (p.amounts) params.amounts = p.amounts.map((a) => formatPeso(a, lang)).join(', ');
+    if (step.key === 'bracket') {
+      let rangeKey = 'between';
+      if (!p.min) rangeKey = 'upTo';
+      if (p.max === Infinity) rangeKey = 'over';
+      params.range = I18n.t(`penaltyCalc.range.${rangeKey}`, lang, { min: formatPeso(p.min, lang), max: formatPeso(p.max === Infinity ? 0 : p.max, lang) });
+    }
+    if (p.penalty) params.penalty = p.penalty.charAt(0).toLowerCase() + p.penalty.slice(1);
+    if (p.months !== undefined) params.duration = formatDuration(p.months, lang);
+    if (p.fine !== undefined) params.fine = formatPeso(p.fine, lang);
+    if (p.maxFine !== undefined) params.maxFine = formatPeso(p.maxFine, lang);
+    return I18n.t(`penaltyCalc.step.${step.key}`, lang, params);
+  }
+
+  window.PenaltyCalculator = {
+    BRACKETS,
+    extractAmounts,
+    exceedsLimits,
+    compute,
+    computeAll,
+    describeStep,
+    formatPeso,
+    formatDuration,
+  };
+})();
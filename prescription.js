@@ -0,0 +1,238 @@
+/*
+ * prescription.js
+ *
+ * Prescription of the offenses of a case under the Revised Penal Code and
+ * the interruption brought by the barangay complaint:
+ *
+ *   - Art. 90:   20 years for crimes punishable by death, reclusion perpetua
+ *                or reclusion temporal, 15 years for other afflictive
+ *                penalties, 10 years for correctional penalties but 5 years
+ *                for arresto mayor, 1 year for libel, 6 months for oral
+ *                defamation and slander by deed and 2 months for light
+ *                offenses; a compound penalty counts by its highest part
+ *   - Art. 9:    light offenses are those punishable by arresto menor or a
+ *                fine of up to ₱40,000; Art. 26 makes a fine of up to
+ *                ₱1,200,000 correctional and a higher one afflictive (both as
+ *                amended by R.A. 10951)
+ *   - Art. 91:   the period runs from the day the offense is discovered
+ *   - LGC Sec. 410(c): the complaint filed with the Punong Barangay
+ *                interrupts the period until the complainant receives the
+ *                certificate of repudiation or the certification to file
+ *                action, for no more than 60 days
+ *
+ * The penalty of each Revised Penal Code provision of the report is read from
+ * its penalty text in the legal pack or, for theft and malicious mischief,
+ * taken from the bracket worked out by penalty-calc.js. A text naming several
+ * penalties ("serious oral defamation: ...; slight defamation: ...") counts
+ * by the lightest, which prescribes first. Months are counted as 30 days
+ * (Civil Code Art. 13) and years as calendar years (Administrative Code of
+ * 1987, Book I, Sec. 31); a last day on a weekend moves to the next working
+ * day (Yapdiangco v. Buencamino, G.R. No. L-28841, 1983). The incident date
+ * is taken as the day of discovery. The API is exposed on
+ * window.Prescription.
+ */
+
+(() => {
+  // Art. 9 and Art. 26, as amended by R.A. 10951
+  const LIGHT_MAX_FINE = 40000;
+  const CORRECTIONAL_MAX_FINE = 1200000;
+  // LGC Sec. 410(c)
+  const INTERRUPTION_DAYS = 60;
+  // A deadline this close is warned about
+  const NEAR_DAYS = 15;
+  // Penalties of the Code with the longest each lasts, in months
+  const PENALTIES = [
+    { pattern: /arresto\s+menor/i, months: 1 },
+    { pattern: /arresto\s+mayor/i, months: 6 },
+    { pattern: /prision\s+correccional/i, months: 72 },
+    { pattern: /prision\s+mayor/i, months: 144 },
+    { pattern: /reclusion\s+temporal/i, months: 240 },
+    { pattern: /reclusion\s+perpetua|\bdeath\b/i, months: Infinity },
+  ];
+  // Periods of Art. 90, shortest first
+  const PERIODS = {
+    light: { days: 60 },
+    oralDefamation: { days: 180 },
+    libel: { years: 1 },
+    arrestoMayor: { years: 5 },
+    correctional: { years: 10 },
+    afflictive: { years: 15 },
+    reclusion: { years: 20 },
+  };
+  const KINDS = Object.keys(PERIODS);
+  // Offenses with a period of their own unless they are light
+  const SPECIAL_ARTICLES = { 353: 'libel', 354: 'libel', 355: 'libel', 358: 'oralDefamation', 359: 'oralDefamation' };
+  const RPC_PATTERN = /Revised Penal Code|\bRPC\b/i;
+  const ARTICLES_PATTERN = /\bArt(?:icle)?s?\.?\s*(\d+(?:(?:\s*,\s*|\s+and\s+)\d+)*)/gi;
+
+  // Article numbers cited in a text ("Arts. 327 and 329" -> [327, 329])
+  function articles(text) {
+    const found = [];
+    String(text || '').replace(ARTICLES_PATTERN, (match, list) => {
+      found.push(...list.match(/\d+/g).map(Number));
+      return match;
+    });
+    return found;
+  }
+
+  // { months, fine } of each penalty named in a penalty text
+  function penaltiesIn(text) {
+    return String(text || '')
+      .split(/;|\.\s+(?=[A-Z])/)
+      .map((part) => {
+        const named = PENALTIES.filter((p) => p.pattern.test(part));
+        const fineAt = part.search(/\bfine\b/i);
+        const fines = fineAt < 0 ? [] : PenaltyCalculator.extractAmounts(part.slice(fineAt)).map((a) => a.value);
+        if (!named.length && !fines.length) return null;
+        return { months: Math.max(0, ...named.map((p) => p.months)), fine: Math.max(0, ...fines) };
+      })
+      .filter(Boolean);
+  }
+
+  // Which period of Art. 90 a penalty falls under
+  function periodKind({ months, fine }) {
+    if (months <= 1 && fine <= LIGHT_MAX_FINE) return 'light';
+    let byPrison = null;
+    if (months > 144) byPrison = 'reclusion';
+    else if (months > 72) byPrison = 'afflictive';
+    else if (months > 6) byPrison = 'correctional';
+    else if (months > 1) byPrison = 'arrestoMayor';
+    let byFine = null;
+    if (fine > CORRECTIONAL_MAX_FINE) byFine = 'afflictive';
+    else if (fine > LIGHT_MAX_FINE) byFine = 'correctional';
+    return [byPrison, byFine].filter(Boolean).sort((a, b) => KINDS.indexOf(b) - KINDS.indexOf(a))[0];
+  }
+
+  // The Revised Penal Code provisions of a report with the period each
+  // prescribes in: [{ title, basis, kind, period, lightest, computed }];
+  // kind and period are null when the penalty text names no penalty
+  function offenses(data) {
+    const computations = (data.penaltyComputations || []).filter((c) => c.penalty);
+    return ((data.analysis && data.analysis.violations) || [])
+      .filter((v) => RPC_PATTERN.test(v.basis))
+      .map((v) => {
+        const cited = articles(`${v.basis} ${v.penalty}`);
+        const special = cited.map((a) => SPECIAL_ARTICLES[a]).find(Boolean);
+        const computed = computations.find((c) => articles(c.basis).some((a) => cited.includes(a)));
+        const penalties = computed
+          ? [{ months: computed.penalty.imprisonmentMonths, fine: computed.penalty.fine }]
+          : penaltiesIn(v.penalty);
+        const kinds = penalties.map((p) => {
+          const kind = periodKind(p);
+          return special && kind !== 'light' ? special : kind;
+        });
+        const kind = kinds.sort((a, b) => KINDS.indexOf(a) - KINDS.indexOf(b))[0] || null;
+        return {
+          title: v.title,
+          basis: v.basis,
+          kind,
+          period: kind ? PERIODS[kind] : null,
+          lightest: new Set(kinds).size > 1,
+          computed: !!computed,
+        };
+      });
+  }
+
+  // Last day of a period that starts on the given date
+  function lastDay(start, period) {
+    return period.days ? KPTimeline.addDays(start, period.days) : Settlement.addMonths(start, period.years * 12);
+  }
+
+  // Prescription of the offenses of a case as of today:
+  //   { start, interruption, offenses, earliest, warning }
+  // where interruption is { from, to, days, open } once the complaint is
+  // filed (open while the certification to file action is not yet issued,
+  // the full 60 days being assumed) and each offense has its lapse date, the
+  // deadline for filing in court, the days left and a state: running, near
+  // or prescribed. Null when the incident date or the offenses are unknown.
+  function compute(data, today) {
+    const now = today || KPTimeline.todayInManila();
+    const start = String((data.incident && data.incident.dateTime) || '').slice(0, 10);
+    const known = offenses(data).filter((o) => o.period);
+    if (!start || !known.length) return null;
+    const { status, dates } = KPTimeline.getProceedings(data);
+    let interruption = null;
+    if (dates.filed && dates.filed >= start) {
+      const limit = KPTimeline.addDays(dates.filed, INTERRUPTION_DAYS);
+      const resumed = [dates.repudiated, dates.cfa].filter((d) => d && d >= dates.filed).sort()[0] || '';
+      const to = resumed && resumed < limit ? resumed : limit;
+      interruption = { from: dates.filed, to, days: KPTimeline.daysBetween(dates.filed, to), open: !resumed && now < limit };
+    }
+    const rows = known.map((offense) => {
+      const lapses = lastDay(start, offense.period);
+      // A complaint filed after the offense prescribed interrupts nothing
+      const interrupted = interruption && interruption.from <= lapses;
+      const end = interrupted ? KPTimeline.addDays(lapses, interruption.days) : lapses;
+      // The day itself when it is a working day, else the next one
+      const deadline = KPTimeline.nextWorkingDay(KPTimeline.addDays(end, -1));
+      const daysLeft = KPTimeline.daysBetween(now, deadline);
+      let state = 'running';
+      if (daysLeft < 0) state = 'prescribed';
+      else if (daysLeft <= NEAR_DAYS) state = 'near';
+      return { ...offense, lapses, interrupted: !!interrupted, deadline, daysLeft, state };
+    });
+    const earliest = rows.reduce((a, b) => (b.deadline < a.deadline ? b : a));
+    return {
+      start,
+      interruption,
+      offenses: rows,
+      earliest,
+      // A settlement not repudiated ends the dispute
+      warning: status !== 'settled' && earliest.state !== 'running',
+    };
+  }
+
+  // The earliest deadline as a KP deadline (kp-timeline.js) when it is near
+  // or past, for the list of deadlines needing attention
+  function pendingAlert(record, today) {
+    const result = compute(record, today);
+    if (!result || !result.warning) return null;
+    const { earliest } = result;
+    return {
+      key: 'prescription',
+      params: { offense: earliest.title },
+      basis: 'RPC Arts. 90-91',
+      due: earliest.deadline,
+      daysLeft: earliest.daysLeft,
+      state: earliest.state === 'prescribed' ? 'overdue' : 'due-soon',
+    };
+  }
+
+  // "2 months", "5 years"
+  function describePeriod(period, lang) {
+    return PenaltyCalculator.formatDuration(period.days ? period.days / 30 : period.years * 12, lang);
+  }
+
+  // Days left before an offense prescribes, or since it did
+  function describeState(offense, lang) {
+    const days = I18n.days(Math.abs(offense.daysLeft), lang);
+    if (offense.state === 'prescribed') return I18n.t('prescription.state.prescribed', lang, { days });
+    if (offense.daysLeft === 0) return I18n.t('prescription.state.today', lang);
+    return I18n.t('prescription.state.left', lang, { days });
+  }
+
+  // The warning on the earliest deadline, or '' when none is due
+  function describeWarning(result, lang) {
+    if (!result || !result.warning) return '';
+    const { earliest } = result;
+    return I18n.t(`prescription.warning.${earliest.state}`, lang, {
+      offense: earliest.title,
+      date: Settlement.formatDate(earliest.deadline, lang),
+      state: describeState(earliest, lang),
+    });
+  }
+
+  window.Prescription = {
+    PERIODS,
+    INTERRUPTION_DAYS,
+    NEAR_DAYS,
+    articles,
+    periodKind,
+    offenses,
+    compute,
+    pendingAlert,
+    describePeriod,
+    describeState,
+    describeWarning,
+  };
+})();
@@ -0,0 +1,190 @@
+/*
+ * privacy.js
+ *
+ * Data Privacy Act (RA 10173) rules for the case data: the redacted copy of
+ * a report shared outside the Lupon, and the retention policy of the docket.
+ * Encryption of the stored records is in vault.js.
+ *
+ * redact() returns a copy of the report data in which
+ *   - the phone numbers, emails and addresses of the parties are masked;
+ *   - the names of parties who are natural persons are replaced with their
+ *     initials ("Juan Dela Cruz" -> "J. D. C.");
+ *   - phone numbers and emails are masked;
+ *   - other cases of the parties are listed by case number only.
+ * Names and contact details are looked for only in what people type in: the
+ * case title, the incident summary and location, and the venues, notes and
+ * descriptions of the hearings, settlement and citations. The texts of the
+ * legal pack, the mediation guidance and the questions are quoted as they
+ * are, so that a party called "May" or "Mark" does not change "the court may
+ * impose". A full name is matched in any case, a single word of it only as
+ * written in the name, with its capitals. Companies and government offices
+ * keep their names. The copy is marked redacted so the report and its PDF
+ * and Word exports say so.
+ *
+ * A case is closed once it is settled, repudiated, certified for filing in
+ * court or referred elsewhere (KPTimeline.outcome()), on the latest date of those
+ * stages. retentionStatus() tells whether it is past the retention period of
+ * PRIVACY_POLICY (config.js). The API is exposed on window.Privacy.
+ */
+
+(() => {
+  const ACTIONS = ['flag', 'purge'];
+  const DEFAULT_POLICY = { autoLockMinutes: 15, retentionYears: 5, retentionAction: 'flag' };
+  // Parties whose names are personal data
+  const NATURAL_PERSONS = ['individual', 'public-officer'];
+  // Particles of Filipino and Spanish surnames, left as they are in the text
+  const NAME_PARTICLES = new Set(['de', 'del', 'dela', 'della', 'delos', 'los', 'las', 'la', 'san', 'santa', 'sta', 'jr', 'sr', 'ii', 'iii', 'iv', 'ma']);
+  // Philippine numbers as they are written (see validation.js): mobile
+  // numbers with +63, 63, 0 or nothing in front ("0917 123 4567",
+  // "63 917 123 4567", "9171234567"), and landlines with their area code
+  // after +63 or 63 ("+63-2-8123-4567") or a trunk 0 ("(02) 8123 4567",
+  // "049-123-4567")
+  const PHONE_PATTERN = new RegExp([
+    '(?:(?:\\+|\\b)63[\\s-]?|\\b0|\\b)9\\d{2}[\\s-]?\\d{3}[\\s-]?\\d{4}\\b',
+    '(?:\\+|\\b)63[\\s-]?\\(?[2-8]\\d?\\)?[\\s-]?\\d{3,4}[\\s-]?\\d{4}\\b',
+    '\\(0[2-8]\\d?\\)\\s?\\d{3,4}[\\s-]?\\d{4}\\b',
+    '\\b0[2-8]\\d?[\\s-]\\d{3,4}[\\s-]?\\d{4}\\b',
+  ].join('|'), 'g');
+  const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+  const CLOSING_STAGES = ['settled', 'repudiated', 'cfa'];
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // The policy of config.js, with the defaults for anything missing or invalid
+  function policy() {
+    const given = window.PRIVACY_POLICY || {};
+    const count = (value, fallback) => (Number.isInteger(value) && value >= 0 ? value : fallback);
+    return {
+      autoLockMinutes: count(given.autoLockMinutes, DEFAULT_POLICY.autoLockMinutes),
+      retentionYears: count(given.retentionYears, DEFAULT_POLICY.retentionYears),
+      retentionAction: ACTIONS.includes(given.retentionAction) ? given.retentionAction : DEFAULT_POLICY.retentionAction,
+    };
+  }
+
+  function initials(name) {
+    return String(name || '')
+      .split(/\s+/)
+      .map((word) => word.match(/\p{L}/u))
+      .filter(Boolean)
+      .map((letter) => `${letter[0].toUpperCase()}.`)
+      .join(' ');
+  }
+
+  function isNaturalPerson(party) {
+    return !party.type || NATURAL_PERSONS.includes(party.type);
+  }
+
+  // Words of the names to look for in the text, longest first
+  function nameWords(names) {
+    const words = new Set();
+    names.forEach((name) => {
+      String(name || '')
+        .split(/[\s,]+/)
+        .map((word) => word.replace(/[^\p{L}'-]/gu, ''))
+        .filter((word) => word.length > 1 && !NAME_PARTICLES.has(word.toLowerCase()))
+        .forEach((word) => words.add(word));
+    });
+    return Array.from(words).sort((a, b) => b.length - a.length);
+  }
+
+  // Mask contact details in a text and shorten the given full names to their
+  // initials, then any other word of the names, written as in the name, to
+  // its initial
+  function redactText(text, { names = [], words = [], masked }) {
+    let result = String(text).replace(EMAIL_PATTERN, masked).replace(PHONE_PATTERN, masked);
+    names
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length)
+      .forEach((name) => {
+        const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(name.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}])`, 'giu');
+        result = result.replace(pattern, (match, before) => `${before}${initials(name)}`);
+      });
+    words.forEach((word) => {
+      const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(word)}(?![\\p{L}])`, 'gu');
+      result = result.replace(pattern, (match, before) => `${before}${word[0].toUpperCase()}.`);
+    });
+    return result;
+  }
+
+  // Copy of the report data for sharing outside the Lupon
+  function redact(data) {
+    const lang = data.language || I18n.DEFAULT_LANGUAGE;
+    const masked = I18n.t('privacy.masked', lang);
+    const parties = [data.complainant || {}].concat(data.respondents || []);
+    const names = parties.filter(isNaturalPerson).map((p) => p.name);
+    const rules = { names, words: nameWords(names), masked };
+    const text = (value) => (typeof value === 'string' ? redactText(value, rules) : value);
+    const party = (p) => ({
+      ...p,
+      name: isNaturalPerson(p) ? initials(p.name) : p.name,
+      phone: p.phone ? masked : '',
+      email: p.email ? masked : '',
+      address: p.address ? masked : '',
+    });
+    const copy = { ...data, caseTitle: text(data.caseTitle) };
+    if (data.incident) copy.incident = { ...data.incident, summary: text(data.incident.summary), location: text(data.incident.location) };
+    if (data.hearings) {
+      copy.hearings = data.hearings.map((h) => ({ ...h, venue: text(h.venue), notes: text(h.notes), parties: (h.parties || []).map(text) }));
+    }
+    if (data.settlement) {
+      copy.settlement = {
+        ...data.settlement,
+        terms: (data.settlement.terms || []).map((term) => ({
+          ...term,
+          description: text(term.description),
+          ...(term.breaches ? { breaches: term.breaches.map((b) => ({ ...b, note: text(b.note) })) } : {}),
+        })),
+      };
+    }
+    if (data.citations) copy.citations = data.citations.map((c) => ({ ...c, note: text(c.note) }));
+    if (data.searchHistory) copy.searchHistory = data.searchHistory.map((entry) => ({ ...entry, query: text(entry.query) }));
+    return {
+      ...copy,
+      complainant: party(data.complainant || {}),
+      respondents: (data.respondents || []).map(party),
+      partyHistory: (data.partyHistory || []).map((entry) => ({
+        ...entry,
+        name: isNaturalPerson(parties[entry.role === 'complainant' ? 0 : entry.index + 1] || {}) ? initials(entry.name) : entry.name,
+        cases: entry.cases.map((c) => ({ ...c, caseTitle: '' })),
+      })),
+      redacted: true,
+    };
+  }
+
+  // Date a case was closed, or '' while it is still open
+  function closedOn(record) {
+    if (KPTimeline.outcome(record) === 'pending') return '';
+    const dates = (record.kp && record.kp.dates) || {};
+    const closing = CLOSING_STAGES.map((stage) => dates[stage]).filter(Boolean).sort();
+    if (closing.length) return closing[closing.length - 1];
+    return String(record.updatedAt || '').slice(0, 10);
+  }
+
+  // { closedOn, keepUntil, expired } of a case under a policy; keepUntil is
+  // '' for open cases and when every case is kept
+  function retentionStatus(record, rules, today) {
+    const closed = closedOn(record);
+    if (!closed || !rules.retentionYears) return { closedOn: closed, keepUntil: '', expired: false };
+    const keepUntil = Settlement.addMonths(closed, rules.retentionYears * 12);
+    return { closedOn: closed, keepUntil, expired: keepUntil < today };
+  }
+
+  // Cases past the retention period, longest expired first
+  function expiredCases(records, rules, today) {
+    return records
+      .map((record) => ({ record, ...retentionStatus(record, rules, today) }))
+      .filter((item) => item.expired)
+      .sort((a, b) => a.keepUntil.localeCompare(b.keepUntil));
+  }
+
+  window.Privacy = {
+    ACTIONS,
+    policy,
+    initials,
+    redactText,
+    redact,
+    closedOn,
+    retentionStatus,
+    expiredCases,
+  };
+})();
@@ -0,0 +1,280 @@
+/*
+ * report-docx.js
+ *
+ * Writes a case report as an editable Word document (.docx) so officers can
+ * adjust the wording before the Punong Barangay signs it. The content comes
+ * from the same document model as the PDF (report-model.js): sections become
+ * Heading 1, sub-headings Heading 2, the violations, jurisprudence and other
+ * numbered lists real Word numbering, followed by the disclaimer and the
+ * signature block. The package is assembled entirely in the browser: the
+ * WordprocessingML parts are stored uncompressed in a ZIP archive, which
+ * Word, LibreOffice and Google Docs all open. The API is exposed on
+ * window.ReportDOCX.
+ */
+
+(() => {
+  const MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  const NUM_BULLET = 1;
+  const INDENT = 720;
+  // 1 January 1980, the earliest date a ZIP entry can carry
+  const DOS_DATE = (1 << 5) | 1;
+
+  // ZIP (store only) ---------------------------------------------------------
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Build a ZIP archive from [{ name, text }] without compression
+  function zip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    files.forEach((file) => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.text);
+      const crc = crc32(data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(12, DOS_DATE, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(14, DOS_DATE, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(new Uint8Array(entry.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: MIME });
+  }
+
+  // WordprocessingML ---------------------------------------------------------
+
+  // Escape text for XML, dropping the research markers left in some legal
+  // texts and characters XML does not allow
+  function esc(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/【[^】]*】/g, '')
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function run(text, { bold, italic, color, size } = {}) {
+    const props = [
+      bold ? '<w:b/>' : '',
+      italic ? '<w:i/>' : '',
+      color ? `<w:color w:val="${color}"/>` : '',
+      size ? `<w:sz w:val="${size}"/>` : '',
+    ].join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${esc(text)}</w:t></w:r>`;
+  }
+
+  // A paragraph of runs. opts: style, numId (list numbering), indent,
+  // align, keepNext
+  function para(runs, { style, numId, indent, align, keepNext } = {}) {
+    const props = [
+      style ? `<w:pStyle w:val="${style}"/>` : '',
+      keepNext ? '<w:keepNext/>' : '',
+      numId ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>` : '',
+      indent ? `<w:ind w:left="${indent}"/>` : '',
+      align ? `<w:jc w:val="${align}"/>` : '',
+    ].join('');
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${[].concat(runs).join('')}</w:p>`;
+  }
+
+  // Converts the model's blocks to paragraphs. Every ordered list gets its
+  // own numbering instance so that it starts again at 1.
+  function createWriter() {
+    const orderedLists = [];
+
+    function fieldPara(f, indent) {
+      return para([run(`${f.label}: `, { bold: true }), run(f.value)], { indent });
+    }
+
+    function list(block) {
+      let numId = NUM_BULLET;
+      if (block.ordered) {
+        numId = NUM_BULLET + orderedLists.length + 1;
+        orderedLists.push(numId);
+      }
+      // The link of an authority is never made a hyperlink: its address
+      // is only written out as the text of the source field
+      return block.items.map((item) => {
+        const out = [];
+        const lead = item.title ? run(item.title, { bold: true }) : run(item.text || '');
+        const keepNext = !!(item.title && (item.text || (item.fields || []).length));
+        out.push(para(lead, { style: 'ListParagraph', numId, keepNext }));
+        if (item.title && item.text) out.push(para(run(item.text), { indent: INDENT }));
+        (item.fields || []).forEach((f) => out.push(fieldPara(f, INDENT)));
+        return out.join('');
+      }).join('');
+    }
+
+    function block(b) {
+      if (b.type === 'heading') return para(run(b.text), { style: 'Heading2' });
+      if (b.type === 'fields') return b.items.map((f) => fieldPara(f)).join('');
+      if (b.type === 'list') return list(b);
+      if (b.style === 'muted') return para(run(b.text, { color: '6C757D', size: 18 }));
+      return para(run(b.text, { bold: b.style === 'strong', italic: b.style === 'italic' }), { keepNext: b.style === 'strong' });
+    }
+
+    return { block, orderedLists: () => orderedLists };
+  }
+
+  // Signature lines, side by side in a borderless table
+  function signatureTable(signatures) {
+    const cell = (s) => '<w:tc><w:tcPr><w:tcW w:w="4500" w:type="dxa"/></w:tcPr>'
+      + para(run(s.caption))
+      + para(run(''))
+      + para(run(s.name || '______________________________', { bold: !!s.name }), { align: 'center' })
+      + para(run(s.role), { align: 'center' })
+      + '</w:tc>';
+    return '<w:tbl><w:tblPr><w:tblW w:w="9000" w:type="dxa"/><w:tblBorders>'
+      + ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map((side) => `<w:${side} w:val="nil"/>`).join('')
+      + '</w:tblBorders></w:tblPr><w:tblGrid><w:gridCol w:w="4500"/><w:gridCol w:w="4500"/></w:tblGrid>'
+      + `<w:tr>${signatures.map(cell).join('')}</w:tr></w:tbl>`;
+  }
+
+  function documentXml(model) {
+    const writer = createWriter();
+    const body = [
+      para(run(model.title), { style: 'Title' }),
+      para(run(model.generatedOn, { italic: true, color: '6C757D', size: 18 }), { align: 'center' }),
+    ];
+    [model.notice, model.warning].filter(Boolean).forEach((text) => {
+      body.push(para(run(text, { bold: true, color: 'B02A37', size: 18 }), { align: 'center' }));
+    });
+    model.sections.forEach((section) => {
+      body.push(para(run(section.title, section.tone === 'danger' ? { color: 'B02A37' } : {}), { style: 'Heading1' }));
+      section.blocks.forEach((b) => body.push(writer.block(b)));
+    });
+    body.push(para(run(model.disclaimer, { italic: true, color: '6C757D', size: 18 })));
+    body.push(para(run('')), signatureTable(model.signatures));
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+      + body.join('')
+      + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>'
+      + '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/>'
+      + '</w:sectPr></w:body></w:document>';
+    return { xml, orderedLists: writer.orderedLists() };
+  }
+
+  function numberingXml(orderedLists) {
+    const level = (fmt, text) => `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="${fmt}"/>`
+      + `<w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>`
+      + `<w:pPr><w:ind w:left="${INDENT}" w:hanging="360"/></w:pPr></w:lvl>`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+      + `<w:abstractNum w:abstractNumId="0">${level('bullet', '•')}</w:abstractNum>`
+      + `<w:abstractNum w:abstractNumId="1">${level('decimal', '%1.')}</w:abstractNum>`
+      + `<w:num w:numId="${NUM_BULLET}"><w:abstractNumId w:val="0"/></w:num>`
+      + orderedLists.map((id) => `<w:num w:numId="${id}"><w:abstractNumId w:val="1"/>`
+        + '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>').join('')
+      + '</w:numbering>';
+  }
+
+  const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+    + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>'
+    + '<w:sz w:val="22"/><w:lang w:val="en-PH"/></w:rPr></w:rPrDefault>'
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="100" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:qFormat/>'
+    + '<w:pPr><w:jc w:val="center"/><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:sz w:val="32"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/>'
+    + '<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/>'
+    + '<w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/>'
+    + '<w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/>'
+    + '<w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/>'
+    + '<w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr></w:style>'
+    + '</w:styles>';
+
+  const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+    + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+    + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+    + '</Types>';
+
+  const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+    + '</Relationships>';
+
+  const DOCUMENT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>'
+    + '</Relationships>';
+
+  // Build the .docx for a report and return it as a Blob
+  function create(data) {
+    const model = ReportModel.build(data);
+    const doc = documentXml(model);
+    return zip([
+      { name: '[Content_Types].xml', text: CONTENT_TYPES },
+      { name: '_rels/.rels', text: ROOT_RELS },
+      { name: 'word/document.xml', text: doc.xml },
+      { name: 'word/styles.xml', text: STYLES },
+      { name: 'word/numbering.xml', text: numberingXml(doc.orderedLists) },
+      { name: 'word/_rels/document.xml.rels', text: DOCUMENT_RELS },
+    ]);
+  }
+
+  function download(data) {
+    const url = URL.createObjectURL(create(data));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = ReportModel.fileName(data, 'docx');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  window.ReportDOCX = {
+    create,
+    download,
+  };
+})();
@@ -0,0 +1,129 @@
+/*
+ * report-html.js
+ *
+ * Shows a case report on screen. The content comes from the same document
+ * model as the PDF and Word files (report-model.js), so every section is
+ * described once and the three always agree. Sections become Bootstrap
+ * blocks with an h3 title, sub-headings h4, lists real <ol>/<ul> lists, and
+ * the tones of the model text colours. Names, summaries and legal pack
+ * texts are typed or imported by others, so they only ever go into text
+ * nodes, never into HTML. The API is exposed on window.ReportHTML.
+ */
+
+(() => {
+  const TONE_CLASS = { danger: 'text-danger', warning: 'text-warning', success: 'text-success' };
+  const WEB_LINK_PATTERN = /^https?:\/\//i;
+
+  function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  // A "Label: value" line with a bold label
+  function labelled(tag, label, value, tone) {
+    const el = element(tag);
+    el.appendChild(element('strong', '', `${label}:`));
+    el.appendChild(document.createTextNode(' '));
+    el.appendChild(element('span', TONE_CLASS[tone] ? `fw-bold ${TONE_CLASS[tone]}` : '', value || ''));
+    return el;
+  }
+
+  function paragraph(block) {
+    if (block.tone === 'danger') return element('div', 'alert alert-danger py-2', block.text);
+    if (block.style === 'strong') return element('h5', 'mt-3', block.text);
+    const className = { muted: 'small text-muted', italic: 'fst-italic' }[block.style] || '';
+    return element('p', className, block.text);
+  }
+
+  // A list item: its title (a link for an authority found online), text
+  // and label/value lines. Only http and https links become anchors; any
+  // other scheme stays plain text.
+  function listItem(item) {
+    const li = element('li', ['mb-1', TONE_CLASS[item.tone]].filter(Boolean).join(' '));
+    if (item.title) {
+      const link = WEB_LINK_PATTERN.test(item.link || '') ? item.link : '';
+      const title = element(link ? 'a' : 'strong', link ? 'fw-bold' : '', item.title);
+      if (link) {
+        title.href = link;
+        title.target = '_blank';
+        title.rel = 'noopener';
+      }
+      li.appendChild(title);
+    }
+    if (item.text) li.appendChild(item.title ? element('div', '', item.text) : document.createTextNode(item.text));
+    (item.fields || []).forEach((f) => {
+      const line = element('div', 'small');
+      line.appendChild(element('em', '', `${f.label}:`));
+      line.appendChild(document.createTextNode(` ${f.value || ''}`));
+      li.appendChild(line);
+    });
+    return li;
+  }
+
+  function block(b) {
+    if (b.type === 'heading') return element('h4', '', b.text);
+    if (b.type === 'fields') {
+      const list = element('ul', 'list-unstyled');
+      b.items.forEach((f) => list.appendChild(labelled('li', f.label, f.value, f.tone)));
+      return list;
+    }
+    if (b.type === 'list') {
+      const list = element(b.ordered ? 'ol' : 'ul');
+      b.items.forEach((item) => list.appendChild(listItem(item)));
+      return list;
+    }
+    return paragraph(b);
+  }
+
+  // A section under an h3 title; the referral notice is shown as an alert
+  function section(s) {
+    const sec = element('div', s.alert ? 'alert alert-danger mb-4' : 'mb-4');
+    if (s.alert) sec.setAttribute('role', 'alert');
+    const titleClass = s.alert ? 'h4 alert-heading' : TONE_CLASS[s.tone] || '';
+    sec.appendChild(element('h3', titleClass, s.title));
+    s.blocks.forEach((b) => sec.appendChild(block(b)));
+    return sec;
+  }
+
+  // Signature lines side by side, as in the Word document
+  function signatureBlock(signatures) {
+    const row = element('div', 'row mt-5');
+    signatures.forEach((s) => {
+      const col = element('div', 'col-6');
+      col.appendChild(element('p', 'mb-5', s.caption));
+      col.appendChild(element('p', `text-center mb-0 ${s.name ? 'fw-bold' : ''}`, s.name || '______________________________'));
+      col.appendChild(element('p', 'text-center small', s.role));
+      row.appendChild(col);
+    });
+    return row;
+  }
+
+  // Build the on-screen report for the data; returns a document fragment
+  function render(data) {
+    const model = ReportModel.build(data);
+    const fragment = document.createDocumentFragment();
+    const header = element('div', 'text-center mb-4');
+    header.appendChild(element('h2', '', model.title));
+    const sub = element('p');
+    sub.appendChild(element('em', '', model.generatedOn));
+    header.appendChild(sub);
+    if (model.notice) header.appendChild(element('p', 'fw-bold text-danger', model.notice));
+    fragment.appendChild(header);
+    // An offense near or past prescription needs the officer's attention first
+    if (model.warning) {
+      const warning = element('div', `alert alert-${model.warningTone} fw-bold`, model.warning);
+      warning.setAttribute('role', 'alert');
+      fragment.appendChild(warning);
+    }
+    model.sections.forEach((s) => fragment.appendChild(section(s)));
+    fragment.appendChild(element('p', 'mt-4 fst-italic', model.disclaimer));
+    fragment.appendChild(signatureBlock(model.signatures));
+    return fragment;
+  }
+
+  window.ReportHTML = {
+    render,
+  };
+})();
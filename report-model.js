@@ -0,0 +1,409 @@
+/*
+ * report-model.js
+ *
+ * Turns the report data built in script.js into a plain document model,
+ * the single description of the report's content: report-html.js shows it
+ * on screen, report-pdf.js writes it as real text with jsPDF and
+ * report-docx.js as an editable Word document. The model is a list of
+ * sections, each with a key, a title and a list of blocks:
+ *
+ *   { type: 'heading', text }
+ *   { type: 'paragraph', text, style, tone } style: 'muted', 'italic', 'strong'
+ *   { type: 'fields', items: [{ label, value, tone }] }
+ *   { type: 'list', ordered, items: [{ title, text, fields, tone, link }] }
+ *
+ * The tone ('danger', 'warning' or 'success'), the link of an authority and
+ * the alert flag of the referral section only colour the screen; the file
+ * exporters may leave them out.
+ *
+ * plus the signature block of the barangay officials, a notice when the
+ * data is the redacted copy of privacy.js and a warning when an offense is
+ * near or past prescription (prescription.js). All texts are in the report's
+ * own language. The API is exposed on window.ReportModel.
+ */
+
+(() => {
+  const QUESTION_TYPES = ['openEnded', 'clarifying', 'reflective', 'exploratory', 'conscience'];
+
+  function paragraph(text, style, tone) {
+    return { type: 'paragraph', text, style, tone };
+  }
+
+  function heading(text) {
+    return { type: 'heading', text };
+  }
+
+  function bullets(texts, ordered) {
+    return { type: 'list', ordered: !!ordered, items: (texts || []).map((text) => ({ text })) };
+  }
+
+  // Name and contact details of a party as label/value lines
+  function partyFields(party, label, t) {
+    const contact = [];
+    if (party.phone) contact.push(`${t('report.phone')}: ${party.phone}`);
+    if (party.email) contact.push(`${t('report.email')}: ${party.email}`);
+    if (party.address) contact.push(`${t('report.address')}: ${party.address}`);
+    const name = party.name || 'N/A';
+    return { label, value: contact.length ? `${name} – ${contact.join('; ')}` : name };
+  }
+
+  function partiesSection(data, t, locale) {
+    const items = [];
+    if (data.caseId) items.push({ label: t('report.caseId'), value: data.caseId });
+    if (data.dateReceived) {
+      items.push({
+        label: t('report.dateReceived'),
+        value: new Date(data.dateReceived).toLocaleDateString(locale, { timeZone: 'Asia/Manila' }),
+      });
+    }
+    const c = data.complainant || {};
+    if (c.name || c.phone || c.email || c.address) items.push(partyFields(c, t('report.complainant'), t));
+    (data.respondents || []).forEach((r, idx) => items.push(partyFields(r, t('report.respondentN', { n: idx + 1 }), t)));
+    return { key: 'parties', title: t('report.caseParties'), blocks: [{ type: 'fields', items }] };
+  }
+
+  // Other docket cases of each party, with repeat respondents flagged for
+  // the Punong Barangay
+  function partyHistorySection(data, lang, t) {
+    const blocks = [];
+    data.partyHistory.forEach((party) => {
+      const label = party.role === 'respondent' ? t('report.respondentN', { n: party.index + 1 }) : t('report.complainant');
+      blocks.push(heading(`${label}: ${party.name}`));
+      if (party.repeatRespondent) blocks.push(paragraph(t('report.partyHistory.repeat', { count: party.respondentCases }), 'strong', 'danger'));
+      if (!party.cases.length) blocks.push(paragraph(t('report.partyHistory.none'), 'muted'));
+      else blocks.push({ type: 'list', ordered: false, items: party.cases.map((entry) => PartyRegistry.describeCase(entry, lang)) });
+    });
+    return { key: 'partyHistory', title: t('report.partyHistory'), blocks };
+  }
+
+  function referralSection(data, t) {
+    const blocks = data.referral.map((r) => paragraph(t('report.referral.reason', { nature: r.nature, basis: r.basis || '—' })));
+    const steps = (data.mediation && data.mediation.referral) || [];
+    if (steps.length) blocks.push(heading(t('report.referral.steps')), bullets(steps, true));
+    return { key: 'referral', title: t('report.referral.title'), tone: 'danger', alert: true, blocks };
+  }
+
+  function jurisdictionSection(data, lang, t) {
+    const result = KPJurisdiction.check(data);
+    const resultTone = { warn: 'warning', fail: 'danger' };
+    const statusTone = { within: 'success', conditional: 'warning', outside: 'danger' };
+    const checkItem = (item) => ({
+      title: `[${t(`jurisdiction.result.${item.result}`)}] ${t(`jurisdiction.check.${item.key}`)} (${item.basis})`,
+      text: KPJurisdiction.describe(item, lang),
+      tone: resultTone[item.result],
+    });
+    const venue = checkItem(result.venue);
+    if (result.venue.here !== undefined && result.venue.reasonKey !== 'venueUnknown') {
+      const key = { true: 'here', false: 'elsewhere', null: 'unconfigured' }[String(result.venue.here)];
+      venue.text += ` ${t(`jurisdiction.venue.${key}`, { own: result.venue.params.own })}`;
+    }
+    return {
+      key: 'jurisdiction',
+      title: t('report.jurisdiction.title'),
+      blocks: [
+        {
+          type: 'fields',
+          items: [{
+            label: t('report.jurisdiction.status'),
+            value: KPJurisdiction.statusLabel(result.status, lang),
+            tone: statusTone[result.status],
+          }],
+        },
+        heading(t('report.jurisdiction.checks')),
+        { type: 'list', ordered: false, items: result.checks.map(checkItem) },
+        heading(t('report.jurisdiction.venue')),
+        { type: 'list', ordered: false, items: [venue] },
+        paragraph(t('report.jurisdiction.venueNote'), 'muted'),
+      ],
+    };
+  }
+
+  function prescriptionSection(result, lang, t) {
+    const date = (d) => Settlement.formatDate(d, lang);
+    const stateTone = { near: 'warning', prescribed: 'danger' };
+    const blocks = [paragraph(t('prescription.start', { date: date(result.start) }))];
+    const { interruption } = result;
+    if (interruption) {
+      let text = t('prescription.interruption', { from: date(interruption.from), to: date(interruption.to), days: I18n.days(interruption.days, lang) });
+      if (interruption.open) text += ` ${t('prescription.interruptionOpen')}`;
+      blocks.push(paragraph(text));
+    }
+    const items = result.offenses.map((offense) => {
+      const notes = [];
+      if (offense.lightest) notes.push(t('prescription.lightest'));
+      if (interruption && !offense.interrupted) notes.push(t('prescription.notInterrupted'));
+      const fileBy = t('prescription.fileBy', { period: Prescription.describePeriod(offense.period, lang), date: date(offense.deadline) });
+      return {
+        title: `${offense.title} (${offense.basis})`,
+        text: [`${fileBy} – ${Prescription.describeState(offense, lang)}.`, ...notes].join(' '),
+        tone: stateTone[offense.state],
+      };
+    });
+    blocks.push({ type: 'list', ordered: false, items }, paragraph(t('prescription.note'), 'muted'));
+    return { key: 'prescription', title: t('report.prescription.title'), tone: result.warning ? 'danger' : undefined, blocks };
+  }
+
+  function proceedingsSection(data, lang, t) {
+    const proceedings = KPTimeline.getProceedings(data);
+    const fmt = (d) => new Date(`${d}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+    const blocks = [
+      { type: 'fields', items: [{ label: t('report.kp.status'), value: KPTimeline.stageLabel(proceedings.status, lang) }] },
+    ];
+    // Stages reached and hearings held or scheduled, by date
+    const timeline = Hearings.timeline(data, lang);
+    if (timeline.length) {
+      blocks.push(heading(t('report.kp.timeline')), {
+        type: 'fields',
+        items: timeline.map((entry) => ({ label: fmt(entry.date), value: entry.text })),
+      });
+    }
+    blocks.push(heading(t('report.kp.deadlines')));
+    const deadlines = KPTimeline.computeDeadlines(data);
+    if (!deadlines.length) {
+      blocks.push(paragraph(t('report.kp.noDeadlines')));
+    } else {
+      const stateTone = { overdue: 'danger', 'due-soon': 'warning', done: 'success' };
+      blocks.push({
+        type: 'list',
+        ordered: false,
+        items: deadlines.map((d) => ({
+          title: KPTimeline.deadlineLabel(d, lang),
+          text: `${t('report.kp.due', { date: fmt(d.due) })} (${d.basis}). ${KPTimeline.describeDaysLeft(d, lang)}`,
+          tone: stateTone[d.state],
+        })),
+      });
+    }
+    return { key: 'proceedings', title: t('report.kp.title'), blocks };
+  }
+
+  // Pangkat constituted for the case, with any conflict of interest of its
+  // members and the drawings of lots
+  function pangkatSection(data, lang, t) {
+    const pangkat = data.pangkat;
+    const locale = I18n.locale(lang);
+    const blocks = [];
+    if (pangkat.constitutedOn) {
+      const date = new Date(`${pangkat.constitutedOn}T00:00:00+08:00`).toLocaleDateString(locale, { timeZone: 'Asia/Manila' });
+      blocks.push({ type: 'fields', items: [{ label: t('report.pangkat.constitutedOn'), value: date }] });
+    }
+    blocks.push({
+      type: 'list',
+      ordered: false,
+      items: Lupon.orderedMembers(pangkat).map((member) => {
+        const conflicts = Lupon.conflicts(member, data).map((c) => Lupon.describeConflict(c, lang));
+        const text = Lupon.describeMember(member, lang);
+        if (!conflicts.length) return { title: member.name, text };
+        return { title: member.name, text: `${text}. ${t('pangkat.conflict')}: ${conflicts.join('; ')}`, tone: 'danger' };
+      }),
+    });
+    const nameOf = (id) => (pangkat.members.find((m) => m.id === id) || {}).name;
+    (pangkat.lots || []).forEach((lot) => {
+      blocks.push(paragraph(t('pangkat.lot', {
+        date: new Date(lot.at).toLocaleString(locale, { timeZone: 'Asia/Manila' }),
+        count: lot.pool.length,
+        names: lot.drawn.map(nameOf).filter(Boolean).join(', '),
+      }), 'muted'));
+    });
+    return { key: 'pangkat', title: t('report.pangkat'), blocks };
+  }
+
+  // Terms of the amicable settlement and the compliance with each
+  function settlementSection(data, lang, t) {
+    const { settlement } = data;
+    const blocks = [
+      paragraph(Settlement.describeFinality(data, lang)),
+      {
+        type: 'list',
+        ordered: true,
+        items: settlement.terms.map((term) => ({
+          text: Settlement.describeTerm(term, data, lang),
+          fields: [{ label: t('settlement.compliance'), value: Settlement.describeCompliance(term, lang) }],
+          tone: Settlement.termStatus(term) === 'breached' ? 'danger' : undefined,
+        })),
+      },
+    ];
+    if (settlement.motionFiled) {
+      blocks.push(paragraph(t('settlement.motionFiledOn', { date: Settlement.formatDate(settlement.motionFiled, lang) }), 'muted'));
+    }
+    return { key: 'settlement', title: t('report.settlement'), blocks };
+  }
+
+  function incidentSection(data, t, locale) {
+    const incident = data.incident || {};
+    return {
+      key: 'incident',
+      title: t('report.incidentDetails'),
+      blocks: [
+        {
+          type: 'fields',
+          items: [
+            { label: t('report.summary'), value: incident.summary || '' },
+            { label: t('report.location'), value: incident.location || '' },
+            {
+              label: t('report.dateTime'),
+              value: incident.dateTime ? new Date(incident.dateTime).toLocaleString(locale, { timeZone: 'Asia/Manila' }) : '',
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Legal provisions as list items with their basis, text and penalty
+  function provisionItems(provisions, t) {
+    return provisions.map((v) => ({
+      title: v.title,
+      fields: [
+        { label: t('report.legalBasis'), value: v.basis },
+        { label: t('report.provision'), value: v.text },
+        { label: t('report.penalty'), value: v.penalty },
+      ],
+    }));
+  }
+
+  function legalSection(data, lang, t) {
+    const analysis = data.analysis || {};
+    const blocks = [];
+    if (t('report.legalTextNote')) blocks.push(paragraph(t('report.legalTextNote'), 'muted'));
+    if (data.legalPack) blocks.push(paragraph(t('report.legalPack', data.legalPack), 'muted'));
+    blocks.push(heading(t('report.nature')));
+    const natures = analysis.natures || [{ nature: analysis.nature, description: analysis.description }];
+    const ranked = (data.classification && data.classification.ranked) || [];
+    natures.forEach((n) => {
+      blocks.push(paragraph(`${n.nature}: ${n.description}`));
+      const match = ranked.find((r) => r.category === n.category);
+      if (match && match.triggers.length) {
+        blocks.push(paragraph(t('report.classifiedBy', { phrases: match.triggers.map((tr) => `“${tr.phrase}”`).join(', ') }), 'muted'));
+      }
+    });
+    if (analysis.violations && analysis.violations.length) {
+      blocks.push(heading(t('report.violations')), { type: 'list', ordered: true, items: provisionItems(analysis.violations, t) });
+    }
+    if (data.penaltyComputations && data.penaltyComputations.length) {
+      blocks.push(heading(t('report.penaltyCalc.title')));
+      data.penaltyComputations.forEach((c) => {
+        const nature = natures.find((n) => n.category === c.category);
+        blocks.push(paragraph(`${nature ? nature.nature : c.category} (${c.basis})`, 'strong'));
+        blocks.push({
+          type: 'list',
+          ordered: true,
+          items: c.steps.map((step) => ({
+            text: PenaltyCalculator.describeStep(step, lang),
+            tone: { outside: 'danger', within: 'success' }[step.key],
+          })),
+        });
+        if (I18n.has(`penaltyCalc.note.${c.category}`)) blocks.push(paragraph(t(`penaltyCalc.note.${c.category}`), 'muted'));
+      });
+    }
+    if (analysis.jurisprudence && analysis.jurisprudence.length) {
+      blocks.push(heading(t('report.jurisprudence')), {
+        type: 'list',
+        ordered: true,
+        items: analysis.jurisprudence.map((c) => ({ title: c.title, text: c.summary })),
+      });
+    }
+    if (analysis.counters && analysis.counters.length) {
+      blocks.push(heading(t('report.counters')), { type: 'list', ordered: true, items: provisionItems(analysis.counters, t) });
+    }
+    return { key: 'legal', title: t('report.legalAnalysis'), blocks };
+  }
+
+  // Authorities attached from the legal research, with the officer's notes
+  function authoritiesSection(data, t) {
+    const items = data.citations.map((c) => {
+      const source = c.link || c.source;
+      return {
+        title: Citations.format(c),
+        text: c.note,
+        fields: source ? [{ label: t('report.authorities.source'), value: source }] : [],
+        link: Citations.isWebLink(c.link) ? c.link : '',
+      };
+    });
+    return { key: 'authorities', title: t('report.authorities'), blocks: [{ type: 'list', ordered: true, items }] };
+  }
+
+  function mediationSection(data, t) {
+    const m = data.mediation || {};
+    return {
+      key: 'mediation',
+      title: t('report.mediation'),
+      blocks: [
+        heading(t('report.objectives')),
+        bullets(m.objectives),
+        heading(t('report.issues')),
+        bullets(m.issues),
+        heading(t('report.notForMediation')),
+        bullets(m.notForMediation),
+        heading(t('report.outcomes')),
+        bullets(m.outcomes),
+      ],
+    };
+  }
+
+  function questionsSection(data, t) {
+    const blocks = [];
+    ['complainant', 'respondent'].forEach((role) => {
+      const qs = (data.questions && data.questions[role]) || {};
+      blocks.push(heading(t(`report.role.${role}`)));
+      QUESTION_TYPES.forEach((type) => {
+        blocks.push(paragraph(t(`report.q.${type}`), 'strong'), bullets(qs[type]));
+      });
+    });
+    return { key: 'questions', title: t('report.questions'), blocks };
+  }
+
+  // Signatories from the barangay profile; an empty name leaves a blank
+  // line to be filled in by hand
+  function signatures(t) {
+    const profile = window.BARANGAY_PROFILE || {};
+    return [
+      { caption: t('report.signature.preparedBy'), name: profile.luponSecretary || '', role: t('report.signature.secretary') },
+      { caption: t('report.signature.notedBy'), name: profile.punongBarangay || '', role: t('report.signature.punongBarangay') },
+    ];
+  }
+
+  // Build the document model of a report
+  function build(data) {
+    const lang = data.language || I18n.DEFAULT_LANGUAGE;
+    const t = (key, params) => I18n.t(key, lang, params);
+    const locale = I18n.locale(lang);
+    const referred = (data.referral || []).length > 0;
+    const sections = [partiesSection(data, t, locale)];
+    if ((data.partyHistory || []).some((p) => p.cases.length || p.repeatRespondent)) sections.push(partyHistorySection(data, lang, t));
+    if (referred) sections.push(referralSection(data, t));
+    sections.push(jurisdictionSection(data, lang, t));
+    const prescription = Prescription.compute(data);
+    if (prescription) sections.push(prescriptionSection(prescription, lang, t));
+    if (!referred) sections.push(proceedingsSection(data, lang, t));
+    if (!referred && Lupon.isConstituted(data.pangkat)) sections.push(pangkatSection(data, lang, t));
+    if (!referred && data.settlement && (data.settlement.terms || []).length) sections.push(settlementSection(data, lang, t));
+    sections.push(incidentSection(data, t, locale), legalSection(data, lang, t));
+    if ((data.citations || []).length) sections.push(authoritiesSection(data, t));
+    if (!referred) sections.push(mediationSection(data, t), questionsSection(data, t));
+    return {
+      lang,
+      title: data.caseTitle || '',
+      caseId: data.caseId || '',
+      generatedOn: t('report.generatedOn', { date: new Date().toLocaleString(locale, { timeZone: 'Asia/Manila' }) }),
+      notice: data.redacted ? t('privacy.redactedNotice') : '',
+      warning: Prescription.describeWarning(prescription, lang),
+      warningTone: prescription && prescription.warning && prescription.earliest.state === 'prescribed' ? 'danger' : 'warning',
+      sections,
+      disclaimer: t('report.disclaimer'),
+      signatures: signatures(t),
+    };
+  }
+
+  // Download file name from the case number, e.g. "KP-2026-014_report.pdf",
+  // or "KP-2026-014_report_redacted.pdf" for the redacted copy
+  function fileName(data, ext) {
+    const id = (data.caseId || '').replace(/[^0-9A-Za-z-]+/g, '_').replace(/^_+|_+$/g, '');
+    const suffix = data.redacted ? '_redacted' : '';
+    return id ? `${id}_report${suffix}.${ext}` : `barangay_case_report_${Date.now()}${suffix}.${ext}`;
+  }
+
+  window.ReportModel = {
+    build,
+    fileName,
+  };
+})();
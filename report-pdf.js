@@ -0,0 +1,280 @@
+/*
+ * report-pdf.js
+ *
+ * Lays out a case report as a text-based A4 PDF with jsPDF: the text can be
+ * selected and searched, and the file stays small. The content comes from
+ * the document model in report-model.js. Every block is first broken into
+ * wrapped lines, grouped so that headings stay with what follows them and
+ * list items are not split across pages when they fit on one, and then drawn
+ * page by page, ending with the signature block. A header with the case
+ * title and number and a "Page n of m" footer are added to every page at
+ * the end. The API is exposed on
+ * window.ReportPDF.
+ */
+
+(() => {
+  const MARGIN = 20;
+  const HEADER_Y = 12;
+  const FOOTER_GAP = 10;
+  const FONT = 'helvetica';
+  const SIZES = { title: 16, section: 13, heading: 11, body: 10, small: 8.5 };
+  const COLORS = { text: [33, 37, 41], muted: [108, 117, 125], danger: [176, 42, 55] };
+  const LIST_INDENT = 7;
+
+  // Characters the built-in PDF fonts cannot draw (they only cover
+  // Windows-1252) and the research markers left in some legal texts
+  const REPLACEMENTS = [
+    [/【[^】]*】/g, ''],
+    [/₱/g, 'PHP '],
+    [/[\u2010\u2011]/g, '-'],
+  ];
+  const CP1252_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+  function pdfText(text) {
+    let s = String(text === undefined || text === null ? '' : text);
+    REPLACEMENTS.forEach(([re, to]) => {
+      s = s.replace(re, to);
+    });
+    return Array.from(s)
+      .map((ch) => (ch.charCodeAt(0) <= 0xff || CP1252_EXTRA.includes(ch) ? ch : '?'))
+      .join('')
+      .replace(/ {2,}/g, ' ');
+  }
+
+  // Line height in mm for a font size in points
+  function lineHeight(size) {
+    return size * 0.3528 * 1.35;
+  }
+
+  function createLayout(pdf) {
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const width = pageWidth - MARGIN * 2;
+    const bottom = pageHeight - MARGIN;
+    let y = MARGIN;
+
+    // Wrap text into lines of the given font; returns line objects
+    function wrap(text, { size = SIZES.body, style = 'normal', color = COLORS.text, x = MARGIN, maxWidth = width } = {}) {
+      pdf.setFont(FONT, style);
+      pdf.setFontSize(size);
+      return pdf.splitTextToSize(pdfText(text), maxWidth).map((line) => ({
+        segments: [{ text: line, x, style }],
+        size,
+        color,
+      }));
+    }
+
+    // "Label: value" with a bold label and the value wrapped after it
+    function labelled(label, value, { x = MARGIN, size = SIZES.body } = {}) {
+      const maxWidth = MARGIN + width - x;
+      const labelText = pdfText(`${label}: `);
+      pdf.setFontSize(size);
+      pdf.setFont(FONT, 'bold');
+      const labelWidth = pdf.getTextWidth(labelText);
+      pdf.setFont(FONT, 'normal');
+      const valueText = pdfText(value);
+      if (labelWidth > maxWidth / 2) {
+        return [
+          { segments: [{ text: labelText.trim(), x, style: 'bold' }], size, color: COLORS.text },
+          ...wrap(valueText, { size, x, maxWidth }),
+        ];
+      }
+      const first = pdf.splitTextToSize(valueText, maxWidth - labelWidth);
+      const lines = [{
+        segments: [{ text: labelText, x, style: 'bold' }, { text: first[0] || '', x: x + labelWidth, style: 'normal' }],
+        size,
+        color: COLORS.text,
+      }];
+      if (first.length > 1) {
+        pdf.splitTextToSize(first.slice(1).join(' '), maxWidth).forEach((line) => {
+          lines.push({ segments: [{ text: line, x, style: 'normal' }], size, color: COLORS.text });
+        });
+      }
+      return lines;
+    }
+
+    function heightOf(lines, gap) {
+      return lines.reduce((sum, line) => sum + lineHeight(line.size), 0) + (gap || 0);
+    }
+
+    function newPage() {
+      pdf.addPage();
+      y = MARGIN;
+    }
+
+    // Draw a group of lines. keep: move the whole group to the next page
+    // when it does not fit but would fit on an empty page. minLines: lines
+    // that must at least fit before the group starts. withNext: the first
+    // lines of what follows, which must fit on the same page (so headings
+    // are not left alone at the bottom of a page).
+    function draw(lines, { keep = false, minLines = 2, gap = 1.5, withNext = [] } = {}) {
+      if (!lines.length) return;
+      const together = keep ? heightOf(lines, gap) + heightOf(withNext) : 0;
+      const leading = heightOf(lines.slice(0, minLines));
+      if (y > MARGIN && ((y + together > bottom && together <= bottom - MARGIN) || y + leading > bottom)) newPage();
+      lines.forEach((line) => {
+        const h = lineHeight(line.size);
+        if (y + h > bottom) newPage();
+        pdf.setFontSize(line.size);
+        pdf.setTextColor(...line.color);
+        line.segments.forEach((seg) => {
+          pdf.setFont(FONT, seg.style);
+          if (seg.align === 'center') {
+            pdf.text(seg.text, seg.center === undefined ? pageWidth / 2 : seg.center, y + h * 0.75, { align: 'center' });
+          } else {
+            pdf.text(seg.text, seg.x, y + h * 0.75);
+          }
+        });
+        y += h;
+      });
+      y += gap;
+    }
+
+    // Vertical space between sections; dropped at the top of a page
+    function skip(h) {
+      if (y > MARGIN) y = Math.min(y + h, bottom);
+    }
+
+    return { width, wrap, labelled, draw, skip };
+  }
+
+  // Lines of one list item: its number or bullet, title, text and fields
+  function listItemLines(layout, item, marker) {
+    const x = MARGIN + LIST_INDENT;
+    const lines = [];
+    if (item.title) lines.push(...layout.wrap(item.title, { style: 'bold', x, maxWidth: layout.width - LIST_INDENT }));
+    if (item.text) lines.push(...layout.wrap(item.text, { x, maxWidth: layout.width - LIST_INDENT }));
+    (item.fields || []).forEach((f) => lines.push(...layout.labelled(f.label, f.value, { x })));
+    if (lines.length) lines[0].segments.unshift({ text: marker, x: MARGIN + 1.5, style: 'normal' });
+    return lines;
+  }
+
+  // Draw one block; next is the block that follows (headings and bold
+  // lead-in paragraphs are kept with the start of it)
+  function drawBlock(layout, block, next) {
+    if (block.type === 'heading' || (block.type === 'paragraph' && block.style === 'strong')) {
+      const withNext = next ? blockLines(layout, next).slice(0, 2) : [];
+      layout.draw(blockLines(layout, block), { keep: true, gap: 0.5, withNext });
+      return;
+    }
+    if (block.type === 'list') {
+      block.items.forEach((item, idx) => {
+        const marker = block.ordered ? `${idx + 1}.` : '•';
+        layout.draw(listItemLines(layout, item, marker), { keep: true, gap: 1 });
+      });
+      return;
+    }
+    if (block.type === 'fields') {
+      block.items.forEach((f) => layout.draw(layout.labelled(f.label, f.value), { minLines: 2, gap: 0.8 }));
+      return;
+    }
+    layout.draw(blockLines(layout, block));
+  }
+
+  // Wrapped lines of a paragraph-like block
+  function blockLines(layout, block) {
+    if (block.type === 'paragraph') {
+      const style = { muted: 'normal', italic: 'italic', strong: 'bold' }[block.style] || 'normal';
+      return layout.wrap(block.text, {
+        style,
+        size: block.style === 'muted' ? SIZES.small : SIZES.body,
+        color: block.style === 'muted' ? COLORS.muted : COLORS.text,
+      });
+    }
+    if (block.type === 'fields') return block.items.flatMap((f) => layout.labelled(f.label, f.value));
+    if (block.type === 'list') {
+      return block.items.length ? listItemLines(layout, block.items[0], block.ordered ? '1.' : '•') : [];
+    }
+    return layout.wrap(block.text, { size: SIZES.heading, style: 'bold' });
+  }
+
+  // Signature lines side by side, as in the Word document: the caption,
+  // room to sign, then the name (or a blank line) and the role centred in
+  // each column
+  function signatureLines(layout, signatures) {
+    const column = layout.width / signatures.length;
+    const rows = [[], [], [], [], []];
+    signatures.forEach((s, i) => {
+      const x = MARGIN + column * i;
+      const center = x + column / 2;
+      rows[0].push({ text: pdfText(s.caption), x, style: 'normal' });
+      rows[3].push({ text: pdfText(s.name || '______________________________'), center, align: 'center', style: s.name ? 'bold' : 'normal' });
+      rows[4].push({ text: pdfText(s.role), center, align: 'center', style: 'normal' });
+    });
+    return rows.map((segments) => ({ segments, size: SIZES.body, color: COLORS.text }));
+  }
+
+  // Header and footer on every page, once the number of pages is known
+  function addPageFurniture(pdf, model) {
+    const pages = pdf.internal.getNumberOfPages();
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const t = (key, params) => I18n.t(key, model.lang, params);
+    for (let page = 1; page <= pages; page += 1) {
+      pdf.setPage(page);
+      pdf.setFont(FONT, 'normal');
+      pdf.setFontSize(SIZES.small);
+      pdf.setTextColor(...COLORS.muted);
+      const left = pdf.splitTextToSize(pdfText(model.title || t('app.title')), (pageWidth - MARGIN * 2) * 0.6)[0];
+      pdf.text(left, MARGIN, HEADER_Y);
+      if (model.caseId) {
+        pdf.text(pdfText(t('report.pdf.caseNo', { caseId: model.caseId })), pageWidth - MARGIN, HEADER_Y, { align: 'right' });
+      }
+      pdf.setDrawColor(...COLORS.muted);
+      pdf.setLineWidth(0.2);
+      pdf.line(MARGIN, HEADER_Y + 2, pageWidth - MARGIN, HEADER_Y + 2);
+      pdf.text(pdfText(t('report.pdf.page', { page, pages })), pageWidth / 2, pageHeight - FOOTER_GAP, { align: 'center' });
+    }
+    pdf.setTextColor(...COLORS.text);
+  }
+
+  // Build the PDF for a report and return the jsPDF document
+  function create(data) {
+    const model = ReportModel.build(data);
+    const { jsPDF } = window.jspdf;
+    const pdf = new jsPDF('p', 'mm', 'a4');
+    const layout = createLayout(pdf);
+
+    layout.draw(layout.wrap(model.title, { size: SIZES.title, style: 'bold' }).map((line) => {
+      line.segments[0].align = 'center';
+      return line;
+    }), { gap: 1 });
+    layout.draw(layout.wrap(model.generatedOn, { size: SIZES.small, style: 'italic', color: COLORS.muted }).map((line) => {
+      line.segments[0].align = 'center';
+      return line;
+    }), { gap: model.notice || model.warning ? 2 : 6 });
+    // The redaction notice and the prescription warning, under the title
+    const notices = [model.notice, model.warning].filter(Boolean);
+    notices.forEach((text, i) => {
+      layout.draw(layout.wrap(text, { size: SIZES.small, style: 'bold', color: COLORS.danger }).map((line) => {
+        line.segments[0].align = 'center';
+        return line;
+      }), { gap: i === notices.length - 1 ? 6 : 2 });
+    });
+
+    model.sections.forEach((section) => {
+      const color = section.tone === 'danger' ? COLORS.danger : COLORS.text;
+      const title = layout.wrap(section.title, { size: SIZES.section, style: 'bold', color });
+      // Keep the section title with the first lines of its content
+      const first = section.blocks.length ? blockLines(layout, section.blocks[0]).slice(0, 3) : [];
+      layout.draw(title, { keep: true, gap: 2, withNext: first });
+      section.blocks.forEach((block, idx) => drawBlock(layout, block, section.blocks[idx + 1]));
+      layout.skip(3);
+    });
+
+    layout.draw(layout.wrap(model.disclaimer, { size: SIZES.small, style: 'italic', color: COLORS.muted }), { gap: 0 });
+    layout.skip(10);
+    layout.draw(signatureLines(layout, model.signatures), { keep: true, gap: 0 });
+    addPageFurniture(pdf, model);
+    return pdf;
+  }
+
+  function download(data) {
+    create(data).save(ReportModel.fileName(data, 'pdf'));
+  }
+
+  window.ReportPDF = {
+    create,
+    download,
+  };
+})();
@@ -1,37 +1,205 @@
 /*
  * research.js
  *
- * This module adds a simple legal research UI for the Barangay Case Analyzer. It uses
- * Google’s Custom Search API to search across a set of whitelisted Philippine legal
- * websites defined in config.js. Results are displayed in a card layout, and each
- * result can be attached as a citation to a list shown below the search box.
+ * This module adds a simple legal research UI for the Barangay Case Analyzer. Searches
+ * go through a search provider:
+ *
+ * - "local": the offline legal library of legal-corpus.js (Revised Penal Code, the
+ *   Katarungang Pambarangay chapter of the Local Government Code, the KP rules and the
+ *   jurisprudence of the legal pack). Always available.
+ * - "google": Google's Custom Search API across the whitelisted Philippine legal
+ *   websites defined in config.js. Only offered when an API key and search engine ID
+ *   are configured, and only used while online. Each page of results is kept in
+ *   localStorage for a day, so repeating a search or going back a page does not use
+ *   up the daily search quota.
+ *
+ * Other providers can be added with registerSearchProvider(). Every provider resolves
+ * to a page of results ({ items, hasNext }) where each item has the same shape
+ * ({ title, link, displayLink, snippet, type } and optionally id and highlighted
+ * snippet parts), which runLegalSearchUI() displays in a card layout with next and
+ * previous buttons. Results can be narrowed to one of the allowed sites and to a
+ * document type (decision, statute, ordinance), which for web pages is inferred from
+ * their URL. Each result can be attached to the open case as a citation (see
+ * citations.js), and every new search is added to the open case's search history.
  */
 
-// Perform a search using the Google Custom Search API restricted to allowed sites.
-async function legalSearch(query) {
+const SEARCH_PROVIDERS = {};
+const RESULTS_PER_PAGE = 10;
+// The Custom Search API returns at most 100 results for a query
+const MAX_START_INDEX = 91;
+const SEARCH_CACHE_KEY = 'barangay-case-analyzer-search-cache';
+const SEARCH_CACHE_TTL = 24 * 60 * 60 * 1000;
+const SEARCH_CACHE_SIZE = 50;
+
+// Document type of a web page from the URL patterns of the allowed sites; the
+// first matching pattern wins
+const DOCUMENT_TYPE_PATTERNS = [
+  ['ordinance', /ordinance/i],
+  ['decision', /lawphil\.net\/judjuris\/|chanrobles\.com\/(cralaw\/\d{4}\w*decisions|scdecisions|.*jurisprudence)|judiciary\.gov\.ph\//i],
+  ['statute', /lawphil\.net\/(statutes|executive)\/|chanrobles\.com\/(republicacts|presidentialdecrees|bataspambansa|commonwealthacts|executiveorders|acts|revisedpenalcode)|officialgazette\.gov\.ph\/\d{4}\/\d{2}\/\d{2}\/(republic-act|presidential-decree|executive-order|batas-pambansa|commonwealth-act|act-no)/i]
+];
+
+// Add a search provider. provider: { label (i18n key), online (needs the internet),
+// sites (can be narrowed to one allowed site), available() (whether it can be
+// offered), search(query, { page, site, type }) (resolves to { items, hasNext }) }
+function registerSearchProvider(id, provider) {
+  SEARCH_PROVIDERS[id] = provider;
+}
+
+function googleSearchConfigured() {
+  const cfg = window.LEGAL_SEARCH || {};
+  return !!(cfg.GOOGLE_API_KEY && cfg.GOOGLE_CSE_ID);
+}
+
+function documentType(link) {
+  const match = DOCUMENT_TYPE_PATTERNS.find(([, pattern]) => pattern.test(link || ''));
+  return match ? match[0] : 'other';
+}
+
+// Cached pages of online results by key; expired entries are left out
+function readSearchCache() {
+  try {
+    const cache = JSON.parse(localStorage.getItem(SEARCH_CACHE_KEY)) || {};
+    const now = Date.now();
+    Object.keys(cache).forEach((key) => {
+      if (!cache[key] || now - cache[key].at > SEARCH_CACHE_TTL) delete cache[key];
+    });
+    return cache;
+  } catch (err) {
+    return {};
+  }
+}
+
+// Keep a page of results, dropping the oldest pages beyond SEARCH_CACHE_SIZE
+function storeSearchCache(key, page) {
+  const cache = readSearchCache();
+  cache[key] = { at: Date.now(), page };
+  const keys = Object.keys(cache).sort((a, b) => cache[b].at - cache[a].at);
+  keys.slice(SEARCH_CACHE_SIZE).forEach((old) => delete cache[old]);
+  try {
+    localStorage.setItem(SEARCH_CACHE_KEY, JSON.stringify(cache));
+  } catch (err) {
+    // Storage full or unavailable; the search simply is not cached
+  }
+}
+
+// Perform a search using the Google Custom Search API restricted to allowed sites
+// (or to the one site chosen). Resolves to one page of results; cachedAt is set
+// when the page comes from the cache.
+async function legalSearch(query, { page = 0, site = '' } = {}) {
   const cfg = window.LEGAL_SEARCH || {};
   const apiKey = cfg.GOOGLE_API_KEY;
   const cseId = cfg.GOOGLE_CSE_ID;
-  const domains = cfg.ALLOWED_SITES || [];
+  const domains = site ? [site] : cfg.ALLOWED_SITES || [];
   if (!apiKey || !cseId) {
     throw new Error('Please configure GOOGLE_API_KEY and GOOGLE_CSE_ID in config.js');
   }
+  const start = page * RESULTS_PER_PAGE + 1;
+  const cacheKey = JSON.stringify([query.trim().toLowerCase().replace(/\s+/g, ' '), site, start]);
+  const cached = readSearchCache()[cacheKey];
+  if (cached) return { ...cached.page, cachedAt: cached.at };
   // Build site filter: site:domain1 OR site:domain2 ...
   const domainFilter = domains.map(d => `site:${d}`).join(' OR ');
   const q = `${query} (${domainFilter})`;
-  const params = new URLSearchParams({ key: apiKey, cx: cseId, q, num: '10' });
+  const params = new URLSearchParams({ key: apiKey, cx: cseId, q, num: String(RESULTS_PER_PAGE), start: String(start) });
   const url = `https://www.googleapis.com/customsearch/v1?${params.toString()}`;
-  const res = await fetch(url);
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    // fetch only rejects when the request could not be sent at all
+    throw new Error(I18n.t('research.offline', I18n.getUiLanguage()));
+  }
   if (!res.ok) {
-    throw new Error('Search request failed: ' + res.status);
+    throw new Error(I18n.t('research.requestFailed', I18n.getUiLanguage(), { status: res.status }));
   }
   const data = await res.json();
-  return (data.items || []).map(item => ({
-    title: item.title,
-    link: item.link,
-    displayLink: item.displayLink,
-    snippet: item.snippet || ''
-  }));
+  const result = {
+    items: (data.items || []).map(item => ({
+      title: item.title,
+      link: item.link,
+      displayLink: item.displayLink,
+      snippet: item.snippet || '',
+      type: documentType(item.link)
+    })),
+    hasNext: !!(data.queries && data.queries.nextPage) && start + RESULTS_PER_PAGE <= MAX_START_INDEX
+  };
+  storeSearchCache(cacheKey, result);
+  return result;
+}
+
+registerSearchProvider('local', {
+  label: 'research.provider.local',
+  online: false,
+  sites: false,
+  available: () => true,
+  // The library is small, so the type filter is applied before paging
+  search: async (query, { page = 0, type = '' } = {}) => {
+    const all = await LegalCorpus.search(query, { limit: 100 });
+    const items = all.filter((item) => !type || item.type === type);
+    const from = page * RESULTS_PER_PAGE;
+    return { items: items.slice(from, from + RESULTS_PER_PAGE), hasNext: items.length > from + RESULTS_PER_PAGE };
+  }
+});
+
+registerSearchProvider('google', {
+  label: 'research.provider.google',
+  online: true,
+  sites: true,
+  available: googleSearchConfigured,
+  // The API cannot filter by document type, so each page is filtered here
+  search: async (query, options = {}) => {
+    const result = await legalSearch(query, options);
+    return { ...result, items: result.items.filter((item) => !options.type || item.type === options.type) };
+  }
+});
+
+// Fill the provider choice with the providers that can be offered. The online
+// search is preselected when it is configured, the offline library otherwise.
+// Safe to call again: the lists are filled afresh and the choices kept.
+function initSearchProviders() {
+  const select = document.getElementById('legal-provider');
+  if (!select) return;
+  const lang = I18n.getUiLanguage();
+  const previous = select.value;
+  select.innerHTML = '';
+  Object.entries(SEARCH_PROVIDERS).forEach(([id, provider]) => {
+    if (!provider.available()) return;
+    const option = document.createElement('option');
+    option.value = id;
+    // Translated again by I18n.applyTranslations when the language changes
+    option.dataset.i18n = provider.label;
+    option.textContent = I18n.t(provider.label, lang);
+    select.appendChild(option);
+  });
+  const preferred = previous || (googleSearchConfigured() ? 'google' : 'local');
+  if (select.querySelector(`option[value="${preferred}"]`)) select.value = preferred;
+  // Nothing to choose from when only the offline library is available
+  select.classList.toggle('d-none', select.options.length < 2);
+  const sites = document.getElementById('legal-site');
+  if (sites) {
+    const site = sites.value;
+    // The first option, "All trusted sites", is part of the page
+    Array.from(sites.options).filter((option) => option.value).forEach((option) => option.remove());
+    ((window.LEGAL_SEARCH || {}).ALLOWED_SITES || []).forEach((domain) => {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = domain;
+      sites.appendChild(option);
+    });
+    if (sites.querySelector(`option[value="${site}"]`)) sites.value = site;
+  }
+  select.addEventListener('change', updateSearchFilters);
+  updateSearchFilters();
+}
+
+// The site filter only applies to providers that search the allowed sites
+function updateSearchFilters() {
+  const select = document.getElementById('legal-provider');
+  const sites = document.getElementById('legal-site');
+  if (!select || !sites) return;
+  const provider = SEARCH_PROVIDERS[select.value];
+  sites.classList.toggle('d-none', !(provider && provider.sites));
 }
 
 // Start search triggered by user action
@@ -43,30 +211,130 @@ function startLegalSearch() {
   runLegalSearchUI(q);
 }
 
-// Render search results and attach event handlers
-async function runLegalSearchUI(query) {
+// Repeat a search from the case's search history with its provider and filters
+function runSavedSearch(entry) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && (el.tagName !== 'SELECT' || el.querySelector(`option[value="${value}"]`))) el.value = value;
+  };
+  set('legal-query', entry.query);
+  set('legal-provider', entry.provider || 'local');
+  set('legal-site', entry.site || '');
+  set('legal-type', entry.type || '');
+  updateSearchFilters();
+  runLegalSearchUI(entry.query);
+}
+
+// Snippet of a result; the parts matching the query are highlighted
+function renderSnippet(item) {
+  const snippet = document.createElement('div');
+  snippet.style.fontSize = '14px';
+  snippet.style.marginTop = '4px';
+  if (item.parts) {
+    item.parts.forEach((part) => {
+      if (part.match) {
+        const mark = document.createElement('mark');
+        mark.textContent = part.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(part.text));
+      }
+    });
+  } else {
+    snippet.textContent = item.snippet;
+  }
+  return snippet;
+}
+
+// Previous and next page buttons
+function renderPager(search, hasNext, lang) {
+  const pager = document.createElement('div');
+  pager.className = 'd-flex gap-2 align-items-center mt-2';
+  const button = (key, page, disabled) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-sm btn-outline-secondary';
+    btn.textContent = I18n.t(key, lang);
+    btn.disabled = disabled;
+    btn.addEventListener('click', () => runLegalSearchUI(search.query, { ...search, page }));
+    return btn;
+  };
+  const label = document.createElement('span');
+  label.className = 'small text-muted';
+  label.textContent = I18n.t('research.page', lang, { page: search.page + 1 });
+  pager.appendChild(button('research.prev', search.page - 1, search.page === 0));
+  pager.appendChild(label);
+  pager.appendChild(button('research.next', search.page + 1, !hasNext));
+  return pager;
+}
+
+// Render search results and attach event handlers. options ({ provider, page,
+// site, type }) default to the choices on the page; an online provider falls
+// back to the offline library when there is no connection.
+async function runLegalSearchUI(query, options = {}) {
   const resultsEl = document.getElementById('legal-results');
   if (!resultsEl) return;
-  resultsEl.textContent = 'Searching…';
+  const lang = I18n.getUiLanguage();
+  const value = (id) => (document.getElementById(id) || {}).value || '';
+  let id = options.provider || value('legal-provider') || 'local';
+  let provider = SEARCH_PROVIDERS[id];
+  if (!provider || !provider.available()) {
+    id = 'local';
+    provider = SEARCH_PROVIDERS.local;
+  }
+  let notice = '';
+  if (provider.online && !navigator.onLine) {
+    notice = I18n.t('research.offlineLocal', lang);
+    id = 'local';
+    provider = SEARCH_PROVIDERS.local;
+  }
+  const search = {
+    query,
+    provider: id,
+    page: options.page || 0,
+    site: provider.sites ? (options.site !== undefined ? options.site : value('legal-site')) : '',
+    type: options.type !== undefined ? options.type : value('legal-type')
+  };
+  resultsEl.textContent = I18n.t('research.searching', lang);
   try {
-    const items = await legalSearch(query);
-    if (!items.length) {
-      resultsEl.textContent = 'No results found on trusted sources.';
-      return;
+    const result = await provider.search(query, search);
+    const items = result.items;
+    // New searches go into the open case's search history (see script.js)
+    if (search.page === 0) {
+      const { page, ...entry } = search;
+      document.dispatchEvent(new CustomEvent('legal-search', { detail: entry }));
     }
-    // Clear previous results
     resultsEl.innerHTML = '';
-    items.forEach((item, idx) => {
+    if (result.cachedAt) {
+      const time = new Date(result.cachedAt).toLocaleTimeString(I18n.locale(lang), { timeZone: 'Asia/Manila', hour: 'numeric', minute: '2-digit' });
+      notice = [notice, I18n.t('research.cached', lang, { time })].filter(Boolean).join(' ');
+    }
+    if (notice) {
+      const note = document.createElement('div');
+      note.className = 'small text-muted';
+      note.textContent = notice;
+      resultsEl.appendChild(note);
+    }
+    if (!items.length) {
+      let key = id === 'local' ? 'research.noResultsLocal' : 'research.noResults';
+      // Documents of the chosen type may still be on the next pages
+      if (search.type && id !== 'local' && result.hasNext) key = 'research.noResultsType';
+      resultsEl.appendChild(document.createTextNode(I18n.t(key, lang)));
+    }
+    items.forEach((item) => {
       const card = document.createElement('div');
       card.className = 'result-card';
       card.style.border = '1px solid #e5e5e5';
       card.style.borderRadius = '8px';
       card.style.padding = '8px';
       card.style.marginTop = '8px';
-      const titleLink = document.createElement('a');
-      titleLink.href = item.link;
-      titleLink.target = '_blank';
-      titleLink.rel = 'noopener';
+      // Offline library texts without an online source have no link
+      const titleLink = document.createElement(item.link ? 'a' : 'div');
+      if (item.link) {
+        titleLink.href = item.link;
+        titleLink.target = '_blank';
+        titleLink.rel = 'noopener';
+      }
       titleLink.textContent = item.title;
       titleLink.style.display = 'block';
       titleLink.style.fontWeight = 'bold';
@@ -74,12 +342,15 @@ async function runLegalSearchUI(query) {
       meta.textContent = item.displayLink;
       meta.style.fontSize = '12px';
       meta.style.color = '#777';
-      const snippet = document.createElement('div');
-      snippet.textContent = item.snippet;
-      snippet.style.fontSize = '14px';
-      snippet.style.marginTop = '4px';
+      if (I18n.has(`research.type.${item.type}`)) {
+        const badge = document.createElement('span');
+        badge.className = 'badge text-bg-light border ms-2';
+        badge.textContent = I18n.t(`research.type.${item.type}`, lang);
+        meta.appendChild(badge);
+      }
+      const snippet = renderSnippet(item);
       const attach = document.createElement('button');
-      attach.textContent = 'Attach to report';
+      attach.textContent = I18n.t('research.attach', lang);
       attach.className = 'btn btn-sm btn-outline-secondary';
       attach.style.marginTop = '4px';
       attach.addEventListener('click', () => attachCitation(item));
@@ -89,22 +360,16 @@ async function runLegalSearchUI(query) {
       card.appendChild(attach);
       resultsEl.appendChild(card);
     });
+    if (search.page > 0 || result.hasNext) resultsEl.appendChild(renderPager(search, result.hasNext, lang));
   } catch (err) {
-    resultsEl.textContent = 'Error: ' + err.message;
+    resultsEl.textContent = navigator.onLine ? I18n.t('research.error', lang, { message: err.message }) : err.message;
   }
 }
 
-// Add a citation to the citations list
+// Attach a result to the open case. The case form (script.js) keeps the
+// citations with the case and shows them in #citationsList.
 function attachCitation(item) {
-  const list = document.getElementById('citationsList');
-  if (!list) return;
-  const li = document.createElement('li');
-  const a = document.createElement('a');
-  a.href = item.link;
-  a.target = '_blank';
-  a.rel = 'noopener';
-  a.textContent = item.title;
-  li.appendChild(a);
-  li.appendChild(document.createTextNode(' — ' + item.displayLink));
-  list.appendChild(li);
-}
\ No newline at end of file
+  document.dispatchEvent(new CustomEvent('citation-attach', { detail: item }));
+}
+
+document.addEventListener('DOMContentLoaded', initSearchProviders);
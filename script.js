@@ -31,7 +31,13 @@
     // Clear values in clone
     clone.querySelectorAll('input, textarea').forEach((el) => {
       el.value = '';
+      el.classList.remove('is-invalid');
+      el.removeAttribute('aria-invalid');
+      el.removeAttribute('aria-describedby');
     });
+    // Messages keep their ids, which must stay unique
+    clone.querySelectorAll('.invalid-feedback, .field-warning').forEach((el) => el.remove());
+    resetPartyMatch(clone.querySelector('.respondent-name'));
     container.appendChild(clone);
     refreshRespondentIndices();
   }
@@ -42,605 +48,440 @@
     if (!div) return;
     div.remove();
     refreshRespondentIndices();
+    refreshHearingParties();
+    // The listed errors name the respondents by their number
+    if (!document.getElementById('formErrors').classList.contains('d-none')) validateForm({ focus: false });
   }
 
-  // Validate required fields
-  function validateForm() {
-    const summaryEl = document.getElementById('incidentSummary');
-    const locationEl = document.getElementById('incidentLocation');
-    const dateEl = document.getElementById('incidentDateTime');
-    let valid = true;
-    // Incident summary must be at least 30 characters
-    if (!summaryEl.value || summaryEl.value.trim().length < 30) {
-      summaryEl.classList.add('is-invalid');
-      valid = false;
-    } else {
-      summaryEl.classList.remove('is-invalid');
-    }
-    // Location required
-    if (!locationEl.value || locationEl.value.trim().length === 0) {
-      locationEl.classList.add('is-invalid');
-      valid = false;
-    } else {
-      locationEl.classList.remove('is-invalid');
+  // Build a blank respondent section matching the markup in index.html
+  function createRespondentElement() {
+    const template = document.createElement('div');
+    template.className = 'respondent mb-3 border rounded p-3';
+    template.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <h6 class="mb-0"><span data-i18n="form.respondent">Respondent</span> <span class="respondent-index">1</span></h6>
+        <button type="button" class="btn btn-sm btn-outline-danger remove-respondent" title="Remove respondent" data-i18n="form.remove" data-i18n-title="form.removeRespondent" style="display:none;">Remove</button>
+      </div>
+      <div class="row g-3">
+        <div class="col-md-6">
+          <label class="form-label" data-i18n="form.fullName">Full Name</label>
+          <input type="text" class="form-control respondent-name" placeholder="e.g., Pedro Santos" list="partyNames" autocomplete="off" />
+          <div class="form-text party-match d-none"></div>
+        </div>
+        <div class="col-md-6">
+          <label class="form-label" data-i18n="form.phone">Phone Number</label>
+          <input type="tel" class="form-control respondent-phone" placeholder="09XX XXX XXXX" />
+        </div>
+        <div class="col-md-6">
+          <label class="form-label" data-i18n="form.email">Email Address</label>
+          <input type="email" class="form-control respondent-email" placeholder="name@example.com" />
+        </div>
+        <div class="col-md-6">
+          <label class="form-label" data-i18n="form.address">Complete Address</label>
+          <textarea class="form-control respondent-address" rows="2" placeholder="House No., Street, Barangay, City" data-i18n-placeholder="form.addressPlaceholder"></textarea>
+        </div>
+        <div class="col-md-6">
+          <label class="form-label" data-i18n="form.partyType">Party Type</label>
+          <select class="form-select respondent-type">
+            ${KPJurisdiction.PARTY_TYPES.map((type) => `<option value="${type}" data-i18n="form.partyType.${type}"></option>`).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+    I18n.applyTranslations(template);
+    return template;
+  }
+
+  // Replace the respondent list with the given entries (at least one blank
+  // entry is always shown)
+  function setRespondents(respondents) {
+    const container = document.getElementById('respondentContainer');
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
     }
-    // Date/time required
-    if (!dateEl.value) {
-      dateEl.classList.add('is-invalid');
-      valid = false;
-    } else {
-      dateEl.classList.remove('is-invalid');
+    const entries = respondents && respondents.length ? respondents : [{}];
+    entries.forEach((resp) => {
+      const div = createRespondentElement();
+      div.querySelector('.respondent-name').value = resp.name || '';
+      div.querySelector('.respondent-name').dataset.personId = resp.personId || '';
+      div.querySelector('.respondent-phone').value = resp.phone || '';
+      div.querySelector('.respondent-email').value = resp.email || '';
+      div.querySelector('.respondent-address').value = resp.address || '';
+      div.querySelector('.respondent-type').value = resp.type || 'individual';
+      container.appendChild(div);
+    });
+    refreshRespondentIndices();
+  }
+
+  // Inputs of the case form checked by validation.js
+  const VALIDATION_FIELDS = { summary: 'incidentSummary', location: 'incidentLocation', dateTime: 'incidentDateTime', dateReceived: 'dateReceived' };
+  const VALIDATION_LABELS = { summary: 'form.summary', location: 'form.location', dateTime: 'form.dateTime', dateReceived: 'form.dateReceived', name: 'form.fullName', phone: 'form.phone', email: 'form.email' };
+  // Messages made for inputs without an id get numbered ids
+  let fieldMessageCount = 0;
+
+  // Names of the checked inputs, with one set per respondent entry
+  function validationFields() {
+    const fields = Object.keys(VALIDATION_FIELDS).concat(['complainant.phone', 'complainant.email']);
+    document.querySelectorAll('#respondentContainer .respondent').forEach((div, i) => {
+      ['name', 'phone', 'email'].forEach((name) => fields.push(`respondents.${i}.${name}`));
+    });
+    return fields;
+  }
+
+  // Input of a validation field ('dateReceived', 'respondents.1.phone', ...)
+  function validationInput(field) {
+    const [part, index, name] = field.split('.');
+    if (part === 'complainant') return document.getElementById(`complainant${index.charAt(0).toUpperCase()}${index.slice(1)}`);
+    if (part === 'respondents') {
+      const div = document.querySelectorAll('#respondentContainer .respondent')[index];
+      return div ? div.querySelector(`.respondent-${name}`) : null;
     }
-    return valid;
+    return document.getElementById(VALIDATION_FIELDS[part]);
   }
 
-  // Determine case classification based on summary keywords
-  function classifyCase(summary) {
-    const text = summary.toLowerCase();
-    // Keywords associated with theft or taking property. Include various synonyms to catch common phrasing.
-    if (/steal|theft|stole|rob|robbed|take|took|taken|takin|missing/.test(text)) return 'theft';
-    if (/threat|kill|hurt|intimidat/.test(text)) return 'threat';
-    if (/defam|slander|insult|libel|oral/.test(text)) return 'defamation';
-    if (/injur|hit|punch|physical|attack/.test(text)) return 'injury';
-    return 'general';
-  }
-
-  // Predefined legal analysis data with citations
-  const LEGAL_DATA = {
-    theft: {
-      nature: 'Theft / Qualified Theft',
-      description:
-        'Theft involves taking personal property belonging to another without their consent and with intent to gain. Qualified theft occurs when the offender and owner have a relationship of trust (e.g., employee and employer).',
-      violations: [
-        {
-          title: 'Theft',
-          basis: 'Revised Penal Code Art. 308',
-          text:
-            'Article 308 defines theft as taking personal property belonging to another without violence or intimidation, including the misappropriation of found property and the concealment of lost goods. The offender must intend to gain from the property【302115606301760†L4077-L4134】.',
-          penalty:
-            'Article 309 provides penalties depending on the value of the property: if the value does not exceed ₱5,000, arresto mayor or fine applies; between ₱5,000 and ₱12,000, arresto mayor to prision correccional; ₱12,000 to ₱50,000, prision correccional; above ₱50,000, prision mayor【302115606301760†L4077-L4134】.',
-        },
-        {
-          title: 'City ordinance on employment of seniors and PWDs',
-          basis: 'San Pedro City Ordinance No. 2024‑13',
-          text:
-            'This ordinance mandates private businesses to reserve at least one job out of ten for senior citizens and persons with disabilities (PWDs) and requires city offices to allocate at least 1% of positions to them【50922767766975†L25-L57】.',
-          penalty:
-            'Non‑compliance or misrepresentation results in a fine of ₱5,000 or imprisonment up to one year【50922767766975†L25-L57】.',
-        },
-      ],
-      jurisprudence: [
-        {
-          title: 'Sonia Balagtas v. People (G.R. No. 257483, 30 Oct 2024)',
-          summary:
-            'The Supreme Court held that, to convict for qualified theft, the prosecution must prove a relationship of confidence between the accused and the offended party. In this case, a payroll manager who padded salaries and pocketed the difference was convicted of qualified theft【267612455535893†L72-L76】【267612455535893†L87-L96】.',
-        },
-      ],
-      counters: [
-        {
-          title: 'Malicious mischief',
-          basis: 'Revised Penal Code Art. 327',
-          text:
-            'If property was merely damaged without intent to gain, the proper charge may be malicious mischief rather than theft.',
-          penalty: 'Penalties vary depending on the amount of damage (fine or imprisonment).',
-        },
-        {
-          title: 'False accusation / Oral defamation',
-          basis: 'Revised Penal Code Art. 358',
-          text:
-            'A respondent may file a counter‑charge for oral defamation if the complainant made false or malicious allegations.',
-          penalty:
-            'Serious oral defamation is punishable by arresto mayor to prision correccional; slight defamation carries arresto menor or a fine【302115606301760†L4784-L4793】.',
-        },
-      ],
-    },
-    threat: {
-      nature: 'Grave Threats / Threatening Behaviour',
-      description:
-        'Threats involve threatening another with the infliction of any wrong amounting to a crime. Grave threats are punished based on conditions set and whether the threat is fulfilled.',
-      violations: [
-        {
-          title: 'Grave threats',
-          basis: 'Revised Penal Code Art. 282',
-          text:
-            'Article 282 punishes any person who threatens another with the infliction of a wrong amounting to a crime. The penalty varies depending on whether a demand or condition is imposed and whether the threat is communicated in writing or through a middleman【467119748815266†L161-L178】.',
-          penalty:
-            'If the threat includes a demand and the offender attains the objective, the penalty is one degree lower than that prescribed for the threatened crime. If the objective is not attained, two degrees lower; if there is no demand or condition, the penalty is arresto mayor and a fine up to ₱100,000【467119748815266†L161-L178】.',
-        },
-      ],
-      jurisprudence: [
-        {
-          title: 'Paera v. People (G.R. No. 181626)',
-          summary:
-            'The Court upheld the conviction of a barangay chairman who brandished a bolo and threatened his neighbours by shouting “I will kill you,” ruling that his actions constituted grave threats【701912971857914†L75-L110】.',
-        },
-      ],
-      counters: [
-        {
-          title: 'Provocation and self‑defense',
-          basis: 'General defence',
-          text:
-            'Respondents may argue that any threatening statement was provoked or uttered in self‑defense. The presence of mitigating circumstances can reduce criminal liability.',
-          penalty: 'Penalties may be lowered if mitigating circumstances are established.',
-        },
-        {
-          title: 'False accusation / Oral defamation',
-          basis: 'Revised Penal Code Art. 358',
-          text:
-            'The respondent may counter‑charge for libel or oral defamation if the complainant exaggerated or fabricated the alleged threats.',
-          penalty:
-            'Serious oral defamation is punishable by arresto mayor to prision correccional; slight defamation by arresto menor or fine【302115606301760†L4784-L4793】.',
-        },
-      ],
-    },
-    defamation: {
-      nature: 'Oral Defamation (Slander)',
-      description:
-        'Oral defamation or slander consists in speaking ill of another, imputing a vice, defect or act which tends to cause dishonour, discredit or contempt.',
-      violations: [
-        {
-          title: 'Oral defamation',
-          basis: 'Revised Penal Code Art. 358',
-          text:
-            'Article 358 punishes oral defamation: serious defamation is committed when imputations are serious, while slight defamation covers minor insults. The provision prescribes the applicable penalties【302115606301760†L4784-L4793】.',
-          penalty:
-            'Serious oral defamation: arresto mayor to prision correccional; slight defamation: arresto menor or a fine not exceeding ₱200【302115606301760†L4784-L4793】.',
-        },
-      ],
-      jurisprudence: [
-        {
-          title: 'Balite v. People (G.R. L‑21475, 30 Sept 1966)',
-          summary:
-            'The Supreme Court convicted a union president of grave oral defamation after he publicly accused another of misappropriating strike funds; the Court imposed arresto mayor and prision correccional【363720073413201†L79-L87】【363720073413201†L117-L124】.',
-        },
-      ],
-      counters: [
-        {
-          title: 'Truth and privileged communications',
-          basis: 'Revised Penal Code Arts. 354 & 361',
-          text:
-            'Statements made in the performance of a lawful duty or in privileged occasions (e.g., judicial proceedings) are not actionable if true and made in good faith.',
-          penalty: 'No criminal liability if privilege is established.',
-        },
-        {
-          title: 'Counter‑libel against complainant',
-          basis: 'Revised Penal Code Art. 358',
-          text:
-            'If the complainant publicly utters false accusations or defamatory statements during the case, the respondent may file a libel or defamation case.',
-          penalty:
-            'Serious oral defamation: arresto mayor to prision correccional; slight defamation: arresto menor or fine【302115606301760†L4784-L4793】.',
-        },
-      ],
-    },
-    injury: {
-      nature: 'Physical Injuries',
-      description:
-        'Physical injuries offences punish acts inflicting bodily harm. Slight physical injuries cover cases where incapacity or medical attendance does not exceed nine days.',
-      violations: [
-        {
-          title: 'Slight physical injuries',
-          basis: 'Revised Penal Code Art. 266',
-          text:
-            'Article 266 penalises slight physical injuries and maltreatment. When the offended party is incapacitated for labour or needs medical attendance from one to nine days, the penalty is arresto menor; if the injuries do not prevent work, a fine not exceeding ₱500 is imposed【302115606301760†L3534-L3546】.',
-          penalty:
-            'Arresto menor (1–30 days) or fine up to ₱500【302115606301760†L3534-L3546】.',
-        },
-      ],
-      jurisprudence: [],
-      counters: [
-        {
-          title: 'Self‑defense',
-          basis: 'General defence',
-          text:
-            'Respondent may assert that any injuries were inflicted in lawful self‑defense or defense of a relative, which can justify the act.',
-          penalty: 'No criminal liability if all elements of self‑defense are present.',
-        },
-        {
-          title: 'Mutual affray',
-          basis: 'Revised Penal Code Art. 251',
-          text:
-            'If both parties voluntarily engaged in a fight, each may be liable only for lesser offences depending on the injuries inflicted.',
-          penalty:
-            'Penalties vary by resulting injuries and participation.',
-        },
-      ],
-    },
-    general: {
-      nature: 'General Complaint / Other Offence',
-      description:
-        'The facts provided do not clearly correspond to a single criminal classification. Barangay officials should evaluate all facts and identify applicable laws.',
-      violations: [
-        {
-          title: 'Barangay justice system',
-          basis: 'Local Government Code & Katarungang Pambarangay Rules',
-          text:
-            'Most disputes between residents of the same barangay must be referred to the Lupong Tagapamayapa for amicable settlement before they can be filed in court. Exceptions include offences punishable by more than one year’s imprisonment or a fine exceeding ₱5,000.',
-          penalty: 'If mediation fails, the complaint may proceed to the courts.',
-        },
-        {
-          title: 'Relevant local ordinances',
-          basis: 'San Pedro City ordinances',
-          text:
-            'San Pedro City enacts ordinances on matters such as noise control, curfew, sanitation, environmental protection and employment. Depending on the complaint, specific ordinances may apply.',
-          penalty: 'Penalties vary by ordinance.',
-        },
-      ],
-      jurisprudence: [],
-      counters: [],
-    },
-  };
-
-  // Generate mediation/conciliation strategy based on classification
-  function generateMediationStrategy(classification) {
-    const now = new Date();
-    const localeDate = now.toLocaleDateString('en-US', { timeZone: 'Asia/Manila' });
-    const commonObjectives = [
-      'Clarify all facts and ensure both parties are fully heard',
-      'Encourage parties to agree on appropriate restitution or compensation',
-      'Promote respect and restore harmony within the barangay community',
-      'Prevent escalation to formal court proceedings when possible',
-      'Ensure compliance with applicable laws and ordinances',
-    ];
-    const issues = [];
-    const notForMediation = [];
-    const outcomes = [];
-
-    switch (classification) {
-      case 'theft':
-        issues.push('Return of the allegedly stolen property or restitution of its value');
-        issues.push('Apology and acknowledgement of harm caused');
-        issues.push('Agreement on future conduct and respect for property rights');
-        notForMediation.push('Determination of criminal guilt for theft (requires court jurisdiction)');
-        outcomes.push('Full restitution and documented apology');
-        outcomes.push('Community service or volunteer work as a gesture of remorse');
-        break;
-      case 'threat':
-        issues.push('Commitment by respondent to refrain from making threats or harassing statements');
-        issues.push('Discussion of any underlying disputes prompting the threat');
-        issues.push('Agreement on safety measures or distance requirements');
-        notForMediation.push('Prosecution of grave threats if elements are present');
-        outcomes.push('Written undertaking to maintain peace and respect');
-        outcomes.push('Agreement on mutual non‑harassment or communications guidelines');
-        break;
-      case 'defamation':
-        issues.push('Withdrawal or correction of defamatory statements');
-        issues.push('Public or written apology to restore reputation');
-        issues.push('Agreement to avoid repeating defamatory statements in the future');
-        notForMediation.push('Criminal prosecution for serious defamation');
-        outcomes.push('Signed retraction and apology');
-        outcomes.push('Community clarification to mitigate reputational harm');
-        break;
-      case 'injury':
-        issues.push('Compensation for medical expenses and lost wages');
-        issues.push('Agreement on avoiding physical confrontation in future');
-        issues.push('Exploring root causes of the altercation');
-        notForMediation.push('Determination of liability for serious physical injuries');
-        outcomes.push('Payment of medical costs and damages');
-        outcomes.push('Mutual agreement to maintain distance and respect');
-        break;
-      default:
-        issues.push('Clarification of the specific grievances presented');
-        issues.push('Identification of applicable laws and ordinances');
-        issues.push('Exploration of remedies agreeable to both parties');
-        notForMediation.push('Matters involving imprisonment of more than one year or fines over ₱5,000');
-        outcomes.push('Amicable settlement documented with the Lupong Tagapamayapa');
-        outcomes.push('Referral to appropriate agencies if outside barangay jurisdiction');
-        break;
-    }
-
-    // Limit objectives to 5 and randomise order to vary output
-    const selectedObjectives = commonObjectives.slice(0, 5);
-
-    return { objectives: selectedObjectives, issues, notForMediation, outcomes };
+  // The form contents as checked by FormValidation.check(), with every
+  // respondent entry, blank ones included
+  function validationData() {
+    const value = (id) => document.getElementById(id).value;
+    return {
+      summary: value('incidentSummary'),
+      location: value('incidentLocation'),
+      dateTime: value('incidentDateTime'),
+      dateReceived: value('dateReceived'),
+      complainant: { phone: value('complainantPhone'), email: value('complainantEmail') },
+      respondents: Array.from(document.querySelectorAll('#respondentContainer .respondent')).map((div) => ({
+        name: div.querySelector('.respondent-name').value,
+        phone: div.querySelector('.respondent-phone').value,
+        email: div.querySelector('.respondent-email').value,
+        personId: div.querySelector('.respondent-name').dataset.personId || '',
+      })),
+    };
   }
 
-  // Generate mediation questions based on roles and summary
-  function generateQuestions(classification, role, location, dateTime) {
-    // Use role to personalise pronouns
-    const party = role === 'complainant' ? 'you' : 'you';
-    // Format date/time
-    const dt = dateTime ? new Date(dateTime).toLocaleString('en-US', { timeZone: 'Asia/Manila' }) : '';
-    const loc = location || 'the location';
-    const openEnded = [];
-    const clarifying = [];
-    const reflective = [];
-    const exploratory = [];
-    const conscience = [];
-    openEnded.push(`Can you describe in your own words what happened at ${loc} on ${dt}?`);
-    openEnded.push(`What events led up to the incident and how did you react?`);
-    openEnded.push(`How has this incident affected you personally and your daily life?`);
-    clarifying.push(`What time did the incident occur and who else was present?`);
-    clarifying.push(`Where exactly at ${loc} did the interaction take place?`);
-    clarifying.push(`Can you specify any statements or actions you find particularly significant?`);
-    reflective.push(`How do you think the other party felt during the incident?`);
-    reflective.push(`Looking back, is there anything you wish had been done differently?`);
-    reflective.push(`How has this dispute impacted your relationship with the other party?`);
-    exploratory.push(`What do you consider a fair and just resolution to this dispute?`);
-    exploratory.push(`Are there any compromises you are willing to make to settle this matter?`);
-    exploratory.push(`What would rebuilding trust look like for you?`);
-    conscience.push(`If the roles were reversed, how would you want to be treated?`);
-    conscience.push(`What message do you want to send to the community about resolving disputes?`);
-    conscience.push(`How would an amicable settlement benefit both you and the other party?`);
-    return { openEnded, clarifying, reflective, exploratory, conscience };
+  // Write a valid phone number in the +63 form and an email with its
+  // domain in lower case
+  function normalizeContactField(input) {
+    if (input.matches('#complainantPhone, .respondent-phone')) {
+      const phone = FormValidation.formatPhone(input.value);
+      if (phone !== null) input.value = phone;
+    } else if (input.matches('#complainantEmail, .respondent-email')) {
+      input.value = FormValidation.normalizeEmail(input.value);
+    }
   }
 
-  // Render the report into HTML
-  function renderReport(data) {
-    const reportContent = document.getElementById('reportContent');
-    reportContent.innerHTML = '';
-    // Header
-    const now = new Date();
-    const genDate = now.toLocaleString('en-US', { timeZone: 'Asia/Manila' });
-    const header = document.createElement('div');
-    header.classList.add('text-center', 'mb-4');
-    const title = document.createElement('h2');
-    title.textContent = data.caseTitle;
-    const sub = document.createElement('p');
-    sub.innerHTML = `<em>Generated on ${genDate}</em>`;
-    header.appendChild(title);
-    header.appendChild(sub);
-    reportContent.appendChild(header);
-
-    // Profile section
-    const profSec = document.createElement('div');
-    profSec.classList.add('mb-4');
-    const profTitle = document.createElement('h3');
-    profTitle.textContent = 'Case & Parties Information';
-    profSec.appendChild(profTitle);
-    const profList = document.createElement('ul');
-    profList.classList.add('list-unstyled');
-    // Case ID and date received if provided
-    if (data.caseId) {
-      const li = document.createElement('li');
-      li.innerHTML = `<strong>Case ID:</strong> ${data.caseId}`;
-      profList.appendChild(li);
+  // The error or warning text under an input, made on first use and
+  // announced with the input through aria-describedby
+  function fieldMessage(input, className) {
+    let el = input.parentElement.querySelector(`:scope > .${className}`);
+    if (!el) {
+      el = document.createElement('div');
+      el.className = className === 'invalid-feedback' ? 'invalid-feedback' : 'form-text text-warning-emphasis field-warning d-none';
+      input.parentElement.appendChild(el);
     }
-    if (data.dateReceived) {
-      const li = document.createElement('li');
-      const recDate = new Date(data.dateReceived).toLocaleDateString('en-US', { timeZone: 'Asia/Manila' });
-      li.innerHTML = `<strong>Date Received:</strong> ${recDate}`;
-      profList.appendChild(li);
+    if (!el.id) {
+      fieldMessageCount += 1;
+      el.id = `${input.id || 'field'}-${className}-${fieldMessageCount}`;
+    }
+    return el;
+  }
+
+  // Mark an input with its problems (FormValidation issues of that field)
+  function showFieldIssues(input, issues) {
+    const error = issues.find((issue) => issue.level === 'error');
+    const warning = issues.find((issue) => issue.level === 'warning');
+    const described = [];
+    input.classList.toggle('is-invalid', !!error);
+    if (error) {
+      input.setAttribute('aria-invalid', 'true');
+      const feedback = fieldMessage(input, 'invalid-feedback');
+      feedback.dataset.i18n = error.key;
+      feedback.textContent = I18n.t(error.key, I18n.getUiLanguage());
+      described.push(feedback.id);
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+    const note = warning ? fieldMessage(input, 'field-warning') : input.parentElement.querySelector(':scope > .field-warning');
+    if (note) {
+      note.classList.toggle('d-none', !warning);
+      if (warning) {
+        note.dataset.i18n = warning.key;
+        note.textContent = I18n.t(warning.key, I18n.getUiLanguage());
+        described.push(note.id);
+      }
     }
-    // Complainant details
-    if (data.complainant.name || data.complainant.phone || data.complainant.email || data.complainant.address) {
+    if (described.length) input.setAttribute('aria-describedby', described.join(' '));
+    else input.removeAttribute('aria-describedby');
+  }
+
+  // List the errors at the top of the form; each one moves to its field
+  function renderFormErrors(errors) {
+    const lang = I18n.getUiLanguage();
+    const box = document.getElementById('formErrors');
+    const list = document.getElementById('formErrorList');
+    list.innerHTML = '';
+    errors.forEach((issue) => {
+      const [part, index, name] = issue.field.split('.');
+      let label = I18n.t(VALIDATION_LABELS[name || index || part], lang);
+      if (part === 'complainant') label = `${I18n.t('report.complainant', lang)}: ${label}`;
+      if (part === 'respondents') label = `${I18n.t('form.respondent', lang)} ${Number(index) + 1}: ${label}`;
       const li = document.createElement('li');
-      let html = '<strong>Complainant:</strong> ';
-      html += data.complainant.name ? `${data.complainant.name}` : 'N/A';
-      const contact = [];
-      if (data.complainant.phone) contact.push(`Phone: ${data.complainant.phone}`);
-      if (data.complainant.email) contact.push(`Email: ${data.complainant.email}`);
-      if (data.complainant.address) contact.push(`Address: ${data.complainant.address}`);
-      if (contact.length) html += ` – ${contact.join('; ')}`;
-      li.innerHTML = html;
-      profList.appendChild(li);
-    }
-    // Respondent list
-    if (data.respondents.length > 0) {
-      data.respondents.forEach((resp, idx) => {
-        const li = document.createElement('li');
-        let html = `<strong>Respondent ${idx + 1}:</strong> `;
-        html += resp.name ? `${resp.name}` : 'N/A';
-        const contact = [];
-        if (resp.phone) contact.push(`Phone: ${resp.phone}`);
-        if (resp.email) contact.push(`Email: ${resp.email}`);
-        if (resp.address) contact.push(`Address: ${resp.address}`);
-        if (contact.length) html += ` – ${contact.join('; ')}`;
-        li.innerHTML = html;
-        profList.appendChild(li);
-      });
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'btn btn-link btn-sm p-0 align-baseline text-start';
+      link.dataset.field = issue.field;
+      link.textContent = `${label} — ${I18n.t(issue.key, lang)}`;
+      li.appendChild(link);
+      list.appendChild(li);
+    });
+    box.classList.toggle('d-none', !errors.length);
+  }
+
+  // Check the case form (validation.js) after normalizing the phone numbers
+  // and emails. Problems are shown under their fields and the errors are
+  // listed at the top of the form, which takes the focus so they are read
+  // out. Returns whether the report can be generated.
+  function validateForm({ focus = true } = {}) {
+    document.querySelectorAll('#complainantPhone, #complainantEmail, .respondent-phone, .respondent-email').forEach(normalizeContactField);
+    const issues = FormValidation.check(validationData());
+    validationFields().forEach((field) => {
+      const input = validationInput(field);
+      if (input) showFieldIssues(input, issues.filter((issue) => issue.field === field));
+    });
+    const errors = issues.filter((issue) => issue.level === 'error');
+    renderFormErrors(errors);
+    if (errors.length && focus) document.getElementById('formErrors').focus();
+    return !errors.length;
+  }
+
+  // Check a field again when the officer leaves it; once the errors are
+  // listed, the whole form is checked again so the list stays current
+  function revalidateField(input) {
+    normalizeContactField(input);
+    if (!document.getElementById('formErrors').classList.contains('d-none')) {
+      validateForm({ focus: false });
+      return;
     }
-    profSec.appendChild(profList);
-    reportContent.appendChild(profSec);
-
-    // Incident details section
-    const detailsSec = document.createElement('div');
-    detailsSec.classList.add('mb-4');
-    const detailsTitle = document.createElement('h3');
-    detailsTitle.textContent = 'Incident Details';
-    detailsSec.appendChild(detailsTitle);
-    const dlist = document.createElement('ul');
-    dlist.classList.add('list-unstyled');
-    const sumli = document.createElement('li');
-    sumli.innerHTML = `<strong>Summary:</strong> ${data.incident.summary}`;
-    dlist.appendChild(sumli);
-    const locli = document.createElement('li');
-    locli.innerHTML = `<strong>Location:</strong> ${data.incident.location}`;
-    dlist.appendChild(locli);
-    const dateli = document.createElement('li');
-    const dtFormatted = new Date(data.incident.dateTime).toLocaleString('en-US', { timeZone: 'Asia/Manila' });
-    dateli.innerHTML = `<strong>Date & Time:</strong> ${dtFormatted}`;
-    dlist.appendChild(dateli);
-    detailsSec.appendChild(dlist);
-    reportContent.appendChild(detailsSec);
-
-    // Legal analysis section
-    const legalSec = document.createElement('div');
-    legalSec.classList.add('mb-4');
-    const legalTitle = document.createElement('h3');
-    legalTitle.textContent = 'Legal Research Analysis';
-    legalSec.appendChild(legalTitle);
-    // Nature of case
-    const natureH4 = document.createElement('h4');
-    natureH4.textContent = 'Nature of Case';
-    legalSec.appendChild(natureH4);
-    const natureP = document.createElement('p');
-    natureP.textContent = `${data.analysis.nature}: ${data.analysis.description}`;
-    legalSec.appendChild(natureP);
-    // Violations
-    if (data.analysis.violations && data.analysis.violations.length) {
-      const violH4 = document.createElement('h4');
-      violH4.textContent = 'Possible Legal Violations by Respondent(s)';
-      legalSec.appendChild(violH4);
-      const violList = document.createElement('ol');
-      data.analysis.violations.forEach((v) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<strong>${v.title}</strong><br/><em>Legal basis:</em> ${v.basis}<br/><em>Provision:</em> ${v.text}<br/><em>Penalty:</em> ${v.penalty}`;
-        violList.appendChild(li);
-      });
-      legalSec.appendChild(violList);
-    }
-    // Jurisprudence
-    if (data.analysis.jurisprudence && data.analysis.jurisprudence.length) {
-      const jurH4 = document.createElement('h4');
-      jurH4.textContent = 'Related Court Jurisprudence';
-      legalSec.appendChild(jurH4);
-      const jurList = document.createElement('ol');
-      data.analysis.jurisprudence.forEach((c) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<strong>${c.title}</strong>: ${c.summary}`;
-        jurList.appendChild(li);
-      });
-      legalSec.appendChild(jurList);
-    }
-    // Counter charges
-    if (data.analysis.counters && data.analysis.counters.length) {
-      const counterH4 = document.createElement('h4');
-      counterH4.textContent = 'Possible Counter‑Charges by Respondent(s)';
-      legalSec.appendChild(counterH4);
-      const counterList = document.createElement('ol');
-      data.analysis.counters.forEach((c) => {
-        const li = document.createElement('li');
-        li.innerHTML = `<strong>${c.title}</strong><br/><em>Legal basis:</em> ${c.basis}<br/><em>Provision:</em> ${c.text}<br/><em>Penalty:</em> ${c.penalty}`;
-        counterList.appendChild(li);
+    const issues = FormValidation.check(validationData());
+    validationFields().forEach((field) => {
+      const other = validationInput(field);
+      if (other && (other === input || other.hasAttribute('aria-describedby'))) {
+        showFieldIssues(other, issues.filter((issue) => issue.field === field));
+      }
+    });
+  }
+
+  // Remove the marks of an earlier check
+  function clearValidation() {
+    document.querySelectorAll('#caseForm .is-invalid').forEach((el) => el.classList.remove('is-invalid'));
+    document.querySelectorAll('#caseForm [aria-invalid]').forEach((el) => el.removeAttribute('aria-invalid'));
+    document.querySelectorAll('#caseForm .field-warning').forEach((el) => el.classList.add('d-none'));
+    document.querySelectorAll('#caseForm [aria-describedby]').forEach((el) => el.removeAttribute('aria-describedby'));
+    renderFormErrors([]);
+  }
+
+  // Score every category of LEGAL_DATA against the summary keywords. Returns
+  // the ranked categories with their triggering phrases and the categories
+  // selected by default (see classifier.js).
+  function classifyCase(summary) {
+    return CaseClassifier.classify(summary, LEGAL_DATA);
+  }
+
+  // Categories applied to a case; older records stored a single string
+  function selectedCategories(classification) {
+    if (!classification) return [CaseClassifier.FALLBACK_CATEGORY];
+    if (typeof classification === 'string') return [classification];
+    return classification.selected && classification.selected.length
+      ? classification.selected
+      : [CaseClassifier.FALLBACK_CATEGORY];
+  }
+
+  // Nature and description of a category in the given language; the legal
+  // provisions themselves are kept in their original English
+  function categoryText(category, lang) {
+    const entry = LEGAL_DATA[category];
+    if (!entry) return null;
+    const translated = (entry.translations && entry.translations[lang]) || {};
+    return {
+      nature: translated.nature || entry.nature,
+      description: translated.description || entry.description,
+    };
+  }
+
+  // Merge the legal analysis of several categories, dropping provisions and
+  // cases that appear under more than one of them
+  function mergeAnalysis(categories, lang) {
+    const entries = categories
+      .filter((c) => LEGAL_DATA[c])
+      .map((c) => ({ ...LEGAL_DATA[c], ...categoryText(c, lang), category: c }));
+    const uniqueBy = (items, keyOf) => {
+      const seen = new Set();
+      return items.filter((item) => {
+        const key = keyOf(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
       });
-      legalSec.appendChild(counterList);
-    }
-    reportContent.appendChild(legalSec);
-
-    // Mediation strategy section
-    const medSec = document.createElement('div');
-    medSec.classList.add('mb-4');
-    const medTitle = document.createElement('h3');
-    medTitle.textContent = 'Mediation / Conciliation Strategy';
-    medSec.appendChild(medTitle);
-    // Objectives
-    const objH4 = document.createElement('h4');
-    objH4.textContent = 'Mediation Objectives';
-    medSec.appendChild(objH4);
-    const objList = document.createElement('ul');
-    data.mediation.objectives.forEach((o) => {
-      const li = document.createElement('li');
-      li.textContent = o;
-      objList.appendChild(li);
-    });
-    medSec.appendChild(objList);
-    // Issues for mediation and not
-    const issuesH4 = document.createElement('h4');
-    issuesH4.textContent = 'Issues Suitable for Mediation';
-    medSec.appendChild(issuesH4);
-    const issuesList = document.createElement('ul');
-    data.mediation.issues.forEach((o) => {
-      const li = document.createElement('li');
-      li.textContent = o;
-      issuesList.appendChild(li);
-    });
-    medSec.appendChild(issuesList);
-    const notH4 = document.createElement('h4');
-    notH4.textContent = 'Issues NOT Suitable for Mediation';
-    medSec.appendChild(notH4);
-    const notList = document.createElement('ul');
-    data.mediation.notForMediation.forEach((o) => {
-      const li = document.createElement('li');
-      li.textContent = o;
-      notList.appendChild(li);
-    });
-    medSec.appendChild(notList);
-    const expH4 = document.createElement('h4');
-    expH4.textContent = 'Expected Outcomes & Settlement Possibilities';
-    medSec.appendChild(expH4);
-    const expList = document.createElement('ul');
-    data.mediation.outcomes.forEach((o) => {
-      const li = document.createElement('li');
-      li.textContent = o;
-      expList.appendChild(li);
-    });
-    medSec.appendChild(expList);
-    reportContent.appendChild(medSec);
-
-    // Strategic questions section
-    const questionsSec = document.createElement('div');
-    questionsSec.classList.add('mb-4');
-    const questTitle = document.createElement('h3');
-    questTitle.textContent = 'Strategic Questions for Mediation';
-    questionsSec.appendChild(questTitle);
-    // For each party
-    ['Complainant', 'Respondent'].forEach((roleLabel) => {
-      const roleKey = roleLabel.toLowerCase();
-      const qs = data.questions[roleKey];
-      const roleHeader = document.createElement('h4');
-      roleHeader.textContent = roleLabel;
-      questionsSec.appendChild(roleHeader);
-      ['openEnded', 'clarifying', 'reflective', 'exploratory', 'conscience'].forEach((category) => {
-        const catHeader = document.createElement('h5');
-        // Format label nicely
-        const labelMap = {
-          openEnded: 'Open‑Ended Questions',
-          clarifying: 'Clarifying Questions',
-          reflective: 'Reflective Questions',
-          exploratory: 'Exploratory Questions',
-          conscience: 'Questions Appealing to Conscience',
-        };
-        catHeader.textContent = labelMap[category];
-        catHeader.classList.add('mt-3');
-        questionsSec.appendChild(catHeader);
-        const list = document.createElement('ul');
-        qs[category].forEach((q) => {
-          const li = document.createElement('li');
-          li.textContent = q;
-          list.appendChild(li);
+    };
+    const provisionKey = (v) => `${v.title}|${v.basis}`;
+    return {
+      nature: entries.map((e) => e.nature).join(' / '),
+      description: entries.map((e) => e.description).join(' '),
+      natures: entries.map((e) => ({ category: e.category, nature: e.nature, description: e.description })),
+      violations: uniqueBy(entries.flatMap((e) => e.violations || []), provisionKey),
+      jurisprudence: uniqueBy(entries.flatMap((e) => e.jurisprudence || []), (j) => j.title),
+      counters: uniqueBy(entries.flatMap((e) => e.counters || []), provisionKey),
+    };
+  }
+
+  // Categories of the active legal pack (legal-data.js), keyed by category.
+  // Filled in once the knowledge base has loaded and after every edit.
+  let LEGAL_DATA = {};
+  const knowledgeBaseReady = LegalKnowledgeBase.load()
+    .then((pack) => {
+      LEGAL_DATA = pack.categories;
+    })
+    .catch((err) => {
+      setKnowledgeBaseStatus(I18n.t('kb.loadFailed', I18n.getUiLanguage(), { message: err.message }), true);
+    });
+
+
+  // Generate mediation/conciliation strategy for one or more classifications
+  function generateMediationStrategy(classifications, lang) {
+    const categories = Array.isArray(classifications) ? classifications : [classifications];
+    const merged = { objectives: [], issues: [], notForMediation: [], outcomes: [], referral: [] };
+    categories.forEach((classification) => {
+      const strategy = mediationStrategyFor(classification, lang);
+      Object.keys(merged).forEach((key) => {
+        strategy[key].forEach((item) => {
+          if (!merged[key].includes(item)) merged[key].push(item);
         });
-        questionsSec.appendChild(list);
       });
     });
-    reportContent.appendChild(questionsSec);
-
-    // Disclaimer
-    const disclaimer = document.createElement('p');
-    disclaimer.classList.add('mt-4', 'fst-italic');
-    disclaimer.textContent =
-      'Disclaimer: This report is generated for informational purposes only and does not constitute legal advice. Barangay officials and parties should consult a qualified lawyer for definitive legal counsel.';
-    reportContent.appendChild(disclaimer);
-  }
-
-  // Download report as PDF
-  async function downloadReportAsPDF() {
-    const reportEl = document.getElementById('reportContent');
-    const { jsPDF } = window.jspdf;
-    // Use html2canvas to capture the report section
-    const canvas = await html2canvas(reportEl, { scale: 2, backgroundColor: '#ffffff' });
-    const imgData = canvas.toDataURL('image/png');
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    const pageWidth = pdf.internal.pageSize.getWidth();
-    const pageHeight = pdf.internal.pageSize.getHeight();
-    // Calculate the number of pages and scale factor
-    const imgProps = { width: canvas.width, height: canvas.height };
-    const pdfWidth = pageWidth;
-    const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
-    if (pdfHeight < pageHeight) {
-      pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight);
-    } else {
-      // If the content is taller than one page, split into pages
-      let position = 0;
-      let heightLeft = pdfHeight;
-      let canvasHeight = imgProps.height;
-      const ratio = imgProps.width / imgProps.height;
-      while (heightLeft > 0) {
-        pdf.addImage(
-          imgData,
-          'PNG',
-          0,
-          position,
-          pdfWidth,
-          pdfHeight
-        );
-        heightLeft -= pageHeight;
-        if (heightLeft > 0) {
-          pdf.addPage();
-          position = 0;
-        }
-      }
+    return merged;
+  }
+
+  // Mediation/conciliation strategy for a single classification. The texts
+  // live in i18n.js under mediation.<category>.*; categories without their
+  // own strategy use the general one. Categories that may not be mediated
+  // only get the referral steps.
+  function mediationStrategyFor(classification, lang) {
+    if (!isMediable(classification)) {
+      const steps = I18n.has(`mediation.${classification}.referral`) ? `mediation.${classification}.referral` : 'mediation.referral';
+      return { objectives: [], issues: [], notForMediation: [], outcomes: [], referral: I18n.t(steps, lang) };
+    }
+    const key = I18n.has(`mediation.${classification}.issues`) ? classification : 'general';
+    return {
+      objectives: I18n.t('mediation.objectives', lang),
+      issues: I18n.t(`mediation.${key}.issues`, lang),
+      notForMediation: I18n.t(`mediation.${key}.notForMediation`, lang),
+      outcomes: I18n.t(`mediation.${key}.outcomes`, lang),
+      referral: [],
+    };
+  }
+
+  // Categories marked "mediable": false in the legal pack (e.g. VAWC) must
+  // be referred instead of mediated
+  function isMediable(category) {
+    return !LEGAL_DATA[category] || LEGAL_DATA[category].mediable !== false;
+  }
+
+  // Non-mediable categories of a case with the provision barring mediation
+  function referralsFor(categories, lang) {
+    return categories
+      .filter((c) => !isMediable(c))
+      .map((c) => ({ category: c, nature: categoryText(c, lang).nature, basis: LEGAL_DATA[c].referralBasis || '' }));
+  }
+
+  // Generate mediation questions based on roles and summary
+  function generateQuestions(classification, role, location, dateTime, lang) {
+    // Format date/time
+    const dt = dateTime ? new Date(dateTime).toLocaleString(I18n.locale(lang), { timeZone: 'Asia/Manila' }) : '';
+    const loc = location || I18n.t('questions.defaultLocation', lang);
+    const params = { loc, dt };
+    return {
+      openEnded: I18n.t('questions.openEnded', lang, params),
+      clarifying: I18n.t('questions.clarifying', lang, params),
+      reflective: I18n.t('questions.reflective', lang, params),
+      exploratory: I18n.t('questions.exploratory', lang, params),
+      conscience: I18n.t('questions.conscience', lang, params),
+    };
+  }
+
+  // Data of the report currently shown; KP forms are prepared from it
+  let lastReportData = null;
+
+  // The report data as shown and exported: the redacted copy of privacy.js
+  // when the report is to be shared outside the Lupon. The KP forms always
+  // use the full data.
+  function shownReportData() {
+    if (!lastReportData) return null;
+    return document.getElementById('redactReport').checked ? Privacy.redact(lastReportData) : lastReportData;
+  }
+
+  // Render the report into HTML
+  function renderReport(fullData) {
+    lastReportData = fullData;
+    resetFormPreview();
+    drawReport();
+  }
+
+  // Show the report from its document model (report-html.js), the same one
+  // the PDF and Word files are written from. Called again when the hearings,
+  // Pangkat, settlement or citations change while the report is open.
+  function drawReport() {
+    const data = shownReportData();
+    const reportContent = document.getElementById('reportContent');
+    // Each report carries its own language, independent of the interface
+    reportContent.lang = data.language || I18n.DEFAULT_LANGUAGE;
+    reportContent.replaceChildren(ReportHTML.render(data));
+  }
+
+  // Download the report as a text-based PDF (see report-pdf.js)
+  function downloadReportAsPDF() {
+    if (!lastReportData) return;
+    ReportPDF.download(shownReportData());
+  }
+
+  // Download the report as an editable Word document (see report-docx.js)
+  function downloadReportAsWord() {
+    if (!lastReportData) return;
+    ReportDOCX.download(shownReportData());
+  }
+
+  // Fill the KP form selector with the available forms
+  function initFormSelect() {
+    const select = document.getElementById('kpFormSelect');
+    KPForms.listForms().forEach((form) => {
+      const option = document.createElement('option');
+      option.value = form.id;
+      option.textContent = form.label;
+      select.appendChild(option);
+    });
+  }
+
+  function resetFormPreview() {
+    document.getElementById('kpFormPreview').innerHTML = '';
+    document.getElementById('downloadFormPdfBtn').disabled = true;
+    document.getElementById('printFormBtn').disabled = true;
+  }
+
+  // Show the selected KP form, pre-filled from the current report data
+  function prepareForm() {
+    if (!lastReportData) return;
+    // No KP forms for cases that must be referred instead of mediated
+    if ((lastReportData.referral || []).length) {
+      resetFormPreview();
+      const note = document.createElement('div');
+      note.className = 'alert alert-warning mb-0';
+      note.textContent = I18n.t('forms.referral', I18n.getUiLanguage());
+      document.getElementById('kpFormPreview').appendChild(note);
+      return;
     }
-    pdf.save(`barangay_case_report_${Date.now()}.pdf`);
+    const formId = document.getElementById('kpFormSelect').value;
+    const model = KPForms.buildForm(formId, lastReportData);
+    KPForms.renderEditable(model, document.getElementById('kpFormPreview'));
+    document.getElementById('downloadFormPdfBtn').disabled = false;
+    document.getElementById('printFormBtn').disabled = false;
   }
 
   // Print report using browser print functionality
@@ -657,6 +498,8 @@
       phone: document.getElementById('complainantPhone').value.trim(),
       email: document.getElementById('complainantEmail').value.trim(),
       address: document.getElementById('complainantAddress').value.trim(),
+      type: document.getElementById('complainantType').value,
+      personId: document.getElementById('complainantName').dataset.personId || '',
     };
     // Respondents
     const respondentElems = document.querySelectorAll('#respondentContainer .respondent');
@@ -666,101 +509,2758 @@
       const phone = div.querySelector('.respondent-phone').value.trim();
       const email = div.querySelector('.respondent-email').value.trim();
       const address = div.querySelector('.respondent-address').value.trim();
+      const type = div.querySelector('.respondent-type').value;
+      const personId = div.querySelector('.respondent-name').dataset.personId || '';
       // Only include if at least one field is filled
       if (name || phone || email || address) {
-        respondents.push({ name, phone, email, address });
+        respondents.push({ name, phone, email, address, type, personId });
       }
     });
+    // Blank number fields are kept as null (not given)
+    const numberOrNull = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : Number(value);
+    };
     const incident = {
       summary: document.getElementById('incidentSummary').value.trim(),
       location: document.getElementById('incidentLocation').value.trim(),
       dateTime: document.getElementById('incidentDateTime').value,
+      propertyValue: numberOrNull('propertyValue'),
+    };
+    // KP procedural status and the date each stage was reached
+    const kpDates = {};
+    document.querySelectorAll('#caseForm .kp-date').forEach((input) => {
+      if (input.value) kpDates[input.dataset.stage] = input.value;
+    });
+    const kp = {
+      status: document.getElementById('kpStatus').value,
+      dates: kpDates,
+      pangkatExtended: document.getElementById('kpPangkatExtended').checked,
+    };
+    // Estimated penalty for the Sec. 408(c) jurisdiction check
+    const penalty = {
+      imprisonmentMonths: numberOrNull('penaltyImprisonment'),
+      fine: numberOrNull('penaltyFine'),
     };
     // Auto-generate case title
     let caseTitle = 'Complainant Case';
     if (complainant.name) {
       caseTitle = `${complainant.name} Case`;
     }
-    return { caseId, dateReceived, complainant, respondents, incident, caseTitle };
+    const language = document.getElementById('reportLanguage').value;
+    return {
+      caseId,
+      dateReceived,
+      complainant,
+      respondents,
+      incident,
+      penalty,
+      kp,
+      caseTitle,
+      language,
+      hearings: caseHearings,
+      pangkat: casePangkat,
+      settlement: caseSettlement,
+      citations: caseCitations,
+      searchHistory: caseSearchHistory,
+    };
   }
 
-  // Main handler to generate report
-  function generateReport() {
-    if (!validateForm()) {
-      // scroll to top to show error messages
-      window.scrollTo({ top: 0, behavior: 'smooth' });
+  // Fill the form with a stored case so it can be edited
+  function populateForm(record) {
+    document.getElementById('caseId').value = record.caseId || '';
+    document.getElementById('dateReceived').value = record.dateReceived || '';
+    const complainant = record.complainant || {};
+    document.getElementById('complainantName').value = complainant.name || '';
+    document.getElementById('complainantPhone').value = complainant.phone || '';
+    document.getElementById('complainantEmail').value = complainant.email || '';
+    document.getElementById('complainantAddress').value = complainant.address || '';
+    document.getElementById('complainantType').value = complainant.type || 'individual';
+    resetPartyMatch(document.getElementById('complainantName'));
+    document.getElementById('complainantName').dataset.personId = complainant.personId || '';
+    setRespondents(record.respondents);
+    const incident = record.incident || {};
+    document.getElementById('incidentSummary').value = incident.summary || '';
+    document.getElementById('incidentLocation').value = incident.location || '';
+    document.getElementById('incidentDateTime').value = incident.dateTime || '';
+    const penalty = record.penalty || {};
+    const numberText = (value) => (value === null || value === undefined ? '' : String(value));
+    document.getElementById('penaltyImprisonment').value = numberText(penalty.imprisonmentMonths);
+    document.getElementById('penaltyFine').value = numberText(penalty.fine);
+    document.getElementById('propertyValue').value = numberText(incident.propertyValue);
+    const kp = record.kp || {};
+    const kpDates = kp.dates || {};
+    document.getElementById('kpStatus').value = kp.status || 'filed';
+    document.getElementById('kpPangkatExtended').checked = !!kp.pangkatExtended;
+    document.querySelectorAll('#caseForm .kp-date').forEach((input) => {
+      input.value = kpDates[input.dataset.stage] || '';
+    });
+    document.getElementById('reportLanguage').value = record.language || I18n.DEFAULT_LANGUAGE;
+    clearValidation();
+    casePangkat = Lupon.normalizePangkat(record.pangkat);
+    document.getElementById('pangkatDate').value = casePangkat.constitutedOn;
+    setPangkatStatus('');
+    renderPangkat();
+    caseHearings = record.hearings || [];
+    setHearingStatus('');
+    resetHearingEditor();
+    renderHearings();
+    caseSettlement = Settlement.normalize(record.settlement);
+    document.getElementById('kpStatus').classList.remove('is-invalid');
+    setSettlementStatus('');
+    resetSettlementEditor();
+    renderSettlement();
+    caseCitations = record.citations || [];
+    caseSearchHistory = record.searchHistory || [];
+    setCitationsStatus('');
+    renderCitations();
+    renderSearchHistory();
+  }
+
+  // The docket record currently loaded in the form (null for a new case),
+  // its hearing schedule, its Pangkat, the terms of its settlement and the
+  // legal research attached to it
+  let currentRecord = null;
+  let caseHearings = [];
+  let casePangkat = Lupon.emptyPangkat();
+  let caseSettlement = Settlement.emptySettlement();
+  let caseCitations = [];
+  // Searches made for the case in the legal research section, newest first
+  let caseSearchHistory = [];
+  const SEARCH_HISTORY_SIZE = 20;
+  const docketSort = { key: 'updatedAt', direction: 'desc' };
+
+  function setCurrentRecord(record) {
+    currentRecord = record;
+    const label = document.getElementById('activeCaseLabel');
+    if (!label) return;
+    if (record) {
+      label.textContent = I18n.t('form.editing', I18n.getUiLanguage(), { id: record.caseId || record.caseTitle });
+      label.classList.remove('d-none');
+    } else {
+      label.textContent = '';
+      label.classList.add('d-none');
+    }
+    loadCaseHistory();
+  }
+
+  function setDocketStatus(message, isError) {
+    const status = document.getElementById('docketStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  function setCitationsStatus(message, isError) {
+    const status = document.getElementById('citationsStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  // List the citations of the case with a note field and buttons to move
+  // and remove each one
+  function renderCitations() {
+    const list = document.getElementById('citationsList');
+    if (!list) return;
+    const lang = I18n.getUiLanguage();
+    list.innerHTML = '';
+    caseCitations.forEach((c, idx) => {
+      const li = document.createElement('li');
+      li.className = 'list-group-item d-flex gap-2 align-items-start';
+      li.dataset.key = c.key;
+      const body = document.createElement('div');
+      body.className = 'flex-grow-1';
+      const name = document.createElement(c.link ? 'a' : 'span');
+      name.className = 'fw-bold';
+      name.textContent = Citations.format(c);
+      if (c.link) {
+        name.href = c.link;
+        name.target = '_blank';
+        name.rel = 'noopener';
+      }
+      body.appendChild(name);
+      if (c.source) {
+        const source = document.createElement('div');
+        source.className = 'small text-muted';
+        source.textContent = c.source;
+        body.appendChild(source);
+      }
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.className = 'form-control form-control-sm mt-1';
+      note.value = c.note || '';
+      note.placeholder = I18n.t('citations.notePlaceholder', lang);
+      note.setAttribute('aria-label', I18n.t('citations.note', lang));
+      note.dataset.action = 'note';
+      body.appendChild(note);
+      li.appendChild(body);
+      const actions = document.createElement('div');
+      actions.className = 'btn-group btn-group-sm';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-outline-secondary" data-action="up" aria-label="${I18n.t('citations.moveUp', lang)}" title="${I18n.t('citations.moveUp', lang)}">▲</button>
+        <button type="button" class="btn btn-outline-secondary" data-action="down" aria-label="${I18n.t('citations.moveDown', lang)}" title="${I18n.t('citations.moveDown', lang)}">▼</button>
+        <button type="button" class="btn btn-outline-danger" data-action="remove" aria-label="${I18n.t('citations.remove', lang)}" title="${I18n.t('citations.remove', lang)}">✕</button>
+      `;
+      actions.querySelector('[data-action="up"]').disabled = idx === 0;
+      actions.querySelector('[data-action="down"]').disabled = idx === caseCitations.length - 1;
+      li.appendChild(actions);
+      list.appendChild(li);
+    });
+  }
+
+  // Show the changed citations and keep them with the report on screen and
+  // the case in the docket. A case that has not been saved yet gets them
+  // when its report is generated. redraw is false for a note typed in the
+  // list, which is already up to date and would lose the focus.
+  async function setCitations(citations, redraw = true) {
+    caseCitations = citations;
+    if (redraw) renderCitations();
+    if (lastReportData) {
+      lastReportData.citations = caseCitations;
+      drawReport();
+    }
+    saveCaseResearch();
+  }
+
+  // Store the citations and search history with the case open in the form
+  async function saveCaseResearch() {
+    if (!currentRecord) return;
+    try {
+      const stored = await CaseDocket.saveCase({ ...currentRecord, citations: caseCitations, searchHistory: caseSearchHistory });
+      setCurrentRecord(stored);
+      refreshDocket();
+    } catch (err) {
+      setCitationsStatus('Could not save the legal research of the case: ' + err.message, true);
+    }
+  }
+
+  // Buttons that repeat the searches made for the case (research.js)
+  function renderSearchHistory() {
+    const box = document.getElementById('searchHistory');
+    if (!box) return;
+    const lang = I18n.getUiLanguage();
+    const list = document.getElementById('searchHistoryList');
+    list.innerHTML = '';
+    caseSearchHistory.forEach((entry, idx) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-sm btn-outline-secondary me-1 mb-1';
+      btn.dataset.index = idx;
+      const filters = [entry.site, entry.type ? I18n.t(`research.filter.${entry.type}`, lang) : ''].filter(Boolean);
+      btn.textContent = filters.length ? `${entry.query} (${filters.join(', ')})` : entry.query;
+      btn.title = new Date(entry.at).toLocaleString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+      list.appendChild(btn);
+    });
+    box.classList.toggle('d-none', !caseSearchHistory.length);
+  }
+
+  // Put a search at the top of the case's history; the same search with the
+  // same filters is only kept once
+  function addSearchHistory(search) {
+    const same = (e) => e.query.toLowerCase() === search.query.toLowerCase()
+      && e.provider === search.provider && (e.site || '') === (search.site || '') && (e.type || '') === (search.type || '');
+    caseSearchHistory = [{ ...search, at: new Date().toISOString() }]
+      .concat(caseSearchHistory.filter((e) => !same(e)))
+      .slice(0, SEARCH_HISTORY_SIZE);
+    renderSearchHistory();
+    saveCaseResearch();
+  }
+
+  function attachCitation(item) {
+    const lang = I18n.getUiLanguage();
+    const { list, added } = Citations.add(caseCitations, Citations.fromResult(item));
+    if (!added) {
+      setCitationsStatus(I18n.t('citations.duplicate', lang), true);
       return;
     }
-    const formData = gatherData();
-    const classification = classifyCase(formData.incident.summary);
-    const analysis = LEGAL_DATA[classification];
-    const mediation = generateMediationStrategy(classification);
-    const questions = {
-      complainant: generateQuestions(classification, 'complainant', formData.incident.location, formData.incident.dateTime),
-      respondent: generateQuestions(classification, 'respondent', formData.incident.location, formData.incident.dateTime),
-    };
-    const reportData = {
-      ...formData,
-      analysis,
-      mediation,
-      questions,
+    setCitationsStatus(I18n.t(currentRecord ? 'citations.attached' : 'citations.attachedUnsaved', lang));
+    setCitations(list);
+  }
+
+  function setHearingStatus(message, isError) {
+    const status = document.getElementById('hearingStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  // Names of the parties entered in the form
+  function formPartyNames() {
+    return [document.getElementById('complainantName').value.trim()]
+      .concat(Array.from(document.querySelectorAll('#respondentContainer .respondent-name')).map((el) => el.value.trim()))
+      .filter(Boolean);
+  }
+
+  function checkedHearingParties() {
+    return Array.from(document.querySelectorAll('#hearingParties input:checked')).map((el) => el.value);
+  }
+
+  // Checkboxes for the parties summoned to a hearing; every party is ticked
+  // unless the summoned parties are given
+  function renderHearingParties(selected) {
+    const box = document.getElementById('hearingParties');
+    const names = formPartyNames();
+    (selected || []).forEach((name) => {
+      if (!names.includes(name)) names.push(name);
+    });
+    box.innerHTML = '';
+    names.forEach((name, idx) => {
+      const div = document.createElement('div');
+      div.className = 'form-check form-check-inline';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input';
+      input.id = `hearingParty-${idx}`;
+      input.value = name;
+      input.checked = selected ? selected.includes(name) : true;
+      const label = document.createElement('label');
+      label.className = 'form-check-label';
+      label.htmlFor = input.id;
+      label.textContent = name;
+      div.appendChild(input);
+      div.appendChild(label);
+      box.appendChild(div);
+    });
+  }
+
+  // Follow the party names of the form, keeping the ticks of a hearing
+  // being edited
+  function refreshHearingParties() {
+    const editing = document.getElementById('hearingId').value;
+    renderHearingParties(editing ? checkedHearingParties() : undefined);
+  }
+
+  // Empty the hearing editor for a new hearing. The venue is kept, as most
+  // hearings are held in the same room; Pangkat stages default to a
+  // conciliation hearing with the members of the Pangkat summoned.
+  function resetHearingEditor() {
+    const status = document.getElementById('kpStatus').value;
+    const type = ['pangkat', 'conciliation'].includes(status) ? 'conciliation' : 'mediation';
+    document.getElementById('hearingId').value = '';
+    document.getElementById('hearingType').value = type;
+    document.getElementById('hearingDate').value = '';
+    document.getElementById('hearingTime').value = '09:00';
+    document.getElementById('hearingDuration').value = Hearings.DEFAULT_DURATION;
+    document.getElementById('hearingMembers').value = type === 'conciliation' ? Lupon.memberNames(casePangkat).join(', ') : '';
+    document.getElementById('hearingOutcome').value = '';
+    document.getElementById('hearingNotes').value = '';
+    document.getElementById('hearingSaveBtn').textContent = I18n.t('hearings.add', I18n.getUiLanguage());
+    document.getElementById('hearingCancelBtn').classList.add('d-none');
+    renderHearingParties();
+  }
+
+  function editHearing(id) {
+    const hearing = caseHearings.find((h) => h.id === id);
+    if (!hearing) return;
+    document.getElementById('hearingId').value = hearing.id;
+    document.getElementById('hearingType').value = hearing.type;
+    document.getElementById('hearingDate').value = hearing.date;
+    document.getElementById('hearingTime').value = hearing.time;
+    document.getElementById('hearingDuration').value = hearing.duration;
+    document.getElementById('hearingVenue').value = hearing.venue;
+    document.getElementById('hearingMembers').value = (hearing.members || []).join(', ');
+    document.getElementById('hearingOutcome').value = hearing.outcome || '';
+    document.getElementById('hearingNotes').value = hearing.notes || '';
+    document.getElementById('hearingSaveBtn').textContent = I18n.t('hearings.save', I18n.getUiLanguage());
+    document.getElementById('hearingCancelBtn').classList.remove('d-none');
+    renderHearingParties(hearing.parties || []);
+    document.getElementById('hearingEditor').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  function saveHearing() {
+    const lang = I18n.getUiLanguage();
+    const hearing = Hearings.create({
+      id: document.getElementById('hearingId').value || undefined,
+      type: document.getElementById('hearingType').value,
+      date: document.getElementById('hearingDate').value,
+      time: document.getElementById('hearingTime').value,
+      duration: document.getElementById('hearingDuration').value,
+      venue: document.getElementById('hearingVenue').value,
+      members: document.getElementById('hearingMembers').value,
+      parties: checkedHearingParties(),
+      outcome: document.getElementById('hearingOutcome').value,
+      notes: document.getElementById('hearingNotes').value,
+    });
+    const errors = Hearings.validate(hearing);
+    if (errors.length) {
+      setHearingStatus(errors.join(' '), true);
+      return;
+    }
+    setHearingStatus(I18n.t(currentRecord ? 'hearings.saved' : 'hearings.savedUnsaved', lang));
+    resetHearingEditor();
+    setHearings(Hearings.save(caseHearings, hearing));
+  }
+
+  // List the hearings of the case with their outcome and buttons to export,
+  // edit and remove each one
+  function renderHearings() {
+    const lang = I18n.getUiLanguage();
+    const t = (key) => I18n.t(key, lang);
+    const body = document.getElementById('hearingList');
+    body.innerHTML = '';
+    Hearings.sort(caseHearings).forEach((h) => {
+      const tr = document.createElement('tr');
+      tr.dataset.id = h.id;
+      const when = document.createElement('td');
+      when.textContent = `${Hearings.formatDate(h, lang)} ${Hearings.formatTime(h, lang)}`;
+      const what = document.createElement('td');
+      what.textContent = Hearings.typeLabel(h.type, lang);
+      [['hearings.parties', h.parties], ['hearings.members', h.members]].forEach(([key, names]) => {
+        if (!(names || []).length) return;
+        const small = document.createElement('div');
+        small.className = 'small text-muted';
+        small.textContent = `${t(key)}: ${names.join(', ')}`;
+        what.appendChild(small);
+      });
+      const venue = document.createElement('td');
+      venue.textContent = h.venue || '—';
+      const outcome = document.createElement('td');
+      const select = document.createElement('select');
+      select.className = 'form-select form-select-sm';
+      select.dataset.action = 'outcome';
+      select.setAttribute('aria-label', t('hearings.outcome'));
+      Hearings.OUTCOMES.forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = Hearings.outcomeLabel(value, lang);
+        select.appendChild(option);
+      });
+      select.value = h.outcome || '';
+      outcome.appendChild(select);
+      const actions = document.createElement('td');
+      actions.className = 'text-nowrap';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="ics" title="${t('hearings.icsTitle')}">${t('hearings.ics')}</button>
+        <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit">${t('hearings.edit')}</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove">${t('hearings.remove')}</button>
+      `;
+      [when, what, venue, outcome, actions].forEach((td) => tr.appendChild(td));
+      body.appendChild(tr);
+    });
+    document.getElementById('hearingTable').classList.toggle('d-none', !caseHearings.length);
+    document.getElementById('hearingEmpty').classList.toggle('d-none', caseHearings.length > 0);
+    checkHearingConflicts();
+  }
+
+  // The case in the form as a docket record for the hearing calendar, also
+  // before it has been saved
+  function hearingRecord() {
+    const name = document.getElementById('complainantName').value.trim();
+    return {
+      id: currentRecord ? currentRecord.id : '',
+      caseId: document.getElementById('caseId').value.trim(),
+      caseTitle: name ? `${name} Case` : (currentRecord && currentRecord.caseTitle) || '',
+      hearings: caseHearings,
     };
-    renderReport(reportData);
-    // Show report section
-    document.getElementById('reportSection').classList.remove('d-none');
-    // Scroll to report
-    document.getElementById('reportSection').scrollIntoView({ behavior: 'smooth' });
   }
 
-  // Event listeners
-  document.getElementById('addRespondentBtn').addEventListener('click', () => {
-    addRespondent();
-  });
-  document.getElementById('respondentContainer').addEventListener('click', (e) => {
-    if (e.target.classList.contains('remove-respondent')) {
-      removeRespondent(e.target);
+  // Warn about hearings of the case that share a room or a Lupon member with
+  // another hearing at the same time, in this case or another one
+  async function checkHearingConflicts() {
+    const box = document.getElementById('hearingConflicts');
+    let records = [];
+    try {
+      records = await CaseDocket.listCases();
+    } catch (err) {
+      records = [];
     }
-  });
-  document.getElementById('generateBtn').addEventListener('click', generateReport);
-  document.getElementById('downloadPdfBtn').addEventListener('click', downloadReportAsPDF);
-  document.getElementById('printBtn').addEventListener('click', printReport);
-  // Clear form hides report
-  document.getElementById('clearBtn').addEventListener('click', () => {
-    document.getElementById('reportSection').classList.add('d-none');
-    // Reset respondent list to a single blank entry
-    const container = document.getElementById('respondentContainer');
-    // Remove all existing respondent elements
-    while (container.firstChild) {
-      container.removeChild(container.firstChild);
+    const own = hearingRecord();
+    const entries = Hearings.collect(records.filter((r) => r.id !== own.id).concat([own]));
+    const conflicts = Hearings.findConflicts(entries).filter((c) => c.a.record === own || c.b.record === own);
+    const ids = new Set(conflicts.flatMap((c) => [c.a.hearing.id, c.b.hearing.id]));
+    document.querySelectorAll('#hearingList tr').forEach((tr) => tr.classList.toggle('table-warning', ids.has(tr.dataset.id)));
+    renderConflicts(box, conflicts);
+  }
+
+  // Fill an alert with a list of scheduling conflicts, or hide it
+  function renderConflicts(box, conflicts) {
+    const lang = I18n.getUiLanguage();
+    box.innerHTML = '';
+    box.classList.toggle('d-none', !conflicts.length);
+    if (!conflicts.length) return;
+    const heading = document.createElement('strong');
+    heading.textContent = I18n.t('hearings.conflicts', lang);
+    box.appendChild(heading);
+    const list = document.createElement('ul');
+    list.classList.add('mb-0');
+    conflicts.forEach((c) => {
+      const li = document.createElement('li');
+      li.textContent = Hearings.describeConflict(c, lang);
+      list.appendChild(li);
+    });
+    box.appendChild(list);
+  }
+
+  // Show the changed hearings, in the report timeline too, and keep them
+  // with the case in the docket
+  function setHearings(hearings) {
+    caseHearings = hearings;
+    renderHearings();
+    if (lastReportData) {
+      lastReportData.hearings = caseHearings;
+      drawReport();
     }
-    // Create a new respondent template
-    const template = document.createElement('div');
-    template.className = 'respondent mb-3 border rounded p-3';
-    template.innerHTML = `
-      <div class="d-flex justify-content-between align-items-center mb-2">
-        <h6 class="mb-0">Respondent <span class="respondent-index">1</span></h6>
-        <button type="button" class="btn btn-sm btn-outline-danger remove-respondent" title="Remove respondent" style="display:none;">Remove</button>
-      </div>
-      <div class="row g-3">
-        <div class="col-md-6">
-          <label class="form-label">Full Name</label>
-          <input type="text" class="form-control respondent-name" placeholder="e.g., Pedro Santos" />
-        </div>
-        <div class="col-md-6">
-          <label class="form-label">Phone Number</label>
-          <input type="tel" class="form-control respondent-phone" placeholder="09XX XXX XXXX" />
-        </div>
-        <div class="col-md-6">
-          <label class="form-label">Email Address</label>
-          <input type="email" class="form-control respondent-email" placeholder="name@example.com" />
-        </div>
-        <div class="col-md-6">
-          <label class="form-label">Complete Address</label>
-          <textarea class="form-control respondent-address" rows="2" placeholder="House No., Street, Barangay, City"></textarea>
-        </div>
-      </div>
-    `;
-    container.appendChild(template);
-    refreshRespondentIndices();
+    saveCaseHearings();
+  }
+
+  async function saveCaseHearings() {
+    if (!currentRecord) return;
+    try {
+      const stored = await CaseDocket.saveCase({ ...currentRecord, hearings: caseHearings });
+      setCurrentRecord(stored);
+      refreshDocket();
+    } catch (err) {
+      setHearingStatus('Could not save the hearing schedule: ' + err.message, true);
+    }
+  }
+
+  function exportHearing(id) {
+    const hearing = caseHearings.find((h) => h.id === id);
+    if (!hearing) return;
+    const record = hearingRecord();
+    const name = (record.caseId || 'case').replace(/[^0-9A-Za-z-]+/g, '_');
+    downloadFile(Hearings.toICS([{ hearing, record }], I18n.getUiLanguage()), 'text/calendar', `hearing-${name}-${hearing.date}.ics`);
+  }
+
+  // Month shown in the hearing calendar and the docket records it was drawn
+  // from
+  const calendarMonth = { year: 0, month: 0 };
+  let calendarRecords = [];
+
+  function showCalendarMonth(offset) {
+    if (offset === 0 || !calendarMonth.year) {
+      const [year, month] = KPTimeline.todayInManila().split('-').map(Number);
+      Object.assign(calendarMonth, { year, month });
+    } else {
+      const date = new Date(Date.UTC(calendarMonth.year, calendarMonth.month - 1 + offset, 1));
+      Object.assign(calendarMonth, { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 });
+    }
+    renderHearingCalendar();
+  }
+
+  // Month grid with the hearings of every case in the docket; hearings that
+  // clash with another one are shown in red
+  function renderHearingCalendar(records) {
+    if (records) calendarRecords = records;
+    if (!calendarMonth.year) showCalendarMonth(0);
+    const lang = I18n.getUiLanguage();
+    const locale = I18n.locale(lang);
+    const { year, month } = calendarMonth;
+    const prefix = `${year}-${String(month).padStart(2, '0')}`;
+    const today = KPTimeline.todayInManila();
+    document.getElementById('calendarMonth').textContent = new Date(Date.UTC(year, month - 1, 1))
+      .toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const entries = Hearings.collect(calendarRecords);
+    const conflicts = Hearings.findConflicts(entries);
+    const weeks = Hearings.calendarWeeks(year, month);
+    const head = document.getElementById('calendarWeekdays');
+    head.innerHTML = '';
+    weeks[0].forEach((day) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.className = 'text-center';
+      th.textContent = new Date(`${day}T00:00:00Z`).toLocaleDateString(locale, { weekday: 'short', timeZone: 'UTC' });
+      head.appendChild(th);
+    });
+    const body = document.getElementById('calendarBody');
+    body.innerHTML = '';
+    weeks.forEach((week) => {
+      const tr = document.createElement('tr');
+      week.forEach((day) => {
+        const td = document.createElement('td');
+        td.style.height = '6rem';
+        td.style.verticalAlign = 'top';
+        if (!day.startsWith(prefix)) td.classList.add('bg-light', 'text-muted');
+        if (day === today) td.classList.add('table-primary');
+        const number = document.createElement('div');
+        number.className = 'small fw-bold';
+        number.textContent = Number(day.slice(8));
+        td.appendChild(number);
+        entries.filter((e) => e.hearing.date === day).forEach(({ hearing, record }) => {
+          const clashes = conflicts.filter((c) => c.a.hearing === hearing || c.b.hearing === hearing);
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.className = `btn btn-sm d-block w-100 text-start text-truncate mb-1 ${clashes.length ? 'btn-outline-danger' : 'btn-outline-primary'}`;
+          if (hearing.outcome === 'postponed') btn.classList.add('text-decoration-line-through');
+          btn.dataset.action = 'open';
+          btn.dataset.id = record.id;
+          btn.textContent = `${Hearings.formatTime(hearing, lang)} ${record.caseId || record.caseTitle}`;
+          btn.title = [
+            `${Hearings.typeLabel(hearing.type, lang)} – ${record.caseId || ''} ${record.caseTitle || ''}`.trim(),
+            hearing.venue,
+            Hearings.outcomeLabel(hearing.outcome, lang),
+          ].concat(clashes.map((c) => Hearings.describeConflict(c, lang))).filter(Boolean).join('\n');
+          td.appendChild(btn);
+        });
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    const inMonth = (e) => e.hearing.date.startsWith(prefix);
+    renderConflicts(document.getElementById('calendarConflicts'), conflicts.filter((c) => inMonth(c.a) || inMonth(c.b)));
+    document.getElementById('calendarEmpty').classList.toggle('d-none', entries.some(inMonth));
+  }
+
+  function exportCalendar() {
+    const lang = I18n.getUiLanguage();
+    const entries = Hearings.collect(calendarRecords);
+    downloadFile(Hearings.toICS(entries, lang), 'text/calendar', `barangay-hearings-${KPTimeline.todayInManila()}.ics`);
+    document.getElementById('calendarStatus').textContent = I18n.t('calendar.exported', lang, { count: entries.length });
+  }
+
+  // Cases of the docket the performance dashboard was computed from, and the
+  // figures of the period shown (kp-stats.js)
+  let dashboardRecords = [];
+  let dashboardSummary = null;
+  const OUTCOME_COLOURS = { settled: 'bg-success', repudiated: 'bg-warning', certified: 'bg-danger', referred: 'bg-info', pending: 'bg-secondary' };
+
+  function setDashboardStatus(message, isError) {
+    const status = document.getElementById('dashboardStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  // Fill the dates of the month, quarter, semester or year of today
+  function setDashboardPeriod(kind) {
+    if (!KPStats.PERIODS.includes(kind)) return;
+    const { from, to } = KPStats.periodOf(kind, KPTimeline.todayInManila());
+    document.getElementById('dashboardFrom').value = from;
+    document.getElementById('dashboardTo').value = to;
+  }
+
+  function categoryName(category, lang) {
+    const text = categoryText(category, lang);
+    return text ? text.nature : category;
+  }
+
+  // A bar per row, split by outcome and as long as its share of the
+  // largest row
+  function renderBars(container, rows, labelOf, lang) {
+    container.innerHTML = '';
+    const max = Math.max(1, ...rows.map((r) => r.total));
+    rows.forEach((row) => {
+      const div = document.createElement('div');
+      div.className = 'd-flex align-items-center gap-2 small mb-1';
+      const label = document.createElement('span');
+      label.className = 'text-truncate';
+      label.style.width = '40%';
+      label.textContent = labelOf(row.key);
+      label.title = label.textContent;
+      const bar = document.createElement('div');
+      bar.className = 'progress-stacked flex-grow-1';
+      KPStats.OUTCOMES.filter((o) => row[o]).forEach((o) => {
+        const part = document.createElement('div');
+        part.className = 'progress';
+        part.setAttribute('role', 'progressbar');
+        part.setAttribute('aria-valuenow', row[o]);
+        part.setAttribute('aria-valuemin', 0);
+        part.setAttribute('aria-valuemax', max);
+        part.style.width = `${(row[o] / max) * 100}%`;
+        part.title = `${I18n.t(`stats.outcome.${o}`, lang)}: ${row[o]}`;
+        const fill = document.createElement('div');
+        fill.className = `progress-bar ${OUTCOME_COLOURS[o]}`;
+        part.appendChild(fill);
+        bar.appendChild(part);
+      });
+      const total = document.createElement('span');
+      total.className = 'text-end';
+      total.style.width = '2.5rem';
+      total.textContent = row.total;
+      [label, bar, total].forEach((el) => div.appendChild(el));
+      container.appendChild(div);
+    });
+  }
+
+  // Counts, settlement rate and charts of the cases filed in the period
+  async function renderDashboard(records) {
+    if (records) dashboardRecords = records;
+    // Old cases without stored categories are classified with the legal pack
+    await knowledgeBaseReady;
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    const from = document.getElementById('dashboardFrom').value;
+    const to = document.getElementById('dashboardTo').value;
+    if (!from || !to || from > to) {
+      dashboardSummary = null;
+      setDashboardStatus(t('stats.badPeriod'), true);
+      return;
+    }
+    const summary = KPStats.summarize(dashboardRecords, {
+      from,
+      to,
+      categoriesOf: (record) => selectedCategories(normalizeClassification(record)),
+      legalData: LEGAL_DATA,
+    });
+    dashboardSummary = summary;
+    setDashboardStatus('');
+    const cards = document.getElementById('dashboardCards');
+    cards.innerHTML = '';
+    [[t('stats.cases'), summary.totals.total]]
+      .concat(KPStats.OUTCOMES.map((o) => [t(`stats.outcome.${o}`), summary.totals[o]]))
+      .concat([
+        [t('stats.settlementRate'), KPStats.formatRate(summary.settlementRate, lang)],
+        [t('stats.averageDays'), KPStats.formatDays(summary.averageDays, lang)],
+      ])
+      .forEach(([label, value]) => {
+        const col = document.createElement('div');
+        col.className = 'col-6 col-md-3';
+        col.innerHTML = '<div class="border rounded p-2 h-100"><div class="small text-muted"></div><div class="fs-5 fw-bold"></div></div>';
+        col.querySelector('.small').textContent = label;
+        col.querySelector('.fw-bold').textContent = value;
+        cards.appendChild(col);
+      });
+    const legend = document.getElementById('dashboardLegend');
+    legend.innerHTML = '';
+    KPStats.OUTCOMES.forEach((o) => {
+      const item = document.createElement('span');
+      item.innerHTML = `<span class="d-inline-block rounded ${OUTCOME_COLOURS[o]} me-1" style="width: 0.8rem; height: 0.8rem"></span>`;
+      item.appendChild(document.createTextNode(t(`stats.outcome.${o}`)));
+      legend.appendChild(item);
+    });
+    const labelOf = (group) => (key) => KPStats.rowLabel(group, key, lang, (c) => categoryName(c, lang));
+    renderBars(document.getElementById('dashboardCategories'), summary.categories, labelOf('categories'), lang);
+    renderBars(document.getElementById('dashboardMonths'), summary.months, labelOf('months'), lang);
+    renderBars(document.getElementById('dashboardNatures'), summary.natures, labelOf('natures'), lang);
+    renderBars(document.getElementById('dashboardAreas'), summary.areas, labelOf('areas'), lang);
+    const empty = summary.totals.total === 0;
+    document.getElementById('dashboardEmpty').classList.toggle('d-none', !empty);
+    document.getElementById('dashboardCharts').classList.toggle('d-none', empty);
+  }
+
+  function printDashboard() {
+    const lang = I18n.getUiLanguage();
+    if (!dashboardSummary) return;
+    if (!KPStats.print(dashboardSummary, lang, (c) => categoryName(c, lang))) setDashboardStatus(I18n.t('stats.popupBlocked', lang), true);
+  }
+
+  function exportDashboard() {
+    const lang = I18n.getUiLanguage();
+    if (!dashboardSummary) return;
+    const { from, to } = dashboardSummary;
+    downloadFile(KPStats.toCSV(dashboardSummary, lang, (c) => categoryName(c, lang)), 'text/csv', `kp-performance-${from}_${to}.csv`);
+    setDashboardStatus(I18n.t('stats.exported', lang));
+  }
+
+  // Members of the Lupon roster (lupon.js), from which the Pangkat of a case
+  // is chosen
+  let luponMembers = [];
+
+  function setLuponStatus(message, isError) {
+    const status = document.getElementById('luponStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  function setPangkatStatus(message, isError) {
+    const status = document.getElementById('pangkatStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  async function loadLuponRoster() {
+    try {
+      luponMembers = await CaseDocket.listMembers();
+    } catch (err) {
+      luponMembers = [];
+    }
+    renderLuponRoster();
+    renderPangkat();
+  }
+
+  // Roster table with the term of each member and whether it has ended
+  function renderLuponRoster() {
+    const lang = I18n.getUiLanguage();
+    const t = (key) => I18n.t(key, lang);
+    const today = KPTimeline.todayInManila();
+    const fmt = (d) => (d ? new Date(`${d}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila' }) : '…');
+    const stateClass = { serving: 'bg-success', ended: 'bg-secondary', notYet: 'bg-info text-dark' };
+    const body = document.getElementById('luponList');
+    body.innerHTML = '';
+    Lupon.sortMembers(luponMembers).forEach((member) => {
+      const tr = document.createElement('tr');
+      tr.dataset.id = member.id;
+      const name = document.createElement('td');
+      name.textContent = member.name;
+      if (member.address) {
+        const small = document.createElement('div');
+        small.className = 'small text-muted';
+        small.textContent = member.address;
+        name.appendChild(small);
+      }
+      const purok = document.createElement('td');
+      purok.textContent = member.purok || '—';
+      const phone = document.createElement('td');
+      phone.textContent = member.phone || '—';
+      const term = document.createElement('td');
+      let state = 'serving';
+      if (member.termStart && today < member.termStart) state = 'notYet';
+      else if (!Lupon.isServing(member, today)) state = 'ended';
+      term.textContent = member.termStart || member.termEnd ? `${fmt(member.termStart)} – ${fmt(member.termEnd)} ` : '';
+      const badge = document.createElement('span');
+      badge.className = `badge ${stateClass[state]}`;
+      badge.textContent = t(`lupon.${state}`);
+      term.appendChild(badge);
+      const actions = document.createElement('td');
+      actions.className = 'text-nowrap';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit">${t('lupon.edit')}</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove">${t('lupon.remove')}</button>
+      `;
+      [name, purok, phone, term, actions].forEach((td) => tr.appendChild(td));
+      body.appendChild(tr);
+    });
+    document.getElementById('luponTable').classList.toggle('d-none', !luponMembers.length);
+    document.getElementById('luponEmpty').classList.toggle('d-none', luponMembers.length > 0);
+  }
+
+  const LUPON_FIELDS = { name: 'luponName', purok: 'luponPurok', address: 'luponAddress', phone: 'luponPhone', termStart: 'luponTermStart', termEnd: 'luponTermEnd' };
+
+  function resetLuponEditor() {
+    document.getElementById('luponMemberId').value = '';
+    Object.values(LUPON_FIELDS).forEach((id) => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('luponSaveBtn').textContent = I18n.t('lupon.add', I18n.getUiLanguage());
+    document.getElementById('luponCancelBtn').classList.add('d-none');
+  }
+
+  function editLuponMember(id) {
+    const member = luponMembers.find((m) => m.id === id);
+    if (!member) return;
+    document.getElementById('luponMemberId').value = member.id;
+    Object.entries(LUPON_FIELDS).forEach(([field, inputId]) => {
+      document.getElementById(inputId).value = member[field] || '';
+    });
+    document.getElementById('luponSaveBtn').textContent = I18n.t('lupon.save', I18n.getUiLanguage());
+    document.getElementById('luponCancelBtn').classList.remove('d-none');
+    document.getElementById('luponEditor').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  async function saveLuponMember() {
+    const lang = I18n.getUiLanguage();
+    const id = document.getElementById('luponMemberId').value;
+    const existing = luponMembers.find((m) => m.id === id);
+    const fields = { id: id || undefined, createdAt: existing && existing.createdAt };
+    Object.entries(LUPON_FIELDS).forEach(([field, inputId]) => {
+      fields[field] = document.getElementById(inputId).value;
+    });
+    const member = Lupon.createMember(fields);
+    const errors = Lupon.validateMember(member);
+    if (errors.length) {
+      setLuponStatus(errors.join(' '), true);
+      return;
+    }
+    try {
+      await CaseDocket.saveMember(member);
+      setLuponStatus(I18n.t('lupon.saved', lang, { name: member.name }));
+      resetLuponEditor();
+      loadLuponRoster();
+    } catch (err) {
+      setLuponStatus('Could not save the Lupon member: ' + err.message, true);
+    }
+  }
+
+  // Remove a member from the roster; a Pangkat already constituted keeps
+  // the member's name
+  async function removeLuponMember(id) {
+    const lang = I18n.getUiLanguage();
+    const member = luponMembers.find((m) => m.id === id);
+    if (!member || !window.confirm(I18n.t('lupon.removeConfirm', lang, { name: member.name }))) return;
+    try {
+      await CaseDocket.deleteMember(id);
+      if (document.getElementById('luponMemberId').value === id) resetLuponEditor();
+      setLuponStatus(I18n.t('lupon.removed', lang, { name: member.name }));
+      loadLuponRoster();
+    } catch (err) {
+      setLuponStatus('Could not remove the Lupon member: ' + err.message, true);
+    }
+  }
+
+  // Conflict-of-interest warnings of a Lupon member against the parties of
+  // the case, or null when there are none
+  function conflictNote(member, data, lang) {
+    const conflicts = Lupon.conflicts(member, data);
+    if (!conflicts.length) return null;
+    const note = document.createElement('div');
+    note.className = 'small text-danger';
+    note.textContent = `${I18n.t('pangkat.conflict', lang)}: ${conflicts.map((c) => Lupon.describeConflict(c, lang)).join('; ')}`;
+    return note;
+  }
+
+  // The choices of each side among the serving Lupon members, the members
+  // both sides agree on and the Pangkat once it is constituted. Conflicts of
+  // interest are checked against the parties entered in the form.
+  function renderPangkat(data = gatherData()) {
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    const constituted = Lupon.isConstituted(casePangkat);
+    const day = casePangkat.constitutedOn || document.getElementById('pangkatDate').value || KPTimeline.todayInManila();
+    const nameOf = (id) => (luponMembers.find((m) => m.id === id) || casePangkat.members.find((m) => m.id === id) || { name: id }).name;
+    document.getElementById('pangkatNoRoster').classList.toggle('d-none', luponMembers.length > 0);
+    ['complainant', 'respondent'].forEach((side) => {
+      const box = document.querySelector(`#pangkatChoices [data-side="${side}"]`);
+      const chosen = casePangkat.choices[side];
+      box.innerHTML = '';
+      Lupon.sortMembers(luponMembers)
+        .filter((m) => Lupon.isServing(m, day) || chosen.includes(m.id))
+        .forEach((member) => {
+          const div = document.createElement('div');
+          div.className = 'form-check';
+          const input = document.createElement('input');
+          input.type = 'checkbox';
+          input.className = 'form-check-input';
+          input.id = `pangkat-${side}-${member.id}`;
+          input.value = member.id;
+          input.checked = chosen.includes(member.id);
+          input.disabled = constituted;
+          const label = document.createElement('label');
+          label.className = 'form-check-label';
+          label.htmlFor = input.id;
+          label.textContent = member.purok ? `${member.name} (${member.purok})` : member.name;
+          div.appendChild(input);
+          div.appendChild(label);
+          const note = conflictNote(member, data, lang);
+          if (note) div.appendChild(note);
+          box.appendChild(div);
+        });
+    });
+    const agreed = Lupon.agreedIds(casePangkat);
+    let agreedText = '';
+    if (agreed.length) agreedText = t('pangkat.agreed', { names: agreed.map(nameOf).join(', ') });
+    else if (luponMembers.length && !constituted) agreedText = t('pangkat.noneAgreed');
+    document.getElementById('pangkatAgreed').textContent = agreedText;
+    const body = document.getElementById('pangkatMembers');
+    body.innerHTML = '';
+    casePangkat.members.forEach((member) => {
+      const tr = document.createElement('tr');
+      tr.dataset.id = member.id;
+      const name = document.createElement('td');
+      name.textContent = member.name;
+      const note = conflictNote(luponMembers.find((m) => m.id === member.id) || member, data, lang);
+      if (note) {
+        tr.classList.add('table-warning');
+        name.appendChild(note);
+      }
+      const role = document.createElement('td');
+      const select = document.createElement('select');
+      select.className = 'form-select form-select-sm';
+      select.dataset.action = 'role';
+      select.setAttribute('aria-label', t('pangkat.role'));
+      Lupon.ROLES.forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = Lupon.roleLabel(value, lang);
+        select.appendChild(option);
+      });
+      select.value = member.role;
+      role.appendChild(select);
+      const selection = document.createElement('td');
+      selection.textContent = t(`lupon.selection.${member.selection}`);
+      const actions = document.createElement('td');
+      actions.innerHTML = `<button type="button" class="btn btn-sm btn-outline-secondary" data-action="replace" title="${t('pangkat.replaceTitle')}">${t('pangkat.replace')}</button>`;
+      [name, role, selection, actions].forEach((td) => tr.appendChild(td));
+      body.appendChild(tr);
+    });
+    const lots = document.getElementById('pangkatLots');
+    lots.innerHTML = '';
+    casePangkat.lots.forEach((lot) => {
+      const li = document.createElement('li');
+      li.textContent = t('pangkat.lot', {
+        date: new Date(lot.at).toLocaleString(I18n.locale(lang), { timeZone: 'Asia/Manila' }),
+        count: lot.pool.length,
+        names: lot.drawn.map(nameOf).join(', '),
+      });
+      lots.appendChild(li);
+    });
+    document.getElementById('pangkatTable').classList.toggle('d-none', !constituted);
+    document.getElementById('pangkatConstituteBtn').classList.toggle('d-none', constituted);
+    document.getElementById('pangkatResetBtn').classList.toggle('d-none', !constituted);
+    document.getElementById('pangkatDate').disabled = constituted;
+  }
+
+  // Show the changed Pangkat, in the report too, and keep it with the case
+  // in the docket
+  function setPangkat(pangkat) {
+    casePangkat = Lupon.normalizePangkat(pangkat);
+    renderPangkat();
+    if (lastReportData) {
+      lastReportData.pangkat = casePangkat;
+      drawReport();
+    }
+    saveCasePangkat();
+  }
+
+  async function saveCasePangkat() {
+    if (!currentRecord) return;
+    try {
+      const stored = await CaseDocket.saveCase({ ...currentRecord, pangkat: casePangkat });
+      setCurrentRecord(stored);
+      refreshDocket();
+    } catch (err) {
+      setPangkatStatus('Could not save the Pangkat: ' + err.message, true);
+    }
+  }
+
+  // Seat the members both sides chose and draw lots for the other seats.
+  // The date the Pangkat was constituted is also recorded as the KP stage.
+  function constitutePangkat() {
+    const lang = I18n.getUiLanguage();
+    const date = document.getElementById('pangkatDate').value || KPTimeline.todayInManila();
+    let pangkat;
+    try {
+      pangkat = Lupon.constitute(casePangkat, luponMembers, gatherData(), date);
+    } catch (err) {
+      setPangkatStatus(err.message, true);
+      return;
+    }
+    document.getElementById('pangkatDate').value = date;
+    const stage = document.getElementById('kpDate-pangkat');
+    if (stage && !stage.value) stage.value = date;
+    const count = pangkat.members.filter((m) => m.selection === 'lot').length;
+    setPangkatStatus(I18n.t(currentRecord ? 'pangkat.constituted' : 'pangkat.constitutedUnsaved', lang, { count }));
+    setPangkat(pangkat);
+  }
+
+  // Fill the seat of a member who is disqualified or cannot serve (Sec. 405)
+  function replacePangkatMember(id) {
+    const lang = I18n.getUiLanguage();
+    const old = casePangkat.members.find((m) => m.id === id);
+    if (!old) return;
+    let pangkat;
+    try {
+      pangkat = Lupon.replaceMember(casePangkat, id, luponMembers, gatherData(), KPTimeline.todayInManila());
+    } catch (err) {
+      setPangkatStatus(err.message, true);
+      return;
+    }
+    const added = pangkat.members.find((m) => !casePangkat.members.some((o) => o.id === m.id));
+    setPangkatStatus(I18n.t('pangkat.replaced', lang, { old: old.name, new: added ? added.name : '—' }));
+    setPangkat(pangkat);
+  }
+
+  function setSettlementStatus(message, isError) {
+    const status = document.getElementById('settlementStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  // Show only the editor fields of the type of term chosen
+  function showSettlementFields() {
+    const type = document.getElementById('settlementType').value;
+    document.querySelectorAll('#settlementEditor .settlement-field').forEach((el) => {
+      el.classList.toggle('d-none', !el.dataset.types.split(' ').includes(type));
+    });
+  }
+
+  function resetSettlementEditor() {
+    document.getElementById('settlementTermId').value = '';
+    ['settlementDescription', 'settlementAmount', 'settlementFirstDue', 'settlementDue', 'settlementDistance', 'settlementUntil'].forEach((id) => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('settlementType').value = 'payment';
+    document.getElementById('settlementObligor').value = 'respondent';
+    document.getElementById('settlementCount').value = 1;
+    document.getElementById('settlementForm').value = 'verbal';
+    document.getElementById('settlementSaveBtn').textContent = I18n.t('settlement.add', I18n.getUiLanguage());
+    document.getElementById('settlementCancelBtn').classList.add('d-none');
+    showSettlementFields();
+  }
+
+  function editSettlementTerm(id) {
+    const term = caseSettlement.terms.find((t) => t.id === id);
+    if (!term) return;
+    const installments = term.installments || [];
+    const values = {
+      settlementTermId: term.id,
+      settlementType: term.type,
+      settlementObligor: term.obligor,
+      settlementDescription: term.description,
+      settlementAmount: term.type === 'payment' ? term.amount : '',
+      settlementCount: installments.length || 1,
+      settlementFirstDue: installments.length ? installments[0].due : '',
+      settlementForm: term.form || 'verbal',
+      settlementDue: term.due || '',
+      settlementDistance: term.distance || '',
+      settlementUntil: term.until || '',
+    };
+    Object.entries(values).forEach(([elId, value]) => {
+      document.getElementById(elId).value = value;
+    });
+    document.getElementById('settlementSaveBtn').textContent = I18n.t('settlement.save', I18n.getUiLanguage());
+    document.getElementById('settlementCancelBtn').classList.remove('d-none');
+    showSettlementFields();
+    document.getElementById('settlementEditor').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // Add the term in the editor, or save the one being edited. Payments,
+  // compliance and breaches already recorded for it are kept.
+  function saveSettlementTerm() {
+    const lang = I18n.getUiLanguage();
+    const id = document.getElementById('settlementTermId').value;
+    const previous = caseSettlement.terms.find((t) => t.id === id);
+    const term = Settlement.keepPayments(Settlement.createTerm({
+      id: id || undefined,
+      type: document.getElementById('settlementType').value,
+      obligor: document.getElementById('settlementObligor').value,
+      description: document.getElementById('settlementDescription').value,
+      amount: document.getElementById('settlementAmount').value,
+      count: document.getElementById('settlementCount').value,
+      firstDue: document.getElementById('settlementFirstDue').value,
+      form: document.getElementById('settlementForm').value,
+      due: document.getElementById('settlementDue').value,
+      doneOn: previous ? previous.doneOn : '',
+      distance: document.getElementById('settlementDistance').value,
+      until: document.getElementById('settlementUntil').value,
+      breaches: previous ? previous.breaches : undefined,
+    }), previous);
+    const errors = Settlement.validateTerm(term);
+    if (errors.length) {
+      setSettlementStatus(errors.join(' '), true);
+      return;
+    }
+    setSettlementStatus(I18n.t(currentRecord ? 'settlement.saved' : 'settlement.savedUnsaved', lang));
+    resetSettlementEditor();
+    setSettlement(Settlement.save(caseSettlement, term));
+  }
+
+  function statusBadge(text, state) {
+    const badge = document.createElement('span');
+    const colour = { complied: 'success', paid: 'success', breached: 'danger', missed: 'danger' };
+    badge.className = `badge text-bg-${colour[state] || 'secondary'} me-2`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  function compactDate(date, lang) {
+    return new Date(`${date}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila' });
+  }
+
+  // Compliance inputs of a term: the payment date of each installment, the
+  // date the term was done or the breaches of a conduct term
+  function renderCompliance(term, lang, today) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const cell = document.createElement('td');
+    const dateInput = (action, value, label, data) => {
+      const input = document.createElement('input');
+      input.type = 'date';
+      input.className = 'form-control form-control-sm w-auto';
+      input.value = value || '';
+      input.dataset.action = action;
+      Object.assign(input.dataset, data || {});
+      input.setAttribute('aria-label', label);
+      return input;
+    };
+    const row = () => {
+      const div = document.createElement('div');
+      div.className = 'd-flex flex-wrap align-items-center gap-2 small mb-1';
+      return div;
+    };
+    cell.appendChild(statusBadge(Settlement.statusLabel(Settlement.termStatus(term, today), lang), Settlement.termStatus(term, today)));
+    if (term.type === 'payment') {
+      term.installments.forEach((inst) => {
+        const div = row();
+        const state = Settlement.installmentState(inst, today);
+        div.appendChild(statusBadge(t(`settlement.installment.${state}`), state));
+        div.appendChild(document.createTextNode(t('settlement.installmentDue', { amount: PenaltyCalculator.formatPeso(inst.amount, lang), date: compactDate(inst.due, lang) })));
+        div.appendChild(dateInput('paid', inst.paidOn, t('settlement.paidOn'), { installment: inst.id }));
+        cell.appendChild(div);
+      });
+    } else if (term.type === 'conduct') {
+      (term.breaches || []).forEach((b, index) => {
+        const div = row();
+        div.appendChild(document.createTextNode(t('settlement.breachOn', { date: compactDate(b.date, lang), note: b.note ? ` – ${b.note}` : '' })));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-sm btn-link text-danger p-0';
+        remove.dataset.action = 'unbreach';
+        remove.dataset.index = index;
+        remove.textContent = t('settlement.removeBreach');
+        div.appendChild(remove);
+        cell.appendChild(div);
+      });
+      const div = row();
+      div.appendChild(dateInput('breachDate', today, t('settlement.breachDate')));
+      const note = document.createElement('input');
+      note.type = 'text';
+      note.className = 'form-control form-control-sm w-auto';
+      note.dataset.action = 'breachNote';
+      note.placeholder = t('settlement.breachNote');
+      note.setAttribute('aria-label', t('settlement.breachNote'));
+      div.appendChild(note);
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.className = 'btn btn-sm btn-outline-danger';
+      add.dataset.action = 'breach';
+      add.textContent = t('settlement.recordBreach');
+      div.appendChild(add);
+      cell.appendChild(div);
+    } else {
+      const div = row();
+      const label = document.createElement('span');
+      label.textContent = t('settlement.doneOn');
+      div.appendChild(label);
+      div.appendChild(dateInput('done', term.doneOn, t('settlement.doneOn')));
+      cell.appendChild(div);
+    }
+    return cell;
+  }
+
+  // Where the settlement stands: the repudiation period, finality, the
+  // terms breached and the window for execution by the Lupon
+  function renderSettlementFinality(data, lang, today) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const box = document.getElementById('settlementFinality');
+    const { stage, executionEnds } = Settlement.finality(data, today);
+    const breached = Settlement.breachedTerms(caseSettlement, today);
+    const texts = [Settlement.describeFinality(data, lang, today)];
+    if (breached.length && stage !== 'repudiated') {
+      const numbers = breached.map((term) => caseSettlement.terms.indexOf(term) + 1);
+      texts.push(t('settlement.breached', { terms: numbers.join(', ') }));
+      if (caseSettlement.motionFiled) texts.push(t('settlement.motionFiledOn', { date: Settlement.formatDate(caseSettlement.motionFiled, lang) }));
+      else if (stage === 'final') texts.push(t('settlement.executionOpen', { date: Settlement.formatDate(executionEnds, lang) }));
+      else if (stage === 'lapsed') texts.push(t('settlement.executionLapsed'));
+    } else if (Settlement.isComplied(caseSettlement, today)) {
+      texts.push(t('settlement.complied'));
+    }
+    box.textContent = texts.join(' ');
+    box.classList.remove('alert-secondary', 'alert-warning', 'alert-danger', 'alert-success');
+    let colour = 'secondary';
+    if (breached.length && stage !== 'repudiated') colour = caseSettlement.motionFiled ? 'warning' : 'danger';
+    else if (Settlement.isComplied(caseSettlement, today)) colour = 'success';
+    box.classList.add(`alert-${colour}`);
+  }
+
+  // List the terms of the settlement with their compliance and buttons to
+  // edit and remove each one
+  function renderSettlement(data = gatherData()) {
+    const lang = I18n.getUiLanguage();
+    const t = (key) => I18n.t(key, lang);
+    const today = KPTimeline.todayInManila();
+    const body = document.getElementById('settlementTerms');
+    body.innerHTML = '';
+    caseSettlement.terms.forEach((term, i) => {
+      const tr = document.createElement('tr');
+      tr.dataset.id = term.id;
+      const status = Settlement.termStatus(term, today);
+      if (status === 'breached') tr.classList.add('table-danger');
+      const number = document.createElement('td');
+      number.textContent = i + 1;
+      const what = document.createElement('td');
+      const type = document.createElement('div');
+      type.className = 'small text-muted';
+      type.textContent = Settlement.typeLabel(term.type, lang);
+      what.appendChild(type);
+      what.appendChild(document.createTextNode(Settlement.describeTerm(term, data, lang)));
+      const actions = document.createElement('td');
+      actions.className = 'text-nowrap';
+      actions.innerHTML = `
+        <button type="button" class="btn btn-sm btn-outline-primary" data-action="edit">${t('settlement.edit')}</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove">${t('settlement.remove')}</button>
+      `;
+      [number, what, renderCompliance(term, lang, today), actions].forEach((td) => tr.appendChild(td));
+      body.appendChild(tr);
+    });
+    document.getElementById('settlementTable').classList.toggle('d-none', !caseSettlement.terms.length);
+    document.getElementById('settlementEmpty').classList.toggle('d-none', caseSettlement.terms.length > 0);
+    document.getElementById('settlementMotionFiled').value = caseSettlement.motionFiled;
+    renderSettlementFinality(data, lang, today);
+  }
+
+  // Show the changed settlement, in the report too, and keep it with the
+  // case in the docket
+  function setSettlement(settlement) {
+    caseSettlement = Settlement.normalize(settlement);
+    renderSettlement();
+    if (lastReportData) {
+      lastReportData.settlement = caseSettlement;
+      drawReport();
+    }
+    saveCaseSettlement();
+  }
+
+  async function saveCaseSettlement() {
+    if (!currentRecord) return;
+    try {
+      const stored = await CaseDocket.saveCase({ ...currentRecord, settlement: caseSettlement });
+      setCurrentRecord(stored);
+      refreshDocket();
+    } catch (err) {
+      setSettlementStatus('Could not save the settlement: ' + err.message, true);
+    }
+  }
+
+  // Record a breach of a conduct term from the inputs in its row
+  function recordBreach(tr) {
+    const lang = I18n.getUiLanguage();
+    const date = tr.querySelector('[data-action="breachDate"]').value;
+    if (!date) {
+      setSettlementStatus(I18n.t('settlement.breachDateMissing', lang), true);
+      return;
+    }
+    const note = tr.querySelector('[data-action="breachNote"]').value;
+    setSettlementStatus(I18n.t('settlement.breachRecorded', lang));
+    setSettlement(Settlement.addBreach(caseSettlement, tr.dataset.id, { date, note }));
+  }
+
+  // A settlement may only be repudiated within 10 days of its date
+  // (Sec. 418); after that the status stays "settled". Returns whether the
+  // status chosen is allowed.
+  function checkRepudiation() {
+    const lang = I18n.getUiLanguage();
+    const select = document.getElementById('kpStatus');
+    const data = gatherData();
+    const date = data.kp.dates.repudiated || KPTimeline.todayInManila();
+    const late = select.value === 'repudiated' && !Settlement.canRepudiate(data, date);
+    select.classList.toggle('is-invalid', late);
+    if (late) {
+      const { repudiationEnds } = Settlement.finality(data, date);
+      document.getElementById('kpStatusFeedback').textContent = I18n.t('settlement.repudiationLate', lang, {
+        date: Settlement.formatDate(repudiationEnds, lang),
+      });
+      select.value = 'settled';
+    }
+    return !late;
+  }
+
+  // Persons of the party registry (party-registry.js), offered as names in
+  // the party fields
+  let registryPersons = [];
+  // Candidates at or above this score are offered to the officer; only
+  // those at PartyRegistry.MATCH_SCORE are linked without asking
+  const PARTY_HINT_SCORE = 0.7;
+
+  async function loadPartyRegistry() {
+    try {
+      registryPersons = await CaseDocket.listPersons();
+    } catch (err) {
+      registryPersons = [];
+    }
+    const list = document.getElementById('partyNames');
+    list.innerHTML = '';
+    registryPersons.forEach((person) => {
+      [person.name].concat(person.names || []).forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        if (person.address) option.label = person.address;
+        list.appendChild(option);
+      });
+    });
+  }
+
+  // Name, contact inputs and registry hint of the party an element belongs
+  // to: the complainant or one of the respondents
+  function partyInputs(el) {
+    const respondent = el.closest('.respondent');
+    if (respondent) {
+      const field = (name) => respondent.querySelector(`.respondent-${name}`);
+      return { name: field('name'), phone: field('phone'), email: field('email'), address: field('address'), hint: respondent.querySelector('.party-match') };
+    }
+    const field = (name) => document.getElementById(`complainant${name}`);
+    return { name: field('Name'), phone: field('Phone'), email: field('Email'), address: field('Address'), hint: document.getElementById('complainantMatch') };
+  }
+
+  // Forget the registry person of a party whose name is being changed
+  function resetPartyMatch(nameInput) {
+    const { hint } = partyInputs(nameInput);
+    nameInput.dataset.personId = '';
+    hint.innerHTML = '';
+    hint.classList.add('d-none');
+  }
+
+  // Link a party to a registry person, filling in the contact details the
+  // officer has left blank
+  function linkParty(inputs, person) {
+    inputs.name.dataset.personId = person.id;
+    ['phone', 'email', 'address'].forEach((field) => {
+      if (!inputs[field].value.trim() && person[field]) inputs[field].value = person[field];
+    });
+    const details = [person.name, person.address].filter(Boolean).join(', ');
+    inputs.hint.textContent = I18n.t('form.partyMatch.linked', I18n.getUiLanguage(), { details });
+    inputs.hint.classList.remove('d-none');
+  }
+
+  // Look up a party name typed or picked in the form. A name found once in
+  // the registry is linked at once; similar names are offered to the officer.
+  function checkPartyName(nameInput) {
+    const inputs = partyInputs(nameInput);
+    resetPartyMatch(nameInput);
+    const party = { name: nameInput.value, phone: inputs.phone.value, address: inputs.address.value };
+    const matches = PartyRegistry.findMatches(party, registryPersons, PARTY_HINT_SCORE).slice(0, 3);
+    const name = PartyRegistry.normalizeName(party.name);
+    const same = matches.filter((m) => [m.person.name].concat(m.person.names || []).some((n) => PartyRegistry.normalizeName(n) === name));
+    if (same.length === 1) {
+      linkParty(inputs, same[0].person);
+      return;
+    }
+    if (!matches.length) return;
+    const lang = I18n.getUiLanguage();
+    inputs.hint.appendChild(document.createTextNode(I18n.t('form.partyMatch.possible', lang)));
+    matches.forEach(({ person }) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-link btn-sm p-0 ms-2 align-baseline';
+      btn.dataset.personId = person.id;
+      btn.textContent = `${I18n.t('form.partyMatch.use', lang)}: ${[person.name, person.address].filter(Boolean).join(', ')}`;
+      inputs.hint.appendChild(btn);
+    });
+    inputs.hint.classList.remove('d-none');
+  }
+
+  function usePartyMatch(btn) {
+    const person = registryPersons.find((p) => p.id === btn.dataset.personId);
+    if (!person) return;
+    const inputs = partyInputs(btn);
+    inputs.name.value = person.name;
+    linkParty(inputs, person);
+  }
+
+  // Link every named party of the form to the registry before the report is
+  // generated: known persons get the latest details, new ones are added
+  async function registerParties() {
+    const nameInputs = [document.getElementById('complainantName')]
+      .concat(Array.from(document.querySelectorAll('#respondentContainer .respondent-name')));
+    try {
+      for (const nameInput of nameInputs) {
+        const inputs = partyInputs(nameInput);
+        const party = {
+          name: nameInput.value.trim(),
+          phone: inputs.phone.value.trim(),
+          email: inputs.email.value.trim(),
+          address: inputs.address.value.trim(),
+        };
+        if (!party.name) continue;
+        const known = registryPersons.find((p) => p.id === nameInput.dataset.personId)
+          || (PartyRegistry.findMatches(party, registryPersons)[0] || {}).person;
+        const person = await CaseDocket.savePerson(known ? PartyRegistry.mergeDetails(known, party) : PartyRegistry.newPerson(party));
+        registryPersons = registryPersons.filter((p) => p.id !== person.id).concat([person]);
+        nameInput.dataset.personId = person.id;
+      }
+    } catch (err) {
+      setDocketStatus('Could not update the party registry: ' + err.message, true);
+    }
+    loadPartyRegistry();
+  }
+
+  // Report data with the other docket cases of each party
+  async function withPartyHistory(data, recordId) {
+    try {
+      const records = (await CaseDocket.listCases()).filter((r) => r.id !== recordId);
+      return { ...data, partyHistory: PartyRegistry.history(data, records) };
+    } catch (err) {
+      return data;
+    }
+  }
+
+  // Log entries and report versions of the current case (audit-trail.js)
+  let caseAudit = [];
+  let caseVersions = [];
+  // Values longer than this are shortened in the change log
+  const LOG_VALUE_LENGTH = 80;
+  // Unchanged lines kept around each difference in the comparison
+  const DIFF_CONTEXT = 1;
+
+  function setHistoryStatus(message, isError) {
+    const status = document.getElementById('historyStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  async function loadCaseHistory() {
+    if (!currentRecord) {
+      caseAudit = [];
+      caseVersions = [];
+      renderCaseHistory();
+      return;
+    }
+    try {
+      const id = currentRecord.id;
+      const [audit, versions] = await Promise.all([CaseDocket.listAudit(id), CaseDocket.listVersions(id)]);
+      if (!currentRecord || currentRecord.id !== id) return;
+      caseAudit = audit;
+      caseVersions = versions;
+    } catch (err) {
+      setHistoryStatus('Could not load the case history: ' + err.message, true);
+    }
+    renderCaseHistory();
+  }
+
+  // Keep the report just generated as a new version of the case
+  async function saveReportVersion(record) {
+    const content = document.getElementById('reportContent');
+    try {
+      const versions = await CaseDocket.listVersions(record.id);
+      const version = await AuditTrail.createVersion({
+        record,
+        html: content.innerHTML,
+        text: content.innerText,
+        version: versions.length ? versions[versions.length - 1].version + 1 : 1,
+        actor: AuditTrail.getOfficer(),
+      });
+      await CaseDocket.addVersion(version);
+    } catch (err) {
+      setHistoryStatus(I18n.t('history.versionFailed', I18n.getUiLanguage(), { message: err.message }), true);
+    }
+  }
+
+  function shorten(text) {
+    return text.length > LOG_VALUE_LENGTH ? `${text.slice(0, LOG_VALUE_LENGTH - 1)}…` : text;
+  }
+
+  function renderChange(change, lang) {
+    const li = document.createElement('li');
+    const field = document.createElement('strong');
+    field.textContent = `${AuditTrail.fieldLabel(change.field, lang)}: `;
+    const blank = I18n.t('history.blank', lang);
+    const from = document.createElement('del');
+    from.className = 'text-danger';
+    from.textContent = shorten(change.from || blank);
+    from.title = change.from;
+    const to = document.createElement('ins');
+    to.className = 'text-success';
+    to.textContent = shorten(change.to || blank);
+    to.title = change.to;
+    li.append(field, from, ' → ', to);
+    return li;
+  }
+
+  function renderCaseHistory() {
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    document.getElementById('historyDiff').innerHTML = '';
+    const versionBody = document.getElementById('historyVersions');
+    versionBody.innerHTML = '';
+    caseVersions
+      .slice()
+      .reverse()
+      .forEach((version) => {
+        const tr = document.createElement('tr');
+        tr.dataset.version = version.version;
+        const hash = document.createElement('code');
+        hash.textContent = `${version.hash.slice(0, 16)}…`;
+        hash.title = version.hash;
+        const integrity = document.createElement('span');
+        integrity.className = 'badge bg-secondary';
+        integrity.textContent = t('history.checking');
+        AuditTrail.verify(version)
+          .then((intact) => {
+            integrity.className = `badge ${intact ? 'bg-success' : 'bg-danger'}`;
+            integrity.textContent = t(intact ? 'history.intact' : 'history.altered');
+          })
+          .catch(() => {
+            integrity.textContent = t('history.unchecked');
+          });
+        const actions = document.createElement('td');
+        actions.className = 'text-nowrap';
+        actions.innerHTML = `<button type="button" class="btn btn-sm btn-outline-primary" data-action="view">${t('history.view')}</button>`;
+        const cells = [`v${version.version}`, AuditTrail.formatTime(version.createdAt, lang), version.actor || t('history.noOfficer'), hash, integrity].map((content) => {
+          const td = document.createElement('td');
+          td.append(content);
+          return td;
+        });
+        tr.append(...cells, actions);
+        versionBody.appendChild(tr);
+      });
+    document.getElementById('historyNoVersions').classList.toggle('d-none', caseVersions.length > 0);
+
+    // Versions offered for comparison, with the case as it is now last
+    const options = caseVersions.map((v) => ({
+      value: String(v.version),
+      label: t('history.versionLabel', { version: v.version, date: AuditTrail.formatTime(v.createdAt, lang) }),
+    }));
+    options.push({ value: 'current', label: t('history.current') });
+    const latest = caseVersions.length ? String(caseVersions[caseVersions.length - 1].version) : 'current';
+    const previous = caseVersions.length > 1 ? String(caseVersions[caseVersions.length - 2].version) : latest;
+    [['historyCompareLeft', previous], ['historyCompareRight', caseVersions.length > 1 ? latest : 'current']].forEach(([id, fallback]) => {
+      const select = document.getElementById(id);
+      const chosen = select.value;
+      select.innerHTML = '';
+      options.forEach(({ value, label }) => select.add(new Option(label, value)));
+      select.value = options.some((o) => o.value === chosen) ? chosen : fallback;
+    });
+
+    const logBody = document.getElementById('historyLog');
+    logBody.innerHTML = '';
+    caseAudit
+      .slice()
+      .reverse()
+      .forEach((entry) => {
+        const tr = document.createElement('tr');
+        const changes = document.createElement('td');
+        if (entry.changes.length) {
+          const list = document.createElement('ul');
+          list.className = 'list-unstyled small mb-0';
+          entry.changes.slice(0, 3).forEach((c) => list.appendChild(renderChange(c, lang)));
+          changes.appendChild(list);
+          if (entry.changes.length > 3) {
+            const more = document.createElement('details');
+            more.className = 'small';
+            const summary = document.createElement('summary');
+            summary.textContent = t('history.more', { count: entry.changes.length - 3 });
+            const rest = document.createElement('ul');
+            rest.className = 'list-unstyled mb-0';
+            entry.changes.slice(3).forEach((c) => rest.appendChild(renderChange(c, lang)));
+            more.append(summary, rest);
+            changes.appendChild(more);
+          }
+        } else if (entry.hash) {
+          changes.innerHTML = `<code class="small" title="${entry.hash}">SHA-256 ${entry.hash.slice(0, 16)}…</code>`;
+        }
+        [AuditTrail.formatTime(entry.at, lang), entry.actor || t('history.noOfficer'), AuditTrail.describeAction(entry, lang)].forEach((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        tr.appendChild(changes);
+        logBody.appendChild(tr);
+      });
+    document.getElementById('historyEmpty').classList.toggle('d-none', caseAudit.length > 0);
+    document.getElementById('historyExportBtn').disabled = !caseAudit.length;
+  }
+
+  // Lines of one side of the comparison: a stored version, or the case and
+  // report as they are now
+  function comparisonLines(choice, mode, lang) {
+    const version = caseVersions.find((v) => String(v.version) === choice);
+    if (mode === 'report') {
+      return AuditTrail.reportLines(version ? version.text : document.getElementById('reportContent').innerText);
+    }
+    return AuditTrail.dataLines(version ? version.data : currentRecord, lang);
+  }
+
+  function compareVersions() {
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    const mode = document.getElementById('historyCompareMode').value;
+    const leftSelect = document.getElementById('historyCompareLeft');
+    const rightSelect = document.getElementById('historyCompareRight');
+    const container = document.getElementById('historyDiff');
+    container.innerHTML = '';
+    if (!currentRecord) return;
+    const rows = AuditTrail.diffLines(
+      comparisonLines(leftSelect.value, mode, lang),
+      comparisonLines(rightSelect.value, mode, lang),
+      mode === 'data' ? AuditTrail.lineField : undefined
+    );
+    if (rows.every((r) => r.type === 'same')) {
+      container.innerHTML = `<p class="small text-muted">${t('history.identical')}</p>`;
+      return;
+    }
+    // Unchanged lines away from any difference are folded into one row
+    const near = rows.map((row, i) => rows.slice(Math.max(0, i - DIFF_CONTEXT), i + DIFF_CONTEXT + 1).some((r) => r.type !== 'same'));
+    const table = document.createElement('table');
+    table.className = 'table table-sm table-bordered small';
+    table.style.tableLayout = 'fixed';
+    const head = table.createTHead().insertRow();
+    [leftSelect, rightSelect].forEach((select) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = select.selectedOptions[0].textContent;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    let folded = 0;
+    const flushFolded = () => {
+      if (!folded) return;
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 2;
+      cell.className = 'text-center text-muted';
+      cell.textContent = t('history.unchangedLines', { count: folded });
+      folded = 0;
+    };
+    rows.forEach((row, i) => {
+      if (!near[i]) {
+        folded += 1;
+        return;
+      }
+      flushFolded();
+      const tr = body.insertRow();
+      const classes = {
+        same: ['', ''],
+        changed: ['table-warning', 'table-warning'],
+        removed: ['table-danger', ''],
+        added: ['', 'table-success'],
+      }[row.type];
+      [row.left, row.right].forEach((text, side) => {
+        const td = tr.insertCell();
+        td.className = classes[side];
+        td.style.whiteSpace = 'pre-wrap';
+        td.style.overflowWrap = 'anywhere';
+        td.textContent = text === undefined ? '' : text;
+      });
+    });
+    flushFolded();
+    container.appendChild(table);
+  }
+
+  function viewVersion(number) {
+    const version = caseVersions.find((v) => v.version === number);
+    if (!version) return;
+    const win = window.open('', '_blank');
+    if (!win) {
+      setHistoryStatus(I18n.t('stats.popupBlocked', I18n.getUiLanguage()), true);
+      return;
+    }
+    win.document.write(AuditTrail.versionHTML(version, I18n.getUiLanguage()));
+    win.document.close();
+  }
+
+  function exportCaseLog() {
+    if (!currentRecord || !caseAudit.length) return;
+    const lang = I18n.getUiLanguage();
+    const name = (currentRecord.caseId || currentRecord.id).replace(/[^0-9A-Za-z-]+/g, '_');
+    downloadFile(AuditTrail.toCSV(caseAudit, lang), 'text/csv', `case-log-${name}.csv`);
+    setHistoryStatus(I18n.t('history.exported', lang));
+  }
+
+  // Whether the passphrase screen sets up encryption or unlocks the records
+  let lockMode = 'unlock';
+  // Closed cases past the retention period (privacy.js), with the docket
+  let expiredRecords = [];
+
+  function setLockError(message) {
+    document.getElementById('lockError').textContent = message || '';
+  }
+
+  function setRetentionStatus(message, isError) {
+    const status = document.getElementById('retentionStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  function setPassphraseStatus(message, isError) {
+    const status = document.getElementById('passphraseStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  // Texts of the passphrase screen for setting up or unlocking
+  function renderLockScreen() {
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    document.getElementById('lockTitle').textContent = t(`privacy.${lockMode}.title`);
+    document.getElementById('lockIntro').textContent = t(`privacy.${lockMode}.intro`, { min: Vault.MIN_PASSPHRASE_LENGTH });
+    document.getElementById('lockSubmitBtn').textContent = t(`privacy.${lockMode}.submit`);
+    document.getElementById('lockConfirmGroup').classList.toggle('d-none', lockMode !== 'setup');
+    document.getElementById('lockPassphrase').autocomplete = lockMode === 'setup' ? 'new-password' : 'current-password';
+  }
+
+  // Show the passphrase screen until the case records are unlocked
+  async function openCaseRecords() {
+    const supported = !!window.indexedDB && !!(window.crypto && window.crypto.subtle);
+    document.getElementById('lockSkipBtn').classList.toggle('d-none', supported);
+    try {
+      lockMode = (await CaseDocket.getVault()) ? 'unlock' : 'setup';
+    } catch (err) {
+      setLockError(err.message);
+    }
+    renderLockScreen();
+    if (!supported) setLockError(I18n.t('privacy.unsupported', I18n.getUiLanguage()));
+    document.getElementById('lockPassphrase').focus();
+  }
+
+  async function submitPassphrase() {
+    const lang = I18n.getUiLanguage();
+    const passphrase = document.getElementById('lockPassphrase').value;
+    if (lockMode === 'setup') {
+      const problem = Vault.checkPassphrase(passphrase, document.getElementById('lockConfirm').value);
+      if (problem) {
+        setLockError(I18n.t(problem, lang, { min: Vault.MIN_PASSPHRASE_LENGTH }));
+        return;
+      }
+    }
+    const button = document.getElementById('lockSubmitBtn');
+    button.disabled = true;
+    button.textContent = I18n.t('privacy.opening', lang);
+    try {
+      if (lockMode === 'setup') await CaseDocket.setUpEncryption(passphrase);
+      else await CaseDocket.unlock(passphrase);
+    } catch (err) {
+      setLockError(err.message);
+      button.disabled = false;
+      renderLockScreen();
+      return;
+    }
+    document.getElementById('lockForm').reset();
+    button.disabled = false;
+    setLockError('');
+    startSession();
+  }
+
+  // Load the unlocked case records, and lock them again after the time
+  // without activity of the privacy policy
+  async function startSession() {
+    document.getElementById('lockScreen').classList.add('d-none');
+    document.getElementById('lockBtn').classList.toggle('d-none', !Vault.isUnlocked());
+    if (Vault.isUnlocked()) Vault.startAutoLock(Privacy.policy().autoLockMinutes, lockCaseRecords);
+    loadPartyRegistry();
+    loadLuponRoster();
+    if (Vault.isUnlocked() && Privacy.policy().retentionAction === 'purge') {
+      try {
+        await purgeExpired(Privacy.expiredCases(await CaseDocket.listCases(), Privacy.policy(), KPTimeline.todayInManila()));
+      } catch (err) {
+        setRetentionStatus(I18n.t('privacy.retention.purgeFailed', I18n.getUiLanguage(), { message: err.message }), true);
+      }
+    }
+    refreshDocket();
+  }
+
+  // Forget the key and reload, so that no case data stays on the page
+  function lockCaseRecords() {
+    Vault.lock();
+    window.location.reload();
+  }
+
+  function renderPrivacyPolicy() {
+    const lang = I18n.getUiLanguage();
+    const t = (key, params) => I18n.t(key, lang, params);
+    const rules = Privacy.policy();
+    const parts = [t(Vault.isUnlocked() ? 'privacy.policy.encrypted' : 'privacy.policy.unencrypted')];
+    parts.push(rules.autoLockMinutes ? t('privacy.policy.autoLock', { minutes: rules.autoLockMinutes }) : t('privacy.policy.noAutoLock'));
+    parts.push(rules.retentionYears
+      ? t(`privacy.policy.${rules.retentionAction}`, { years: rules.retentionYears })
+      : t('privacy.policy.keepAll'));
+    document.getElementById('privacyPolicy').textContent = parts.join(' ');
+  }
+
+  // List the closed cases past the retention period
+  function renderRetention(records) {
+    const lang = I18n.getUiLanguage();
+    const rules = Privacy.policy();
+    expiredRecords = Privacy.expiredCases(records, rules, KPTimeline.todayInManila());
+    renderPrivacyPolicy();
+    const body = document.getElementById('retentionBody');
+    body.innerHTML = '';
+    expiredRecords.forEach((item) => {
+      const tr = body.insertRow();
+      [item.record.caseId || item.record.caseTitle, Settlement.formatDate(item.closedOn, lang), Settlement.formatDate(item.keepUntil, lang)].forEach((text) => {
+        tr.insertCell().textContent = text;
+      });
+    });
+    const any = expiredRecords.length > 0;
+    document.getElementById('retentionTable').classList.toggle('d-none', !any);
+    document.getElementById('retentionEmpty').classList.toggle('d-none', any);
+    document.getElementById('retentionPurgeBtn').classList.toggle('d-none', !any);
+  }
+
+  // Purge cases past retention with their report versions and log
+  async function purgeExpired(items) {
+    if (!items.length) return;
+    for (const { record } of items) {
+      await CaseDocket.purgeCase(record.id);
+      if (currentRecord && currentRecord.id === record.id) {
+        setCurrentRecord(null);
+        document.getElementById('reportSection').classList.add('d-none');
+      }
+    }
+    setRetentionStatus(I18n.t('privacy.retention.purged', I18n.getUiLanguage(), { count: items.length }));
+  }
+
+  async function purgeExpiredCases() {
+    const lang = I18n.getUiLanguage();
+    if (!expiredRecords.length) return;
+    if (!window.confirm(I18n.t('privacy.retention.confirm', lang, { count: expiredRecords.length }))) return;
+    try {
+      await purgeExpired(expiredRecords);
+    } catch (err) {
+      setRetentionStatus(I18n.t('privacy.retention.purgeFailed', lang, { message: err.message }), true);
+    }
+    refreshDocket();
+  }
+
+  async function changePassphrase() {
+    const lang = I18n.getUiLanguage();
+    const current = document.getElementById('passphraseCurrent').value;
+    const passphrase = document.getElementById('passphraseNew').value;
+    const problem = Vault.checkPassphrase(passphrase, document.getElementById('passphraseConfirm').value);
+    if (problem) {
+      setPassphraseStatus(I18n.t(problem, lang, { min: Vault.MIN_PASSPHRASE_LENGTH }), true);
+      return;
+    }
+    setPassphraseStatus(I18n.t('privacy.opening', lang));
+    try {
+      await CaseDocket.changePassphrase(current, passphrase);
+      document.getElementById('passphraseForm').reset();
+      setPassphraseStatus(I18n.t('privacy.change.done', lang));
+    } catch (err) {
+      setPassphraseStatus(I18n.t('privacy.change.failed', lang, { message: err.message }), true);
+    }
+  }
+
+  // Save the generated report data as a docket record and keep the report as
+  // a new version. The party history is worked out again each time a report
+  // is shown, so it is not stored.
+  async function saveToDocket(reportData) {
+    const { partyHistory, ...data } = reportData;
+    const record = {
+      ...data,
+      id: currentRecord ? currentRecord.id : undefined,
+      createdAt: currentRecord ? currentRecord.createdAt : undefined,
+    };
+    try {
+      const stored = await CaseDocket.saveCase(record);
+      await saveReportVersion(stored);
+      setCurrentRecord(stored);
+      setDocketStatus(`Case ${stored.caseId || stored.caseTitle} saved to the docket.`);
+      refreshDocket();
+    } catch (err) {
+      setDocketStatus('Could not save case: ' + err.message, true);
+    }
+  }
+
+  // Rebuild the docket table using the current search text and sort order
+  async function refreshDocket() {
+    const body = document.getElementById('docketBody');
+    if (!body) return;
+    let records;
+    try {
+      records = await CaseDocket.listCases();
+    } catch (err) {
+      setDocketStatus('Case docket unavailable: ' + err.message, true);
+      return;
+    }
+    renderDeadlineBanner(records);
+    renderHearingCalendar(records);
+    renderDashboard(records);
+    renderRetention(records);
+    const expired = new Set(expiredRecords.map((item) => item.record.id));
+    const repeat = PartyRegistry.repeatRespondents(records, KPTimeline.todayInManila());
+    const query = document.getElementById('docketSearch').value;
+    const rows = CaseDocket.sortCases(CaseDocket.filterCases(records, query), docketSort.key, docketSort.direction);
+    const lang = I18n.getUiLanguage();
+    const locale = I18n.locale(lang);
+    body.innerHTML = '';
+    rows.forEach((record) => {
+      const tr = document.createElement('tr');
+      const cells = [
+        record.caseId || '—',
+        (record.complainant && record.complainant.name) || '—',
+        (record.respondents || []).map((r) => r.name).filter(Boolean).join(', ') || '—',
+        (record.analysis && record.analysis.nature) || '—',
+        record.dateReceived ? new Date(record.dateReceived).toLocaleDateString(locale, { timeZone: 'Asia/Manila' }) : '—',
+        new Date(record.updatedAt).toLocaleString(locale, { timeZone: 'Asia/Manila' }),
+      ];
+      cells.forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      if (expired.has(record.id)) {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-secondary ms-1';
+        badge.textContent = I18n.t('privacy.retention.badge', lang);
+        tr.children[0].appendChild(badge);
+      }
+      if ((record.respondents || []).some((r) => repeat.has(r.personId))) {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-danger ms-1';
+        badge.textContent = I18n.t('docket.repeatRespondent', lang);
+        tr.children[2].appendChild(badge);
+      }
+      const actions = document.createElement('td');
+      actions.classList.add('text-nowrap');
+      actions.innerHTML = `
+        <button type="button" class="btn btn-sm btn-outline-primary" data-action="open">${I18n.t('docket.open', lang)}</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="export">${I18n.t('docket.export', lang)}</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete">${I18n.t('docket.delete', lang)}</button>
+      `;
+      actions.querySelectorAll('button').forEach((btn) => {
+        btn.dataset.id = record.id;
+      });
+      tr.appendChild(actions);
+      body.appendChild(tr);
+    });
+    document.getElementById('docketEmpty').classList.toggle('d-none', rows.length > 0);
+    document.querySelectorAll('#docketTable th[data-sort]').forEach((th) => {
+      const active = th.dataset.sort === docketSort.key;
+      th.setAttribute('aria-sort', active ? (docketSort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+      th.querySelector('.sort-indicator').textContent = active ? (docketSort.direction === 'asc' ? '▲' : '▼') : '';
+    });
+  }
+
+  // Show overdue and upcoming KP deadlines for every case in the docket
+  function renderDeadlineBanner(records) {
+    const banner = document.getElementById('deadlineBanner');
+    if (!banner) return;
+    const items = [];
+    records
+      .filter((record) => !(record.referral || []).length)
+      .forEach((record) => {
+        KPTimeline.pendingAlerts(record).forEach((d) => items.push({ record, deadline: d }));
+      });
+    // Prescription runs whether or not the case was referred
+    records.forEach((record) => {
+      const alert = Prescription.pendingAlert(record);
+      if (alert) items.push({ record, deadline: alert });
+    });
+    banner.innerHTML = '';
+    if (!items.length) {
+      banner.classList.add('d-none');
+      return;
+    }
+    const anyOverdue = items.some((i) => i.deadline.state === 'overdue');
+    banner.classList.toggle('alert-danger', anyOverdue);
+    banner.classList.toggle('alert-warning', !anyOverdue);
+    const lang = I18n.getUiLanguage();
+    const heading = document.createElement('strong');
+    heading.textContent = I18n.t('docket.deadlines', lang);
+    banner.appendChild(heading);
+    const list = document.createElement('ul');
+    list.classList.add('mb-0');
+    items
+      .sort((a, b) => a.deadline.daysLeft - b.deadline.daysLeft)
+      .forEach(({ record, deadline }) => {
+        const li = document.createElement('li');
+        li.appendChild(document.createTextNode(
+          `${record.caseId || record.caseTitle}: ${KPTimeline.deadlineLabel(deadline, lang)} – ${KPTimeline.describeDaysLeft(deadline, lang)} `
+        ));
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-link btn-sm p-0 align-baseline';
+        btn.dataset.action = 'open';
+        btn.dataset.id = record.id;
+        btn.textContent = I18n.t('docket.openCase', lang);
+        li.appendChild(btn);
+        list.appendChild(li);
+      });
+    banner.appendChild(list);
+    banner.classList.remove('d-none');
+  }
+
+  // Load a stored case into the form and show its report
+  async function openCase(id) {
+    try {
+      await knowledgeBaseReady;
+      const record = await CaseDocket.getCase(id);
+      if (!record) {
+        setDocketStatus('That case no longer exists in the docket.', true);
+        refreshDocket();
+        return;
+      }
+      populateForm(record);
+      setCurrentRecord(record);
+      renderReport(await withPartyHistory(record, record.id));
+      renderClassificationPanel(normalizeClassification(record));
+      document.getElementById('reportSection').classList.remove('d-none');
+      document.getElementById('caseForm').scrollIntoView({ behavior: 'smooth' });
+    } catch (err) {
+      setDocketStatus('Could not open case: ' + err.message, true);
+    }
+  }
+
+  async function deleteCase(id) {
+    if (!window.confirm('Delete this case from the docket? This cannot be undone.')) return;
+    try {
+      await CaseDocket.deleteCase(id);
+      if (currentRecord && currentRecord.id === id) setCurrentRecord(null);
+      setDocketStatus('Case deleted.');
+      refreshDocket();
+    } catch (err) {
+      setDocketStatus('Could not delete case: ' + err.message, true);
+    }
+  }
+
+  // Save text generated in the browser as a file
+  function downloadFile(content, type, name) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Docket export and import (formats in case-transfer.js)
+  async function exportDocket(format) {
+    const lang = I18n.getUiLanguage();
+    try {
+      const records = CaseDocket.sortCases(await CaseDocket.listCases(), 'caseId', 'asc');
+      const name = `barangay-docket-${KPTimeline.todayInManila()}.${format}`;
+      if (format === 'csv') downloadFile(CaseTransfer.toCSV(records), 'text/csv', name);
+      else downloadFile(CaseTransfer.toJSON(records), 'application/json', name);
+      setDocketStatus(I18n.t('docket.exported', lang, { count: records.length }));
+    } catch (err) {
+      setDocketStatus(I18n.t('docket.exportFailed', lang, { message: err.message }), true);
+    }
+  }
+
+  async function exportCase(id) {
+    try {
+      const record = await CaseDocket.getCase(id);
+      if (!record) return;
+      const name = (record.caseId || record.id).replace(/[^0-9A-Za-z-]+/g, '_');
+      downloadFile(CaseTransfer.toJSON([record]), 'application/json', `case-${name}.json`);
+    } catch (err) {
+      setDocketStatus(I18n.t('docket.exportFailed', I18n.getUiLanguage(), { message: err.message }), true);
+    }
+  }
+
+  // Keep the case of an imported record but not its report: the analysis,
+  // mediation plan, questions and penalty computations are generated again
+  // with the active legal pack, keeping the categories given in the file.
+  // A shared file could otherwise carry texts of its own into the report.
+  function completeImportedRecord(record) {
+    const {
+      classification: given,
+      analysis,
+      mediation,
+      questions,
+      referral,
+      penaltyComputations,
+      legalPack,
+      ...rest
+    } = record;
+    const formData = { respondents: [], penalty: {}, kp: {}, language: I18n.DEFAULT_LANGUAGE, ...rest };
+    let classification = classifyCase(formData.incident.summary);
+    const wanted = ((given && given.selected) || []).filter((category) => LEGAL_DATA[category]);
+    if (wanted.length) classification = { ...classification, selected: wanted, overridden: true };
+    return buildReportData(formData, classification);
+  }
+
+  // List the rows of an import file that were rejected
+  function renderImportErrors(errors, format) {
+    const box = document.getElementById('docketImportErrors');
+    box.innerHTML = '';
+    box.classList.toggle('d-none', !errors.length);
+    if (!errors.length) return;
+    const lang = I18n.getUiLanguage();
+    const heading = document.createElement('strong');
+    heading.textContent = I18n.t('docket.importErrors', lang, { count: errors.length });
+    box.appendChild(heading);
+    const list = document.createElement('ul');
+    list.classList.add('mb-0');
+    errors.forEach((error) => {
+      const li = document.createElement('li');
+      const where = I18n.t(format === 'csv' ? 'docket.importRow' : 'docket.importCase', lang, { row: error.row });
+      li.textContent = `${where}${error.caseId ? ` (${error.caseId})` : ''}: ${error.messages.join(' ')}`;
+      list.appendChild(li);
+    });
+    box.appendChild(list);
+  }
+
+  // Import cases from a JSON or CSV file. Cases whose case ID (or docket
+  // key, for backups) is already in the docket are replaced only if the
+  // officer agrees; rejected rows are listed with their errors.
+  async function importCases(file) {
+    if (!file) return;
+    const lang = I18n.getUiLanguage();
+    renderImportErrors([]);
+    try {
+      await knowledgeBaseReady;
+      const result = CaseTransfer.parse(await file.text(), file.name);
+      const existing = await CaseDocket.listCases();
+      const byCaseId = new Map(existing.filter((r) => CaseTransfer.caseKey(r)).map((r) => [CaseTransfer.caseKey(r), r]));
+      const byId = new Map(existing.map((r) => [r.id, r]));
+      const findMatch = (record) => byCaseId.get(CaseTransfer.caseKey(record)) || byId.get(record.id);
+      const duplicates = result.records.filter(({ record }) => findMatch(record));
+      const replace = duplicates.length > 0 && window.confirm(I18n.t('docket.confirmReplace', lang, {
+        count: duplicates.length,
+        ids: duplicates.map(({ record }) => record.caseId || record.caseTitle).join(', '),
+      }));
+      const counts = { added: 0, replaced: 0, skipped: 0 };
+      for (const { record } of result.records) {
+        const match = findMatch(record);
+        if (match && !replace) {
+          counts.skipped += 1;
+          continue;
+        }
+        const complete = completeImportedRecord(record);
+        await CaseDocket.saveCase({
+          ...complete,
+          id: match ? match.id : undefined,
+          createdAt: match ? match.createdAt : record.createdAt,
+        }, { action: 'imported' });
+        counts[match ? 'replaced' : 'added'] += 1;
+      }
+      setDocketStatus(I18n.t('docket.imported', lang, counts), result.errors.length > 0);
+      renderImportErrors(result.errors, result.format);
+      refreshDocket();
+    } catch (err) {
+      setDocketStatus(I18n.t('docket.importFailed', lang, { message: err.message }), true);
+    }
+  }
+
+  // Classification of a stored record; records saved before the scored
+  // classifier kept a single category string
+  function normalizeClassification(record) {
+    const classification = record.classification;
+    if (classification && typeof classification === 'object') return classification;
+    const scored = classifyCase((record.incident && record.incident.summary) || '');
+    if (typeof classification === 'string') {
+      return { ...scored, selected: [classification], overridden: true };
+    }
+    return scored;
+  }
+
+  // Build the full report data from the form contents and the categories
+  // chosen for the case
+  function buildReportData(formData, classification) {
+    const categories = selectedCategories(classification);
+    const lang = formData.language || I18n.DEFAULT_LANGUAGE;
+    const { location, dateTime } = formData.incident;
+    const analysis = mergeAnalysis(categories, lang);
+    const mediation = generateMediationStrategy(categories, lang);
+    const questions = {
+      complainant: generateQuestions(categories, 'complainant', location, dateTime, lang),
+      respondent: generateQuestions(categories, 'respondent', location, dateTime, lang),
+    };
+    const pack = LegalKnowledgeBase.getInfo();
+    return {
+      ...formData,
+      classification,
+      analysis,
+      mediation,
+      questions,
+      referral: referralsFor(categories, lang),
+      penaltyComputations: PenaltyCalculator.computeAll(categories, formData.incident.propertyValue, formData.incident.summary),
+      legalPack: { id: pack.id, name: pack.name, version: pack.version, updated: pack.updated },
+    };
+  }
+
+  // Render, save and scroll to a report. The version kept in the case
+  // history is the full report, so a new report is never shown redacted.
+  function showReport(reportData) {
+    document.getElementById('redactReport').checked = false;
+    renderReport(reportData);
+    renderClassificationPanel(reportData.classification);
+    saveToDocket(reportData);
+    // Show report section
+    document.getElementById('reportSection').classList.remove('d-none');
+    // Scroll to report
+    document.getElementById('reportSection').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Main handler to generate report
+  async function generateReport() {
+    if (!validateForm()) return;
+    await knowledgeBaseReady;
+    if (!Object.keys(LEGAL_DATA).length) {
+      window.alert(I18n.t('kb.unavailable', I18n.getUiLanguage()));
+      return;
+    }
+    await registerParties();
+    const formData = gatherData();
+    let classification = classifyCase(formData.incident.summary);
+    // Keep the officer's override as long as the summary has not changed
+    const previous = currentRecord && currentRecord.classification;
+    if (previous && previous.overridden && currentRecord.incident.summary === formData.incident.summary) {
+      classification = { ...classification, selected: selectedCategories(previous), overridden: true };
+    }
+    showReport(await withPartyHistory(buildReportData(formData, classification), currentRecord && currentRecord.id));
+  }
+
+  // Show every category with its confidence and triggering phrases so the
+  // officer can confirm or override the classification
+  function renderClassificationPanel(classification) {
+    const lang = I18n.getUiLanguage();
+    const list = document.getElementById('classificationList');
+    list.innerHTML = '';
+    const selected = selectedCategories(classification);
+    const ranked = (classification && classification.ranked) || [];
+    const rows = ranked.concat(
+      Object.keys(LEGAL_DATA)
+        .filter((category) => !ranked.some((r) => r.category === category))
+        .map((category) => ({ category, score: 0, confidence: 0, triggers: [], negated: [], imputed: [] }))
+    );
+    rows.forEach((row) => {
+      const entry = LEGAL_DATA[row.category];
+      if (!entry) return;
+      const div = document.createElement('div');
+      div.className = 'form-check mb-2';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.className = 'form-check-input';
+      input.id = `classify-${row.category}`;
+      input.value = row.category;
+      input.checked = selected.includes(row.category);
+      const label = document.createElement('label');
+      label.className = 'form-check-label';
+      label.htmlFor = input.id;
+      const pct = Math.round(row.confidence * 100);
+      const nature = document.createElement('strong');
+      nature.textContent = categoryText(row.category, lang).nature;
+      const badge = document.createElement('span');
+      badge.className = `badge ${pct >= 50 ? 'bg-primary' : 'bg-secondary'}`;
+      badge.textContent = `${pct}%`;
+      label.appendChild(nature);
+      label.appendChild(document.createTextNode(' '));
+      label.appendChild(badge);
+      div.appendChild(input);
+      div.appendChild(label);
+      const details = document.createElement('div');
+      details.className = 'small text-muted';
+      if (row.triggers.length) {
+        details.textContent = `${I18n.t('classification.triggeredBy', lang)} ` + row.triggers.map((t) => `“${t.phrase}”${t.count > 1 ? ` ×${t.count}` : ''}`).join(', ');
+      }
+      if (row.negated.length) {
+        const neg = document.createElement('div');
+        neg.textContent = `${I18n.t('classification.negated', lang)} ` + row.negated.map((p) => `“${p}”`).join(', ');
+        details.appendChild(neg);
+      }
+      // Reports saved before imputations were told apart have none
+      if ((row.imputed || []).length) {
+        const imputed = document.createElement('div');
+        imputed.textContent = `${I18n.t('classification.imputed', lang)} ` + row.imputed.map((i) => `“${i.phrase}”`).join(', ');
+        details.appendChild(imputed);
+      }
+      div.appendChild(details);
+      list.appendChild(div);
+    });
+    const note = document.getElementById('classificationNote');
+    note.textContent = classification && classification.overridden
+      ? I18n.t('classification.officer', lang)
+      : I18n.t('classification.auto', lang);
+  }
+
+  // Re-render the current report with the categories ticked by the officer
+  function applyClassification() {
+    if (!lastReportData) return;
+    const ticked = Array.from(document.querySelectorAll('#classificationList input:checked')).map((el) => el.value);
+    if (!ticked.length) {
+      document.getElementById('classificationNote').textContent = I18n.t('classification.selectOne', I18n.getUiLanguage());
+      return;
+    }
+    const { classification, analysis, mediation, questions, ...formData } = lastReportData;
+    const updated = { ...classification, selected: ticked, overridden: true };
+    showReport(buildReportData(formData, updated));
+  }
+
+  // Legal knowledge base admin: edit categories of the active pack, and
+  // export, import or reset the pack
+  function setKnowledgeBaseStatus(message, isError) {
+    const status = document.getElementById('kbStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    status.classList.toggle('text-danger', !!isError);
+  }
+
+  function renderKnowledgeBase(selectedKey) {
+    // Nothing to show if the knowledge base failed to load
+    if (!Object.keys(LEGAL_DATA).length) return;
+    const lang = I18n.getUiLanguage();
+    const info = LegalKnowledgeBase.getInfo();
+    document.getElementById('kbInfo').textContent = `${I18n.t('kb.info', lang, info)} ${I18n.t(`kb.source.${info.source}`, lang, info)}`;
+    const select = document.getElementById('kbCategory');
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = I18n.t('kb.choose', lang);
+    select.appendChild(placeholder);
+    Object.keys(LEGAL_DATA).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${categoryText(key, lang).nature} (${key})`;
+      select.appendChild(option);
+    });
+    select.value = LEGAL_DATA[selectedKey] ? selectedKey : '';
+    editCategory(select.value || null);
+  }
+
+  // Show the editor for a category; key '' starts a new one and null hides it
+  function editCategory(key) {
+    const editor = document.getElementById('kbEditor');
+    const show = key !== null;
+    editor.classList.toggle('d-none', !show);
+    document.getElementById('kbSaveBtn').classList.toggle('d-none', !show);
+    document.getElementById('kbDeleteBtn').classList.toggle('d-none', !key || key === LegalKnowledgeBase.FALLBACK_CATEGORY);
+    if (!show) {
+      editor.innerHTML = '';
+      return;
+    }
+    const blank = { reviewed: KPTimeline.todayInManila(), violations: [], counters: [], jurisprudence: [] };
+    LegalEditor.renderCategory(editor, key, key ? LEGAL_DATA[key] : blank);
+  }
+
+  // Use a new version of the pack everywhere
+  function applyPack(pack, selectedKey) {
+    LEGAL_DATA = pack.categories;
+    renderKnowledgeBase(selectedKey);
+  }
+
+  function saveKnowledgeBaseCategory() {
+    const lang = I18n.getUiLanguage();
+    try {
+      const { key, previousKey, entry } = LegalEditor.readCategory(document.getElementById('kbEditor'));
+      const pack = LegalKnowledgeBase.saveCategory(key, entry, previousKey);
+      applyPack(pack, key);
+      setKnowledgeBaseStatus(I18n.t('kb.saved', lang, { version: pack.version }));
+    } catch (err) {
+      setKnowledgeBaseStatus(err.message, true);
+    }
+  }
+
+  function deleteKnowledgeBaseCategory() {
+    const lang = I18n.getUiLanguage();
+    const key = document.getElementById('kbCategory').value;
+    if (!key || !window.confirm(I18n.t('kb.confirmDelete', lang, { nature: categoryText(key, lang).nature }))) return;
+    try {
+      const pack = LegalKnowledgeBase.deleteCategory(key);
+      applyPack(pack);
+      setKnowledgeBaseStatus(I18n.t('kb.deleted', lang, { version: pack.version }));
+    } catch (err) {
+      setKnowledgeBaseStatus(err.message, true);
+    }
+  }
+
+  function exportKnowledgeBase() {
+    const info = LegalKnowledgeBase.getInfo();
+    downloadFile(LegalKnowledgeBase.exportPack(), 'application/json', `${info.id}-${info.version}.json`);
+  }
+
+  async function importKnowledgeBase(file) {
+    const lang = I18n.getUiLanguage();
+    if (!file || !window.confirm(I18n.t('kb.confirmImport', lang))) return;
+    try {
+      const pack = LegalKnowledgeBase.importPack(await file.text());
+      applyPack(pack);
+      setKnowledgeBaseStatus(I18n.t('kb.imported', lang, pack));
+    } catch (err) {
+      setKnowledgeBaseStatus(err.message, true);
+    }
+  }
+
+  function resetKnowledgeBase() {
+    const lang = I18n.getUiLanguage();
+    if (!window.confirm(I18n.t('kb.confirmReset', lang))) return;
+    try {
+      const pack = LegalKnowledgeBase.resetToBundled();
+      applyPack(pack);
+      setKnowledgeBaseStatus(I18n.t('kb.resetDone', lang, pack));
+    } catch (err) {
+      setKnowledgeBaseStatus(err.message, true);
+    }
+  }
+
+  // Event listeners
+  document.getElementById('addRespondentBtn').addEventListener('click', () => {
+    addRespondent();
+  });
+  document.getElementById('respondentContainer').addEventListener('click', (e) => {
+    if (e.target.classList.contains('remove-respondent')) {
+      removeRespondent(e.target);
+      renderPangkat();
+    }
+  });
+  // Party registry suggestions for the complainant and respondent names
+  document.getElementById('caseForm').addEventListener('input', (e) => {
+    if (e.target.matches('#complainantName, .respondent-name')) resetPartyMatch(e.target);
+  });
+  document.getElementById('caseForm').addEventListener('change', (e) => {
+    if (e.target.matches('#complainantName, .respondent-name')) {
+      if (e.target.value.trim()) checkPartyName(e.target);
+      refreshHearingParties();
+    }
+    // Conflict-of-interest warnings follow the names and addresses of the parties
+    if (e.target.matches('#complainantName, .respondent-name, #complainantAddress, .respondent-address')) renderPangkat();
+    if (e.target.id === 'kpDate-repudiated') checkRepudiation();
+    if (e.target.matches('#incidentSummary, #incidentLocation, #incidentDateTime, #dateReceived, #complainantPhone, #complainantEmail, .respondent-name, .respondent-phone, .respondent-email')) {
+      revalidateField(e.target);
+    }
+    // The terms name the parties and the deadlines run from the settlement date
+    if (e.target.matches('#complainantName, .respondent-name, #kpStatus, .kp-date')) renderSettlement();
+  });
+  // Hearing schedule of the case and the calendar of the docket
+  document.getElementById('hearingSaveBtn').addEventListener('click', saveHearing);
+  document.getElementById('hearingCancelBtn').addEventListener('click', () => {
+    setHearingStatus('');
+    resetHearingEditor();
+  });
+  document.getElementById('hearingList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const { id } = btn.closest('tr').dataset;
+    if (btn.dataset.action === 'ics') exportHearing(id);
+    if (btn.dataset.action === 'edit') editHearing(id);
+    if (btn.dataset.action === 'remove') setHearings(Hearings.remove(caseHearings, id));
+  });
+  document.getElementById('hearingList').addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'outcome') return;
+    setHearings(Hearings.setOutcome(caseHearings, e.target.closest('tr').dataset.id, e.target.value));
+  });
+  document.getElementById('hearingType').addEventListener('change', (e) => {
+    const members = document.getElementById('hearingMembers');
+    if (e.target.value === 'conciliation' && !members.value.trim()) members.value = Lupon.memberNames(casePangkat).join(', ');
+  });
+  // Pangkat of the case and the Lupon roster
+  document.getElementById('pangkatChoices').addEventListener('change', (e) => {
+    const box = e.target.closest('[data-side]');
+    if (!box) return;
+    const ids = Array.from(box.querySelectorAll('input:checked')).map((el) => el.value);
+    setPangkatStatus('');
+    setPangkat({ ...casePangkat, choices: { ...casePangkat.choices, [box.dataset.side]: ids } });
+  });
+  document.getElementById('pangkatConstituteBtn').addEventListener('click', constitutePangkat);
+  document.getElementById('pangkatResetBtn').addEventListener('click', () => {
+    if (!window.confirm(I18n.t('pangkat.resetConfirm', I18n.getUiLanguage()))) return;
+    setPangkatStatus('');
+    setPangkat({ choices: casePangkat.choices });
+  });
+  document.getElementById('pangkatMembers').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="replace"]');
+    if (btn) replacePangkatMember(btn.closest('tr').dataset.id);
+  });
+  document.getElementById('pangkatMembers').addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'role') return;
+    setPangkat(Lupon.setRole(casePangkat, e.target.closest('tr').dataset.id, e.target.value));
+  });
+  // Terms of the amicable settlement and their compliance
+  document.getElementById('settlementType').addEventListener('change', showSettlementFields);
+  document.getElementById('settlementSaveBtn').addEventListener('click', saveSettlementTerm);
+  document.getElementById('settlementCancelBtn').addEventListener('click', () => {
+    setSettlementStatus('');
+    resetSettlementEditor();
+  });
+  document.getElementById('settlementTerms').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const tr = btn.closest('tr');
+    setSettlementStatus('');
+    if (btn.dataset.action === 'edit') editSettlementTerm(tr.dataset.id);
+    if (btn.dataset.action === 'remove') {
+      if (!window.confirm(I18n.t('settlement.removeConfirm', I18n.getUiLanguage()))) return;
+      setSettlement(Settlement.remove(caseSettlement, tr.dataset.id));
+    }
+    if (btn.dataset.action === 'breach') recordBreach(tr);
+    if (btn.dataset.action === 'unbreach') setSettlement(Settlement.removeBreach(caseSettlement, tr.dataset.id, Number(btn.dataset.index)));
+  });
+  document.getElementById('settlementTerms').addEventListener('change', (e) => {
+    const { action } = e.target.dataset;
+    const { id } = e.target.closest('tr').dataset;
+    if (action === 'paid') setSettlement(Settlement.setPaid(caseSettlement, id, e.target.dataset.installment, e.target.value));
+    if (action === 'done') setSettlement(Settlement.setDone(caseSettlement, id, e.target.value));
+  });
+  document.getElementById('settlementMotionFiled').addEventListener('change', (e) => {
+    setSettlement({ ...caseSettlement, motionFiled: e.target.value });
+  });
+  document.getElementById('luponSaveBtn').addEventListener('click', saveLuponMember);
+  document.getElementById('luponCancelBtn').addEventListener('click', () => {
+    setLuponStatus('');
+    resetLuponEditor();
+  });
+  document.getElementById('luponList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const { id } = btn.closest('tr').dataset;
+    if (btn.dataset.action === 'edit') editLuponMember(id);
+    if (btn.dataset.action === 'remove') removeLuponMember(id);
+  });
+  document.getElementById('calendarPrevBtn').addEventListener('click', () => showCalendarMonth(-1));
+  document.getElementById('calendarTodayBtn').addEventListener('click', () => showCalendarMonth(0));
+  document.getElementById('calendarNextBtn').addEventListener('click', () => showCalendarMonth(1));
+  document.getElementById('calendarExportBtn').addEventListener('click', exportCalendar);
+  document.getElementById('dashboardPeriod').addEventListener('change', (e) => {
+    setDashboardPeriod(e.target.value);
+    renderDashboard();
+  });
+  ['dashboardFrom', 'dashboardTo'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', () => {
+      document.getElementById('dashboardPeriod').value = 'custom';
+      renderDashboard();
+    });
+  });
+  document.getElementById('dashboardPrintBtn').addEventListener('click', printDashboard);
+  document.getElementById('dashboardExportBtn').addEventListener('click', exportDashboard);
+  document.getElementById('calendarBody').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="open"]');
+    if (btn) openCase(btn.dataset.id);
+  });
+  document.getElementById('caseForm').addEventListener('click', (e) => {
+    const btn = e.target.closest('.party-match button[data-person-id]');
+    if (btn) usePartyMatch(btn);
+  });
+  // Each listed error moves to its field
+  document.getElementById('formErrorList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-field]');
+    const input = btn && validationInput(btn.dataset.field);
+    if (input) input.focus();
+  });
+  document.getElementById('generateBtn').addEventListener('click', generateReport);
+  document.getElementById('applyClassificationBtn').addEventListener('click', applyClassification);
+  document.getElementById('downloadPdfBtn').addEventListener('click', downloadReportAsPDF);
+  document.getElementById('downloadWordBtn').addEventListener('click', downloadReportAsWord);
+  document.getElementById('printBtn').addEventListener('click', printReport);
+  initFormSelect();
+  document.getElementById('prepareFormBtn').addEventListener('click', prepareForm);
+  document.getElementById('kpFormSelect').addEventListener('change', resetFormPreview);
+  document.getElementById('downloadFormPdfBtn').addEventListener('click', () => {
+    KPForms.downloadPDF(document.getElementById('kpFormPreview'));
+  });
+  document.getElementById('printFormBtn').addEventListener('click', () => {
+    KPForms.print(document.getElementById('kpFormPreview'));
+  });
+  // Clear form hides report and starts a new case
+  document.getElementById('clearBtn').addEventListener('click', () => {
+    document.getElementById('reportSection').classList.add('d-none');
+    clearValidation();
+    setRespondents([]);
+    resetPartyMatch(document.getElementById('complainantName'));
+    setCurrentRecord(null);
+    caseHearings = [];
+    setHearingStatus('');
+    resetHearingEditor();
+    renderHearings();
+    // The party names are only cleared after this handler
+    document.getElementById('hearingParties').innerHTML = '';
+    casePangkat = Lupon.emptyPangkat();
+    setPangkatStatus('');
+    renderPangkat({});
+    caseSettlement = Settlement.emptySettlement();
+    document.getElementById('kpStatus').classList.remove('is-invalid');
+    setSettlementStatus('');
+    resetSettlementEditor();
+    renderSettlement({});
+    caseCitations = [];
+    caseSearchHistory = [];
+    setCitationsStatus('');
+    renderCitations();
+    renderSearchHistory();
+  });
+  document.getElementById('docketSearch').addEventListener('input', refreshDocket);
+  document.querySelectorAll('#docketTable th[data-sort]').forEach((th) => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      if (docketSort.key === key) {
+        docketSort.direction = docketSort.direction === 'asc' ? 'desc' : 'asc';
+      } else {
+        docketSort.key = key;
+        docketSort.direction = 'asc';
+      }
+      refreshDocket();
+    });
+  });
+  document.getElementById('docketBody').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    if (btn.dataset.action === 'open') openCase(btn.dataset.id);
+    if (btn.dataset.action === 'export') exportCase(btn.dataset.id);
+    if (btn.dataset.action === 'delete') deleteCase(btn.dataset.id);
+  });
+  document.getElementById('docketExportJsonBtn').addEventListener('click', () => exportDocket('json'));
+  document.getElementById('docketExportCsvBtn').addEventListener('click', () => exportDocket('csv'));
+  document.getElementById('docketImportBtn').addEventListener('click', () => document.getElementById('docketImportFile').click());
+  document.getElementById('docketImportFile').addEventListener('change', (e) => {
+    importCases(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('deadlineBanner').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="open"]');
+    if (btn) openCase(btn.dataset.id);
+  });
+  // Citations attached from the legal research section (research.js)
+  document.addEventListener('citation-attach', (e) => attachCitation(e.detail));
+  document.addEventListener('legal-search', (e) => addSearchHistory(e.detail));
+  document.getElementById('searchHistoryList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-index]');
+    if (btn) runSavedSearch(caseSearchHistory[Number(btn.dataset.index)]);
+  });
+  document.getElementById('searchHistoryClearBtn').addEventListener('click', () => {
+    caseSearchHistory = [];
+    renderSearchHistory();
+    saveCaseResearch();
+  });
+  document.getElementById('citationsList').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const { key } = btn.closest('li').dataset;
+    setCitationsStatus('');
+    if (btn.dataset.action === 'up') setCitations(Citations.move(caseCitations, key, -1));
+    if (btn.dataset.action === 'down') setCitations(Citations.move(caseCitations, key, 1));
+    if (btn.dataset.action === 'remove') setCitations(Citations.remove(caseCitations, key));
+  });
+  document.getElementById('citationsList').addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'note') return;
+    setCitations(Citations.setNote(caseCitations, e.target.closest('li').dataset.key, e.target.value), false);
+  });
+  // Moving a case to a new stage records today's date for that stage
+  document.getElementById('kpStatus').addEventListener('change', (e) => {
+    if (!checkRepudiation()) return;
+    const input = document.getElementById(`kpDate-${e.target.value}`);
+    if (input && !input.value) input.value = KPTimeline.todayInManila();
+  });
+  // Interface language; reports keep the language chosen when generated
+  document.getElementById('officerName').addEventListener('change', (e) => {
+    AuditTrail.setOfficer(e.target.value);
+    e.target.value = AuditTrail.getOfficer();
+  });
+  document.getElementById('historyVersions').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="view"]');
+    if (btn) viewVersion(Number(btn.closest('tr').dataset.version));
+  });
+  document.getElementById('historyCompareBtn').addEventListener('click', compareVersions);
+  document.getElementById('historyExportBtn').addEventListener('click', exportCaseLog);
+  document.getElementById('lockForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitPassphrase();
+  });
+  document.getElementById('lockSkipBtn').addEventListener('click', startSession);
+  document.getElementById('lockBtn').addEventListener('click', lockCaseRecords);
+  document.getElementById('retentionPurgeBtn').addEventListener('click', purgeExpiredCases);
+  document.getElementById('passphraseForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    changePassphrase();
+  });
+  document.getElementById('redactReport').addEventListener('change', () => {
+    if (lastReportData) renderReport(lastReportData);
+  });
+  document.getElementById('uiLanguage').addEventListener('change', (e) => {
+    I18n.setUiLanguage(e.target.value);
+    setCurrentRecord(currentRecord);
+    if (lastReportData) renderClassificationPanel(lastReportData.classification);
+    renderHearings();
+    const editingHearing = document.getElementById('hearingId').value;
+    document.getElementById('hearingSaveBtn').textContent = I18n.t(editingHearing ? 'hearings.save' : 'hearings.add', I18n.getUiLanguage());
+    renderPangkat();
+    renderSettlement();
+    const editingTerm = document.getElementById('settlementTermId').value;
+    document.getElementById('settlementSaveBtn').textContent = I18n.t(editingTerm ? 'settlement.save' : 'settlement.add', I18n.getUiLanguage());
+    renderLuponRoster();
+    const editingMember = document.getElementById('luponMemberId').value;
+    document.getElementById('luponSaveBtn').textContent = I18n.t(editingMember ? 'lupon.save' : 'lupon.add', I18n.getUiLanguage());
+    renderCitations();
+    renderSearchHistory();
+    knowledgeBaseReady.then(() => renderKnowledgeBase(document.getElementById('kbCategory').value));
+    if (!document.getElementById('lockScreen').classList.contains('d-none')) renderLockScreen();
+    renderPrivacyPolicy();
+    if (!document.getElementById('formErrors').classList.contains('d-none')) validateForm({ focus: false });
+    refreshDocket();
+  });
+  document.getElementById('kbCategory').addEventListener('change', (e) => {
+    setKnowledgeBaseStatus('');
+    editCategory(e.target.value || null);
+  });
+  document.getElementById('kbNewBtn').addEventListener('click', () => {
+    document.getElementById('kbCategory').value = '';
+    setKnowledgeBaseStatus('');
+    editCategory('');
+  });
+  document.getElementById('kbSaveBtn').addEventListener('click', saveKnowledgeBaseCategory);
+  document.getElementById('kbDeleteBtn').addEventListener('click', deleteKnowledgeBaseCategory);
+  document.getElementById('kbExportBtn').addEventListener('click', exportKnowledgeBase);
+  document.getElementById('kbImportBtn').addEventListener('click', () => document.getElementById('kbImportFile').click());
+  document.getElementById('kbImportFile').addEventListener('change', (e) => {
+    importKnowledgeBase(e.target.files[0]);
+    e.target.value = '';
   });
-})();
\ No newline at end of file
+  document.getElementById('kbResetBtn').addEventListener('click', resetKnowledgeBase);
+  document.getElementById('uiLanguage').value = I18n.getUiLanguage();
+  document.getElementById('officerName').value = AuditTrail.getOfficer();
+  document.getElementById('reportLanguage').value = I18n.getUiLanguage();
+  I18n.setUiLanguage(I18n.getUiLanguage());
+  knowledgeBaseReady.then(() => renderKnowledgeBase());
+  resetHearingEditor();
+  renderHearings();
+  resetSettlementEditor();
+  renderSettlement();
+  setDashboardPeriod(document.getElementById('dashboardPeriod').value);
+  renderPrivacyPolicy();
+  openCaseRecords();
+})();
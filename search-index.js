@@ -0,0 +1,169 @@
+/*
+ * search-index.js
+ *
+ * Small client-side full-text index used by the offline legal search. Text
+ * is lowercased, stripped of accents (so "pinsala" also finds "pínsala") and
+ * split into words; common English and Filipino words are left out. Results
+ * are ranked with BM25, with a match in a document's title counting more
+ * than one in its body. A query word of four or more letters also finds
+ * longer words that start with it ("settle" finds "settlement"), at a lower
+ * weight than an exact match.
+ *
+ * snippet() picks the part of a text with the most matches and returns it as
+ * parts ({ text, match }) so the page can highlight the matches without
+ * building HTML from the text. The API is exposed on window.SearchIndex.
+ */
+
+(() => {
+  // BM25 parameters
+  const K1 = 1.2;
+  const B = 0.75;
+  const PREFIX_WEIGHT = 0.5;
+  const MIN_PREFIX = 4;
+  const STOPWORDS = new Set([
+    // English
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'his', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'shall', 'such', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'which',
+    'who', 'with',
+    // Filipino
+    'ang', 'ay', 'mga', 'na', 'ng', 'nang', 'sa', 'si', 'ni', 'kay', 'at', 'ko', 'mo', 'ito', 'iyon',
+  ]);
+  const WORD = /[\p{L}\p{N}]+/gu;
+
+  function normalize(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Words of a text worth indexing, in order
+  function tokenize(text) {
+    return (normalize(text).match(WORD) || []).filter((w) => !STOPWORDS.has(w) && (w.length > 1 || /\d/.test(w)));
+  }
+
+  // Build an index over docs. fields maps a document property to its weight,
+  // e.g. { title: 3, text: 1 }.
+  function create(docs, fields = { title: 3, text: 1 }) {
+    const postings = new Map();
+    const lengths = [];
+    docs.forEach((doc, i) => {
+      const counts = new Map();
+      let length = 0;
+      Object.entries(fields).forEach(([field, weight]) => {
+        tokenize(doc[field]).forEach((term) => {
+          counts.set(term, (counts.get(term) || 0) + weight);
+          length += weight;
+        });
+      });
+      lengths.push(length);
+      counts.forEach((tf, term) => {
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({ doc: i, tf });
+      });
+    });
+    const total = lengths.reduce((sum, n) => sum + n, 0);
+    return { docs, fields, postings, lengths, avgLength: docs.length ? total / docs.length : 0 };
+  }
+
+  // Index terms a query word matches, with the weight of each match
+  function expand(index, word) {
+    const terms = new Map();
+    if (index.postings.has(word)) terms.set(word, 1);
+    if (word.length >= MIN_PREFIX) {
+      index.postings.forEach((_, term) => {
+        if (term !== word && term.startsWith(word)) terms.set(term, PREFIX_WEIGHT);
+      });
+    }
+    return terms;
+  }
+
+  // Rank the documents for a query. Returns [{ doc, score, terms }]
+  // sorted by score, where terms are the index terms that matched.
+  function search(index, query, { limit = 20 } = {}) {
+    const n = index.docs.length;
+    const scores = new Map();
+    const words = Array.from(new Set(tokenize(query)));
+    words.forEach((word) => {
+      expand(index, word).forEach((weight, term) => {
+        const list = index.postings.get(term);
+        const idf = Math.log(1 + (n - list.length + 0.5) / (list.length + 0.5));
+        list.forEach(({ doc, tf }) => {
+          const norm = K1 * (1 - B + (B * index.lengths[doc]) / (index.avgLength || 1));
+          const score = weight * idf * ((tf * (K1 + 1)) / (tf + norm));
+          const entry = scores.get(doc) || { score: 0, terms: new Set(), words: new Set() };
+          entry.score += score;
+          entry.terms.add(term);
+          entry.words.add(word);
+          scores.set(doc, entry);
+        });
+      });
+    });
+    return Array.from(scores.entries())
+      // Documents matching more of the query words come first
+      .map(([doc, entry]) => ({
+        doc: index.docs[doc],
+        score: entry.score * (entry.words.size / words.length),
+        terms: Array.from(entry.terms),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // The part of text around the most matches of terms, as
+  // [{ text, match }] with "…" where the text was cut
+  function snippet(text, terms, { length = 240 } = {}) {
+    const source = String(text || '');
+    const wanted = new Set(terms);
+    const hits = [];
+    let m;
+    WORD.lastIndex = 0;
+    while ((m = WORD.exec(source))) {
+      if (wanted.has(normalize(m[0]))) hits.push({ start: m.index, end: m.index + m[0].length });
+    }
+    let start = 0;
+    if (hits.length && source.length > length) {
+      // Window that starts a little before the match with the most matches after it
+      let best = 0;
+      let bestCount = 0;
+      hits.forEach((hit, i) => {
+        const count = hits.filter((h) => h.start >= hit.start && h.end <= hit.start + length).length;
+        if (count > bestCount) {
+          best = i;
+          bestCount = count;
+        }
+      });
+      start = Math.max(0, hits[best].start - Math.round(length / 5));
+      if (start + length > source.length) start = Math.max(0, source.length - length);
+      // Do not cut a word in half
+      if (start > 0) {
+        const space = source.indexOf(' ', start);
+        if (space !== -1 && space < hits[best].start) start = space + 1;
+      }
+    }
+    let end = Math.min(source.length, start + length);
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+    const parts = [];
+    if (start > 0) parts.push({ text: '…', match: false });
+    let pos = start;
+    hits.filter((h) => h.start >= start && h.end <= end).forEach((h) => {
+      if (h.start > pos) parts.push({ text: source.slice(pos, h.start), match: false });
+      parts.push({ text: source.slice(h.start, h.end), match: true });
+      pos = h.end;
+    });
+    if (pos < end) parts.push({ text: source.slice(pos, end), match: false });
+    if (end < source.length) parts.push({ text: '…', match: false });
+    return parts;
+  }
+
+  window.SearchIndex = {
+    normalize,
+    tokenize,
+    create,
+    search,
+    snippet,
+  };
+})();
@@ -0,0 +1,457 @@
+/*
+ * settlement.js
+ *
+ * Terms of an amicable settlement and whether the parties comply with them.
+ * A settled case keeps its undertakings in record.settlement:
+ *
+ *   { terms: [term], motionFiled }
+ *
+ * where each term has { id, type, obligor, description } and, by type:
+ *
+ *   - payment:  amount and installments [{ id, due, amount, paidOn }]
+ *   - apology:  form (verbal, written or public), due and doneOn
+ *   - conduct:  distance in metres, until, and breaches [{ date, note }]
+ *   - other:    due and doneOn
+ *
+ * obligor is the side bound by the term: respondent, complainant or both.
+ * motionFiled is the date a motion for execution was filed with the Lupon.
+ *
+ * The date of the settlement is the "settled" KP stage (kp-timeline.js).
+ * Under the Local Government Code a party may repudiate the settlement
+ * within 10 days (Sec. 418); after that it is final and the Lupon may
+ * enforce it by execution within six months of its date (Sec. 417). Missed
+ * installments, overdue terms and recorded breaches are returned by
+ * deadlines() so they show with the other KP deadlines. The API is exposed
+ * on window.Settlement.
+ */
+
+(() => {
+  const TYPES = ['payment', 'apology', 'conduct', 'other'];
+  const OBLIGORS = ['respondent', 'complainant', 'both'];
+  const APOLOGY_FORMS = ['verbal', 'written', 'public'];
+  const REPUDIATION_DAYS = 10;
+  const EXECUTION_MONTHS = 6;
+  const MAX_INSTALLMENTS = 36;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function text(value) {
+    return String(value === undefined || value === null ? '' : value).trim();
+  }
+
+  // Pesos rounded to the centavo
+  function money(value) {
+    return Math.round(Number(value) * 100) / 100;
+  }
+
+  // The same day n months later, or the last day of a shorter month
+  function addMonths(date, n) {
+    const [y, m, d] = date.split('-').map(Number);
+    const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))).toISOString().slice(0, 10);
+  }
+
+  // Split an amount into monthly installments from the first due date; the
+  // centavos left over are paid with the last installment
+  function installmentPlan(amount, count, firstDue) {
+    const n = Math.min(MAX_INSTALLMENTS, Math.max(1, Math.floor(Number(count)) || 1));
+    const total = money(amount) || 0;
+    const each = Math.floor((total / n) * 100) / 100;
+    return Array.from({ length: n }, (_, i) => ({
+      id: generateId('installment'),
+      due: DATE_PATTERN.test(firstDue || '') ? addMonths(firstDue, i) : '',
+      amount: i === n - 1 ? money(total - each * (n - 1)) : each,
+      paidOn: '',
+    }));
+  }
+
+  // A term from the values entered in the settlement editor
+  function createTerm(fields) {
+    const type = TYPES.includes(fields.type) ? fields.type : 'other';
+    const term = {
+      id: fields.id || generateId('term'),
+      type,
+      obligor: OBLIGORS.includes(fields.obligor) ? fields.obligor : 'respondent',
+      description: text(fields.description),
+    };
+    if (type === 'payment') {
+      term.amount = money(fields.amount) || 0;
+      term.installments = Array.isArray(fields.installments)
+        ? fields.installments
+        : installmentPlan(term.amount, fields.count, fields.firstDue);
+    } else if (type === 'conduct') {
+      const distance = Number(fields.distance);
+      term.distance = fields.distance !== '' && fields.distance !== undefined && distance > 0 ? distance : null;
+      term.until = text(fields.until);
+      term.breaches = Array.isArray(fields.breaches) ? fields.breaches : [];
+    } else {
+      if (type === 'apology') term.form = APOLOGY_FORMS.includes(fields.form) ? fields.form : 'verbal';
+      term.due = text(fields.due);
+      term.doneOn = text(fields.doneOn);
+    }
+    return term;
+  }
+
+  // Keep the payments already recorded when the plan of a payment term is
+  // edited
+  function keepPayments(term, previous) {
+    if (term.type !== 'payment' || !previous || previous.type !== 'payment') return term;
+    return {
+      ...term,
+      installments: term.installments.map((inst, i) => {
+        const old = previous.installments[i];
+        return old && old.paidOn ? { ...inst, id: old.id, paidOn: old.paidOn } : inst;
+      }),
+    };
+  }
+
+  // Problems with a term (empty when it can be saved)
+  function validateTerm(term) {
+    const errors = [];
+    if (!term || typeof term !== 'object') return ['A settlement term must be an object.'];
+    if (!TYPES.includes(term.type)) errors.push(`Unknown type of term "${term.type}" (use ${TYPES.join(', ')}).`);
+    if (!OBLIGORS.includes(term.obligor)) errors.push(`Unknown party bound by the term "${term.obligor}".`);
+    const checkDate = (value, label) => {
+      if (value && !DATE_PATTERN.test(value)) errors.push(`The ${label} must be YYYY-MM-DD.`);
+    };
+    if (term.type === 'payment') {
+      if (!(term.amount > 0)) errors.push('Enter the amount to be paid.');
+      const installments = Array.isArray(term.installments) ? term.installments : [];
+      if (!installments.length) errors.push('A payment needs at least one installment.');
+      installments.forEach((inst, i) => {
+        if (!DATE_PATTERN.test(inst.due || '')) errors.push(`Installment ${i + 1} needs a due date (YYYY-MM-DD).`);
+        checkDate(inst.paidOn, `payment date of installment ${i + 1}`);
+      });
+      const sum = money(installments.reduce((total, inst) => total + Number(inst.amount || 0), 0));
+      if (installments.length && term.amount > 0 && Math.abs(sum - term.amount) > 0.005) {
+        errors.push(`The installments add up to ${sum}, not to the amount of ${term.amount}.`);
+      }
+    } else if (term.type === 'conduct') {
+      if (!term.description && !term.distance) errors.push('Describe the conduct agreed on or the distance to keep.');
+      checkDate(term.until, 'end of the undertaking');
+      (term.breaches || []).forEach((b, i) => checkDate(b.date, `date of breach ${i + 1}`));
+    } else {
+      if (term.type === 'other' && !term.description) errors.push('Describe the term.');
+      checkDate(term.due, 'due date');
+      checkDate(term.doneOn, 'date of compliance');
+    }
+    return errors;
+  }
+
+  // Problems with a settlement read from a backup file
+  function validate(settlement) {
+    if (!settlement || typeof settlement !== 'object' || Array.isArray(settlement)) return ['"settlement" must be an object.'];
+    if (settlement.terms !== undefined && !Array.isArray(settlement.terms)) return ['"terms" must be a list.'];
+    const errors = [];
+    (settlement.terms || []).forEach((term, i) => {
+      validateTerm(term).forEach((message) => errors.push(`Term ${i + 1}: ${message}`));
+    });
+    if (settlement.motionFiled && !DATE_PATTERN.test(settlement.motionFiled)) errors.push('"motionFiled" must be YYYY-MM-DD.');
+    return errors;
+  }
+
+  function emptySettlement() {
+    return { terms: [], motionFiled: '' };
+  }
+
+  function normalize(settlement) {
+    const s = settlement || {};
+    return { terms: (s.terms || []).slice(), motionFiled: s.motionFiled || '' };
+  }
+
+  // Add a term, or replace the one with the same id. Returns a new settlement.
+  function save(settlement, term) {
+    const s = normalize(settlement);
+    const index = s.terms.findIndex((t) => t.id === term.id);
+    if (index >= 0) s.terms[index] = term;
+    else s.terms.push(term);
+    return s;
+  }
+
+  function remove(settlement, id) {
+    const s = normalize(settlement);
+    s.terms = s.terms.filter((t) => t.id !== id);
+    return s;
+  }
+
+  function updateTerm(settlement, id, change) {
+    const s = normalize(settlement);
+    s.terms = s.terms.map((t) => (t.id === id ? change(t) : t));
+    return s;
+  }
+
+  // Record the payment of an installment; an empty date marks it unpaid
+  function setPaid(settlement, termId, installmentId, paidOn) {
+    return updateTerm(settlement, termId, (t) => ({
+      ...t,
+      installments: t.installments.map((inst) => (inst.id === installmentId ? { ...inst, paidOn: paidOn || '' } : inst)),
+    }));
+  }
+
+  function setDone(settlement, termId, doneOn) {
+    return updateTerm(settlement, termId, (t) => ({ ...t, doneOn: doneOn || '' }));
+  }
+
+  function addBreach(settlement, termId, breach) {
+    return updateTerm(settlement, termId, (t) => ({ ...t, breaches: (t.breaches || []).concat([{ date: breach.date, note: text(breach.note) }]) }));
+  }
+
+  function removeBreach(settlement, termId, index) {
+    return updateTerm(settlement, termId, (t) => ({ ...t, breaches: (t.breaches || []).filter((_, i) => i !== index) }));
+  }
+
+  // 'paid', 'missed' (past due and unpaid) or 'pending'
+  function installmentState(inst, today) {
+    if (inst.paidOn) return 'paid';
+    return inst.due && inst.due < (today || KPTimeline.todayInManila()) ? 'missed' : 'pending';
+  }
+
+  // Compliance with a term: 'complied', 'breached' or 'pending'
+  function termStatus(term, today) {
+    const now = today || KPTimeline.todayInManila();
+    if (term.type === 'payment') {
+      const states = (term.installments || []).map((inst) => installmentState(inst, now));
+      if (states.includes('missed')) return 'breached';
+      return states.length && states.every((s) => s === 'paid') ? 'complied' : 'pending';
+    }
+    if (term.type === 'conduct') {
+      if ((term.breaches || []).length) return 'breached';
+      return term.until && term.until < now ? 'complied' : 'pending';
+    }
+    if (term.doneOn) return 'complied';
+    return term.due && term.due < now ? 'breached' : 'pending';
+  }
+
+  // Amount of a payment term still unpaid
+  function balance(term) {
+    return money((term.installments || []).filter((inst) => !inst.paidOn).reduce((total, inst) => total + Number(inst.amount || 0), 0));
+  }
+
+  function isComplied(settlement, today) {
+    const terms = (settlement && settlement.terms) || [];
+    return terms.length > 0 && terms.every((t) => termStatus(t, today) === 'complied');
+  }
+
+  function breachedTerms(settlement, today) {
+    return ((settlement && settlement.terms) || []).filter((t) => termStatus(t, today) === 'breached');
+  }
+
+  // Where the settlement of a case stands: { settled, repudiationEnds,
+  // executionEnds, stage } with stage 'none' (no settlement date),
+  // 'repudiable' (within the 10 days), 'final' (the Lupon may execute it),
+  // 'lapsed' (six months have passed; enforce by action in court) or
+  // 'repudiated'
+  function finality(data, today) {
+    const now = today || KPTimeline.todayInManila();
+    const { status, dates } = KPTimeline.getProceedings(data);
+    const settled = dates.settled || '';
+    if (!settled) return { settled, repudiationEnds: '', executionEnds: '', stage: 'none' };
+    const repudiationEnds = KPTimeline.addDays(settled, REPUDIATION_DAYS);
+    const executionEnds = addMonths(settled, EXECUTION_MONTHS);
+    let stage = 'final';
+    if (status === 'repudiated' || status === 'cfa') stage = 'repudiated';
+    else if (now <= repudiationEnds) stage = 'repudiable';
+    else if (now > executionEnds) stage = 'lapsed';
+    return { settled, repudiationEnds, executionEnds, stage };
+  }
+
+  // Whether the settlement may still be repudiated on the given date. A case
+  // without a settlement date cannot be checked and is let through.
+  function canRepudiate(data, date) {
+    const { settled, repudiationEnds } = finality(data, date);
+    return !settled || (date || KPTimeline.todayInManila()) <= repudiationEnds;
+  }
+
+  // Whether a motion for execution can be heard by the Lupon: the
+  // settlement is final, within six months, and a term was not complied with
+  function canExecute(data, today) {
+    return finality(data, today).stage === 'final' && breachedTerms(data.settlement, today).length > 0;
+  }
+
+  // Deadlines of the terms of a settled case, in the form used by
+  // KPTimeline.computeDeadlines(): unpaid installments, terms with a due
+  // date, breaches of a conduct term and, once a term is breached, the
+  // six-month window for execution by the Lupon
+  function deadlines(record, today) {
+    const { settled, executionEnds, stage } = finality(record, today);
+    const settlement = normalize(record.settlement);
+    if (!settled || stage === 'repudiated' || !settlement.terms.length) return [];
+    const filed = !!settlement.motionFiled;
+    const list = [];
+    settlement.terms.forEach((term, i) => {
+      const params = { term: i + 1 };
+      if (term.type === 'payment') {
+        (term.installments || []).filter((inst) => !inst.paidOn && inst.due).forEach((inst) => {
+          list.push({
+            key: 'installment',
+            label: `Term ${i + 1}: pay the installment of ${PenaltyCalculator.formatPeso(inst.amount, 'en')}`,
+            params: { ...params, amount: PenaltyCalculator.formatPeso(inst.amount, 'en') },
+            basis: 'Amicable settlement',
+            start: settled,
+            due: inst.due,
+            done: false,
+          });
+        });
+      } else if (term.type === 'conduct') {
+        (term.breaches || []).forEach((b) => {
+          list.push({ key: 'breach', label: `Term ${i + 1}: breach of the settlement; move for execution`, params, basis: 'Amicable settlement', start: settled, due: b.date, done: filed });
+        });
+      } else if (term.due && !term.doneOn) {
+        list.push({ key: 'term', label: `Term ${i + 1}: comply with the undertaking`, params, basis: 'Amicable settlement', start: settled, due: term.due, done: false });
+      }
+    });
+    if (breachedTerms(settlement, today).length) {
+      list.push({
+        key: 'execution',
+        label: `Execution of the settlement by the Lupon (${EXECUTION_MONTHS} months)`,
+        params: { months: EXECUTION_MONTHS },
+        basis: 'LGC Sec. 417',
+        start: settled,
+        due: executionEnds,
+        done: filed,
+      });
+    }
+    return list;
+  }
+
+  // "A", "A and B", "A, B and C"
+  function joinNames(names, lang) {
+    if (names.length < 2) return names.join('');
+    return `${names.slice(0, -1).join(', ')}${I18n.t('unit.and', lang)}${names[names.length - 1]}`;
+  }
+
+  // Names of the side bound by a term
+  function obligorNames(term, data, lang) {
+    const complainant = (data.complainant && data.complainant.name) || I18n.t('report.complainant', lang);
+    const named = (data.respondents || []).map((r) => r.name).filter(Boolean);
+    const respondents = named.length ? named : [I18n.t('settlement.obligor.respondent', lang)];
+    if (term.obligor === 'complainant') return complainant;
+    if (term.obligor === 'both') return joinNames([complainant].concat(respondents), lang);
+    return joinNames(respondents, lang);
+  }
+
+  function formatDate(date, lang) {
+    return new Date(`${date}T00:00:00+08:00`).toLocaleDateString(I18n.locale(lang), { timeZone: 'Asia/Manila', dateStyle: 'long' });
+  }
+
+  // A term as a sentence of the settlement, e.g. "Pedro Santos shall pay
+  // ₱3,000 (repair of the gate) in 3 monthly installments of ..."
+  function describeTerm(term, data, lang) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const who = obligorNames(term, data, lang);
+    const peso = (value) => PenaltyCalculator.formatPeso(value, lang);
+    const purpose = term.description ? ` (${term.description})` : '';
+    if (term.type === 'payment') {
+      const installments = term.installments || [];
+      if (installments.length === 1) {
+        return t('settlement.describe.paymentOnce', { who, amount: peso(term.amount), purpose, date: formatDate(installments[0].due, lang) });
+      }
+      const schedule = installments.map((inst) => t('settlement.describe.installment', { amount: peso(inst.amount), date: formatDate(inst.due, lang) }));
+      return t('settlement.describe.payment', { who, amount: peso(term.amount), purpose, count: installments.length, schedule: schedule.join('; ') });
+    }
+    let sentence;
+    if (term.type === 'apology') {
+      sentence = t(`settlement.describe.apology.${term.form}`, { who, purpose });
+    } else if (term.type === 'conduct') {
+      const parts = [];
+      if (term.distance) parts.push(t('settlement.describe.distance', { distance: term.distance }));
+      if (term.description) parts.push(term.description);
+      sentence = t('settlement.describe.conduct', { who, conduct: parts.join(t('unit.and')) });
+      if (term.until) sentence += ` ${t('settlement.describe.until', { date: formatDate(term.until, lang) })}`;
+      return `${sentence}.`;
+    } else {
+      sentence = t('settlement.describe.other', { who, description: term.description });
+    }
+    if (term.due) sentence += ` ${t('settlement.describe.due', { date: formatDate(term.due, lang) })}`;
+    return `${sentence}.`;
+  }
+
+  // The terms of the settlement, numbered, as written in KP Form 16
+  function termsText(data) {
+    return normalize(data.settlement).terms.map((term, i) => `${i + 1}. ${describeTerm(term, data, 'en')}`).join('\n');
+  }
+
+  function typeLabel(type, lang) {
+    return I18n.t(`settlement.type.${type}`, lang);
+  }
+
+  function statusLabel(status, lang) {
+    return I18n.t(`settlement.status.${status}`, lang);
+  }
+
+  // Compliance with a term in a few words: paid and missed installments,
+  // breaches or the date it was complied with
+  function describeCompliance(term, lang, today) {
+    const t = (key, params) => I18n.t(key, lang, params);
+    const status = statusLabel(termStatus(term, today), lang);
+    if (term.type === 'payment') {
+      const states = (term.installments || []).map((inst) => installmentState(inst, today));
+      const count = (s) => states.filter((x) => x === s).length;
+      return `${status}: ${t('settlement.compliance.payment', {
+        paid: count('paid'),
+        missed: count('missed'),
+        total: states.length,
+        balance: PenaltyCalculator.formatPeso(balance(term), lang),
+      })}`;
+    }
+    if (term.type === 'conduct' && (term.breaches || []).length) {
+      const breaches = term.breaches.map((b) => [formatDate(b.date, lang), b.note].filter(Boolean).join(' – '));
+      return `${status}: ${breaches.join('; ')}`;
+    }
+    if (term.doneOn) return `${status} (${formatDate(term.doneOn, lang)})`;
+    if (term.due) return `${status} (${t('settlement.compliance.due', { date: formatDate(term.due, lang) })})`;
+    return status;
+  }
+
+  // Where the settlement stands, as a sentence for the officer and the report
+  function describeFinality(data, lang, today) {
+    const f = finality(data, today);
+    const params = {
+      settled: f.settled ? formatDate(f.settled, lang) : '',
+      repudiationEnds: f.repudiationEnds ? formatDate(f.repudiationEnds, lang) : '',
+      executionEnds: f.executionEnds ? formatDate(f.executionEnds, lang) : '',
+    };
+    return I18n.t(`settlement.finality.${f.stage}`, lang, params);
+  }
+
+  window.Settlement = {
+    TYPES,
+    OBLIGORS,
+    APOLOGY_FORMS,
+    REPUDIATION_DAYS,
+    EXECUTION_MONTHS,
+    addMonths,
+    installmentPlan,
+    createTerm,
+    keepPayments,
+    validateTerm,
+    validate,
+    emptySettlement,
+    normalize,
+    save,
+    remove,
+    setPaid,
+    setDone,
+    addBreach,
+    removeBreach,
+    installmentState,
+    termStatus,
+    balance,
+    isComplied,
+    breachedTerms,
+    finality,
+    canRepudiate,
+    canExecute,
+    deadlines,
+    describeTerm,
+    termsText,
+    typeLabel,
+    statusLabel,
+    describeCompliance,
+    describeFinality,
+    formatDate,
+  };
+})();
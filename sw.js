@@ -1,43 +1,176 @@
-const CACHE_NAME = 'barangay-case-analyzer-cache-v1';
-const FILES_TO_CACHE = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  '/assets/icon.png',
-  '/assets/icon-192.png',
-  '/assets/icon-512.png',
+/*
+ * sw.js
+ *
+ * Service worker that keeps the Barangay Case Analyzer usable offline.
+ *
+ * - The app shell (APP_SHELL) is precached relative to the worker's scope,
+ *   so the app also works from a subpath such as a GitHub Pages project site.
+ * - The CDN libraries are cached too, but a CDN that cannot be reached does
+ *   not stop the install; they are fetched again the next time they are used.
+ * - App files are served stale-while-revalidate: the cached copy is returned
+ *   at once and refreshed in the background. When a refreshed file differs
+ *   from the cached one the open pages are told so they can offer a reload.
+ * - Bump VERSION with every release. The browser then installs the new worker
+ *   next to the old one and the page shows an "update available" prompt; the
+ *   new worker takes over only when the officer chooses to reload.
+ *
+ * Other requests (such as the Google search API used by research.js) go to
+ * the network untouched.
+ */
+
+const VERSION = '2026-10-19.32';
+const CACHE_PREFIX = 'barangay-case-analyzer-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+// CDN URLs carry their own version numbers, so this cache is kept across
+// releases
+const CDN_CACHE = `${CACHE_PREFIX}cdn-1`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'config.js',
+  'i18n.js',
+  'audit-trail.js',
+  'vault.js',
+  'docket.js',
+  'kp-timeline.js',
+  'hearings.js',
+  'jurisdiction.js',
+  'kp-forms.js',
+  'case-transfer.js',
+  'party-registry.js',
+  'lupon.js',
+  'settlement.js',
+  'validation.js',
+  'legal-data.js',
+  'legal-editor.js',
+  'classifier.js',
+  'penalty-calc.js',
+  'prescription.js',
+  'kp-stats.js',
+  'privacy.js',
+  'report-model.js',
+  'report-pdf.js',
+  'report-docx.js',
+  'report-html.js',
+  'citations.js',
+  'script.js',
+  'search-index.js',
+  'legal-corpus.js',
+  'research.js',
+  'legal-packs/core.json',
+  'legal-corpus/core.json',
+  'assets/icon.png',
+  'assets/icon-192.png',
+  'assets/icon-512.png',
+];
+
+const CDN_ASSETS = [
   'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
   'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js'
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
 ];
 
-self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => {
-      return cache.addAll(FILES_TO_CACHE);
-    })
-  );
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+// Cache one CDN file; the pages load these without CORS, so an opaque
+// response is stored as it is
+async function cacheCdnAsset(cache, url) {
+  const response = await fetch(url, { mode: 'no-cors' });
+  if (response.type !== 'opaque' && !response.ok) throw new Error(`HTTP ${response.status}`);
+  await cache.put(url, response);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    // Bypass the HTTP cache so a new release does not precache old files
+    await shell.addAll(APP_SHELL.map((path) => new Request(scoped(path), { cache: 'reload' })));
+    const cdn = await caches.open(CDN_CACHE);
+    const results = await Promise.allSettled(CDN_ASSETS.map((url) => cacheCdnAsset(cdn, url)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') console.warn(`Could not cache ${CDN_ASSETS[i]}:`, result.reason);
+    });
+  })());
 });
 
-self.addEventListener('activate', event => {
-  event.waitUntil(
-    caches.keys().then(keyList => {
-      return Promise.all(keyList.map(key => {
-        if (key !== CACHE_NAME) {
-          return caches.delete(key);
-        }
-      }));
-    })
-  );
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CDN_CACHE];
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter((key) => key.startsWith(CACHE_PREFIX) && !keep.includes(key))
+      .map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
 });
 
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request).then(response => {
-      return response || fetch(event.request);
-    })
-  );
+// The page asks the waiting worker to take over once the officer agrees
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+// Whether a refreshed response differs from the cached one
+function changed(cached, fresh) {
+  return ['etag', 'last-modified'].some((header) => {
+    const before = cached.headers.get(header);
+    const after = fresh.headers.get(header);
+    return before && after && before !== after;
+  });
+}
+
+async function notifyUpdated() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage({ type: 'app-updated' }));
+}
+
+// Stale-while-revalidate for files of the app itself. Pages are looked up
+// without their query string and fall back to the cached index.html.
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const isPage = request.mode === 'navigate';
+  const key = isPage ? request.url.split(/[?#]/)[0] : request;
+  const cached = await cache.match(key);
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (response.ok && response.type === 'basic') {
+        if (cached && changed(cached, response)) notifyUpdated();
+        await cache.put(key, response.clone());
+      }
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => undefined));
+    return cached;
+  }
+  try {
+    return await refresh;
+  } catch (err) {
+    if (isPage) {
+      const shell = await cache.match(scoped('index.html'));
+      if (shell) return shell;
+    }
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (request.url.startsWith(self.registration.scope)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (CDN_ASSETS.includes(request.url)) {
+    event.respondWith(cacheFirst(request));
+  }
 });
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { CaseTransfer } = load('config', 'i18n', 'kp-timeline', 'hearings', 'jurisdiction', 'lupon', 'settlement', 'case-transfer');
+
+const record = {
+  caseId: 'KP-2026-014',
+  dateReceived: '2026-10-01',
+  complainant: { name: 'Maria Cruz', phone: '+63 917 123 4567', email: '', address: '', type: 'individual' },
+  respondents: [
+    { name: '=HYPERLINK("http://example.com")', phone: '', email: '', address: '', type: 'individual' },
+    { name: 'Pedro | "Pedring" Santos', phone: '+63 918 765 4321', email: '', address: 'Purok 3\\Lot 5', type: 'individual' },
+  ],
+  incident: { summary: '-5 pesos short on the change, then an argument followed.', location: '@ the store', dateTime: '2026-09-30T10:00' },
+  kp: { status: 'filed', dates: {} },
+};
+
+const cells = (csv) => csv.replace(/^﻿/, '').split('\r\n')[1];
+
+test('cells that look like formulas are written as text', () => {
+  const row = cells(CaseTransfer.toCSV([record]));
+  assert.match(row, /,'\+63 917 123 4567,/);
+  assert.match(row, /,"'=HYPERLINK/);
+  assert.match(row, /,"'-5 pesos short/);
+  assert.match(row, /,'@ the store,/);
+});
+
+test('a CSV export reads back the same parties and incident', () => {
+  const { records, errors } = CaseTransfer.parse(CaseTransfer.toCSV([record]), 'cases.csv');
+  assert.equal(errors.length, 0);
+  const back = records[0].record;
+  assert.equal(back.complainant.phone, '+63 917 123 4567');
+  assert.deepEqual(Array.from(back.respondents, (r) => r.name), ['=HYPERLINK("http://example.com")', 'Pedro | "Pedring" Santos']);
+  assert.deepEqual(Array.from(back.respondents, (r) => r.phone), ['', '+63 918 765 4321']);
+  assert.equal(back.respondents[1].address, 'Purok 3\\Lot 5');
+  assert.equal(back.incident.summary, record.incident.summary);
+  assert.equal(back.incident.location, '@ the store');
+});
+
+test('respondent lists written by hand still split on "|"', () => {
+  const csv = 'incidentSummary,respondentNames\r\nA dispute over a fence between neighbors.,Pedro Santos | Juan Reyes\r\n';
+  const { records } = CaseTransfer.parse(csv, 'cases.csv');
+  assert.deepEqual(Array.from(records[0].record.respondents, (r) => r.name), ['Pedro Santos', 'Juan Reyes']);
+});
+
+test('an imported citation link must be a web address', () => {
+  const citation = { key: 'doc-1', title: 'RPC Art. 308' };
+  const check = (link) => Array.from(CaseTransfer.validateCase({ ...record, citations: [{ ...citation, link }] }));
+  assert.deepEqual(check('https://lawphil.net/statutes/acts/act_3815_1930.html'), []);
+  assert.deepEqual(check(''), []);
+  assert.equal(check('javascript:alert(1)').length, 1);
+  assert.equal(check('data:text/html,x').length, 1);
+});
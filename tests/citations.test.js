@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { Citations } = load('citations');
+
+const parse = (title) => ({ ...Citations.parseDecision(title) });
+
+test('case name before the G.R. number', () => {
+  assert.deepEqual(parse('People v. Dela Cruz, G.R. No. 123456, January 5, 2020'), {
+    name: 'People v. Dela Cruz',
+    grNo: 'G.R. No. 123456',
+    date: 'January 5, 2020',
+  });
+});
+
+test('case name between the G.R. number and the date (Lawphil)', () => {
+  assert.equal(parse('G.R. No. 123456 PEOPLE vs. DELA CRUZ January 5, 2020 - PERALTA, J.').name, 'PEOPLE v. DELA CRUZ');
+});
+
+test('case name after the G.R. number and date', () => {
+  assert.deepEqual(parse('G.R. No. 257483 October 30, 2024 - SONIA BALAGTAS v. PEOPLE'), {
+    name: 'SONIA BALAGTAS v. PEOPLE',
+    grNo: 'G.R. No. 257483',
+    date: 'October 30, 2024',
+  });
+  assert.deepEqual(parse('[ G.R. No. 123456, January 5, 2020 ] PEOPLE v. DELA CRUZ'), {
+    name: 'PEOPLE v. DELA CRUZ',
+    grNo: 'G.R. No. 123456',
+    date: 'January 5, 2020',
+  });
+  assert.equal(
+    Citations.format({ title: '[ G.R. No. 123456, January 5, 2020 ] PEOPLE v. DELA CRUZ' }),
+    'PEOPLE v. DELA CRUZ, G.R. No. 123456, January 5, 2020',
+  );
+});
+
+test('only http and https links are kept from a search result', () => {
+  const web = Citations.fromResult({ title: 'RPC Art. 308', link: 'https://lawphil.net/statutes/acts/act_3815_1930.html?utm_source=x' });
+  assert.equal(web.link, 'https://lawphil.net/statutes/acts/act_3815_1930.html?utm_source=x');
+  assert.equal(web.key, 'https://lawphil.net/statutes/acts/act_3815_1930.html');
+  ['javascript:alert(1)', 'data:text/html,<b>x</b>', 'file:///etc/passwd'].forEach((link) => {
+    const citation = Citations.fromResult({ title: 'Bad link', link, id: 'doc-1' });
+    assert.equal(citation.link, '');
+    assert.equal(citation.key, 'doc-1');
+  });
+});
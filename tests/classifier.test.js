@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, readJson } = require('./load');
+
+const { CaseClassifier } = load('classifier');
+const { categories } = readJson('legal-packs/core.json');
+
+const selected = (summary) => Array.from(CaseClassifier.classify(summary, categories).selected);
+
+test('violence by a husband or partner selects VAWC', () => {
+  [
+    'My husband punched me.',
+    'Binugbog ako ng asawa ko kagabi.',
+    'Sinaktan ako ng asawa ko.',
+    'Sinuntok at sinipa ako ng kinakasama ko.',
+    'My boyfriend kicked me and threatened to kill me.',
+  ].forEach((summary) => assert.ok(selected(summary).includes('vawc'), summary));
+});
+
+test('a partner named without any violence does not select VAWC', () => {
+  assert.ok(!selected('Hindi naman ako sinaktan ng asawa ko, nagsisigawan lang kami.').includes('vawc'));
+  assert.ok(!selected('My husband and I found the gate of our neighbor open.').includes('vawc'));
+});
+
+test('violence by someone else is physical injuries, not VAWC', () => {
+  const result = selected('Binugbog ako ng kapitbahay ko kagabi.');
+  assert.ok(result.includes('injury'));
+  assert.ok(!result.includes('vawc'));
+});
+
+test('inappropriate touching of a child selects child abuse', () => {
+  assert.ok(selected('The neighbor touched my 10-year-old daughter inappropriately.').includes('child-abuse'));
+  assert.ok(selected('Hinawakan ng kapitbahay ang maselang bahagi ng anak kong babae.').includes('child-abuse'));
+});
+
+const ranking = (summary) => Array.from(CaseClassifier.classify(summary, categories).ranked, (r) => r.category);
+
+test('calling someone a thief is defamation, not theft', () => {
+  [
+    'He keeps calling me a thief in front of our neighbors.',
+    'Sinabing magnanakaw ako ng kapitbahay namin.',
+    'Tinawag akong magnanakaw sa harap ng mga tao.',
+  ].forEach((summary) => {
+    const order = ranking(summary);
+    assert.ok(order.indexOf('defamation') < order.indexOf('theft'), summary);
+    assert.ok(selected(summary).includes('defamation'), summary);
+    assert.ok(!selected(summary).includes('theft'), summary);
+  });
+});
+
+test('a theft that happened is still theft', () => {
+  assert.equal(ranking('The thief stole my phone.')[0], 'theft');
+  [
+    'I called the police because he stole my bicycle.',
+    'He called me over and stole my phone.',
+    'I called him and he stole my bicycle.',
+    'Tinawag niya ako tapos ninakaw ang cellphone ko.',
+  ].forEach((summary) => {
+    assert.ok(selected(summary).includes('theft'), summary);
+    assert.ok(!selected(summary).includes('defamation'), summary);
+  });
+});
+
+test('the accusation is reported with the verb', () => {
+  const theft = CaseClassifier.classify('He keeps calling me a thief.', categories).ranked.find((r) => r.category === 'theft');
+  assert.equal(theft.imputed[0].phrase, 'calling me a thief');
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { KPTimeline } = load('config', 'i18n', 'kp-timeline');
+
+const pangkatDeadline = (kp) => KPTimeline.computeDeadlines({ dateReceived: '2026-09-01', kp }, '2026-10-01').find((d) => d.key === 'pangkat');
+
+test('the Pangkat period runs from the day it convened, not the day it was constituted', () => {
+  assert.equal(pangkatDeadline({ status: 'pangkat', dates: { pangkat: '2026-09-20' } }), undefined);
+  const deadline = pangkatDeadline({ status: 'conciliation', dates: { pangkat: '2026-09-20', conciliation: '2026-09-25' } });
+  assert.equal(deadline.start, '2026-09-25');
+  assert.equal(deadline.due, '2026-10-10');
+  const extended = pangkatDeadline({ status: 'conciliation', dates: { pangkat: '2026-09-20', conciliation: '2026-09-25' }, pangkatExtended: true });
+  assert.equal(extended.due, '2026-10-25');
+});
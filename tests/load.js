@@ -0,0 +1,33 @@
+/*
+ * tests/load.js
+ *
+ * Loads the browser scripts of the app into a fresh sandbox for the tests,
+ * in the order index.html lists them. Each script publishes its API on
+ * window, which is the sandbox itself, so the scripts see one another as
+ * globals just as they do in the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// load('i18n', 'penalty-calc') -> the sandbox with window.I18n and
+// window.PenaltyCalculator
+function load(...names) {
+  const sandbox = vm.createContext({ console, URL });
+  sandbox.window = sandbox;
+  names.forEach((name) => {
+    const file = path.join(ROOT, `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+  });
+  return sandbox;
+}
+
+// A JSON file of the app, e.g. readJson('legal-packs/core.json')
+function readJson(relative) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, relative), 'utf8'));
+}
+
+module.exports = { load, readJson };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { PartyRegistry } = load('config', 'i18n', 'kp-timeline', 'party-registry');
+
+const party = (name) => ({ name, phone: '', email: '', address: '', personId: `person-${name}` });
+const docketCase = (id, dateReceived) => ({
+  id,
+  caseId: id.toUpperCase(),
+  dateReceived,
+  complainant: party('Maria Cruz'),
+  respondents: [party('Pedro Santos')],
+  kp: { status: 'filed', dates: {} },
+});
+
+test('the history of a case lists only the cases received on or before it', () => {
+  const current = docketCase('kp-2', '2026-05-10');
+  const records = [docketCase('kp-1', '2026-02-01'), docketCase('kp-same-day', '2026-05-10'), current, docketCase('kp-3', '2026-08-20')];
+  const [complainant, respondent] = PartyRegistry.history(current, records, '2026-10-19');
+  assert.deepEqual(Array.from(complainant.cases, (c) => c.id), ['kp-same-day', 'kp-1']);
+  assert.equal(respondent.respondentCases, 3);
+});
+
+test('the history gives a case the same outcome as the dashboard', () => {
+  const current = docketCase('kp-9', '2026-09-01');
+  const status = (id, kpStatus) => ({ ...docketCase(id, '2026-03-01'), kp: { status: kpStatus, dates: {} } });
+  const records = [status('kp-settled', 'settled'), status('kp-repudiated', 'repudiated'), status('kp-cfa', 'cfa'), status('kp-open', 'mediation')];
+  const outcomes = Object.fromEntries(PartyRegistry.history(current, records, '2026-10-19')[0].cases.map((c) => [c.id, c.outcome]));
+  assert.deepEqual({ ...outcomes }, { 'kp-settled': 'settled', 'kp-repudiated': 'repudiated', 'kp-cfa': 'certified', 'kp-open': 'pending' });
+});
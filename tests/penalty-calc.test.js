@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { PenaltyCalculator, KPJurisdiction } = load('config', 'i18n', 'jurisdiction', 'penalty-calc');
+
+const mischief = (value) => PenaltyCalculator.compute('malicious-mischief', value, '');
+const theft = (value) => PenaltyCalculator.compute('theft', value, '');
+const penaltyCheck = (computations) => KPJurisdiction.check({ penaltyComputations: computations }).checks.find((c) => c.key === 'penalty');
+
+test('malicious mischief up to ₱40,000 is par. 3 and within Lupon jurisdiction', () => {
+  [1000, 40000].forEach((value) => {
+    const result = mischief(value);
+    assert.equal(result.paragraph, '3');
+    assert.equal(result.exceeds, false);
+    assert.deepEqual({ ...result.penalty }, { imprisonmentMonths: 1, fine: 40000, alternative: true });
+    assert.equal(result.steps.at(-1).key, 'withinAlternative');
+    assert.equal(penaltyCheck([result]).result, 'pass');
+    assert.equal(penaltyCheck([result]).reasonKey, 'penaltyComputedAlternative');
+  });
+});
+
+test('malicious mischief over ₱40,000 is par. 2, arresto mayor, within Lupon jurisdiction', () => {
+  const result = mischief(40001);
+  assert.equal(result.paragraph, '2');
+  assert.equal(result.penalty.imprisonmentMonths, 4);
+  assert.equal(result.exceeds, false);
+  assert.equal(penaltyCheck([result]).reasonKey, 'penaltyComputedWithin');
+});
+
+test('theft of ₱50 or less is par. 7', () => {
+  [1, 50].forEach((value) => {
+    const result = theft(value);
+    assert.equal(result.paragraph, '7');
+    assert.equal(result.exceeds, false);
+  });
+  assert.equal(theft(51).paragraph, '6');
+  assert.equal(theft(5001).exceeds, true);
+});
+
+test('theft over ₱2,200,000 takes the maximum period of par. 1 plus a year per full million', () => {
+  const top = theft(2200001);
+  assert.equal(top.paragraph, '1');
+  assert.equal(top.penalty.imprisonmentMonths, 120);
+  assert.match(top.steps.find((s) => s.key === 'bracket').params.penalty, /^The maximum period of the penalty in par\. 1/);
+  assert.equal(theft(3200000).penalty.imprisonmentMonths, 132);
+  assert.equal(theft(3199999).penalty.imprisonmentMonths, 120);
+  assert.equal(theft(50000000).penalty.imprisonmentMonths, 240);
+});
+
+test('a heavier computation still takes the case outside Lupon jurisdiction', () => {
+  const check = penaltyCheck([mischief(1000), theft(15000)]);
+  assert.equal(check.result, 'fail');
+  assert.equal(check.params.months, 28);
+});
+
+test('exceedsLimits weighs an alternative fine with its imprisonment', () => {
+  assert.equal(PenaltyCalculator.exceedsLimits({ imprisonmentMonths: 1, fine: 40000, alternative: true }), false);
+  assert.equal(PenaltyCalculator.exceedsLimits({ imprisonmentMonths: 1, fine: 40000 }), true);
+  assert.equal(PenaltyCalculator.exceedsLimits({ imprisonmentMonths: 13, fine: 0 }), true);
+});
+
+test('amounts are read from the summary, but not page numbers', () => {
+  const values = (text) => Array.from(PenaltyCalculator.extractAmounts(text), (a) => a.value);
+  assert.deepEqual(values('See p. 3 of the blotter.'), []);
+  assert.deepEqual(values('Nasira ang gate na nagkakahalaga ng P5,000.'), [5000]);
+  assert.deepEqual(values('Ninakaw ang cellphone (P.8000), p. 3 ng salaysay'), [8000]);
+  assert.deepEqual(values('₱1,500 at limang libong piso'), [1500, 5000]);
+  assert.deepEqual(values('Php 1.2M'), [1200000]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { Privacy } = load('config', 'i18n', 'privacy');
+
+const LAW = 'The court may impose a fine; a mark of intent is enough.';
+const data = {
+  language: 'en',
+  caseTitle: 'May Ann Reyes Case',
+  complainant: { name: 'May Ann Reyes', phone: '0917 123 4567' },
+  respondents: [{ name: 'Mark Santos' }],
+  incident: {
+    summary: 'May Ann Reyes says Mark Santos took her bag. May utang daw si Reyes kay Santos. Mark may call 63 917 123 4567.',
+    location: 'Purok 3',
+  },
+  analysis: { violations: [{ title: 'Theft', basis: 'RPC Art. 308', text: LAW, penalty: 'may utang' }] },
+  mediation: { objectives: ['Ask whether Mark may return the bag'] },
+};
+
+test('names are shortened only in what people typed', () => {
+  const copy = Privacy.redact(data);
+  assert.equal(copy.caseTitle, 'M. A. R. Case');
+  assert.equal(copy.complainant.name, 'M. A. R.');
+  assert.equal(copy.respondents[0].name, 'M. S.');
+  assert.equal(copy.incident.summary, 'M. A. R. says M. S. took her bag. M. utang daw si R. kay S.. M. may call [withheld].');
+  assert.equal(copy.analysis.violations[0].text, LAW);
+  assert.equal(copy.analysis.violations[0].penalty, 'may utang');
+  assert.equal(copy.mediation.objectives[0], 'Ask whether Mark may return the bag');
+});
+
+test('a name word in lower case is an ordinary word', () => {
+  const rules = { names: ['May Ann Reyes', 'Mark Santos'], words: ['Santos', 'Reyes', 'Mark', 'May', 'Ann'], masked: '***' };
+  assert.equal(Privacy.redactText('the court may impose; a mark of intent', rules), 'the court may impose; a mark of intent');
+  assert.equal(Privacy.redactText('MAY ANN REYES and Mark came', rules), 'M. A. R. and M. came');
+});
+
+test('Philippine numbers are masked however they are written', () => {
+  [
+    '0917 123 4567', '0917-123-4567', '+63 917 123 4567', '63 917 123 4567', '9171234567',
+    '(02) 8123 4567', '+63-2-8123-4567', '+63 2 8123 4567', '+63 49 123 4567', '049-123-4567',
+  ].forEach((phone) => {
+    assert.equal(Privacy.redactText(`Call ${phone} today`, { masked: '***' }), 'Call *** today', phone);
+  });
+  assert.equal(Privacy.redactText('Paid ₱40,000 on 2026-10-19 under KP-2026-014', { masked: '***' }), 'Paid ₱40,000 on 2026-10-19 under KP-2026-014');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { FormValidation } = load('config', 'i18n', 'settlement', 'party-registry', 'validation');
+
+const phoneIssues = (phone) => Array.from(
+  FormValidation.check({ complainant: { phone } }, '2026-10-19T12:00'),
+  ({ field, key, level }) => ({ field, key, level }),
+).filter((issue) => issue.field === 'complainant.phone');
+
+test('Philippine numbers are written in the +63 form', () => {
+  assert.equal(FormValidation.formatPhone('0917-123-4567'), '+63 917 123 4567');
+  assert.equal(FormValidation.formatPhone('(02) 8123 4567'), '+63 2 8123 4567');
+  assert.deepEqual(phoneIssues('0917 123 4567'), []);
+});
+
+test('a number with another country code is a warning, kept as typed', () => {
+  ['+1 415 555 0100', '0065 6123 4567'].forEach((phone) => {
+    assert.equal(FormValidation.formatPhone(phone), null);
+    assert.ok(FormValidation.isForeignPhone(phone), phone);
+    assert.deepEqual(phoneIssues(phone), [{ field: 'complainant.phone', key: 'validation.phoneForeign', level: 'warning' }]);
+  });
+});
+
+test('a mistyped number is still an error', () => {
+  ['0917 123', '+63 917 12', 'call me'].forEach((phone) => {
+    assert.deepEqual(phoneIssues(phone), [{ field: 'complainant.phone', key: 'validation.phone', level: 'error' }], phone);
+  });
+});
@@ -0,0 +1,143 @@
+/*
+ * validation.js
+ *
+ * Checks of the case form before a report is generated, with the Philippine
+ * formats officers actually type. Phone numbers are accepted as written on
+ * the blotter ("0917-123-4567", "(02) 8123 4567", "63 917 123 4567") and
+ * normalized to the +63 form:
+ *
+ *   mobile                 +63 917 123 4567
+ *   Metro Manila landline  +63 2 8123 4567      (area code 2, 8 digits)
+ *   provincial landline    +63 49 123 4567      (2-digit area code, 7 or 8 digits)
+ *
+ * A landline needs its area code; a number without one cannot be told apart
+ * from a mistyped mobile number. A number with another country code
+ * ("+1 415 555 0100", "0065 6123 4567") only gets a warning and is kept as
+ * typed, since parties may live or work abroad.
+ *
+ * check() returns the problems of the form as a list of
+ *
+ *   { field, key, level }     level 'error' blocks the report, 'warning' does not
+ *
+ * where field names the input ('summary', 'dateReceived', 'complainant.phone',
+ * 'respondents.1.name', ...) and key is the i18n key of the message. Dates
+ * are compared as the YYYY-MM-DD / YYYY-MM-DDTHH:mm strings of the form, in
+ * Philippine time. The API is exposed on window.FormValidation.
+ */
+
+(() => {
+  const MIN_SUMMARY_LENGTH = 30;
+  // Incidents older than this are flagged so the date can be checked
+  const OLD_INCIDENT_MONTHS = 12;
+  const PHONE_CHARACTERS = /^\+?[\d\s().-]+$/;
+  // International format: "+" or "00", a country code other than 63 and at
+  // most 15 digits in all (ITU-T E.164)
+  const FOREIGN_PHONE = /^(?:\+|00)(?!63)[1-9]\d{6,14}$/;
+  const EMAIL_PATTERN = /^(?!\.)(?!.*\.\.)[\w.!#$%&'*+/=?^`{|}~-]+(?<!\.)@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+  // Current date and time in the Philippines as YYYY-MM-DDTHH:mm
+  function nowInManila() {
+    return new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Manila' }).replace(' ', 'T').slice(0, 16);
+  }
+
+  // The number without its country code or trunk 0 ("9171234567"), or ''
+  // when it is not a Philippine number
+  function nationalNumber(phone) {
+    const text = String(phone || '').trim();
+    if (!PHONE_CHARACTERS.test(text)) return '';
+    const digits = text.replace(/\D/g, '');
+    const candidates = [];
+    if (text.startsWith('+')) {
+      if (digits.startsWith('63')) candidates.push(digits.slice(2));
+    } else if (digits.startsWith('0')) {
+      candidates.push(digits.slice(1));
+    } else {
+      if (digits.startsWith('63')) candidates.push(digits.slice(2));
+      candidates.push(digits);
+    }
+    return candidates.find((n) => /^9\d{9}$|^2\d{8}$|^[3-8]\d{8,9}$/.test(n)) || '';
+  }
+
+  // "0917-123-4567" -> "+63 917 123 4567"; '' for a blank number and null
+  // for one that is not a valid Philippine number
+  function formatPhone(phone) {
+    if (!String(phone || '').trim()) return '';
+    const n = nationalNumber(phone);
+    if (!n) return null;
+    if (n.startsWith('9')) return `+63 ${n.slice(0, 3)} ${n.slice(3, 6)} ${n.slice(6)}`;
+    const area = n.startsWith('2') ? 1 : 2;
+    const local = n.slice(area);
+    const split = local.length - 4;
+    return `+63 ${n.slice(0, area)} ${local.slice(0, split)} ${local.slice(split)}`;
+  }
+
+  // A number in international format with a country code other than +63
+  function isForeignPhone(phone) {
+    const text = String(phone || '').trim();
+    if (!PHONE_CHARACTERS.test(text)) return false;
+    return FOREIGN_PHONE.test((text.startsWith('+') ? '+' : '') + text.replace(/\D/g, ''));
+  }
+
+  // Emails are kept as typed, but the domain is not case-sensitive
+  function normalizeEmail(email) {
+    const text = String(email || '').trim();
+    const at = text.lastIndexOf('@');
+    return at < 0 ? text : text.slice(0, at + 1) + text.slice(at + 1).toLowerCase();
+  }
+
+  function isEmail(email) {
+    return EMAIL_PATTERN.test(String(email || '').trim());
+  }
+
+  function checkContact(party, where, issues) {
+    if (party.phone && formatPhone(party.phone) === null) {
+      if (isForeignPhone(party.phone)) issues.push({ field: `${where}.phone`, key: 'validation.phoneForeign', level: 'warning' });
+      else issues.push({ field: `${where}.phone`, key: 'validation.phone', level: 'error' });
+    }
+    if (party.email && !isEmail(party.email)) issues.push({ field: `${where}.email`, key: 'validation.email', level: 'error' });
+  }
+
+  // Problems of the case form:
+  //   { summary, location, dateTime, dateReceived, complainant, respondents }
+  // with every respondent entry of the form, blank ones included, so the
+  // indexes match the entries on screen
+  function check(form, now = nowInManila()) {
+    const issues = [];
+    const error = (field, key) => issues.push({ field, key, level: 'error' });
+    const today = now.slice(0, 10);
+    if (String(form.summary || '').trim().length < MIN_SUMMARY_LENGTH) error('summary', 'form.summaryInvalid');
+    if (!String(form.location || '').trim()) error('location', 'form.locationInvalid');
+    const dateTime = form.dateTime || '';
+    if (!dateTime) error('dateTime', 'form.dateTimeInvalid');
+    else if (dateTime.slice(0, 16) > now) error('dateTime', 'validation.incidentFuture');
+    else if (dateTime.slice(0, 10) < Settlement.addMonths(today, -OLD_INCIDENT_MONTHS)) {
+      issues.push({ field: 'dateTime', key: 'validation.incidentOld', level: 'warning' });
+    }
+    const received = form.dateReceived || '';
+    if (received > today) error('dateReceived', 'validation.receivedFuture');
+    else if (received && dateTime && received < dateTime.slice(0, 10)) error('dateReceived', 'validation.receivedBeforeIncident');
+    checkContact(form.complainant || {}, 'complainant', issues);
+    // A respondent listed twice: the same registry person or the same name
+    const seen = [];
+    (form.respondents || []).forEach((respondent, i) => {
+      checkContact(respondent, `respondents.${i}`, issues);
+      const name = PartyRegistry.normalizeName(respondent.name);
+      if (!name) return;
+      const twice = seen.some((other) => (respondent.personId && other.personId === respondent.personId) || other.name === name);
+      if (twice) error(`respondents.${i}.name`, 'validation.duplicateRespondent');
+      seen.push({ name, personId: respondent.personId });
+    });
+    return issues;
+  }
+
+  window.FormValidation = {
+    MIN_SUMMARY_LENGTH,
+    OLD_INCIDENT_MONTHS,
+    nowInManila,
+    formatPhone,
+    isForeignPhone,
+    normalizeEmail,
+    isEmail,
+    check,
+  };
+})();
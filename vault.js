@@ -0,0 +1,163 @@
+/*
+ * vault.js
+ *
+ * Encryption at rest of the case data kept in the browser (RA 10173, the
+ * Data Privacy Act). Every record the docket (docket.js) stores is sealed
+ * with AES-GCM under a key derived from the officer's passphrase with
+ * PBKDF2-SHA-256; only the record ids and the keys the stores are indexed on
+ * are kept in clear. The key is never stored: it lives in memory from the
+ * moment the passphrase is entered until the docket is locked, by hand or
+ * after a period without activity.
+ *
+ * The vault record kept next to the data holds the salt, the iteration count
+ * and a sealed check value, so that a wrong passphrase is told apart from a
+ * damaged record:
+ *
+ *   { salt, iterations, check: { iv, data } }        <- base64 strings
+ *
+ * A forgotten passphrase cannot be recovered. The Web Crypto API used here is
+ * only offered on https pages and on localhost. The API is exposed on
+ * window.Vault.
+ */
+
+(() => {
+  // OWASP's recommendation for PBKDF2-HMAC-SHA-256
+  const ITERATIONS = 310000;
+  const MIN_PASSPHRASE_LENGTH = 10;
+  const CHECK_TEXT = 'barangay-case-analyzer-vault';
+  const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+  let key = null;
+  let lockTimer = null;
+  // Activity listener of the running automatic lock, if any
+  let restart = null;
+
+  function subtle() {
+    const crypto = window.crypto && window.crypto.subtle;
+    if (!crypto) throw new Error('Encrypted case storage needs the Web Crypto API; open the app over https or on localhost.');
+    return crypto;
+  }
+
+  function toBase64(bytes) {
+    let text = '';
+    new Uint8Array(bytes).forEach((b) => {
+      text += String.fromCharCode(b);
+    });
+    return btoa(text);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+
+  function randomBytes(length) {
+    return window.crypto.getRandomValues(new Uint8Array(length));
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle().deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function encryptWith(cryptoKey, value) {
+    const iv = randomBytes(12);
+    const data = await subtle().encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  async function decryptWith(cryptoKey, sealed) {
+    const data = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, cryptoKey, fromBase64(sealed.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  // Why a passphrase cannot be used, or '' when it can
+  function checkPassphrase(passphrase, confirmation) {
+    if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) return 'privacy.passphraseShort';
+    if (confirmation !== undefined && passphrase !== confirmation) return 'privacy.passphraseMismatch';
+    return '';
+  }
+
+  // Make a new vault record for a passphrase and unlock with it
+  async function create(passphrase) {
+    const salt = randomBytes(16);
+    const cryptoKey = await deriveKey(passphrase, salt, ITERATIONS);
+    const vault = { salt: toBase64(salt), iterations: ITERATIONS, check: await encryptWith(cryptoKey, CHECK_TEXT) };
+    key = cryptoKey;
+    return vault;
+  }
+
+  // Unlock with the passphrase of a vault record
+  async function open(vault, passphrase) {
+    const cryptoKey = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+    let check;
+    try {
+      check = await decryptWith(cryptoKey, vault.check);
+    } catch (err) {
+      throw new Error('Wrong passphrase.');
+    }
+    if (check !== CHECK_TEXT) throw new Error('Wrong passphrase.');
+    key = cryptoKey;
+  }
+
+  function isUnlocked() {
+    return key !== null;
+  }
+
+  // Stop the automatic lock: its timer and its activity listeners
+  function stopAutoLock() {
+    clearTimeout(lockTimer);
+    lockTimer = null;
+    if (restart) ACTIVITY_EVENTS.forEach((type) => document.removeEventListener(type, restart, true));
+    restart = null;
+  }
+
+  function lock() {
+    key = null;
+    stopAutoLock();
+  }
+
+  function seal(value) {
+    if (!key) return Promise.reject(new Error('The case records are locked. Enter the passphrase to open them.'));
+    return encryptWith(key, value);
+  }
+
+  function unseal(sealed) {
+    if (!key) return Promise.reject(new Error('The case records are locked. Enter the passphrase to open them.'));
+    return decryptWith(key, sealed);
+  }
+
+  // Lock after the given minutes without a click, key press or scroll and
+  // call onLock; 0 turns the automatic lock off. A lock already running is
+  // replaced.
+  function startAutoLock(minutes, onLock) {
+    stopAutoLock();
+    if (!minutes) return;
+    restart = () => {
+      clearTimeout(lockTimer);
+      lockTimer = setTimeout(() => {
+        lock();
+        onLock();
+      }, minutes * 60 * 1000);
+    };
+    ACTIVITY_EVENTS.forEach((type) => document.addEventListener(type, restart, { capture: true, passive: true }));
+    restart();
+  }
+
+  window.Vault = {
+    MIN_PASSPHRASE_LENGTH,
+    checkPassphrase,
+    create,
+    open,
+    isUnlocked,
+    lock,
+    seal,
+    unseal,
+    startAutoLock,
+  };
+})();